@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Extra ad-block filter lists (EasyList syntax) and the user's own rules, layered on top of the
+ * prebuilt ads + tracking engine. Metadata lives in the global store (one engine serves every
+ * profile); each list's last downloaded / read text is cached as `<dir>/<id>.txt` so the engine
+ * can be rebuilt offline.
+ *
+ * A list is `{ id, title, source: 'url' | 'file', location, enabled, updatedAt, ruleCount, error }`.
+ */
+
+const AXIS_ADBLOCK_LISTS_KEY = 'adblockFilterLists';
+const AXIS_ADBLOCK_USER_RULES_KEY = 'adblockUserRules';
+const AXIS_ADBLOCK_LISTS_MAX = 30;
+const AXIS_ADBLOCK_LIST_MAX_BYTES = 20 * 1024 * 1024;
+const AXIS_ADBLOCK_USER_RULES_MAX_CHARS = 200000;
+/** URL lists older than this are refreshed in the background at startup. */
+const AXIS_ADBLOCK_LIST_STALE_MS = 4 * 24 * 60 * 60 * 1000;
+
+function newAdblockListId() {
+  return `list-${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function cleanAdblockFilterLists(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const entry of raw) {
+    if (!entry || typeof entry !== 'object') continue;
+    const id = typeof entry.id === 'string' && /^list-[a-z0-9]+$/.test(entry.id) ? entry.id : '';
+    const source = entry.source === 'file' ? 'file' : entry.source === 'url' ? 'url' : '';
+    const location = typeof entry.location === 'string' ? entry.location.trim() : '';
+    if (!id || !source || !location || seen.has(id)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      title: typeof entry.title === 'string' && entry.title.trim() ? entry.title.trim().slice(0, 120) : '',
+      source,
+      location,
+      enabled: entry.enabled !== false,
+      updatedAt: Number(entry.updatedAt) || 0,
+      ruleCount: Number(entry.ruleCount) || 0,
+      error: typeof entry.error === 'string' ? entry.error.slice(0, 200) : ''
+    });
+    if (out.length >= AXIS_ADBLOCK_LISTS_MAX) break;
+  }
+  return out;
+}
+
+/** `https://…` subscription URL (also `abp:subscribe?location=…` links), or null. */
+function normalizeAdblockListUrl(raw) {
+  let s = String(raw || '').trim();
+  if (!s) return null;
+  const abp = /^abp:\/*subscribe\?(.*)$/i.exec(s);
+  if (abp) {
+    try {
+      s = new URLSearchParams(abp[1]).get('location') || '';
+    } catch (_) {
+      return null;
+    }
+  }
+  try {
+    const u = new URL(s);
+    return u.protocol === 'https:' || u.protocol === 'http:' ? u.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** `! Title: …` from the list header, else the file / URL name. */
+function adblockListTitle(text, location) {
+  const head = String(text || '').slice(0, 4096);
+  const m = /^!\s*Title\s*:\s*(.+)$/im.exec(head);
+  if (m && m[1].trim()) return m[1].trim().slice(0, 120);
+  const base = String(location || '').split(/[\\/?#]/).filter(Boolean);
+  return base[base.length - 1] || 'Filter list';
+}
+
+/** Filter lines, i.e. not blank, not `! comments` and not the `[Adblock Plus 2.0]` header. */
+function countAdblockRules(text) {
+  let n = 0;
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const t = line.trim();
+    if (t && !t.startsWith('!') && !(t.startsWith('[') && t.endsWith(']'))) n++;
+  }
+  return n;
+}
+
+/** Rejects things that are clearly not a filter list (HTML error pages, binaries). */
+function validateAdblockListText(text) {
+  const s = String(text || '');
+  if (!s.trim()) return 'The list is empty.';
+  if (/^\s*<(?:!doctype|html)/i.test(s)) return 'That address returned a web page, not a filter list.';
+  if (s.includes('\u0000')) return 'That file is not a text filter list.';
+  if (!countAdblockRules(s)) return 'No filters found in the list.';
+  return '';
+}
+
+function cleanAdblockUserRules(raw) {
+  return typeof raw === 'string' ? raw.replace(/\r\n/g, '\n').slice(0, AXIS_ADBLOCK_USER_RULES_MAX_CHARS) : '';
+}
+
+function adblockListTextPath(dir, id) {
+  return path.join(dir, `${id}.txt`);
+}
+
+async function writeAdblockListText(dir, id, text) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(adblockListTextPath(dir, id), text, 'utf8');
+}
+
+async function removeAdblockListText(dir, id) {
+  await fs.promises.rm(adblockListTextPath(dir, id), { force: true });
+}
+
+/**
+ * Every enabled list's cached text, then the user's rules, as `{ id, title, text }` sections
+ * (`id: 'user'` for the rules). Lists whose cache is missing are skipped.
+ */
+async function readAdblockCustomFilterSections(dir, lists, userRules) {
+  const sections = [];
+  for (const list of lists) {
+    if (!list.enabled) continue;
+    try {
+      const text = await fs.promises.readFile(adblockListTextPath(dir, list.id), 'utf8');
+      sections.push({ id: list.id, title: list.title || adblockListTitle(text, list.location), text });
+    } catch (_) {}
+  }
+  const rules = cleanAdblockUserRules(userRules);
+  if (rules.trim()) sections.push({ id: 'user', title: 'My filters', text: rules });
+  return sections;
+}
+
+/** The sections of `readAdblockCustomFilterSections` as one filter document. */
+async function readAdblockCustomFilterText(dir, lists, userRules) {
+  const sections = await readAdblockCustomFilterSections(dir, lists, userRules);
+  return sections.map((section) => section.text).join('\n');
+}
+
+/** Identifies a compiled custom engine: the base engine it was built on plus the custom text. */
+function adblockCustomEngineSignature(baseStamp, customText) {
+  return crypto.createHash('sha256').update(String(baseStamp)).update('\n').update(customText).digest('hex');
+}
+
+module.exports = {
+  AXIS_ADBLOCK_LISTS_KEY,
+  AXIS_ADBLOCK_USER_RULES_KEY,
+  AXIS_ADBLOCK_LISTS_MAX,
+  AXIS_ADBLOCK_LIST_MAX_BYTES,
+  AXIS_ADBLOCK_LIST_STALE_MS,
+  newAdblockListId,
+  cleanAdblockFilterLists,
+  normalizeAdblockListUrl,
+  adblockListTitle,
+  countAdblockRules,
+  validateAdblockListText,
+  cleanAdblockUserRules,
+  writeAdblockListText,
+  removeAdblockListText,
+  readAdblockCustomFilterSections,
+  readAdblockCustomFilterText,
+  adblockCustomEngineSignature
+};
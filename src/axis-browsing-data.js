@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * "Clear browsing data": the time ranges and data types the Settings dialog offers, and the
+ * helpers that turn a range into the origins to clear. Session storage has no per-time filter,
+ * so a limited range clears the sites visited in that window (from history) rather than
+ * everything written since then.
+ */
+
+/** Range id → span in ms; `all` has no lower bound. */
+const AXIS_CLEAR_DATA_RANGES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const AXIS_CLEAR_DATA_TYPES = [
+  'history',
+  'cookies',
+  'cache',
+  'downloads',
+  'autofill',
+  'sitePermissions',
+  'urlBarThemes'
+];
+
+/** Storages `clearStorageData` wipes for "Cookies and site data". */
+const AXIS_CLEAR_SITE_DATA_STORAGES = [
+  'cookies',
+  'filesystem',
+  'indexdb',
+  'localstorage',
+  'shadercache',
+  'websql',
+  'serviceworkers',
+  'cachestorage'
+];
+
+/** Most recently visited sites a limited range clears site data for. */
+const AXIS_CLEAR_DATA_MAX_HOSTS = 2000;
+
+/**
+ * @param {{ range?: string, types?: string[] }} raw
+ * @returns {{ range: string, from: number|null, types: Set<string> }}
+ */
+function normalizeClearBrowsingDataRequest(raw, now = Date.now()) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const range = Object.prototype.hasOwnProperty.call(AXIS_CLEAR_DATA_RANGES, src.range) ? src.range : 'hour';
+  const span = AXIS_CLEAR_DATA_RANGES[range];
+  const types = new Set(
+    (Array.isArray(src.types) ? src.types : []).filter((t) => AXIS_CLEAR_DATA_TYPES.includes(t))
+  );
+  return { range, from: span == null ? null : now - span, types };
+}
+
+/** `http://` and `https://` origins for each host, as `clearStorageData({ origin })` expects. */
+function clearDataOriginsForHosts(hosts) {
+  const out = [];
+  for (const host of hosts) {
+    out.push(`https://${host}`, `http://${host}`);
+  }
+  return out;
+}
+
+/** Timestamp of a stored download row (`timestamp` ISO string, else the `Date.now()` id). */
+function downloadItemTime(item) {
+  const t = Date.parse(item?.timestamp || '');
+  if (Number.isFinite(t)) return t;
+  const id = Number(item?.id);
+  return Number.isFinite(id) ? id : 0;
+}
+
+module.exports = {
+  AXIS_CLEAR_DATA_RANGES,
+  AXIS_CLEAR_DATA_TYPES,
+  AXIS_CLEAR_SITE_DATA_STORAGES,
+  AXIS_CLEAR_DATA_MAX_HOSTS,
+  normalizeClearBrowsingDataRequest,
+  clearDataOriginsForHosts,
+  downloadItemTime
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Download rules (`downloadRules` profile setting), checked in order by main's `will-download`
+ * handler; the first enabled rule that matches decides where the file goes. Settings edits them.
+ *
+ * A rule is `{ id, enabled, matchType, pattern, action, folder }`:
+ * - `matchType: 'extension'` — `pattern` lists extensions (`pdf, docx`);
+ * - `matchType: 'mime'` — MIME types, `image/*` for a whole family;
+ * - `matchType: 'domain'` — source hosts; `example.com` also covers its subdomains.
+ * `action` is `'folder'` (save into `folder`), `'ask'` (save dialog) or `'open'` (open when done).
+ */
+
+const AXIS_DOWNLOAD_RULE_MATCH_TYPES = [
+  { id: 'extension', label: 'File type' },
+  { id: 'mime', label: 'MIME type' },
+  { id: 'domain', label: 'Site' }
+];
+
+const AXIS_DOWNLOAD_RULE_ACTIONS = [
+  { id: 'folder', label: 'Save to folder' },
+  { id: 'ask', label: 'Ask where to save' },
+  { id: 'open', label: 'Open when done' }
+];
+
+const AXIS_DOWNLOAD_RULES_MAX = 50;
+
+function splitDownloadRulePattern(pattern) {
+  return String(pattern || '')
+    .split(/[\s,;]+/)
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function normalizeDownloadRulePattern(matchType, pattern) {
+  const parts = splitDownloadRulePattern(pattern).map((p) => {
+    if (matchType === 'extension') return p.replace(/^\*?\./, '');
+    if (matchType === 'domain') {
+      try {
+        return new URL(p.includes('://') ? p : `https://${p}`).hostname.replace(/^\*\./, '').replace(/^www\./, '');
+      } catch (_) {
+        return '';
+      }
+    }
+    return p;
+  });
+  return Array.from(new Set(parts.filter(Boolean))).join(', ');
+}
+
+/** @returns {{ ok: true, rule: object } | { ok: false, error: string }} */
+function validateDownloadRule(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const matchType = AXIS_DOWNLOAD_RULE_MATCH_TYPES.some((t) => t.id === src.matchType) ? src.matchType : null;
+  if (!matchType) return { ok: false, error: 'Choose what the rule matches on.' };
+  const pattern = normalizeDownloadRulePattern(matchType, src.pattern);
+  if (!pattern) {
+    return {
+      ok: false,
+      error:
+        matchType === 'extension'
+          ? 'Enter at least one file extension, e.g. pdf.'
+          : matchType === 'mime'
+            ? 'Enter at least one MIME type, e.g. image/*.'
+            : 'Enter at least one site, e.g. example.com.'
+    };
+  }
+  if (matchType === 'mime' && splitDownloadRulePattern(pattern).some((p) => !/^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/.test(p))) {
+    return { ok: false, error: 'MIME types look like application/pdf or image/*.' };
+  }
+  const action = AXIS_DOWNLOAD_RULE_ACTIONS.some((a) => a.id === src.action) ? src.action : null;
+  if (!action) return { ok: false, error: 'Choose what happens to matching downloads.' };
+  const folder = typeof src.folder === 'string' ? src.folder.trim() : '';
+  if (action === 'folder' && !folder) return { ok: false, error: 'Choose a folder to save into.' };
+  const id =
+    typeof src.id === 'string' && src.id
+      ? src.id
+      : `rule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return {
+    ok: true,
+    rule: { id, enabled: src.enabled !== false, matchType, pattern, action, folder: action === 'folder' ? folder : '' }
+  };
+}
+
+function normalizeDownloadRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const entry of raw) {
+    const result = validateDownloadRule(entry);
+    if (!result.ok || seen.has(result.rule.id)) continue;
+    seen.add(result.rule.id);
+    out.push(result.rule);
+    if (out.length >= AXIS_DOWNLOAD_RULES_MAX) break;
+  }
+  return out;
+}
+
+function hostMatchesDownloadRuleDomain(host, domain) {
+  const h = String(host || '').toLowerCase().replace(/^www\./, '');
+  return h === domain || h.endsWith(`.${domain}`);
+}
+
+/**
+ * First enabled rule for a download, or null.
+ * @param {{ filename?: string, mimeType?: string, urls?: string[] }} download
+ */
+function matchDownloadRule(rules, download) {
+  const filename = String(download?.filename || '').toLowerCase();
+  const dot = filename.lastIndexOf('.');
+  const extension = dot > 0 ? filename.slice(dot + 1) : '';
+  const mimeType = String(download?.mimeType || '').toLowerCase().split(';')[0].trim();
+  const hosts = (Array.isArray(download?.urls) ? download.urls : [])
+    .map((u) => {
+      try {
+        return new URL(u).hostname;
+      } catch (_) {
+        return '';
+      }
+    })
+    .filter(Boolean);
+  for (const rule of normalizeDownloadRules(rules)) {
+    if (!rule.enabled) continue;
+    const parts = splitDownloadRulePattern(rule.pattern);
+    let hit = false;
+    if (rule.matchType === 'extension') {
+      hit = !!extension && parts.some((p) => filename.endsWith(`.${p}`));
+    } else if (rule.matchType === 'mime') {
+      hit = !!mimeType && parts.some((p) => (p.endsWith('/*') ? mimeType.startsWith(p.slice(0, -1)) : mimeType === p));
+    } else if (rule.matchType === 'domain') {
+      hit = parts.some((p) => hosts.some((h) => hostMatchesDownloadRuleDomain(h, p)));
+    }
+    if (hit) return rule;
+  }
+  return null;
+}
+
+/** Short label for lists: `PDF, DOCX → Papers`, `example.com → ask`. */
+function describeDownloadRule(rule) {
+  if (!rule) return '';
+  const pattern =
+    rule.matchType === 'extension'
+      ? splitDownloadRulePattern(rule.pattern)
+          .map((p) => p.toUpperCase())
+          .join(', ')
+      : rule.pattern;
+  let target = 'Ask where to save';
+  if (rule.action === 'open') target = 'Open when done';
+  else if (rule.action === 'folder') {
+    const parts = String(rule.folder || '').split(/[\\/]/).filter(Boolean);
+    target = parts[parts.length - 1] || rule.folder;
+  }
+  return `${pattern} → ${target}`;
+}
+
+const axisDownloadRulesApi = {
+  AXIS_DOWNLOAD_RULE_MATCH_TYPES,
+  AXIS_DOWNLOAD_RULE_ACTIONS,
+  AXIS_DOWNLOAD_RULES_MAX,
+  validateDownloadRule,
+  normalizeDownloadRules,
+  matchDownloadRule,
+  describeDownloadRule
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = axisDownloadRulesApi;
+}
+if (typeof window !== 'undefined') {
+  window.AxisDownloadRules = axisDownloadRulesApi;
+}
@@ -0,0 +1,226 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Dangerous-download checks for main's `will-download` handler. A download with any risk
+ * reason is held (hidden next to its destination) until the user keeps or discards it from the
+ * downloads popup; kept files get the OS quarantine / Mark-of-the-Web.
+ */
+
+const AXIS_DOWNLOAD_RISK_REASONS = {
+  executable: 'This type of file is a program that can harm your computer.',
+  script: 'This script can run commands on your computer.',
+  installer: 'This installer can make changes to your computer.',
+  'archive-executable': 'This archive contains programs.',
+  'type-mismatch': 'The file extension does not match what the site sent.',
+  insecure: 'This file was downloaded over an insecure (http) connection.'
+};
+
+const EXECUTABLE_EXTENSIONS = new Set([
+  'exe', 'com', 'scr', 'pif', 'cpl', 'dll', 'sys', 'app', 'bin', 'run', 'elf', 'out', 'jar', 'appimage', 'xbap'
+]);
+const SCRIPT_EXTENSIONS = new Set([
+  'bat', 'cmd', 'ps1', 'psm1', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'sh', 'bash', 'zsh', 'csh',
+  'command', 'tool', 'scpt', 'applescript', 'workflow', 'reg', 'lnk', 'url', 'desktop', 'inf'
+]);
+const INSTALLER_EXTENSIONS = new Set([
+  'msi', 'msix', 'msixbundle', 'msp', 'appx', 'appxbundle', 'pkg', 'mpkg', 'dmg', 'deb', 'rpm', 'apk',
+  'snap', 'flatpak', 'iso', 'img', 'crx', 'xpi'
+]);
+/** Other zip-based formats (jar, apk, xpi…) are flagged by extension already. */
+const ZIP_EXTENSIONS = new Set(['zip']);
+const ZIP_MIME_TYPES = new Set(['application/zip', 'application/x-zip-compressed']);
+
+/** MIME types servers use for programs; an extension that is not one of ours hides the file's nature. */
+const EXECUTABLE_MIME_TYPES = new Set([
+  'application/x-msdownload',
+  'application/x-msdos-program',
+  'application/x-ms-installer',
+  'application/x-msi',
+  'application/vnd.microsoft.portable-executable',
+  'application/x-executable',
+  'application/x-elf',
+  'application/x-mach-binary',
+  'application/x-sh',
+  'application/x-shellscript',
+  'application/x-bat',
+  'application/x-apple-diskimage',
+  'application/vnd.android.package-archive',
+  'application/java-archive',
+  'application/x-debian-package',
+  'application/x-rpm'
+]);
+
+/** What a harmless-looking extension is expected to be served as. */
+const EXPECTED_MIME_PREFIXES = {
+  pdf: ['application/pdf'],
+  txt: ['text/'],
+  csv: ['text/', 'application/csv', 'application/vnd.ms-excel'],
+  jpg: ['image/'],
+  jpeg: ['image/'],
+  png: ['image/'],
+  gif: ['image/'],
+  webp: ['image/'],
+  svg: ['image/svg'],
+  mp3: ['audio/'],
+  mp4: ['video/', 'audio/mp4'],
+  mov: ['video/'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument', 'application/zip'],
+  xlsx: ['application/vnd.openxmlformats-officedocument', 'application/zip'],
+  pptx: ['application/vnd.openxmlformats-officedocument', 'application/zip'],
+  zip: ['application/zip', 'application/x-zip']
+};
+
+/** MIME types that say nothing about the content, so they never count as a mismatch. */
+const GENERIC_MIME_TYPES = new Set([
+  '',
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/download',
+  'application/force-download',
+  'application/x-download',
+  'application/unknown'
+]);
+
+function downloadExtension(filename) {
+  const base = path.basename(String(filename || '')).toLowerCase();
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1) : '';
+}
+
+function isRiskyExtension(ext) {
+  return EXECUTABLE_EXTENSIONS.has(ext) || SCRIPT_EXTENSIONS.has(ext) || INSTALLER_EXTENSIONS.has(ext);
+}
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '[::1]' || /^127\./.test(host) || host.endsWith('.localhost');
+}
+
+/**
+ * Risk reasons knowable before the bytes arrive (name, MIME type, where it came from).
+ * @param {{ filename?: string, mimeType?: string, urls?: string[] }} download
+ * @returns {string[]} keys of `AXIS_DOWNLOAD_RISK_REASONS`
+ */
+function classifyDownloadRisk(download) {
+  const reasons = [];
+  const ext = downloadExtension(download?.filename);
+  const mimeType = String(download?.mimeType || '').toLowerCase().split(';')[0].trim();
+  if (EXECUTABLE_EXTENSIONS.has(ext)) reasons.push('executable');
+  else if (SCRIPT_EXTENSIONS.has(ext)) reasons.push('script');
+  else if (INSTALLER_EXTENSIONS.has(ext)) reasons.push('installer');
+
+  if (!GENERIC_MIME_TYPES.has(mimeType)) {
+    const expected = EXPECTED_MIME_PREFIXES[ext];
+    if (EXECUTABLE_MIME_TYPES.has(mimeType) && !isRiskyExtension(ext)) reasons.push('type-mismatch');
+    else if (expected && !expected.some((prefix) => mimeType.startsWith(prefix))) reasons.push('type-mismatch');
+  }
+
+  const urls = Array.isArray(download?.urls) ? download.urls : [];
+  const finalUrl = urls[urls.length - 1];
+  try {
+    const u = new URL(String(finalUrl || ''));
+    if (u.protocol === 'http:' && !isLoopbackHost(u.hostname)) reasons.push('insecure');
+  } catch (_) {}
+  return reasons;
+}
+
+/** Whether a completed file is a zip archive worth listing (see `zipContainsExecutable`). */
+function isInspectableArchive(filename, mimeType) {
+  const ext = downloadExtension(filename);
+  const mime = String(mimeType || '').toLowerCase().split(';')[0].trim();
+  return ZIP_EXTENSIONS.has(ext) || ZIP_MIME_TYPES.has(mime);
+}
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_CENTRAL_DIRECTORY_MAX = 16 * 1024 * 1024;
+
+/**
+ * Reads a zip's central directory (no decompression) and reports whether any entry has an
+ * executable, script or installer extension. Zip64 and damaged archives report false.
+ */
+async function zipContainsExecutable(filePath) {
+  let handle = null;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    if (size < 22) return false;
+    // The end-of-central-directory record sits within the last 64 KiB (max comment length).
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+    let eocd = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) return false;
+    const entries = tail.readUInt16LE(eocd + 10);
+    const dirSize = tail.readUInt32LE(eocd + 12);
+    const dirOffset = tail.readUInt32LE(eocd + 16);
+    if (!dirSize || dirSize > ZIP_CENTRAL_DIRECTORY_MAX || dirOffset + dirSize > size) return false;
+    const dir = Buffer.alloc(dirSize);
+    await handle.read(dir, 0, dirSize, dirOffset);
+    let pos = 0;
+    for (let n = 0; n < entries && pos + 46 <= dirSize; n++) {
+      if (dir.readUInt32LE(pos) !== ZIP_CENTRAL_SIGNATURE) break;
+      const nameLength = dir.readUInt16LE(pos + 28);
+      const extraLength = dir.readUInt16LE(pos + 30);
+      const commentLength = dir.readUInt16LE(pos + 32);
+      const name = dir.toString('utf8', pos + 46, Math.min(dirSize, pos + 46 + nameLength));
+      if (!name.endsWith('/') && isRiskyExtension(downloadExtension(name))) return true;
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return false;
+  } catch (_) {
+    return false;
+  } finally {
+    if (handle) await handle.close().catch(() => {});
+  }
+}
+
+function execFileQuiet(cmd, args) {
+  return new Promise((resolve) => {
+    execFile(cmd, args, { timeout: 5000 }, (err) => resolve(!err));
+  });
+}
+
+/**
+ * Marks a kept download as coming from the internet: `com.apple.quarantine` on macOS (Gatekeeper
+ * checks it on first open), a `Zone.Identifier` stream on Windows (SmartScreen / Office protected
+ * view), and the freedesktop `user.xdg.origin.url` attribute on Linux. Best effort.
+ * @returns {Promise<boolean>}
+ */
+async function applyDownloadQuarantine(filePath, sourceUrl = '') {
+  const url = /^https?:/i.test(String(sourceUrl || '')) ? String(sourceUrl) : '';
+  if (process.platform === 'darwin') {
+    const stamp = Math.floor(Date.now() / 1000).toString(16);
+    return execFileQuiet('xattr', ['-w', 'com.apple.quarantine', `0081;${stamp};Axis;`, filePath]);
+  }
+  if (process.platform === 'win32') {
+    const lines = ['[ZoneTransfer]', 'ZoneId=3'];
+    if (url) lines.push(`HostUrl=${url}`);
+    try {
+      await fs.promises.writeFile(`${filePath}:Zone.Identifier`, `${lines.join('\r\n')}\r\n`);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+  if (!url) return false;
+  return execFileQuiet('setfattr', ['-n', 'user.xdg.origin.url', '-v', url, filePath]);
+}
+
+module.exports = {
+  AXIS_DOWNLOAD_RISK_REASONS,
+  classifyDownloadRisk,
+  isInspectableArchive,
+  zipContainsExecutable,
+  applyDownloadQuarantine
+};
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * In-page element picker for "Block Element…". `buildElementPickerScript` returns source for
+ * `webContents.executeJavaScript`; it resolves to `{ selector }` when the user blocks an element
+ * or `null` when they cancel. The UI lives in a closed shadow root so page CSS cannot restyle it.
+ */
+
+/* Runs inside the guest page — keep it free of Node / Electron references. */
+function axisElementPickerMain(opts) {
+  if (window.__axisElementPicker) {
+    window.__axisElementPicker.cancel();
+  }
+  return new Promise((resolve) => {
+    const doc = document;
+    const host = doc.createElement('axis-element-picker');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .hl { position: fixed; pointer-events: none; background: rgba(255, 69, 58, 0.18);
+          outline: 2px solid #ff453a; border-radius: 2px; transition: all 0.06s ease; display: none; }
+        .hl.match { background: rgba(255, 159, 10, 0.14); outline: 1px dashed #ff9f0a; transition: none; }
+        .bar { position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%); pointer-events: auto;
+          display: flex; align-items: center; gap: 8px; max-width: min(720px, calc(100vw - 32px));
+          padding: 8px 10px; border-radius: 10px; background: rgba(28, 28, 30, 0.96); color: #f2f2f7;
+          font: 12px/1.3 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+          box-shadow: 0 8px 30px rgba(0, 0, 0, 0.35); }
+        .sel { flex: 1; min-width: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+          font: 11px ui-monospace, SFMono-Regular, Menlo, monospace; color: #ffd60a; }
+        .count { color: #98989d; white-space: nowrap; }
+        button { font: inherit; border: none; border-radius: 6px; padding: 4px 10px; cursor: pointer;
+          background: rgba(255, 255, 255, 0.12); color: inherit; }
+        button:hover:not(:disabled) { background: rgba(255, 255, 255, 0.2); }
+        button:disabled { opacity: 0.4; cursor: default; }
+        button.block { background: #ff453a; color: #fff; }
+        button.block:hover:not(:disabled) { background: #ff5e55; }
+      </style>
+      <div class="hl"></div>
+      <div class="bar">
+        <span class="sel">Click an element to block</span>
+        <span class="count"></span>
+        <button type="button" class="wider" title="Select the surrounding element (↑)">Wider</button>
+        <button type="button" class="narrower" title="Select the previous, smaller element (↓)">Narrower</button>
+        <button type="button" class="block" disabled>Block</button>
+        <button type="button" class="cancel" title="Esc">Cancel</button>
+      </div>`;
+    const hl = root.querySelector('.hl');
+    const bar = root.querySelector('.bar');
+    const selEl = root.querySelector('.sel');
+    const countEl = root.querySelector('.count');
+    const widerBtn = root.querySelector('.wider');
+    const narrowerBtn = root.querySelector('.narrower');
+    const blockBtn = root.querySelector('.block');
+    const matchBoxes = [];
+
+    /** `chain[0]` is the element under the pointer; `depth` walks up through its ancestors. */
+    let chain = [];
+    let depth = 0;
+    let locked = false;
+    let selector = '';
+
+    const isPickable = (el) =>
+      el && el.nodeType === 1 && el !== host && el !== doc.documentElement && el !== doc.body;
+
+    const escape = (s) => (window.CSS && CSS.escape ? CSS.escape(s) : String(s).replace(/[^\w-]/g, '\\$&'));
+
+    /** Classes that look generated (hashes, long digit runs) make selectors break on the next deploy. */
+    const stableClass = (c) =>
+      c.length < 40 && !/\d{3,}/.test(c) && !/^(?:css|sc|jsx|emotion)-/i.test(c) && !/__[a-z0-9]{5,}$/i.test(c);
+
+    function simpleSelector(el) {
+      if (el.id && /^[A-Za-z][\w-]*$/.test(el.id) && !/\d{4,}/.test(el.id)) {
+        try {
+          if (doc.querySelectorAll(`#${escape(el.id)}`).length === 1) return `#${escape(el.id)}`;
+        } catch (_) {}
+      }
+      let s = el.localName;
+      const classes = Array.from(el.classList).filter(stableClass).slice(0, 3);
+      if (classes.length) s += classes.map((c) => `.${escape(c)}`).join('');
+      const parent = el.parentElement;
+      if (parent) {
+        const same = Array.from(parent.children).filter((c) => {
+          try {
+            return c.matches(s);
+          } catch (_) {
+            return false;
+          }
+        });
+        if (same.length > 1) {
+          const ofType = Array.from(parent.children).filter((c) => c.localName === el.localName);
+          s += `:nth-of-type(${ofType.indexOf(el) + 1})`;
+        }
+      }
+      return s;
+    }
+
+    /** Shortest ancestor path (up to five steps) that matches `el` and as few others as possible. */
+    function selectorFor(el) {
+      const parts = [];
+      let node = el;
+      for (let i = 0; node && isPickable(node) && i < 5; i++) {
+        const part = simpleSelector(node);
+        parts.unshift(part);
+        const candidate = parts.join(' > ');
+        let matches = 0;
+        try {
+          matches = doc.querySelectorAll(candidate).length;
+        } catch (_) {
+          matches = 0;
+        }
+        if (part.startsWith('#') || matches === 1) return candidate;
+        node = node.parentElement;
+      }
+      return parts.join(' > ');
+    }
+
+    function drawBox(box, el) {
+      const r = el.getBoundingClientRect();
+      box.style.display = 'block';
+      box.style.left = `${r.left}px`;
+      box.style.top = `${r.top}px`;
+      box.style.width = `${r.width}px`;
+      box.style.height = `${r.height}px`;
+    }
+
+    function render() {
+      const el = chain[depth];
+      matchBoxes.splice(0).forEach((b) => b.remove());
+      if (!el) {
+        hl.style.display = 'none';
+        selector = '';
+        selEl.textContent = 'Click an element to block';
+        countEl.textContent = '';
+      } else {
+        drawBox(hl, el);
+        selector = selectorFor(el);
+        selEl.textContent = selector;
+        selEl.title = selector;
+        let matches = [];
+        try {
+          matches = Array.from(doc.querySelectorAll(selector));
+        } catch (_) {}
+        countEl.textContent = matches.length === 1 ? '1 element' : `${matches.length} elements`;
+        matches.slice(0, 50).forEach((m) => {
+          if (m === el) return;
+          const box = doc.createElement('div');
+          box.className = 'hl match';
+          root.insertBefore(box, bar);
+          drawBox(box, m);
+          matchBoxes.push(box);
+        });
+      }
+      widerBtn.disabled = !el || !isPickable(el.parentElement);
+      narrowerBtn.disabled = !el || depth === 0;
+      blockBtn.disabled = !locked || !selector;
+    }
+
+    function pointAt(x, y) {
+      // The overlay ignores the pointer except for its toolbar, which hit-tests as `host`.
+      const el = doc.elementFromPoint(x, y);
+      chain = isPickable(el) ? [el] : [];
+      depth = 0;
+      render();
+    }
+
+    function wider() {
+      const el = chain[depth];
+      if (!el) return;
+      if (depth === chain.length - 1) {
+        if (!isPickable(el.parentElement)) return;
+        chain.push(el.parentElement);
+      }
+      depth++;
+      render();
+    }
+
+    function narrower() {
+      if (depth > 0) depth--;
+      render();
+    }
+
+    function finish(result) {
+      doc.removeEventListener('mousemove', onMove, true);
+      doc.removeEventListener('click', onClick, true);
+      doc.removeEventListener('keydown', onKey, true);
+      window.removeEventListener('scroll', render, true);
+      host.remove();
+      delete window.__axisElementPicker;
+      resolve(result);
+    }
+
+    /** Events from inside the closed shadow root reach document listeners retargeted to `host`. */
+    function fromBar(e) {
+      return e.target === host;
+    }
+
+    function onMove(e) {
+      if (locked || fromBar(e)) return;
+      pointAt(e.clientX, e.clientY);
+    }
+
+    function onClick(e) {
+      if (fromBar(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      // A click picks (or re-picks) the element; Block confirms.
+      pointAt(e.clientX, e.clientY);
+      locked = chain.length > 0;
+      render();
+    }
+
+    function onKey(e) {
+      if (e.key === 'Escape') finish(null);
+      else if (e.key === 'ArrowUp') wider();
+      else if (e.key === 'ArrowDown') narrower();
+      else if (e.key === 'Enter' && locked && selector) finish({ selector });
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    widerBtn.addEventListener('click', wider);
+    narrowerBtn.addEventListener('click', narrower);
+    blockBtn.addEventListener('click', () => {
+      if (locked && selector) finish({ selector });
+    });
+    root.querySelector('.cancel').addEventListener('click', () => finish(null));
+    doc.addEventListener('mousemove', onMove, true);
+    doc.addEventListener('click', onClick, true);
+    doc.addEventListener('keydown', onKey, true);
+    window.addEventListener('scroll', render, true);
+    window.__axisElementPicker = { cancel: () => finish(null) };
+    doc.documentElement.appendChild(host);
+
+    // Start on the element that was right-clicked, already picked.
+    if (Number.isFinite(opts.x) && Number.isFinite(opts.y)) {
+      pointAt(opts.x, opts.y);
+      locked = chain.length > 0;
+      render();
+    }
+  });
+}
+
+/** @param {{ x?: number, y?: number }} [opts] where the context menu was opened, in page CSS pixels */
+function buildElementPickerScript(opts = {}) {
+  const x = Number(opts.x);
+  const y = Number(opts.y);
+  const args = JSON.stringify({ x: Number.isFinite(x) ? x : null, y: Number.isFinite(y) ? y : null });
+  return `(${axisElementPickerMain.toString()})(${args})`;
+}
+
+/** Selector from the picker, or null when it cannot be written as one cosmetic rule. */
+function sanitizePickedSelector(raw) {
+  const s = typeof raw === 'string' ? raw.trim() : '';
+  if (!s || s.length > 500 || /[\r\n{}]/.test(s) || s.includes('##')) return null;
+  return s;
+}
+
+module.exports = {
+  buildElementPickerScript,
+  sanitizePickedSelector
+};
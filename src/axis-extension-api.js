@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Main-process side of the extension API bridge (`axis-extension-api` IPC): Chrome match
+ * patterns, host-permission checks, `chrome.contextMenus` items, `chrome.tabs.query` filters,
+ * toolbar badge values and per-extension site access. The page side lives in
+ * `axis-extension-chrome-shims.js`.
+ */
+
+const AXIS_EXTENSION_MENU_CONTEXTS = new Set([
+  'all',
+  'page',
+  'frame',
+  'selection',
+  'link',
+  'editable',
+  'image',
+  'video',
+  'audio',
+  'action',
+  'browser_action',
+  'page_action'
+]);
+const AXIS_EXTENSION_MENU_ITEMS_MAX = 100;
+/** `click`: only sites granted from the toolbar this session; `sites`: the user's list; `all`: whatever the manifest asks for. */
+const AXIS_EXTENSION_SITE_ACCESS_MODES = ['click', 'sites', 'all'];
+const AXIS_EXTENSION_SITE_ACCESS_SITES_MAX = 100;
+
+/** Chrome match pattern (`<all_urls>`, `*://*.example.com/*`, `https://example.com/path*`). */
+function extensionMatchPatternMatches(pattern, rawUrl) {
+  const p = String(pattern || '').trim();
+  let url;
+  try {
+    url = new URL(String(rawUrl || ''));
+  } catch (_) {
+    return false;
+  }
+  const scheme = url.protocol.slice(0, -1);
+  if (p === '<all_urls>') return ['http', 'https', 'ws', 'wss', 'ftp', 'file'].includes(scheme);
+  const m = /^(\*|https?|wss?|ftp|file|chrome-extension):\/\/([^/]*)(\/.*)$/.exec(p);
+  if (!m) return false;
+  const [, patScheme, patHost, patPath] = m;
+  if (patScheme === '*' ? scheme !== 'http' && scheme !== 'https' : patScheme !== scheme) return false;
+  const host = url.hostname.toLowerCase();
+  if (patHost !== '*' && scheme !== 'file') {
+    const h = patHost.toLowerCase().replace(/:\d+$/, '');
+    if (h.startsWith('*.')) {
+      const base = h.slice(2);
+      if (host !== base && !host.endsWith(`.${base}`)) return false;
+    } else if (host !== h) {
+      return false;
+    }
+  }
+  const pathRe = new RegExp(`^${patPath.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+  return pathRe.test(`${url.pathname}${url.search}`);
+}
+
+/** Host patterns an extension was granted (MV2 `permissions` entries or MV3 `host_permissions`). */
+function extensionHostPatterns(manifest) {
+  const out = [];
+  for (const list of [manifest?.permissions, manifest?.host_permissions]) {
+    if (!Array.isArray(list)) continue;
+    for (const p of list) {
+      if (typeof p === 'string' && (p === '<all_urls>' || p.includes('://'))) out.push(p);
+    }
+  }
+  return out;
+}
+
+function extensionHasPermission(manifest, name) {
+  return Array.isArray(manifest?.permissions) && manifest.permissions.includes(name);
+}
+
+function extensionHasHostAccess(manifest, url) {
+  return extensionHostPatterns(manifest).some((p) => extensionMatchPatternMatches(p, url));
+}
+
+function extensionPatternListMatches(patterns, url) {
+  if (!Array.isArray(patterns) || !patterns.length) return true;
+  return patterns.some((p) => extensionMatchPatternMatches(p, url));
+}
+
+/**
+ * Cleans `contextMenus.create` / `update` properties.
+ * @returns {{ ok: true, item: object } | { ok: false, error: string }}
+ */
+function normalizeExtensionMenuItem(raw, base = null) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const item = base
+    ? { ...base }
+    : { id: '', type: 'normal', title: '', contexts: ['page'], checked: false, enabled: true, visible: true, parentId: null };
+  if (!base) {
+    item.id = src.id != null ? String(src.id).slice(0, 200) : '';
+    if (!item.id) return { ok: false, error: 'Menu items need an id.' };
+  }
+  if (src.type !== undefined) {
+    if (!['normal', 'checkbox', 'radio', 'separator'].includes(src.type)) {
+      return { ok: false, error: `Unknown menu item type: ${src.type}` };
+    }
+    item.type = src.type;
+  }
+  if (src.title !== undefined) item.title = String(src.title).slice(0, 300);
+  if (src.contexts !== undefined) {
+    const contexts = (Array.isArray(src.contexts) ? src.contexts : [src.contexts]).filter((c) =>
+      AXIS_EXTENSION_MENU_CONTEXTS.has(c)
+    );
+    item.contexts = contexts.length ? contexts : ['page'];
+  }
+  if (src.checked !== undefined) item.checked = !!src.checked;
+  if (src.enabled !== undefined) item.enabled = src.enabled !== false;
+  if (src.visible !== undefined) item.visible = src.visible !== false;
+  if (src.parentId !== undefined) item.parentId = src.parentId == null ? null : String(src.parentId);
+  for (const key of ['documentUrlPatterns', 'targetUrlPatterns']) {
+    if (src[key] !== undefined) {
+      item[key] = Array.isArray(src[key]) ? src[key].filter((p) => typeof p === 'string') : undefined;
+    }
+  }
+  if (item.type !== 'separator' && !item.title) return { ok: false, error: 'Menu items need a title.' };
+  return { ok: true, item };
+}
+
+/** Contexts a page right-click hits, from the shell's `show-webpage-context-menu` info. */
+function extensionMenuContextsFor(ctx) {
+  const out = new Set(['all']);
+  if (ctx.linkURL) out.add('link');
+  if (ctx.mediaType === 'image' && ctx.srcURL) out.add('image');
+  if (ctx.mediaType === 'video') out.add('video');
+  if (ctx.mediaType === 'audio') out.add('audio');
+  if (ctx.isEditable) out.add('editable');
+  if (ctx.hasSelection && ctx.selectionText) out.add('selection');
+  // Chrome shows `page` items only when nothing more specific was clicked.
+  if (out.size === 1) out.add('page');
+  return out;
+}
+
+function extensionMenuItemApplies(item, contexts, ctx) {
+  if (!item.visible) return false;
+  if (!item.contexts.some((c) => contexts.has(c))) return false;
+  if (!extensionPatternListMatches(item.documentUrlPatterns, ctx.pageURL)) return false;
+  const target = ctx.linkURL || ctx.srcURL || '';
+  if (target && item.targetUrlPatterns && !extensionPatternListMatches(item.targetUrlPatterns, target)) return false;
+  return true;
+}
+
+/** `chrome.tabs.query` filters over tabs already resolved to Chrome's `Tab` shape. */
+function extensionTabMatchesQuery(tab, query, currentWindowId, lastFocusedWindowId) {
+  const q = query && typeof query === 'object' ? query : {};
+  for (const key of ['active', 'pinned', 'audible', 'highlighted', 'discarded']) {
+    if (typeof q[key] === 'boolean' && !!tab[key] !== q[key]) return false;
+  }
+  if (typeof q.muted === 'boolean' && !!tab.mutedInfo?.muted !== q.muted) return false;
+  if (q.currentWindow === true && tab.windowId !== currentWindowId) return false;
+  if (q.currentWindow === false && tab.windowId === currentWindowId) return false;
+  if (q.lastFocusedWindow === true && tab.windowId !== lastFocusedWindowId) return false;
+  if (Number.isFinite(q.windowId)) {
+    const wid = q.windowId === -2 ? currentWindowId : q.windowId;
+    if (tab.windowId !== wid) return false;
+  }
+  if (Number.isFinite(q.index) && tab.index !== q.index) return false;
+  if (typeof q.status === 'string' && tab.status !== q.status) return false;
+  if (q.url !== undefined) {
+    const patterns = Array.isArray(q.url) ? q.url : [q.url];
+    if (!tab.url || !patterns.some((p) => extensionMatchPatternMatches(p, tab.url))) return false;
+  }
+  if (typeof q.title === 'string') {
+    const re = new RegExp(`^${q.title.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+    if (!re.test(tab.title || '')) return false;
+  }
+  return true;
+}
+
+/** Hostname from what the user typed: `example.com`, `https://a.example.com/x`, `*.example.com`. */
+function normalizeExtensionSiteHost(raw) {
+  const s = String(raw || '')
+    .trim()
+    .replace(/^\*\./, '');
+  if (!s) return null;
+  try {
+    const host = new URL(s.includes('://') ? s : `https://${s}`).hostname.toLowerCase().replace(/^www\./, '');
+    if (host === 'localhost' || (/^[a-z0-9.-]+$/.test(host) && host.includes('.'))) return host;
+    return null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** `{ mode, sites }` for a stored record; records from before site access run on all sites. */
+function normalizeExtensionSiteAccess(mode, sites) {
+  const out = {
+    mode: AXIS_EXTENSION_SITE_ACCESS_MODES.includes(mode) ? mode : 'all',
+    sites: []
+  };
+  for (const raw of Array.isArray(sites) ? sites : []) {
+    const host = normalizeExtensionSiteHost(raw);
+    if (host && !out.sites.includes(host)) out.sites.push(host);
+    if (out.sites.length >= AXIS_EXTENSION_SITE_ACCESS_SITES_MAX) break;
+  }
+  return out;
+}
+
+/** `url`'s host is one of `hosts` or a subdomain of one. */
+function extensionSiteHostMatches(hosts, rawUrl) {
+  let host;
+  try {
+    host = new URL(String(rawUrl || '')).hostname.toLowerCase();
+  } catch (_) {
+    return false;
+  }
+  return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+/** Whether the extension runs on pages at all (content scripts or host permissions). */
+function extensionRequestsSiteAccess(manifest) {
+  if (Array.isArray(manifest?.content_scripts) && manifest.content_scripts.length) return true;
+  return extensionHostPatterns(manifest).length > 0;
+}
+
+/**
+ * Content scripts limited to `hosts` and their subdomains via `include_globs`, which Chromium
+ * applies on top of `matches`. The script's own `include_globs` are replaced, so within a granted
+ * site it may run on a few more paths than it asked for. No hosts drops every script, since an
+ * empty glob list matches everything.
+ */
+function restrictExtensionContentScripts(scripts, hosts) {
+  if (!Array.isArray(scripts)) return scripts;
+  if (!hosts.length) return [];
+  const globs = [];
+  for (const h of hosts) globs.push(`*://${h}/*`, `*://*.${h}/*`);
+  return scripts.map((script) => (script && typeof script === 'object' ? { ...script, include_globs: globs } : script));
+}
+
+/** `action.setBadgeBackgroundColor` color (CSS hex / `rgb()` string or `[r, g, b, a]`) as `[r, g, b, a]`. */
+function normalizeExtensionBadgeColor(raw) {
+  if (Array.isArray(raw) && raw.length >= 3) {
+    const rgba = raw.slice(0, 4).map((n) => Math.max(0, Math.min(255, Math.round(Number(n) || 0))));
+    if (rgba.length === 3) rgba.push(255);
+    return rgba;
+  }
+  const s = String(raw || '').trim().toLowerCase();
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(s);
+  if (hex) {
+    let h = hex[1];
+    if (h.length <= 4) h = h.replace(/./g, '$&$&');
+    const out = [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+    out.push(h.length === 8 ? parseInt(h.slice(6, 8), 16) : 255);
+    return out;
+  }
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(s);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : Math.max(0, Math.min(1, Number(rgb[4])));
+    return [rgb[1], rgb[2], rgb[3]].map((n) => Math.min(255, Number(n))).concat(Math.round(alpha * 255));
+  }
+  return null;
+}
+
+module.exports = {
+  AXIS_EXTENSION_MENU_ITEMS_MAX,
+  AXIS_EXTENSION_SITE_ACCESS_MODES,
+  extensionMatchPatternMatches,
+  extensionHasPermission,
+  extensionHasHostAccess,
+  normalizeExtensionMenuItem,
+  extensionMenuContextsFor,
+  extensionMenuItemApplies,
+  extensionTabMatchesQuery,
+  normalizeExtensionSiteHost,
+  normalizeExtensionSiteAccess,
+  extensionSiteHostMatches,
+  extensionRequestsSiteAccess,
+  restrictExtensionContentScripts,
+  normalizeExtensionBadgeColor
+};
@@ -1,69 +1,75 @@
 'use strict';
 
 /**
- * Chrome API shims for extension popups/guests in Axis.
- * Merges with Electron's injected APIs — only fills gaps and adds active-tab context.
+ * Chrome API shims for extension pages (background, popups, options) in Axis.
+ * Merges with Electron's injected APIs. When the session preload from
+ * `buildExtensionApiPreloadSource` has exposed `__axisExtensionBridge`, tabs / windows /
+ * scripting / contextMenus / action calls go to main (`axis-extension-api`), which routes tab
+ * work to the shell renderer's tab model and badge state to the URL bar; without it they fall
+ * back to the active-tab context and no-ops.
+ *
+ * `installChromeShims` is serialized into pages, so it must not reference anything outside itself.
  */
-function normalizeTabContext(raw) {
-  if (!raw || typeof raw !== 'object' || !raw.url) return null;
-  return {
-    id: Number.isFinite(raw.id) ? raw.id : 1,
-    index: Number.isFinite(raw.index) ? raw.index : 0,
-    windowId: Number.isFinite(raw.windowId) ? raw.windowId : 1,
-    openerTabId: raw.openerTabId,
-    active: raw.active !== false,
-    highlighted: raw.highlighted !== false,
-    pinned: !!raw.pinned,
-    audible: !!raw.audible,
-    mutedInfo: raw.mutedInfo && typeof raw.mutedInfo === 'object' ? raw.mutedInfo : { muted: false },
-    url: String(raw.url),
-    title: String(raw.title || raw.url),
-    favIconUrl: String(raw.favIconUrl || ''),
-    status: String(raw.status || 'complete'),
-    incognito: !!raw.incognito
-  };
-}
+function installChromeShims(root, tabContext) {
+  root = root || globalThis;
+  if (root.__axisChromeShimsInstalled) return;
+  root.__axisChromeShimsInstalled = true;
+  const chromeObj = (root.chrome = root.chrome || {});
 
-function urlMatchesPattern(url, pattern) {
-  if (!pattern || typeof pattern !== 'string') return true;
-  const u = String(url || '');
-  if (pattern.indexOf('*') === -1) return u === pattern || u.startsWith(pattern);
-  try {
-    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
-    return new RegExp(`^${escaped}$`).test(u);
-  } catch (_) {
-    return u.includes(pattern.replace(/\*/g, ''));
+  function normalizeTabContext(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.url) return null;
+    return {
+      id: Number.isFinite(raw.id) ? raw.id : 1,
+      index: Number.isFinite(raw.index) ? raw.index : 0,
+      windowId: Number.isFinite(raw.windowId) ? raw.windowId : 1,
+      openerTabId: raw.openerTabId,
+      active: raw.active !== false,
+      highlighted: raw.highlighted !== false,
+      pinned: !!raw.pinned,
+      audible: !!raw.audible,
+      mutedInfo: raw.mutedInfo && typeof raw.mutedInfo === 'object' ? raw.mutedInfo : { muted: false },
+      url: String(raw.url),
+      title: String(raw.title || raw.url),
+      favIconUrl: String(raw.favIconUrl || ''),
+      status: String(raw.status || 'complete'),
+      incognito: !!raw.incognito
+    };
   }
-}
 
-function tabMatchesQuery(tab, queryInfo) {
-  if (!tab) return false;
-  const q = queryInfo && typeof queryInfo === 'object' ? queryInfo : {};
-  if (q.active === true && !tab.active) return false;
-  if (q.currentWindow === true && tab.windowId !== 1) return false;
-  if (q.pinned === true && !tab.pinned) return false;
-  if (q.audible === true && !tab.audible) return false;
-  if (typeof q.url === 'string' && !urlMatchesPattern(tab.url, q.url)) return false;
-  if (Array.isArray(q.windowId) && q.windowId.length && !q.windowId.includes(tab.windowId)) return false;
-  if (Number.isFinite(q.windowId) && tab.windowId !== q.windowId) return false;
-  return true;
-}
+  function urlMatchesPattern(url, pattern) {
+    if (!pattern || typeof pattern !== 'string') return true;
+    const u = String(url || '');
+    if (pattern.indexOf('*') === -1) return u === pattern || u.startsWith(pattern);
+    try {
+      const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp(`^${escaped}$`).test(u);
+    } catch (_) {
+      return u.includes(pattern.replace(/\*/g, ''));
+    }
+  }
+
+  function tabMatchesQuery(tab, queryInfo) {
+    if (!tab) return false;
+    const q = queryInfo && typeof queryInfo === 'object' ? queryInfo : {};
+    if (q.active === true && !tab.active) return false;
+    if (q.currentWindow === true && tab.windowId !== 1) return false;
+    if (q.pinned === true && !tab.pinned) return false;
+    if (q.audible === true && !tab.audible) return false;
+    if (typeof q.url === 'string' && !urlMatchesPattern(tab.url, q.url)) return false;
+    if (Array.isArray(q.windowId) && q.windowId.length && !q.windowId.includes(tab.windowId)) return false;
+    if (Number.isFinite(q.windowId) && tab.windowId !== q.windowId) return false;
+    return true;
+  }
 
-function installChromeShims(root, tabContext) {
-  const chromeObj = (root.chrome = root.chrome || {});
   const fakeTab = normalizeTabContext(tabContext);
   const fakeWindow = fakeTab
     ? { id: fakeTab.windowId, focused: true, incognito: fakeTab.incognito, type: 'normal' }
     : null;
 
-  function eventStub() {
-    return {
-      addListener() {},
-      removeListener() {},
-      hasListener() {
-        return false;
-      }
-    };
+  /** Looked up per call: the session preload and a page's own preload can run in either order. */
+  function bridge() {
+    const b = root.__axisExtensionBridge;
+    return b && typeof b.call === 'function' ? b : null;
   }
 
   function noop() {
@@ -76,44 +82,181 @@ function installChromeShims(root, tabContext) {
     return Promise.resolve(result);
   }
 
-  chromeObj.action = chromeObj.action || {};
-  for (const key of [
-    'setIcon',
-    'setBadgeText',
-    'setBadgeBackgroundColor',
-    'setTitle',
-    'setPopup',
-    'enable',
-    'disable'
-  ]) {
-    if (typeof chromeObj.action[key] !== 'function') chromeObj.action[key] = noop;
+  /** Chrome reports callback-style failures through `runtime.lastError` while the callback runs. */
+  function callWithLastError(callback, message) {
+    const runtime = chromeObj.runtime;
+    let set = false;
+    try {
+      Object.defineProperty(runtime, 'lastError', { value: { message }, configurable: true });
+      set = true;
+    } catch (_) {
+      console.warn(message);
+    }
+    try {
+      callback();
+    } finally {
+      if (set) {
+        try {
+          delete runtime.lastError;
+        } catch (_) {}
+      }
+    }
   }
-  chromeObj.browserAction = chromeObj.browserAction || chromeObj.action;
 
-  chromeObj.windows = chromeObj.windows || {};
-  if (typeof chromeObj.windows.getCurrent !== 'function') {
-    chromeObj.windows.getCurrent = function (query, callback) {
-      if (typeof query === 'function') callback = query;
-      return invokeCb(callback, fakeWindow);
+  /** Promise when no callback is given (MV3 style), else the callback gets the result. */
+  function callBridge(b, method, args, callback) {
+    const promise = Promise.resolve(b.call(method, args)).then((res) => {
+      if (!res || res.ok !== true) throw new Error((res && res.error) || `${method} failed.`);
+      return res.result;
+    });
+    if (typeof callback !== 'function') return promise;
+    promise.then(
+      (result) => callback(result),
+      (err) => callWithLastError(callback, err.message)
+    );
+    return undefined;
+  }
+
+  /** `fn(b, ...args, callback)` when the bridge is up, else `fallback(...args, callback)`. */
+  function bridged(method, arity, fallback) {
+    return function () {
+      const args = Array.prototype.slice.call(arguments);
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const b = bridge();
+      if (!b) return fallback.apply(this, callback ? args.concat([callback]) : args);
+      while (args.length < arity) args.push(undefined);
+      return callBridge(b, method, args.slice(0, arity), callback);
     };
   }
-  if (typeof chromeObj.windows.getLastFocused !== 'function') {
-    chromeObj.windows.getLastFocused = chromeObj.windows.getCurrent;
+
+  function eventStub() {
+    return {
+      addListener() {},
+      removeListener() {},
+      hasListener() {
+        return false;
+      }
+    };
   }
-  if (typeof chromeObj.windows.getAll !== 'function') {
-    chromeObj.windows.getAll = function (_query, callback) {
-      if (typeof _query === 'function') callback = _query;
-      return invokeCb(callback, fakeWindow ? [fakeWindow] : []);
+
+  /** Bridge events (`{ event, args }`) by name; the first subscriber hooks up the bridge. */
+  const eventListeners = new Map();
+  let eventsSubscribed = false;
+
+  function subscribeBridgeEvents() {
+    const b = bridge();
+    if (eventsSubscribed || !b || typeof b.onEvent !== 'function') return;
+    eventsSubscribed = true;
+    b.onEvent((payload) => {
+      const listeners = payload && eventListeners.get(payload.event);
+      const args = Array.isArray(payload && payload.args) ? payload.args : [];
+      for (const fn of listeners ? listeners.slice() : []) {
+        try {
+          fn.apply(null, args);
+        } catch (err) {
+          console.error(err);
+        }
+      }
+    });
+  }
+
+  function bridgeEvent(name) {
+    if (!eventListeners.has(name)) eventListeners.set(name, []);
+    const listeners = eventListeners.get(name);
+    return {
+      addListener(fn) {
+        if (typeof fn !== 'function' || listeners.includes(fn)) return;
+        subscribeBridgeEvents();
+        listeners.push(fn);
+      },
+      removeListener(fn) {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      },
+      hasListener(fn) {
+        return listeners.includes(fn);
+      }
+    };
+  }
+
+  /** `setIcon({ imageData })`: the largest `ImageData` as a PNG data URL, since it cannot cross IPC. */
+  function imageDataUrl(imageData) {
+    let img = imageData;
+    if (img && typeof img === 'object' && !('width' in img)) {
+      const sizes = Object.keys(img).sort((a, b) => Number(b) - Number(a));
+      img = sizes.length ? img[sizes[0]] : null;
+    }
+    const doc = root.document;
+    if (!img || !img.width || !img.height || !doc || typeof doc.createElement !== 'function') return '';
+    const canvas = doc.createElement('canvas');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    canvas.getContext('2d').putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  chromeObj.action = chromeObj.action || {};
+  const actionApi = chromeObj.action;
+  for (const [key, arity] of [
+    ['setBadgeText', 1],
+    ['getBadgeText', 1],
+    ['setBadgeBackgroundColor', 1],
+    ['getBadgeBackgroundColor', 1],
+    ['setTitle', 1],
+    ['getTitle', 1],
+    ['enable', 1],
+    ['disable', 1],
+    ['isEnabled', 1]
+  ]) {
+    if (typeof actionApi[key] !== 'function') actionApi[key] = bridged(`action.${key}`, arity, noop);
+  }
+  if (typeof actionApi.setIcon !== 'function') {
+    const bridgedSetIcon = bridged('action.setIcon', 1, noop);
+    actionApi.setIcon = function (details, callback) {
+      const copy = details && typeof details === 'object' ? { ...details } : {};
+      if (copy.imageData) {
+        copy.imageUrl = imageDataUrl(copy.imageData);
+        delete copy.imageData;
+      }
+      return bridgedSetIcon.call(this, copy, callback);
     };
   }
-  if (typeof chromeObj.windows.update !== 'function') chromeObj.windows.update = noop;
-  if (typeof chromeObj.windows.create !== 'function') chromeObj.windows.create = noop;
+  if (typeof actionApi.setPopup !== 'function') actionApi.setPopup = noop;
+  actionApi.onClicked = actionApi.onClicked || bridgeEvent('action.onClicked');
+  chromeObj.browserAction = chromeObj.browserAction || actionApi;
+
+  chromeObj.windows = chromeObj.windows || {};
+  const windowsApi = chromeObj.windows;
+  windowsApi.WINDOW_ID_NONE = -1;
+  windowsApi.WINDOW_ID_CURRENT = -2;
+  const fakeGetCurrent = function (query, callback) {
+    if (typeof query === 'function') callback = query;
+    return invokeCb(callback, fakeWindow);
+  };
+  windowsApi.get = bridged('windows.get', 2, function (_windowId, query, callback) {
+    if (typeof query === 'function') callback = query;
+    return invokeCb(callback, fakeWindow);
+  });
+  windowsApi.getCurrent = bridged('windows.getCurrent', 1, fakeGetCurrent);
+  windowsApi.getLastFocused = bridged('windows.getLastFocused', 1, fakeGetCurrent);
+  windowsApi.getAll = bridged('windows.getAll', 1, function (query, callback) {
+    if (typeof query === 'function') callback = query;
+    return invokeCb(callback, fakeWindow ? [fakeWindow] : []);
+  });
+  windowsApi.create = bridged('windows.create', 1, noop);
+  windowsApi.update = bridged('windows.update', 2, noop);
+  windowsApi.remove = bridged('windows.remove', 1, noop);
 
   chromeObj.tabs = chromeObj.tabs || {};
-  const nativeQuery = typeof chromeObj.tabs.query === 'function' ? chromeObj.tabs.query.bind(chromeObj.tabs) : null;
-  const nativeGet = typeof chromeObj.tabs.get === 'function' ? chromeObj.tabs.get.bind(chromeObj.tabs) : null;
+  const tabsApi = chromeObj.tabs;
+  tabsApi.TAB_ID_NONE = -1;
+  const nativeQuery = typeof tabsApi.query === 'function' ? tabsApi.query.bind(tabsApi) : null;
+  const nativeGet = typeof tabsApi.get === 'function' ? tabsApi.get.bind(tabsApi) : null;
+  const nativeCreate = typeof tabsApi.create === 'function' ? tabsApi.create.bind(tabsApi) : noop;
+  const nativeUpdate = typeof tabsApi.update === 'function' ? tabsApi.update.bind(tabsApi) : noop;
+  const nativeRemove = typeof tabsApi.remove === 'function' ? tabsApi.remove.bind(tabsApi) : noop;
 
-  chromeObj.tabs.query = function (queryInfo, callback) {
+  tabsApi.query = bridged('tabs.query', 1, function (queryInfo, callback) {
     const q = queryInfo && typeof queryInfo === 'object' ? queryInfo : {};
     const cb = typeof callback === 'function' ? callback : typeof queryInfo === 'function' ? queryInfo : null;
     const finish = (tabs) => invokeCb(cb, tabs);
@@ -130,9 +273,9 @@ function installChromeShims(root, tabContext) {
 
     if (!fakeTab) return finish([]);
     return finish(tabMatchesQuery(fakeTab, q) ? [fakeTab] : []);
-  };
+  });
 
-  chromeObj.tabs.get = function (tabId, callback) {
+  tabsApi.get = bridged('tabs.get', 1, function (tabId, callback) {
     const cb = typeof callback === 'function' ? callback : null;
     if (nativeGet && (!fakeTab || tabId !== fakeTab.id)) {
       try {
@@ -143,28 +286,113 @@ function installChromeShims(root, tabContext) {
     const err = new Error(`No tab with id: ${tabId}`);
     if (cb) setTimeout(() => cb(undefined), 0);
     return Promise.reject(err);
+  });
+
+  tabsApi.getCurrent = bridged('tabs.getCurrent', 0, function (callback) {
+    return invokeCb(callback, fakeTab);
+  });
+  tabsApi.create = bridged('tabs.create', 1, nativeCreate);
+  // `update(props)` targets the active tab; the bridge takes `(tabId, props)`.
+  const bridgedUpdate = bridged('tabs.update', 2, nativeUpdate);
+  tabsApi.update = function (tabId, props, callback) {
+    if (tabId && typeof tabId === 'object') return bridgedUpdate.call(this, undefined, tabId, props);
+    return bridgedUpdate.apply(this, arguments);
   };
+  tabsApi.remove = bridged('tabs.remove', 1, nativeRemove);
 
-  if (typeof chromeObj.tabs.getCurrent !== 'function') {
-    chromeObj.tabs.getCurrent = function (callback) {
-      return invokeCb(callback, fakeTab);
-    };
-  }
+  chromeObj.scripting = chromeObj.scripting || {};
+  const executeFallback = function (_details, callback) {
+    return invokeCb(callback, []);
+  };
+  const bridgedExecute = bridged('scripting.executeScript', 1, executeFallback);
+  chromeObj.scripting.executeScript = function (injection, callback) {
+    // Functions cannot cross the bridge; main rebuilds them from source.
+    const details = injection && typeof injection === 'object' ? { ...injection } : injection;
+    if (details && typeof details.func === 'function') details.func = details.func.toString();
+    if (details && typeof details.function === 'function') details.func = details.function.toString();
+    delete details?.function;
+    return bridgedExecute.call(this, details, callback);
+  };
+  chromeObj.scripting.insertCSS = bridged('scripting.insertCSS', 1, noop);
+  chromeObj.scripting.removeCSS = bridged('scripting.removeCSS', 1, noop);
 
   chromeObj.contextMenus = chromeObj.contextMenus || {};
-  for (const key of ['create', 'update', 'remove', 'removeAll']) {
-    if (typeof chromeObj.contextMenus[key] !== 'function') chromeObj.contextMenus[key] = noop;
-  }
-  chromeObj.contextMenus.onClicked = chromeObj.contextMenus.onClicked || eventStub();
+  const menus = chromeObj.contextMenus;
+  menus.ContextType = menus.ContextType || {
+    ALL: 'all',
+    PAGE: 'page',
+    FRAME: 'frame',
+    SELECTION: 'selection',
+    LINK: 'link',
+    EDITABLE: 'editable',
+    IMAGE: 'image',
+    VIDEO: 'video',
+    AUDIO: 'audio'
+  };
+  /** Per-item `onclick` handlers (MV2 `create({ onclick })`) stay in this page. */
+  const menuClickHandlers = new Map();
+  let menuIdSeq = 0;
+  menus.onClicked = bridgeEvent('contextMenus.onClicked');
+  menus.onClicked.addListener(function (info, tab) {
+    const handler = info && menuClickHandlers.get(String(info.menuItemId));
+    if (handler) handler(info, tab);
+  });
 
-  chromeObj.scripting = chromeObj.scripting || {};
-  if (typeof chromeObj.scripting.executeScript !== 'function') {
-    chromeObj.scripting.executeScript = function (_details, callback) {
-      return invokeCb(callback, []);
-    };
+  /** Serializable copy of create / update properties. */
+  function menuProps(props) {
+    const out = {};
+    for (const key of [
+      'id',
+      'type',
+      'title',
+      'checked',
+      'contexts',
+      'visible',
+      'enabled',
+      'parentId',
+      'documentUrlPatterns',
+      'targetUrlPatterns'
+    ]) {
+      if (props && props[key] !== undefined) out[key] = props[key];
+    }
+    return out;
   }
-  if (typeof chromeObj.scripting.insertCSS !== 'function') chromeObj.scripting.insertCSS = noop;
-  if (typeof chromeObj.scripting.removeCSS !== 'function') chromeObj.scripting.removeCSS = noop;
+
+  menus.create = function (createProperties, callback) {
+    const props = createProperties && typeof createProperties === 'object' ? createProperties : {};
+    const id = props.id != null ? String(props.id) : `axis-menu-${++menuIdSeq}`;
+    const b = bridge();
+    if (!b) {
+      noop(callback);
+      return id;
+    }
+    subscribeBridgeEvents();
+    if (typeof props.onclick === 'function') menuClickHandlers.set(id, props.onclick);
+    callBridge(b, 'contextMenus.create', [{ ...menuProps(props), id }], typeof callback === 'function' ? callback : () => {});
+    return id;
+  };
+  menus.update = function (id, updateProperties, callback) {
+    const b = bridge();
+    if (!b) return noop(callback);
+    if (updateProperties && typeof updateProperties.onclick === 'function') {
+      menuClickHandlers.set(String(id), updateProperties.onclick);
+    }
+    return callBridge(b, 'contextMenus.update', [String(id), menuProps(updateProperties)], callback);
+  };
+  menus.remove = function (id, callback) {
+    menuClickHandlers.delete(String(id));
+    const b = bridge();
+    if (!b) return noop(callback);
+    return callBridge(b, 'contextMenus.remove', [String(id)], callback);
+  };
+  menus.removeAll = function (callback) {
+    menuClickHandlers.clear();
+    const b = bridge();
+    if (!b) return noop(callback);
+    return callBridge(b, 'contextMenus.removeAll', [], callback);
+  };
+  menus.onShown = menus.onShown || eventStub();
+  menus.onHidden = menus.onHidden || eventStub();
 
   chromeObj.fontSettings = chromeObj.fontSettings || {};
   if (typeof chromeObj.fontSettings.getFontList !== 'function') {
@@ -178,12 +406,49 @@ function installChromeShims(root, tabContext) {
   }
 }
 
+/** Classic background script (MV3 service worker converted to an MV2 background). */
 function buildBackgroundShimSource() {
-  return `(function(){${installChromeShims.toString()};installChromeShims(typeof globalThis!=='undefined'?globalThis:self,null);})();`;
+  return `(${installChromeShims.toString()})(typeof globalThis !== 'undefined' ? globalThis : self, null);`;
+}
+
+/**
+ * Session preload for every frame of a profile session. It only acts on `chrome-extension:`
+ * pages: exposes `__axisExtensionBridge` (IPC to main) and installs the shims in the page's
+ * main world. Must only `require('electron')` — extension pages may be sandboxed.
+ */
+function buildExtensionApiPreloadSource() {
+  return `'use strict';
+(function () {
+  if (typeof location === 'undefined' || location.protocol !== 'chrome-extension:') return;
+  const { contextBridge, ipcRenderer } = require('electron');
+  const listeners = [];
+  ipcRenderer.on('axis-extension-api-event', (_event, payload) => {
+    for (const fn of listeners.slice()) {
+      try {
+        fn(payload);
+      } catch (_) {}
+    }
+  });
+  const bridge = {
+    call: (method, args) => ipcRenderer.invoke('axis-extension-api', { method, args }),
+    onEvent: (fn) => {
+      if (typeof fn === 'function') listeners.push(fn);
+    }
+  };
+  const installChromeShims = ${installChromeShims.toString()};
+  if (process.contextIsolated) {
+    contextBridge.exposeInMainWorld('__axisExtensionBridge', bridge);
+    contextBridge.executeInMainWorld({ func: installChromeShims, args: [null, null] });
+  } else {
+    window.__axisExtensionBridge = bridge;
+    installChromeShims(window, null);
+  }
+})();
+`;
 }
 
 module.exports = {
-  normalizeTabContext,
   installChromeShims,
-  buildBackgroundShimSource
+  buildBackgroundShimSource,
+  buildExtensionApiPreloadSource
 };
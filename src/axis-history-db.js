@@ -0,0 +1,484 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  computeHistoryFrecency,
+  applyHistoryVisit,
+  mergeImportedHistoryRow,
+  removeHistoryVisitsInRange
+} = require('./axis-history-store');
+
+let DatabaseSync = null;
+try {
+  DatabaseSync = require('node:sqlite').DatabaseSync;
+} catch (_) {}
+
+/**
+ * Per-profile browsing history in SQLite: one row per URL (counts, a bounded visit
+ * sample, cached frecency) plus an FTS5 trigram index over title and URL, so search
+ * keeps the substring matching the old JSON list had.
+ */
+
+/** 2: `host` column for per-site deletion. */
+const HISTORY_DB_SCHEMA_VERSION = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Frecency only decays while a row has visits in the last 90 days; older scores are stable. */
+const FRECENCY_DECAY_WINDOW_MS = 91 * DAY_MS;
+const FRECENCY_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+/** Trigram tokens need three characters; shorter queries fall back to LIKE. */
+const FTS_MIN_QUERY_LENGTH = 3;
+const HISTORY_QUERY_DEFAULT_LIMIT = 100;
+const HISTORY_QUERY_MAX_LIMIT = 1000;
+
+const HISTORY_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE TABLE IF NOT EXISTS history (
+  id INTEGER PRIMARY KEY,
+  url TEXT NOT NULL UNIQUE,
+  host TEXT NOT NULL DEFAULT '',
+  title TEXT NOT NULL DEFAULT '',
+  favicon TEXT NOT NULL DEFAULT '',
+  last_visit INTEGER NOT NULL,
+  visit_count INTEGER NOT NULL DEFAULT 1,
+  typed_count INTEGER NOT NULL DEFAULT 0,
+  last_transition TEXT,
+  visits TEXT,
+  frecency INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS history_last_visit ON history(last_visit DESC);
+CREATE INDEX IF NOT EXISTS history_frecency ON history(frecency DESC);
+CREATE VIRTUAL TABLE IF NOT EXISTS history_fts USING fts5(
+  title, url, content='history', content_rowid='id', tokenize='trigram'
+);
+CREATE TRIGGER IF NOT EXISTS history_fts_ai AFTER INSERT ON history BEGIN
+  INSERT INTO history_fts(rowid, title, url) VALUES (new.id, new.title, new.url);
+END;
+CREATE TRIGGER IF NOT EXISTS history_fts_ad AFTER DELETE ON history BEGIN
+  INSERT INTO history_fts(history_fts, rowid, title, url) VALUES ('delete', old.id, old.title, old.url);
+END;
+CREATE TRIGGER IF NOT EXISTS history_fts_au AFTER UPDATE OF title, url ON history
+WHEN old.title IS NOT new.title OR old.url IS NOT new.url BEGIN
+  INSERT INTO history_fts(history_fts, rowid, title, url) VALUES ('delete', old.id, old.title, old.url);
+  INSERT INTO history_fts(rowid, title, url) VALUES (new.id, new.title, new.url);
+END;
+`;
+
+function toEpochMs(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : Date.parse(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+function historyUrlHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return '';
+  }
+}
+
+/** Accepts a bare host (`news.example.com`) or a URL; a leading `www.` is dropped so the whole site matches. */
+function normalizeHistoryDomain(raw) {
+  const text = String(raw || '').trim().toLowerCase();
+  const host = text.includes('://') ? historyUrlHost(text) : text.split('/')[0];
+  return host.replace(/\.$/, '').replace(/^www\./, '');
+}
+
+function parseVisits(raw) {
+  if (!raw) return null;
+  try {
+    const visits = JSON.parse(raw);
+    return Array.isArray(visits) ? visits : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function rowToItem(row, withVisits = false) {
+  const item = {
+    id: row.id,
+    url: row.url,
+    title: row.title || row.url,
+    timestamp: new Date(row.last_visit).toISOString(),
+    favicon: row.favicon || '',
+    visitCount: row.visit_count,
+    typedCount: row.typed_count,
+    lastTransition: row.last_transition || null,
+    frecency: row.frecency
+  };
+  if (withVisits) item.visits = parseVisits(row.visits);
+  return item;
+}
+
+/** Opens (or creates) the database; an unreadable file is set aside rather than blocking history. */
+function openHistoryDatabase(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const open = () => {
+    const db = new DatabaseSync(filePath);
+    try {
+      db.exec('PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL;');
+      db.exec(HISTORY_SCHEMA_SQL);
+    } catch (e) {
+      try {
+        db.close();
+      } catch (_) {}
+      throw e;
+    }
+    return db;
+  };
+  try {
+    return open();
+  } catch (e) {
+    if (!fs.existsSync(filePath)) throw e;
+    console.error('[Axis] History database unreadable, starting a new one:', e?.message || e);
+    const aside = `${filePath}.corrupt-${Date.now()}`;
+    for (const suffix of ['', '-wal', '-shm']) {
+      try {
+        fs.renameSync(`${filePath}${suffix}`, `${aside}${suffix}`);
+      } catch (_) {}
+    }
+    return open();
+  }
+}
+
+/**
+ * @param {string} filePath  e.g. `<userData>/profile-<id>-history.sqlite`
+ */
+function createAxisHistoryDb(filePath) {
+  if (!DatabaseSync) throw new Error('History database support is unavailable in this build.');
+  const db = openHistoryDatabase(filePath);
+  const metaStmt = {
+    get: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    set: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+  };
+
+  function getMeta(key) {
+    const row = metaStmt.get.get(key);
+    return row ? row.value : null;
+  }
+
+  function setMeta(key, value) {
+    metaStmt.set.run(key, String(value));
+  }
+
+  function inTransaction(fn) {
+    db.exec('BEGIN');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      try {
+        db.exec('ROLLBACK');
+      } catch (_) {}
+      throw e;
+    }
+  }
+
+  function upgradeSchema() {
+    const version = Number(getMeta('schemaVersion')) || 0;
+    if (version >= HISTORY_DB_SCHEMA_VERSION) return;
+    inTransaction(() => {
+      const columns = db.prepare('PRAGMA table_info(history)').all().map((c) => c.name);
+      if (!columns.includes('host')) db.exec("ALTER TABLE history ADD COLUMN host TEXT NOT NULL DEFAULT ''");
+      const setHost = db.prepare('UPDATE history SET host = ? WHERE id = ?');
+      for (const row of db.prepare("SELECT id, url FROM history WHERE host = ''").all()) {
+        setHost.run(historyUrlHost(row.url), row.id);
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS history_host ON history(host)');
+      if (!getMeta('frecencyRefreshedAt')) setMeta('frecencyRefreshedAt', Date.now());
+      setMeta('schemaVersion', HISTORY_DB_SCHEMA_VERSION);
+    });
+  }
+
+  upgradeSchema();
+
+  const stmt = {
+    byUrl: db.prepare('SELECT * FROM history WHERE url = ?'),
+    insert: db.prepare(
+      `INSERT INTO history (url, host, title, favicon, last_visit, visit_count, typed_count, last_transition, visits, frecency)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    update: db.prepare(
+      `UPDATE history SET title = ?, favicon = ?, last_visit = ?, visit_count = ?, typed_count = ?,
+         last_transition = ?, visits = ?, frecency = ? WHERE id = ?`
+    ),
+    decaying: db.prepare('SELECT id, last_visit, visit_count, visits FROM history WHERE last_visit >= ?'),
+    setFrecency: db.prepare('UPDATE history SET frecency = ? WHERE id = ?'),
+    deleteAll: db.prepare('DELETE FROM history'),
+    deleteHost: db.prepare(
+      `DELETE FROM history
+       WHERE host = ? OR (length(host) > length(?) AND substr(host, -length(?) - 1) = '.' || ?)`
+    )
+  };
+
+  function getRowByUrl(url) {
+    const row = stmt.byUrl.get(url);
+    return row ? rowToItem(row, true) : null;
+  }
+
+  /** Writes one merged row; only that row (and its FTS entry, if the title changed) is touched. */
+  function writeItem(item, now) {
+    const lastVisit = toEpochMs(item.timestamp) ?? now;
+    const visits = Array.isArray(item.visits) ? JSON.stringify(item.visits) : null;
+    const frecency = computeHistoryFrecency(item, now);
+    const visitCount = Math.max(1, Number(item.visitCount) || 0);
+    const typedCount = Number(item.typedCount) || 0;
+    const title = String(item.title || item.url).slice(0, 300);
+    if (item.id != null) {
+      stmt.update.run(
+        title,
+        item.favicon || '',
+        lastVisit,
+        visitCount,
+        typedCount,
+        item.lastTransition || null,
+        visits,
+        frecency,
+        item.id
+      );
+      return { ...item, frecency };
+    }
+    const res = stmt.insert.run(
+      item.url,
+      historyUrlHost(item.url),
+      title,
+      item.favicon || '',
+      lastVisit,
+      visitCount,
+      typedCount,
+      item.lastTransition || null,
+      visits,
+      frecency
+    );
+    return { ...item, id: Number(res.lastInsertRowid), frecency };
+  }
+
+  /** Caller holds the transaction. */
+  function mergeRows(items, now) {
+    let written = 0;
+    for (const row of Array.isArray(items) ? items : []) {
+      if (!row || typeof row.url !== 'string' || !row.url) continue;
+      writeItem(mergeImportedHistoryRow(getRowByUrl(row.url), row), now);
+      written += 1;
+    }
+    return written;
+  }
+
+  /** Scores decay with time, so rows visited recently are re-scored every few hours. */
+  function refreshFrecencyIfStale(now = Date.now()) {
+    const last = Number(getMeta('frecencyRefreshedAt')) || 0;
+    if (now - last < FRECENCY_REFRESH_INTERVAL_MS) return;
+    const rows = stmt.decaying.all(last ? last - FRECENCY_DECAY_WINDOW_MS : 0);
+    inTransaction(() => {
+      for (const row of rows) {
+        const score = computeHistoryFrecency(
+          {
+            timestamp: new Date(row.last_visit).toISOString(),
+            visitCount: row.visit_count,
+            visits: parseVisits(row.visits)
+          },
+          now
+        );
+        stmt.setFrecency.run(score, row.id);
+      }
+      setMeta('frecencyRefreshedAt', now);
+    });
+  }
+
+  function buildWhere(options = {}) {
+    const clauses = [];
+    const params = [];
+    const q = String(options.text || '').trim();
+    if (q.length >= FTS_MIN_QUERY_LENGTH) {
+      clauses.push('id IN (SELECT rowid FROM history_fts WHERE history_fts MATCH ?)');
+      params.push(`"${q.replace(/"/g, '""')}"`);
+    } else if (q) {
+      const like = `%${q.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+      clauses.push(`(title LIKE ? ESCAPE '\\' OR url LIKE ? ESCAPE '\\')`);
+      params.push(like, like);
+    }
+    const from = toEpochMs(options.from);
+    if (from != null) {
+      clauses.push('last_visit >= ?');
+      params.push(from);
+    }
+    const to = toEpochMs(options.to);
+    if (to != null) {
+      clauses.push('last_visit < ?');
+      params.push(to);
+    }
+    return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * @param {{ url: string, title?: string, favicon?: string, transition?: string }} visit
+   * @returns {object} The updated row.
+   */
+  function recordVisit(visit, now = Date.now()) {
+    if (!visit || !visit.url) throw new Error('Missing history URL');
+    return inTransaction(() => {
+      const next = applyHistoryVisit(getRowByUrl(visit.url), visit, now);
+      const { visits, ...item } = writeItem(next, now);
+      return item;
+    });
+  }
+
+  /**
+   * @param {{ text?: string, from?: number|string, to?: number|string, limit?: number, offset?: number, order?: 'recent'|'frecency' }} [options]
+   *   `from` is inclusive and `to` exclusive (epoch ms or ISO strings).
+   */
+  function query(options = {}) {
+    const limit = Math.min(
+      HISTORY_QUERY_MAX_LIMIT,
+      Math.max(1, Math.floor(Number(options.limit)) || HISTORY_QUERY_DEFAULT_LIMIT)
+    );
+    const offset = Math.max(0, Math.floor(Number(options.offset)) || 0);
+    const byFrecency = options.order === 'frecency';
+    if (byFrecency) refreshFrecencyIfStale();
+    const where = buildWhere(options);
+    const order = byFrecency ? 'frecency DESC, last_visit DESC' : 'last_visit DESC';
+    return db
+      .prepare(`SELECT * FROM history ${where.sql} ORDER BY ${order} LIMIT ? OFFSET ?`)
+      .all(...where.params, limit, offset)
+      .map((row) => rowToItem(row));
+  }
+
+  function count(options = {}) {
+    const where = buildWhere(options);
+    return db.prepare(`SELECT COUNT(*) AS n FROM history ${where.sql}`).get(...where.params).n;
+  }
+
+  /** @returns {number} Rows removed. */
+  function deleteItems(ids) {
+    const list = (Array.isArray(ids) ? ids : [ids]).map(Number).filter(Number.isFinite);
+    if (!list.length) return 0;
+    return inTransaction(() => {
+      let removed = 0;
+      for (let i = 0; i < list.length; i += 500) {
+        const chunk = list.slice(i, i + 500);
+        const res = db.prepare(`DELETE FROM history WHERE id IN (${chunk.map(() => '?').join(',')})`).run(...chunk);
+        removed += Number(res.changes) || 0;
+      }
+      return removed;
+    });
+  }
+
+  function clear() {
+    stmt.deleteAll.run();
+  }
+
+  /**
+   * Removes visits in a time window (`from` inclusive, `to` exclusive); at least one bound is required.
+   * Pages visited outside the window keep those visits, with counts and frecency recomputed.
+   * @returns {number} Pages removed or trimmed.
+   */
+  function deleteRange(range = {}, now = Date.now()) {
+    const from = toEpochMs(range.from);
+    const to = toEpochMs(range.to);
+    if (from == null && to == null) throw new Error('Choose a time range to delete');
+    const deleteRow = db.prepare('DELETE FROM history WHERE id = ?');
+    // A row's newest visit is `last_visit`, so rows older than `from` have nothing in the window.
+    const rows =
+      from == null
+        ? db.prepare('SELECT * FROM history').all()
+        : db.prepare('SELECT * FROM history WHERE last_visit >= ?').all(from);
+    return inTransaction(() => {
+      let changed = 0;
+      for (const row of rows) {
+        const item = rowToItem(row, true);
+        const next = removeHistoryVisitsInRange(item, from, to);
+        if (next === item) continue;
+        if (next) writeItem(next, now);
+        else deleteRow.run(row.id);
+        changed += 1;
+      }
+      return changed;
+    });
+  }
+
+  /**
+   * Distinct hosts visited in a time window, most recent first (same bounds as `query`).
+   * @param {{ from?: number|string, to?: number|string, limit?: number }} [options]
+   * @returns {string[]}
+   */
+  function listHosts(options = {}) {
+    const where = buildWhere({ from: options.from, to: options.to });
+    const limit = Math.max(1, Math.floor(Number(options.limit)) || HISTORY_QUERY_MAX_LIMIT);
+    const sql = where.sql ? `${where.sql} AND host != ''` : "WHERE host != ''";
+    return db
+      .prepare(`SELECT host FROM history ${sql} GROUP BY host ORDER BY MAX(last_visit) DESC LIMIT ?`)
+      .all(...where.params, limit)
+      .map((row) => row.host);
+  }
+
+  /**
+   * Removes every page on a site, subdomains included (`example.com` also clears `www.` and `mail.`).
+   * @returns {number} Rows removed.
+   */
+  function deleteDomain(domain) {
+    const host = normalizeHistoryDomain(domain);
+    if (!host) throw new Error('Missing site');
+    return Number(stmt.deleteHost.run(host, host, host, host).changes) || 0;
+  }
+
+  /**
+   * Upserts rows from a browser import or backup; `replace` empties history first.
+   * @returns {number} Rows written.
+   */
+  function importItems(items, { replace = false } = {}) {
+    return inTransaction(() => {
+      if (replace) clear();
+      return mergeRows(items, Date.now());
+    });
+  }
+
+  /** Newest first, with visit samples, for profile backups. */
+  function exportItems({ limit } = {}) {
+    const max = Math.max(1, Math.floor(Number(limit)) || Number.MAX_SAFE_INTEGER);
+    return db
+      .prepare('SELECT * FROM history ORDER BY last_visit DESC LIMIT ?')
+      .all(max)
+      .map((row) => rowToItem(row, true));
+  }
+
+  /**
+   * One-time import of the electron-store `historyItems` array. The marker is written in
+   * the same transaction, so a crash before the caller drops the JSON cannot import twice.
+   */
+  function migrateFromJson(items) {
+    if (getMeta('jsonMigratedAt')) return 0;
+    return inTransaction(() => {
+      const written = mergeRows(items, Date.now());
+      setMeta('jsonMigratedAt', Date.now());
+      return written;
+    });
+  }
+
+  function close() {
+    try {
+      db.close();
+    } catch (_) {}
+  }
+
+  return {
+    recordVisit,
+    query,
+    count,
+    deleteItems,
+    deleteRange,
+    deleteDomain,
+    listHosts,
+    clear,
+    importItems,
+    exportItems,
+    migrateFromJson,
+    close
+  };
+}
+
+module.exports = {
+  createAxisHistoryDb,
+  normalizeHistoryDomain
+};
@@ -1,15 +1,148 @@
 'use strict';
 
-/** Max browsing history entries kept per profile (import + day-to-day browsing). */
-const AXIS_PROFILE_HISTORY_MAX = 10000;
+/**
+ * Browsing history model: how a visit updates a URL's row and how rows rank (frecency).
+ * Pure functions — rows are stored by `axis-history-db.js`.
+ */
 
-function trimProfileHistoryItems(items, max = AXIS_PROFILE_HISTORY_MAX) {
-  if (!Array.isArray(items)) return [];
-  if (items.length <= max) return items;
-  return items.slice(0, max);
+/** Most recent visits kept per URL; frecency samples these (Firefox uses 10 too). */
+const HISTORY_VISIT_SAMPLE_MAX = 10;
+
+const HISTORY_TRANSITIONS = ['typed', 'link', 'reload'];
+
+/** Percent bonus per transition — a reload is not a fresh decision to visit. */
+const FRECENCY_TRANSITION_BONUS = { typed: 200, link: 100, reload: 0 };
+
+/** Recency buckets (days → weight), newest first. */
+const FRECENCY_BUCKETS = [
+  [4, 100],
+  [14, 70],
+  [31, 50],
+  [90, 30]
+];
+const FRECENCY_OLD_WEIGHT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function historyItemTime(item) {
+  const t = Date.parse(item && item.timestamp);
+  return Number.isFinite(t) ? t : 0;
+}
+
+/**
+ * Firefox-style frecency: each sampled visit scores its recency-bucket weight times a
+ * transition bonus; the average is scaled by the total visit count. Rows from before
+ * visit tracking (no `visits`) count as one link visit at `timestamp`.
+ */
+function computeHistoryFrecency(item, now = Date.now()) {
+  if (!item) return 0;
+  const visits =
+    Array.isArray(item.visits) && item.visits.length
+      ? item.visits
+      : [{ t: historyItemTime(item), transition: 'link' }];
+  let points = 0;
+  for (const v of visits) {
+    const ageDays = Math.max(0, now - (Number(v.t) || 0)) / DAY_MS;
+    const bucket = FRECENCY_BUCKETS.find(([days]) => ageDays <= days);
+    const weight = bucket ? bucket[1] : FRECENCY_OLD_WEIGHT;
+    const bonus = FRECENCY_TRANSITION_BONUS[v.transition] ?? FRECENCY_TRANSITION_BONUS.link;
+    points += (weight * bonus) / 100;
+  }
+  const count = Math.max(Number(item.visitCount) || 0, visits.length);
+  return Math.ceil((count * points) / visits.length);
+}
+
+/**
+ * Folds one visit into a URL's row: counts grow, the visit sample stays bounded, and
+ * title/favicon fall back to what was stored. `prev` is the existing row or null.
+ */
+function applyHistoryVisit(prev, visit, now = Date.now()) {
+  const transition = HISTORY_TRANSITIONS.includes(visit.transition) ? visit.transition : 'link';
+  const prevVisits =
+    prev && Array.isArray(prev.visits)
+      ? prev.visits
+      : prev
+        ? [{ t: historyItemTime(prev), transition: 'link' }]
+        : [];
+  return {
+    id: prev ? prev.id : undefined,
+    url: visit.url,
+    title: visit.title || (prev && prev.title) || visit.url,
+    timestamp: new Date(now).toISOString(),
+    favicon: visit.favicon || (prev && prev.favicon) || '',
+    visitCount: (prev ? Math.max(Number(prev.visitCount) || 0, prevVisits.length) : 0) + 1,
+    typedCount: ((prev && Number(prev.typedCount)) || 0) + (transition === 'typed' ? 1 : 0),
+    lastTransition: transition,
+    visits: [...prevVisits, { t: now, transition }].slice(-HISTORY_VISIT_SAMPLE_MAX)
+  };
+}
+
+/**
+ * Merges an imported row (browser import, backup restore, JSON migration) into the
+ * stored one. The newer visit wins title and timestamp; counts take the larger value so
+ * importing the same source twice does not inflate them.
+ */
+function mergeImportedHistoryRow(prev, row) {
+  const ts = row.timestamp || new Date().toISOString();
+  const incoming = {
+    url: row.url,
+    title: String(row.title || row.url).slice(0, 300),
+    timestamp: ts,
+    favicon: row.favicon || '',
+    visitCount: Number(row.visitCount) || 0,
+    typedCount: Number(row.typedCount) || 0,
+    lastTransition: row.lastTransition || null,
+    visits: Array.isArray(row.visits) ? row.visits.slice(-HISTORY_VISIT_SAMPLE_MAX) : null
+  };
+  if (!prev) return incoming;
+  const newer = historyItemTime(incoming) > historyItemTime(prev) ? incoming : prev;
+  return {
+    ...newer,
+    id: prev.id,
+    favicon: newer.favicon || prev.favicon || incoming.favicon || '',
+    visitCount: Math.max(incoming.visitCount, Number(prev.visitCount) || 0),
+    typedCount: Math.max(incoming.typedCount, Number(prev.typedCount) || 0),
+    visits: newer.visits || prev.visits || incoming.visits || null
+  };
+}
+
+/**
+ * Takes the visits in `[from, to)` out of a row and returns what is left, or null when no
+ * visit remains. Only the newest visits are sampled; older, unsampled ones predate the sample
+ * and are kept (their exact times are unknown, so the row's last visit moves to just before
+ * the cleared window when no sampled visit survives).
+ */
+function removeHistoryVisitsInRange(item, from, to) {
+  if (!item) return null;
+  const inRange = (t) => (from == null || t >= from) && (to == null || t < to);
+  const visits =
+    Array.isArray(item.visits) && item.visits.length
+      ? item.visits
+      : [{ t: historyItemTime(item), transition: 'link' }];
+  const removed = visits.filter((v) => inRange(Number(v.t) || 0));
+  if (!removed.length) return item;
+  const kept = visits.filter((v) => !inRange(Number(v.t) || 0));
+  const unsampled = Math.max(0, (Number(item.visitCount) || 0) - visits.length);
+  const oldestSampled = Math.min(...visits.map((v) => Number(v.t) || 0));
+  // With no lower bound every unsampled (older) visit falls in the window too.
+  const keptUnsampled = from == null && (to == null || oldestSampled < to) ? 0 : unsampled;
+  if (!kept.length && !keptUnsampled) return null;
+  const latest = kept.length ? kept.reduce((a, b) => ((Number(b.t) || 0) > (Number(a.t) || 0) ? b : a)) : null;
+  const typedRemoved = removed.filter((v) => v.transition === 'typed').length;
+  return {
+    ...item,
+    timestamp: new Date(latest ? Number(latest.t) : Math.min(oldestSampled, from) - 1).toISOString(),
+    visitCount: kept.length + keptUnsampled,
+    typedCount: Math.max(0, (Number(item.typedCount) || 0) - typedRemoved),
+    lastTransition: latest ? latest.transition : 'link',
+    visits: kept
+  };
 }
 
 module.exports = {
-  AXIS_PROFILE_HISTORY_MAX,
-  trimProfileHistoryItems
+  HISTORY_VISIT_SAMPLE_MAX,
+  historyItemTime,
+  computeHistoryFrecency,
+  applyHistoryVisit,
+  mergeImportedHistoryRow,
+  removeHistoryVisitsInRange
 };
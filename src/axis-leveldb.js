@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read-only LevelDB scan for Chromium stores Axis only inspects (e.g. `Local Storage/leveldb`).
+ * Reads every table (`.ldb` / `.sst`) and write-ahead log (`.log`) in the directory and keeps the
+ * newest entry per key by sequence number; no MANIFEST, checksums or compaction state.
+ */
+
+const TABLE_MAGIC = 0xdb4775248b80fb57n;
+const LOG_BLOCK_SIZE = 32768;
+
+function readVarint(buf, pos) {
+  let result = 0;
+  let shift = 0;
+  for (;;) {
+    if (pos >= buf.length) throw new Error('Truncated varint');
+    const byte = buf[pos++];
+    result += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) return [result, pos];
+    shift += 7;
+  }
+}
+
+/** Raw (unframed) Snappy, as LevelDB compresses table blocks. */
+function snappyDecompress(buf) {
+  let [length, pos] = readVarint(buf, 0);
+  const out = Buffer.alloc(length);
+  let o = 0;
+  while (pos < buf.length) {
+    const tag = buf[pos++];
+    const kind = tag & 3;
+    if (kind === 0) {
+      let len = tag >> 2;
+      if (len >= 60) {
+        const bytes = len - 59;
+        len = buf.readUIntLE(pos, bytes);
+        pos += bytes;
+      }
+      len += 1;
+      buf.copy(out, o, pos, pos + len);
+      pos += len;
+      o += len;
+      continue;
+    }
+    let len;
+    let offset;
+    if (kind === 1) {
+      len = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | buf[pos++];
+    } else if (kind === 2) {
+      len = (tag >> 2) + 1;
+      offset = buf.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      len = (tag >> 2) + 1;
+      offset = buf.readUInt32LE(pos);
+      pos += 4;
+    }
+    if (!offset || offset > o) throw new Error('Bad Snappy offset');
+    // Copies may overlap their own output, so go byte by byte.
+    for (let i = 0; i < len; i++, o++) out[o] = out[o - offset];
+  }
+  return out;
+}
+
+/** `[key, value]` pairs of one table block (prefix-compressed keys, restart array at the end). */
+function readBlockEntries(block) {
+  const restarts = block.readUInt32LE(block.length - 4);
+  const end = block.length - 4 - restarts * 4;
+  const entries = [];
+  let pos = 0;
+  let prev = Buffer.alloc(0);
+  while (pos < end) {
+    let shared;
+    let unshared;
+    let valueLen;
+    [shared, pos] = readVarint(block, pos);
+    [unshared, pos] = readVarint(block, pos);
+    [valueLen, pos] = readVarint(block, pos);
+    const key = Buffer.concat([prev.subarray(0, shared), block.subarray(pos, pos + unshared)]);
+    pos += unshared;
+    entries.push([key, block.subarray(pos, pos + valueLen)]);
+    pos += valueLen;
+    prev = key;
+  }
+  return entries;
+}
+
+function readTableBlock(file, handle) {
+  const [offset, pos] = readVarint(handle, 0);
+  const [size] = readVarint(handle, pos);
+  const raw = file.subarray(offset, offset + size);
+  const type = file[offset + size];
+  if (type === 0) return raw;
+  if (type === 1) return snappyDecompress(raw);
+  throw new Error(`Unsupported block compression ${type}`);
+}
+
+/** Calls `visit(userKey, seq, isValue, value)` for every entry of a `.ldb` / `.sst` table. */
+function scanTable(file, visit) {
+  if (file.length < 48 || file.readBigUInt64LE(file.length - 8) !== TABLE_MAGIC) return;
+  const footer = file.subarray(file.length - 48);
+  let [, pos] = readVarint(footer, 0);
+  [, pos] = readVarint(footer, pos);
+  const index = readTableBlock(file, footer.subarray(pos));
+  for (const [, handle] of readBlockEntries(index)) {
+    for (const [internalKey, value] of readBlockEntries(readTableBlock(file, handle))) {
+      if (internalKey.length < 8) continue;
+      const trailer = internalKey.readBigUInt64LE(internalKey.length - 8);
+      visit(internalKey.subarray(0, internalKey.length - 8), Number(trailer >> 8n), (trailer & 0xffn) === 1n, value);
+    }
+  }
+}
+
+/** Reassembles log records (fragments split over 32 KiB blocks) and replays their write batches. */
+function scanLog(file, visit) {
+  let pos = 0;
+  let pending = [];
+  const replay = (batch) => {
+    if (batch.length < 12) return;
+    let seq = Number(batch.readBigUInt64LE(0));
+    let p = 12;
+    while (p < batch.length) {
+      const tag = batch[p++];
+      let len;
+      [len, p] = readVarint(batch, p);
+      const key = batch.subarray(p, p + len);
+      p += len;
+      let value = null;
+      if (tag === 1) {
+        [len, p] = readVarint(batch, p);
+        value = batch.subarray(p, p + len);
+        p += len;
+      } else if (tag !== 0) {
+        return;
+      }
+      visit(key, seq++, tag === 1, value);
+    }
+  };
+  while (pos + 7 <= file.length) {
+    const left = LOG_BLOCK_SIZE - (pos % LOG_BLOCK_SIZE);
+    if (left < 7) {
+      pos += left;
+      continue;
+    }
+    const length = file.readUInt16LE(pos + 4);
+    const type = file[pos + 6];
+    const data = file.subarray(pos + 7, pos + 7 + length);
+    pos += 7 + length;
+    if (type === 0) continue;
+    if (type === 1) replay(data);
+    else if (type === 2) pending = [data];
+    else if (type === 3) pending.push(data);
+    else if (type === 4 && pending.length) {
+      pending.push(data);
+      replay(Buffer.concat(pending));
+      pending = [];
+    }
+  }
+}
+
+/**
+ * Live entries of a LevelDB directory, keys and values as `latin1` strings / Buffers.
+ * Files that fail to parse are skipped.
+ * @returns {Promise<Map<string, Buffer>>}
+ */
+async function readLevelDbEntries(dir) {
+  const latest = new Map();
+  const visit = (key, seq, isValue, value) => {
+    const k = key.toString('latin1');
+    const seen = latest.get(k);
+    if (!seen || seen.seq < seq) latest.set(k, { seq, value: isValue ? Buffer.from(value) : null });
+  };
+  for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+    const ext = path.extname(name);
+    if (ext !== '.ldb' && ext !== '.sst' && ext !== '.log') continue;
+    try {
+      const file = await fs.promises.readFile(path.join(dir, name));
+      if (ext === '.log') scanLog(file, visit);
+      else scanTable(file, visit);
+    } catch (_) {}
+  }
+  const out = new Map();
+  for (const [key, { value }] of latest) if (value) out.set(key, value);
+  return out;
+}
+
+module.exports = { readLevelDbEntries };
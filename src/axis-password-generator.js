@@ -0,0 +1,135 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/** Profile setting `vaultGeneratorOptions` falls back to these. */
+const PASSWORD_GENERATOR_DEFAULTS = {
+  mode: 'password',
+  length: 20,
+  lowercase: true,
+  uppercase: true,
+  digits: true,
+  symbols: true,
+  words: 5,
+  separator: '-'
+};
+
+const GENERATOR_CHARSETS = {
+  lowercase: 'abcdefghijkmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  digits: '23456789',
+  symbols: '!#$%&*+-=?@^_~'
+};
+
+/** Used only when the Hunspell word list cannot be read. */
+const FALLBACK_PASSPHRASE_WORDS = (
+  'able acid aged also area army away baby back ball band bank base bath bear beat bell belt bird blow ' +
+  'blue boat body bone book boot born boss both bowl bulk burn bush busy cafe cake calm came camp card ' +
+  'care cart case cash cast cell chat chip city clay club coal coat code cold cook cool cope copy cord ' +
+  'core corn cost crew crop dark data date dawn deal dear deck deep deer desk dial diet disk dock door ' +
+  'dose down draw drop drum dual duck dust duty each earn ease east easy edge else even ever exam exit ' +
+  'face fact fair fall farm fast fear feed feel file fill film find fine fire firm fish five flag flat ' +
+  'flow foam fold folk food foot ford form fort four free frog fuel full fund gain game gate gear gift ' +
+  'girl glad glow goal gold golf good gray grid grow gulf hair half hall hand hang hard harm hawk head ' +
+  'heat help herb hero hide high hill hint hold hole holy home hood hook hope horn host hour huge hunt ' +
+  'icon idea inch iron item jazz join joke jump jury keen keep kick kind king kite knee knot lake lamp ' +
+  'land lane last late lawn lead leaf lean left lens life lift lime line link lion list live load loan ' +
+  'lock loft long look loop lord loud love luck lung made mail main make mall many maps mark mask mast ' +
+  'meal mean meat menu mild milk mill mind mine mint mist mode mood moon more moss most moth move much ' +
+  'mule must myth nail name navy near neat neck need nest news next nice nine node noon norm nose note ' +
+  'oath oven over pace pack page pain pair palm park part pass path peak pear pine pink pipe plan play ' +
+  'plot plug plum poem poet pole pond pony pool port pose post pour pure quiz race rack rail rain ramp ' +
+  'rank rare rate read real reef rest rice rich ride ring rise risk road rock role roof room root rope ' +
+  'rose ruby rule rush safe sage sail salt sand save seal seat seed self sell ship shoe shop shot show ' +
+  'sick side sign silk sing site size skin slim slow snow soap sock soft soil sole song soon sort soul ' +
+  'soup spin spot star stay stem step stir stop suit swan tail take tale talk tall tank tape task team ' +
+  'tent term test text tide tile time tiny tone tool tour town tree trim trip true tube tune turn twin ' +
+  'type unit vast verb vest view vine vote wage wait wake walk wall warm wash wave weak wear week well ' +
+  'west wide wild wind wine wing wire wise wish wolf wood wool word work yard year yoga zero zone'
+).split(' ');
+
+let passphraseWordsCache = null;
+
+/** Plain lowercase stems from the bundled `dictionary-en` Hunspell list (4–8 letters). */
+function loadPassphraseWords() {
+  if (passphraseWordsCache) return passphraseWordsCache;
+  const words = new Set();
+  try {
+    const dictDir = path.dirname(require.resolve('dictionary-en'));
+    const dic = fs.readFileSync(path.join(dictDir, 'index.dic'), 'utf8');
+    for (const line of dic.split('\n')) {
+      const stem = line.split('/')[0].trim();
+      if (/^[a-z]{4,8}$/.test(stem)) words.add(stem);
+    }
+  } catch (_) {}
+  passphraseWordsCache = words.size >= 2048 ? Array.from(words) : FALLBACK_PASSPHRASE_WORDS;
+  return passphraseWordsCache;
+}
+
+function clampInt(raw, min, max, fallback) {
+  const n = Math.round(Number(raw));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function normalizeGeneratorOptions(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const d = PASSWORD_GENERATOR_DEFAULTS;
+  const opts = {
+    mode: src.mode === 'passphrase' ? 'passphrase' : 'password',
+    length: clampInt(src.length, 8, 64, d.length),
+    lowercase: src.lowercase !== undefined ? !!src.lowercase : d.lowercase,
+    uppercase: src.uppercase !== undefined ? !!src.uppercase : d.uppercase,
+    digits: src.digits !== undefined ? !!src.digits : d.digits,
+    symbols: src.symbols !== undefined ? !!src.symbols : d.symbols,
+    words: clampInt(src.words, 3, 12, d.words),
+    separator: typeof src.separator === 'string' ? src.separator.slice(0, 3) : d.separator
+  };
+  if (!opts.lowercase && !opts.uppercase && !opts.digits && !opts.symbols) opts.lowercase = true;
+  return opts;
+}
+
+function randomChar(set) {
+  return set[crypto.randomInt(set.length)];
+}
+
+function generateCharacterPassword(opts) {
+  const sets = ['lowercase', 'uppercase', 'digits', 'symbols']
+    .filter((k) => opts[k])
+    .map((k) => GENERATOR_CHARSETS[k]);
+  const all = sets.join('');
+  // One character from every enabled class, the rest from the union, then shuffle.
+  const chars = sets.map((set) => randomChar(set));
+  while (chars.length < opts.length) chars.push(randomChar(all));
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+function generatePassphrase(opts) {
+  const list = loadPassphraseWords();
+  const words = [];
+  for (let i = 0; i < opts.words; i += 1) {
+    let w = list[crypto.randomInt(list.length)];
+    if (opts.uppercase && i === 0) w = w[0].toUpperCase() + w.slice(1);
+    words.push(w);
+  }
+  if (opts.digits) words.push(String(crypto.randomInt(10, 100)));
+  return words.join(opts.separator);
+}
+
+/** @param {object} [rawOptions]  Partial `PASSWORD_GENERATOR_DEFAULTS`. */
+function generatePassword(rawOptions) {
+  const opts = normalizeGeneratorOptions(rawOptions);
+  return opts.mode === 'passphrase' ? generatePassphrase(opts) : generateCharacterPassword(opts);
+}
+
+module.exports = {
+  PASSWORD_GENERATOR_DEFAULTS,
+  normalizeGeneratorOptions,
+  generatePassword
+};
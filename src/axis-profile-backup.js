@@ -0,0 +1,96 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Passphrase-encrypted profile backups.
+ * The envelope header (format, version, KDF parameters) is bound to the ciphertext as
+ * AES-GCM additional data, so tampering with any of it fails decryption.
+ */
+
+const PROFILE_BACKUP_ENCRYPTED_FORMAT = 'axis-profile-backup-encrypted';
+const PROFILE_BACKUP_ENCRYPTED_VERSION = 1;
+const PROFILE_BACKUP_MIN_PASSPHRASE_LENGTH = 8;
+/** Stronger than the vault KEK: a backup file may be attacked offline indefinitely. */
+const PROFILE_BACKUP_SCRYPT = { N: 1 << 17, r: 8, p: 1 };
+const PROFILE_BACKUP_SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+function isEncryptedProfileBackup(parsed) {
+  return !!parsed && parsed.format === PROFILE_BACKUP_ENCRYPTED_FORMAT;
+}
+
+function backupHeaderAad(envelope) {
+  return Buffer.from(
+    JSON.stringify({ format: envelope.format, version: envelope.version, kdf: envelope.kdf }),
+    'utf8'
+  );
+}
+
+/** Async scrypt — ~0.3 s of work that must not block the main process. */
+function deriveBackupKey(passphrase, kdf) {
+  return scryptAsync(String(passphrase), Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: PROFILE_BACKUP_SCRYPT_MAXMEM
+  });
+}
+
+/** @returns {object} Envelope to write as JSON in place of the plaintext backup. */
+async function encryptProfileBackup(payload, passphrase) {
+  if (String(passphrase || '').length < PROFILE_BACKUP_MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Backup passphrase must be at least ${PROFILE_BACKUP_MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  const envelope = {
+    format: PROFILE_BACKUP_ENCRYPTED_FORMAT,
+    version: PROFILE_BACKUP_ENCRYPTED_VERSION,
+    kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...PROFILE_BACKUP_SCRYPT }
+  };
+  const key = await deriveBackupKey(passphrase, envelope.kdf);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(backupHeaderAad(envelope));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    ...envelope,
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/** Throws with `code: 'AXIS_BACKUP_BAD_PASSPHRASE'` when the passphrase is wrong or the file was altered. */
+async function decryptProfileBackup(envelope, passphrase) {
+  if (!isEncryptedProfileBackup(envelope)) throw new Error('Not an encrypted Axis profile backup');
+  if (envelope.version !== PROFILE_BACKUP_ENCRYPTED_VERSION) {
+    throw new Error('This backup was made by a newer version of Axis.');
+  }
+  const kdf = envelope.kdf || {};
+  if (kdf.name !== 'scrypt' || envelope.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported backup encryption');
+  }
+  let plain;
+  try {
+    const key = await deriveBackupKey(passphrase, kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(backupHeaderAad(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  } catch (_) {
+    const err = new Error('Wrong passphrase, or the backup file is damaged.');
+    err.code = 'AXIS_BACKUP_BAD_PASSPHRASE';
+    throw err;
+  }
+  return JSON.parse(plain.toString('utf8'));
+}
+
+module.exports = {
+  PROFILE_BACKUP_MIN_PASSPHRASE_LENGTH,
+  isEncryptedProfileBackup,
+  encryptProfileBackup,
+  decryptProfileBackup
+};
@@ -9,6 +9,8 @@ const {
   AXIS_GROUP_COLORS
 } = require('./axis-session-import');
 const { extractBrowserSecrets } = require('./axis-browser-secrets-import');
+const { VAULT_MIN_MASTER_PASSWORD_LENGTH } = require('./axis-vault');
+const { parseOtpauth, formatOtpauth } = require('./axis-vault-totp');
 const {
   extractBrowserExtras,
   mergeSitePermissionOverrides
@@ -21,7 +23,6 @@ const {
   sqliteReadWarning,
   pathExists: sqlitePathExists
 } = require('./axis-import-sqlite');
-const { AXIS_PROFILE_HISTORY_MAX, trimProfileHistoryItems } = require('./axis-history-store');
 
 const FAVORITES_IMPORT_LIMIT = 500;
 const HISTORY_IMPORT_LIMIT = 2000;
@@ -512,13 +513,19 @@ function mapHistoryRows(rows, timeField, toIso) {
     .map((row, index) => {
       const url = normalizeHttpUrl(row.url);
       if (!url) return null;
-      return {
+      const item = {
         id: Date.now() + index,
         url,
         title: String(row.title || url).slice(0, 300),
         timestamp: toIso(row[timeField]),
         favicon: ''
       };
+      // Visit counts seed frecency so imported favourites rank above one-off pages.
+      const visits = Number(row.visit_count);
+      if (Number.isFinite(visits) && visits > 0) item.visitCount = visits;
+      const typed = Number(row.typed_count);
+      if (Number.isFinite(typed) && typed > 0) item.typedCount = typed;
+      return item;
     })
     .filter(Boolean);
 }
@@ -527,13 +534,13 @@ function readChromiumHistory(profilePath, limit = 2000, warnings = []) {
   const historyPath = path.join(profilePath, 'History');
   let { rows, error } = querySqliteDb(
     historyPath,
-    'SELECT url, title, CAST(last_visit_time AS TEXT) AS last_visit_time FROM urls WHERE hidden = 0 ORDER BY last_visit_time DESC LIMIT ?',
+    'SELECT url, title, visit_count, typed_count, CAST(last_visit_time AS TEXT) AS last_visit_time FROM urls WHERE hidden = 0 ORDER BY last_visit_time DESC LIMIT ?',
     [limit]
   );
   if ((!rows.length || error) && pathExists(historyPath)) {
     const fallback = querySqliteDb(
       historyPath,
-      `SELECT u.url, u.title, CAST(MAX(v.visit_time) AS TEXT) AS last_visit_time
+      `SELECT u.url, u.title, COUNT(v.id) AS visit_count, CAST(MAX(v.visit_time) AS TEXT) AS last_visit_time
        FROM urls u
        INNER JOIN visits v ON u.id = v.url
        WHERE u.hidden = 0
@@ -560,7 +567,7 @@ function readFirefoxBookmarks(profilePath, warnings = []) {
 function readFirefoxHistory(profilePath, limit = 2000, warnings = []) {
   const { rows, error } = querySqliteDb(
     path.join(profilePath, 'places.sqlite'),
-    `SELECT url, title, CAST(last_visit_date AS TEXT) AS last_visit_date
+    `SELECT url, title, visit_count, CAST(last_visit_date AS TEXT) AS last_visit_date
      FROM moz_places
      WHERE visit_count > 0 AND url NOT LIKE 'place:%'
      ORDER BY last_visit_date DESC
@@ -1155,26 +1162,15 @@ function previewBrowserImport(payload = {}) {
   };
 }
 
-function mergeHistory(existing, incoming, limit = AXIS_PROFILE_HISTORY_MAX) {
-  const byUrl = new Map();
-  for (const row of [...incoming, ...(Array.isArray(existing) ? existing : [])]) {
-    const url = normalizeHttpUrl(row?.url);
-    if (!url) continue;
-    const prev = byUrl.get(url);
-    const ts = row.timestamp || new Date().toISOString();
-    if (!prev || String(ts) > String(prev.timestamp)) {
-      byUrl.set(url, {
-        id: row.id || Date.now() + byUrl.size,
-        url,
-        title: String(row.title || url).slice(0, 300),
-        timestamp: ts,
-        favicon: row.favicon || ''
-      });
-    }
+/** `otpauth://` link for a stored 2FA config (Axis backups), or undefined when absent or unusable. */
+function backupLoginOtpauth(login) {
+  if (!login.totp) return undefined;
+  try {
+    const link = formatOtpauth(login.totp);
+    return link && parseOtpauth(link) ? link : undefined;
+  } catch (_) {
+    return undefined;
   }
-  return Array.from(byUrl.values())
-    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
-    .slice(0, limit);
 }
 
 function importVaultEntries(vault, extracted) {
@@ -1194,7 +1190,9 @@ function importVaultEntries(vault, extracted) {
         origin: login.origin,
         username: login.username,
         password: login.password,
-        title: login.title || ''
+        title: login.title || '',
+        notes: login.notes || '',
+        otpauth: backupLoginOtpauth(login)
       });
       logins += 1;
     } catch (_) {}
@@ -1304,7 +1302,8 @@ async function importBrowserProfileData(deps, payload = {}) {
     broadcastProfilesUpdated,
     broadcastSettingsUpdated,
     sanitizeProfileIcon,
-    ensureAxisVaultForProfile
+    ensureAxisVaultForProfile,
+    importProfileHistory
   } = deps;
 
   const source = resolveImportSource(payload);
@@ -1382,12 +1381,7 @@ async function importBrowserProfileData(deps, payload = {}) {
   }
 
   if (extracted.history.length > 0) {
-    if (isFreshProfileImport) {
-      store.set('historyItems', trimProfileHistoryItems(extracted.history));
-    } else {
-      const mergedHistory = mergeHistory(store.get('historyItems'), extracted.history);
-      store.set('historyItems', mergedHistory);
-    }
+    importProfileHistory(profileId, extracted.history, { replace: isFreshProfileImport });
     stats.history = extracted.history.length;
   }
 
@@ -1418,10 +1412,19 @@ async function importBrowserProfileData(deps, payload = {}) {
 
   if (ensureAxisVaultForProfile) {
     const vault = ensureAxisVaultForProfile(profileId);
-    const vaultStats = importVaultEntries(vault, extracted);
-    stats.passwords = vaultStats.logins;
-    stats.cards = vaultStats.cards;
-    stats.addresses = vaultStats.addresses;
+    const hasSecrets =
+      extracted.vaultLogins.length || extracted.vaultCards.length || extracted.vaultAddresses.length;
+    const lock = vault.lockStatus();
+    if (hasSecrets && lock.corrupt) {
+      warnings.push('The password vault file is damaged. Fix it in Settings and import again to bring in passwords, cards and addresses.');
+    } else if (hasSecrets && !vault.isUnlocked() && !lock.canUnlockSilently) {
+      warnings.push('The password vault is locked. Unlock it in Settings and import again to bring in passwords, cards and addresses.');
+    } else {
+      const vaultStats = importVaultEntries(vault, extracted);
+      stats.passwords = vaultStats.logins;
+      stats.cards = vaultStats.cards;
+      stats.addresses = vaultStats.addresses;
+    }
   }
 
   const extStats = await importExtensionsForProfile(deps, profileId, extracted.extensions, payload);
@@ -1470,17 +1473,20 @@ const AXIS_PROFILE_EXPORT_KEYS = [
   'ambientAudioPreset',
   'ambientAudioVolume',
   'ambientMuteWhenTabAudio',
-  'sitePermissionOverrides'
+  'sitePermissionOverrides',
+  'sitePermissionDefaults'
 ];
 
-function buildAxisProfileExportPayload(profileStore, profileMeta, vaultPayload = null) {
+/** @param {object[]} [historyItems]  Newest-first rows from the profile's history database. */
+function buildAxisProfileExportPayload(profileStore, profileMeta, vaultPayload = null, historyItems = []) {
   const data = {};
   for (const key of AXIS_PROFILE_EXPORT_KEYS) {
+    if (key === 'historyItems') continue;
     const val = profileStore.get(key);
     if (val !== undefined) data[key] = val;
   }
-  if (Array.isArray(data.historyItems) && data.historyItems.length > 500) {
-    data.historyItems = data.historyItems.slice(0, 500);
+  if (Array.isArray(historyItems) && historyItems.length) {
+    data.historyItems = historyItems.slice(0, 500);
   }
   if (vaultPayload && (vaultPayload.logins?.length || vaultPayload.cards?.length || vaultPayload.addresses?.length)) {
     data.vault = {
@@ -1501,7 +1507,12 @@ function buildAxisProfileExportPayload(profileStore, profileMeta, vaultPayload =
   };
 }
 
-function importAxisProfileBackup(deps, payload, profileNameOverride) {
+/**
+ * Restores a backup as a new profile. Without a system keyring the new profile's vault needs a
+ * master password: when the backup holds vault data and `options.vaultPassword` is missing, this
+ * throws `code: 'AXIS_BACKUP_NEEDS_VAULT_PASSWORD'` before anything is created.
+ */
+function importAxisProfileBackup(deps, payload, profileNameOverride, options = {}) {
   const {
     allocateProfileId,
     ensureAxisProfile,
@@ -1515,6 +1526,26 @@ function importAxisProfileBackup(deps, payload, profileNameOverride) {
   if (!payload || payload.format !== 'axis-profile-backup' || !payload.data) {
     throw new Error('Not a valid Axis profile backup file');
   }
+  const backupVault = payload.data.vault;
+  const hasVaultSecrets =
+    !!ensureAxisVaultForProfile &&
+    !!backupVault &&
+    ['logins', 'cards', 'addresses'].some((k) => Array.isArray(backupVault[k]) && backupVault[k].length);
+  const vaultPassword = typeof options.vaultPassword === 'string' ? options.vaultPassword : '';
+  if (hasVaultSecrets && deps.vaultNeedsMasterPassword?.()) {
+    let message = '';
+    if (!vaultPassword) {
+      message = 'This backup includes saved passwords. Choose a master password for the new profile’s vault.';
+    } else if (vaultPassword.length < VAULT_MIN_MASTER_PASSWORD_LENGTH) {
+      message = `Master password must be at least ${VAULT_MIN_MASTER_PASSWORD_LENGTH} characters`;
+    }
+    if (message) {
+      const err = new Error(message);
+      err.code = 'AXIS_BACKUP_NEEDS_VAULT_PASSWORD';
+      throw err;
+    }
+  }
+  const warnings = [];
   const displayName = String(profileNameOverride || payload.profile?.name || 'Imported').trim().slice(0, 48);
   const allocated = allocateProfileId(displayName);
   const profileId = allocated.id;
@@ -1523,7 +1554,9 @@ function importAxisProfileBackup(deps, payload, profileNameOverride) {
   const data = payload.data || {};
   for (const key of AXIS_PROFILE_EXPORT_KEYS) {
     if (data[key] === undefined) continue;
-    if (key === 'favorites') {
+    if (key === 'historyItems') {
+      if (Array.isArray(data.historyItems)) deps.importProfileHistory(profileId, data.historyItems, { replace: true });
+    } else if (key === 'favorites') {
       store.set(key, normalizeFavoritesStoreList(data.favorites));
     } else if (key === 'sitePermissionOverrides' && deps.cleanSitePermissionOverrides) {
       store.set(key, deps.cleanSitePermissionOverrides(data[key]));
@@ -1531,15 +1564,28 @@ function importAxisProfileBackup(deps, payload, profileNameOverride) {
       store.set(key, data[key]);
     }
   }
-  if (ensureAxisVaultForProfile && data.vault) {
-    importVaultEntries(ensureAxisVaultForProfile(profileId), {
-      vaultLogins: data.vault.logins,
-      vaultCards: data.vault.cards,
-      vaultAddresses: data.vault.addresses
-    });
+  if (hasVaultSecrets) {
+    const vault = ensureAxisVaultForProfile(profileId);
+    let vaultReady = false;
+    try {
+      if (vaultPassword && !vault.lockStatus().canUnlockSilently) vault.unlock(vaultPassword);
+      vault.ensureLoaded();
+      vaultReady = true;
+    } catch (e) {
+      warnings.push(
+        `Passwords, cards and addresses were not restored: ${e?.message || e}. The backup file still has them; import it again once the vault is set up.`
+      );
+    }
+    if (vaultReady) {
+      importVaultEntries(vault, {
+        vaultLogins: backupVault.logins,
+        vaultCards: backupVault.cards,
+        vaultAddresses: backupVault.addresses
+      });
+    }
   }
   broadcastProfilesUpdated();
-  return { ok: true, profileId, profileName: allocated.name };
+  return { ok: true, profileId, profileName: allocated.name, warnings };
 }
 
 function inspectCustomProfileFolder(folderPath, options = {}) {
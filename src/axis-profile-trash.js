@@ -52,6 +52,8 @@ function createProfileTrashApi(deps) {
     sanitizeProfileId,
     getProfileStoreFilePath,
     getProfileVaultFilePath,
+    getProfileHistoryDbPath,
+    closeProfileHistoryDb,
     listAxisProfiles,
     saveAxisProfiles,
     axisProfileStores,
@@ -89,10 +91,14 @@ function createProfileTrashApi(deps) {
 
     const storePath = getProfileStoreFilePath(id);
     const vaultPath = getProfileVaultFilePath(id);
+    const historyPath = getProfileHistoryDbPath(id);
     const extensionsDir = path.join(app.getPath('userData'), 'axis-extensions', id);
 
+    // Closing checkpoints the WAL, so the single database file is a complete copy.
+    closeProfileHistoryDb(id);
     await copyPathIfExists(storePath, path.join(entryDir, path.basename(storePath)));
     await copyPathIfExists(vaultPath, path.join(entryDir, path.basename(vaultPath)));
+    await copyPathIfExists(historyPath, path.join(entryDir, path.basename(historyPath)));
     await copyPathIfExists(extensionsDir, path.join(entryDir, 'axis-extensions'));
 
     const extensions = getStoredAxisExtensions(id);
@@ -112,6 +118,9 @@ function createProfileTrashApi(deps) {
 
     await removePathIfExists(storePath);
     await removePathIfExists(vaultPath);
+    for (const suffix of ['', '-wal', '-shm']) {
+      await removePathIfExists(`${historyPath}${suffix}`);
+    }
     await removePathIfExists(extensionsDir);
 
     const root = trashRoot();
@@ -137,6 +146,7 @@ function createProfileTrashApi(deps) {
 
     if (axisProfileStores.has(id)) axisProfileStores.delete(id);
     axisVaultByProfile.delete(id);
+    closeProfileHistoryDb(id);
 
     const storeName = `profile-${id}.json`;
     const vaultName =
@@ -144,6 +154,8 @@ function createProfileTrashApi(deps) {
 
     await copyPathIfExists(path.join(entryDir, storeName), getProfileStoreFilePath(id));
     await copyPathIfExists(path.join(entryDir, vaultName), getProfileVaultFilePath(id));
+    const historyPath = getProfileHistoryDbPath(id);
+    await copyPathIfExists(path.join(entryDir, path.basename(historyPath)), historyPath);
     await copyPathIfExists(
       path.join(entryDir, 'axis-extensions'),
       path.join(app.getPath('userData'), 'axis-extensions', id)
@@ -0,0 +1,570 @@
+'use strict';
+
+/**
+ * Reader mode. `buildReaderExtractScript` returns source for `webContents.executeJavaScript`; it
+ * scores the page's blocks Readability-style (paragraph text credited to parent and grandparent,
+ * class/id hints, link density) and resolves to a plain node tree of the winning content, or `null`
+ * when the page has no article. `buildReaderPageHtml` turns that tree back into markup through a
+ * tag/attribute allowlist, so nothing from the page runs in the reader document.
+ *
+ * The reader page reports its controls to the shell as `AXIS_READER:{json}` console messages.
+ */
+
+const AXIS_READER_FONTS = ['serif', 'sans', 'mono'];
+const AXIS_READER_WIDTHS = ['narrow', 'medium', 'wide'];
+/** `axis` follows the shell theme color; the others are fixed palettes. */
+const AXIS_READER_THEMES = ['axis', 'light', 'sepia', 'dark'];
+const AXIS_READER_SIZE_MIN = 14;
+const AXIS_READER_SIZE_MAX = 28;
+
+const AXIS_READER_DEFAULT_PREFS = {
+  font: 'serif',
+  size: 19,
+  width: 'medium',
+  theme: 'axis'
+};
+
+/** Articles shorter than this (in characters of text) are not worth a reader view. */
+const AXIS_READER_MIN_TEXT = 400;
+const AXIS_READER_MAX_NODES = 20000;
+
+/* Runs inside the guest page — keep it free of Node / Electron references. */
+function axisReaderExtractMain(opts) {
+  const doc = document;
+  if (!doc.body) return null;
+
+  const POSITIVE = /article|body|content|entry|hentry|main|page|post|story|text|blog/i;
+  const NEGATIVE =
+    /comment|footer|footnote|masthead|nav|sidebar|sponsor|advert|share|social|related|promo|menu|widget|banner|subscribe|newsletter|popup|modal|cookie|hidden/i;
+  const UNLIKELY =
+    /banner|breadcrumb|combx|comment|community|disqus|footer|header|menu|modal|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|ad-break|agegate|pagination|pager|popup|cookie|newsletter|subscribe/i;
+  const MAYBE = /and|article|body|column|content|main|shadow/i;
+  const DROP = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'form', 'input',
+    'button', 'select', 'textarea', 'nav', 'aside', 'footer', 'svg', 'canvas', 'link', 'meta', 'dialog'
+  ]);
+  const KEEP = new Set([
+    'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote', 'pre',
+    'code', 'em', 'i', 'strong', 'b', 'u', 's', 'sub', 'sup', 'small', 'mark', 'br', 'hr', 'a', 'img',
+    'figure', 'figcaption', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'q', 'cite',
+    'abbr', 'time', 'kbd', 'var', 'samp', 'del', 'ins'
+  ]);
+  const AS_DIV = new Set(['section', 'article', 'main', 'header']);
+  const BLOCKS = 'p,div,section,article,table,ul,ol,pre,blockquote,h1,h2,h3,h4,h5,h6,figure';
+
+  const textOf = (el) => (el.textContent || '').replace(/\s+/g, ' ').trim();
+  const hints = (el) => `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+  const classWeight = (el) => {
+    const s = hints(el);
+    let w = 0;
+    if (NEGATIVE.test(s)) w -= 25;
+    if (POSITIVE.test(s)) w += 25;
+    return w;
+  };
+  const linkDensity = (el) => {
+    const len = textOf(el).length;
+    if (!len) return 0;
+    let links = 0;
+    for (const a of el.querySelectorAll('a')) links += textOf(a).length;
+    return links / len;
+  };
+  const absUrl = (raw) => {
+    const s = String(raw || '').trim();
+    if (!s) return '';
+    try {
+      return new URL(s, doc.baseURI).href;
+    } catch (_) {
+      return '';
+    }
+  };
+  const meta = (...names) => {
+    for (const n of names) {
+      const m = doc.querySelector(`meta[property="${n}"], meta[name="${n}"]`);
+      const v = m && String(m.getAttribute('content') || '').trim();
+      if (v) return v;
+    }
+    return '';
+  };
+
+  /* Work on a copy; the live page is left untouched. */
+  const root = doc.body.cloneNode(true);
+  for (const el of Array.from(root.querySelectorAll('*'))) {
+    if (!root.contains(el)) continue;
+    const tag = el.tagName.toLowerCase();
+    const style = String(el.getAttribute('style') || '');
+    if (
+      DROP.has(tag) ||
+      el.hasAttribute('hidden') ||
+      el.getAttribute('aria-hidden') === 'true' ||
+      /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style)
+    ) {
+      el.remove();
+      continue;
+    }
+    const s = hints(el);
+    if (
+      tag !== 'body' &&
+      tag !== 'article' &&
+      tag !== 'main' &&
+      UNLIKELY.test(s) &&
+      !MAYBE.test(s) &&
+      !el.closest('table, pre, code')
+    ) {
+      el.remove();
+    }
+  }
+
+  const scores = new Map();
+  const initScore = (el) => {
+    if (scores.has(el)) return;
+    let s = classWeight(el);
+    switch (el.tagName) {
+      case 'DIV':
+        s += 5;
+        break;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        s += 3;
+        break;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+        s -= 3;
+        break;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+        s -= 5;
+        break;
+      default:
+        break;
+    }
+    scores.set(el, s);
+  };
+
+  /* Paragraph-like blocks: real paragraphs plus divs that hold only inline content. */
+  const paragraphs = Array.from(root.querySelectorAll('p, pre, td')).concat(
+    Array.from(root.querySelectorAll('div')).filter((d) => !d.querySelector(BLOCKS))
+  );
+  for (const p of paragraphs) {
+    const text = textOf(p);
+    if (text.length < 25) continue;
+    const parent = p.parentElement;
+    if (!parent) continue;
+    const score = 1 + (text.split(/[,，、]/).length - 1) + Math.min(3, Math.floor(text.length / 100));
+    initScore(parent);
+    scores.set(parent, scores.get(parent) + score);
+    const grand = parent.parentElement;
+    if (grand) {
+      initScore(grand);
+      scores.set(grand, scores.get(grand) + score / 2);
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, raw] of scores) {
+    const s = raw * (1 - linkDensity(el));
+    scores.set(el, s);
+    if (s > topScore) {
+      top = el;
+      topScore = s;
+    }
+  }
+  if (!top) top = root;
+
+  /* Siblings that look like more of the same article (split bodies, lead images). */
+  const picked = [];
+  const parent = top.parentElement;
+  if (parent && top !== root) {
+    const threshold = Math.max(10, topScore * 0.2);
+    for (const sib of Array.from(parent.children)) {
+      let keep = sib === top;
+      if (!keep) {
+        let bonus = 0;
+        if (sib.className && sib.className === top.className) bonus += topScore * 0.2;
+        if (scores.has(sib) && scores.get(sib) + bonus >= threshold) {
+          keep = true;
+        } else if (sib.tagName === 'P') {
+          const text = textOf(sib);
+          const ld = linkDensity(sib);
+          keep = (text.length > 80 && ld < 0.25) || (text.length > 0 && ld === 0 && /\.( |$)/.test(text));
+        }
+      }
+      if (keep) picked.push(sib);
+    }
+  } else {
+    picked.push(top);
+  }
+
+  /* Drop nested link lists, share bars and similar clutter inside the chosen blocks. */
+  for (const block of picked) {
+    for (const el of Array.from(block.querySelectorAll('div, section, ul, ol, table, header'))) {
+      if (!block.contains(el)) continue;
+      const text = textOf(el);
+      const hasMedia = !!el.querySelector('img, pre, figure');
+      if (
+        classWeight(el) < 0 ||
+        (linkDensity(el) > 0.5 && text.length < 600) ||
+        (!hasMedia && text.length < 25 && !el.closest('pre'))
+      ) {
+        el.remove();
+      }
+    }
+  }
+
+  const textLength = picked.reduce((n, el) => n + textOf(el).length, 0);
+  if (textLength < opts.minTextLength) return null;
+
+  const h1 = picked.map((el) => el.querySelector('h1')).find(Boolean) || doc.querySelector('h1');
+  const title = (meta('og:title', 'twitter:title') || (h1 ? textOf(h1) : '') || doc.title || '').slice(0, 300);
+  let byline = meta('author', 'article:author', 'byl');
+  if (!byline || /^https?:/i.test(byline)) {
+    const by = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+    byline = by ? textOf(by) : '';
+  }
+  if (byline.length > 120) byline = '';
+
+  let budget = opts.maxNodes;
+  let skippedTitle = false;
+  const serialize = (node, inPre) => {
+    if (budget-- <= 0) return null;
+    if (node.nodeType === 3) {
+      const t = inPre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+      return t ? t : null;
+    }
+    if (node.nodeType !== 1) return null;
+    let tag = node.tagName.toLowerCase();
+    if (DROP.has(tag)) return null;
+    if (AS_DIV.has(tag)) tag = 'div';
+    if (!skippedTitle && (tag === 'h1' || tag === 'h2') && textOf(node) === title) {
+      skippedTitle = true;
+      return null;
+    }
+    const pre = inPre || tag === 'pre';
+    const children = [];
+    for (const c of Array.from(node.childNodes)) {
+      const out = serialize(c, pre);
+      if (out == null) continue;
+      if (Array.isArray(out)) children.push(...out);
+      else children.push(out);
+    }
+    if (!KEEP.has(tag)) return children;
+    const a = {};
+    if (tag === 'a') {
+      const href = absUrl(node.getAttribute('href'));
+      if (href) a.href = href;
+    } else if (tag === 'img') {
+      const srcset = String(node.getAttribute('srcset') || node.getAttribute('data-srcset') || '');
+      const src = absUrl(
+        node.getAttribute('data-src') ||
+          node.getAttribute('data-lazy-src') ||
+          node.getAttribute('data-original') ||
+          node.getAttribute('src') ||
+          srcset.split(',').pop().trim().split(/\s+/)[0]
+      );
+      if (!src || node.getAttribute('width') === '1' || node.getAttribute('height') === '1') return null;
+      a.src = src;
+      const alt = node.getAttribute('alt');
+      if (alt) a.alt = alt;
+    } else if (tag === 'td' || tag === 'th') {
+      if (node.getAttribute('colspan')) a.colspan = node.getAttribute('colspan');
+      if (node.getAttribute('rowspan')) a.rowspan = node.getAttribute('rowspan');
+    } else if (tag === 'ol' && node.getAttribute('start')) {
+      a.start = node.getAttribute('start');
+    } else if ((tag === 'abbr' || tag === 'time') && node.getAttribute('title')) {
+      a.title = node.getAttribute('title');
+    }
+    return { t: tag, a, c: children };
+  };
+
+  const content = [];
+  for (const el of picked) {
+    const out = serialize(el, false);
+    if (out == null) continue;
+    if (Array.isArray(out)) content.push(...out);
+    else content.push(out);
+  }
+
+  return {
+    title,
+    byline,
+    siteName: meta('og:site_name', 'application-name') || location.hostname.replace(/^www\./, ''),
+    lang: doc.documentElement.getAttribute('lang') || '',
+    dir: doc.documentElement.getAttribute('dir') === 'rtl' ? 'rtl' : 'ltr',
+    textLength,
+    content
+  };
+}
+
+function buildReaderExtractScript() {
+  const opts = { minTextLength: AXIS_READER_MIN_TEXT, maxNodes: AXIS_READER_MAX_NODES };
+  return `(${axisReaderExtractMain.toString()})(${JSON.stringify(opts)})`;
+}
+
+function normalizeReaderPrefs(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const size = Math.round(Number(src.size));
+  return {
+    font: AXIS_READER_FONTS.includes(src.font) ? src.font : AXIS_READER_DEFAULT_PREFS.font,
+    size: Number.isFinite(size)
+      ? Math.min(AXIS_READER_SIZE_MAX, Math.max(AXIS_READER_SIZE_MIN, size))
+      : AXIS_READER_DEFAULT_PREFS.size,
+    width: AXIS_READER_WIDTHS.includes(src.width) ? src.width : AXIS_READER_DEFAULT_PREFS.width,
+    theme: AXIS_READER_THEMES.includes(src.theme) ? src.theme : AXIS_READER_DEFAULT_PREFS.theme
+  };
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** Colors of the `axis` reader theme, as computed by the shell from its theme color. */
+function normalizeReaderTheme(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const dark = src.dark !== false;
+  const pick = (v, fallback) => (HEX_COLOR.test(String(v || '')) ? String(v) : fallback);
+  return {
+    dark,
+    background: pick(src.background, dark ? '#161618' : '#fbfbfa'),
+    text: pick(src.text, dark ? '#e8e8ea' : '#1d1d1f'),
+    accent: pick(src.accent, dark ? '#8ab4f8' : '#0a66c2')
+  };
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function safeReaderUrl(raw, { allowDataImage = false } = {}) {
+  const s = String(raw || '').trim();
+  if (allowDataImage && /^data:image\/(png|jpe?g|gif|webp|avif);/i.test(s)) return s;
+  try {
+    const u = new URL(s);
+    if (u.protocol === 'https:' || u.protocol === 'http:' || u.protocol === 'mailto:') return u.href;
+  } catch (_) {}
+  return '';
+}
+
+const RENDER_TAGS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote', 'pre',
+  'code', 'em', 'i', 'strong', 'b', 'u', 's', 'sub', 'sup', 'small', 'mark', 'br', 'hr', 'a', 'img',
+  'figure', 'figcaption', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'q', 'cite',
+  'abbr', 'time', 'kbd', 'var', 'samp', 'del', 'ins'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+/** Extracted node tree → markup. Anything outside the allowlist is dropped or unwrapped. */
+function renderReaderNodes(nodes, depth = 0) {
+  if (!Array.isArray(nodes) || depth > 200) return '';
+  let out = '';
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      out += escapeHtml(node);
+      continue;
+    }
+    if (!node || typeof node !== 'object') continue;
+    const inner = renderReaderNodes(node.c, depth + 1);
+    let tag = String(node.t || '');
+    if (!RENDER_TAGS.has(tag)) {
+      out += inner;
+      continue;
+    }
+    if (tag === 'h1') tag = 'h2';
+    const a = node.a && typeof node.a === 'object' ? node.a : {};
+    let attrs = '';
+    if (tag === 'a') {
+      const href = safeReaderUrl(a.href);
+      if (!href) {
+        out += inner;
+        continue;
+      }
+      attrs = ` href="${escapeHtml(href)}"`;
+    } else if (tag === 'img') {
+      const src = safeReaderUrl(a.src, { allowDataImage: true });
+      if (!src || src.startsWith('mailto:')) continue;
+      attrs = ` src="${escapeHtml(src)}" alt="${escapeHtml(a.alt || '')}" loading="lazy"`;
+    } else if (tag === 'td' || tag === 'th') {
+      for (const k of ['colspan', 'rowspan']) {
+        const n = parseInt(a[k], 10);
+        if (n > 1 && n < 100) attrs += ` ${k}="${n}"`;
+      }
+    } else if (tag === 'ol') {
+      const n = parseInt(a.start, 10);
+      if (Number.isFinite(n)) attrs = ` start="${n}"`;
+    } else if ((tag === 'abbr' || tag === 'time') && a.title) {
+      attrs = ` title="${escapeHtml(a.title)}"`;
+    }
+    out += VOID_TAGS.has(tag) ? `<${tag}${attrs}>` : `<${tag}${attrs}>${inner}</${tag}>`;
+  }
+  return out;
+}
+
+/* Runs inside the reader page — wires the toolbar and reports to the shell. */
+function axisReaderPageMain() {
+  const html = document.documentElement;
+  const post = (msg) => console.log('AXIS_READER:' + JSON.stringify(msg));
+  const prefs = () => ({
+    font: html.dataset.font,
+    size: Number(html.style.getPropertyValue('--reader-size').replace('px', '')),
+    width: html.dataset.width,
+    theme: html.dataset.theme
+  });
+  const sync = () => {
+    for (const btn of document.querySelectorAll('[data-set]')) {
+      const [key, value] = btn.dataset.set.split(':');
+      btn.setAttribute('aria-pressed', String(html.dataset[key] === value));
+    }
+  };
+  document.querySelector('.toolbar').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.set) {
+      const [key, value] = btn.dataset.set.split(':');
+      html.dataset[key] = value;
+      sync();
+      post({ action: 'prefs', prefs: prefs() });
+    } else if (btn.dataset.size) {
+      const cur = prefs().size;
+      const next = Math.min(28, Math.max(14, cur + Number(btn.dataset.size)));
+      html.style.setProperty('--reader-size', next + 'px');
+      post({ action: 'prefs', prefs: prefs() });
+    } else if (btn.dataset.action === 'listen') {
+      if (btn.getAttribute('aria-pressed') === 'true') {
+        post({ action: 'stop' });
+        btn.setAttribute('aria-pressed', 'false');
+        return;
+      }
+      const title = document.querySelector('.reader-title');
+      const text = [title ? title.innerText : '', document.querySelector('.reader-content').innerText]
+        .join('\n\n')
+        .trim();
+      post({ action: 'speak', text });
+      btn.setAttribute('aria-pressed', 'true');
+    } else if (btn.dataset.action === 'exit') {
+      post({ action: 'exit' });
+    }
+  });
+  /* Speech runs in this document; flip Listen back once it finishes on its own. */
+  setInterval(() => {
+    const listen = document.querySelector('[data-action="listen"]');
+    if (listen.getAttribute('aria-pressed') === 'true' && window.speechSynthesis && !window.speechSynthesis.speaking) {
+      listen.setAttribute('aria-pressed', 'false');
+    }
+  }, 1000);
+  sync();
+}
+
+/**
+ * Full reader document, served from `axis-reader://<token>/` by the main process.
+ * @param {{ article: object, prefs?: object, theme?: object, sourceUrl: string }} opts
+ */
+function buildReaderPageHtml({ article, prefs, theme, sourceUrl }) {
+  const p = normalizeReaderPrefs(prefs);
+  const t = normalizeReaderTheme(theme);
+  const source = safeReaderUrl(sourceUrl);
+  const lang = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(article.lang || '') ? article.lang : '';
+  const minutes = Math.max(1, Math.round((Number(article.textLength) || 0) / 1200));
+  const meta = [article.siteName, article.byline, `${minutes} min read`].filter(Boolean).map(escapeHtml);
+  const set = (key, value, label, title = label) =>
+    `<button type="button" data-set="${key}:${value}" title="${title}">${label}</button>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}" dir="${article.dir === 'rtl' ? 'rtl' : 'ltr'}" data-font="${p.font}" data-width="${p.width}" data-theme="${p.theme}" style="--reader-size: ${p.size}px">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src http: https: data:; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(article.title || 'Reader')}</title>
+<style>
+  :root { --axis-bg: ${t.background}; --axis-fg: ${t.text}; --axis-accent: ${t.accent}; color-scheme: ${t.dark ? 'dark' : 'light'}; }
+  html[data-theme="axis"] { --bg: var(--axis-bg); --fg: var(--axis-fg); --accent: var(--axis-accent); --muted: color-mix(in srgb, var(--fg) 58%, transparent); --rule: color-mix(in srgb, var(--fg) 14%, transparent); }
+  html[data-theme="light"] { --bg: #ffffff; --fg: #1d1d1f; --accent: #0a66c2; --muted: #6e6e73; --rule: #e5e5ea; color-scheme: light; }
+  html[data-theme="sepia"] { --bg: #f4ecd8; --fg: #433422; --accent: #8a4b0f; --muted: #7d6a55; --rule: #e0d3b8; color-scheme: light; }
+  html[data-theme="dark"] { --bg: #121212; --fg: #e2e2e2; --accent: #8ab4f8; --muted: #9a9a9a; --rule: #2c2c2e; color-scheme: dark; }
+  html[data-font="serif"] { --reader-font: Charter, "Iowan Old Style", Georgia, Cambria, "Times New Roman", serif; }
+  html[data-font="sans"] { --reader-font: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; }
+  html[data-font="mono"] { --reader-font: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  html[data-width="narrow"] { --reader-width: 34em; }
+  html[data-width="medium"] { --reader-width: 40em; }
+  html[data-width="wide"] { --reader-width: 52em; }
+  * { box-sizing: border-box; }
+  body { margin: 0; background: var(--bg); color: var(--fg); font: var(--reader-size)/1.65 var(--reader-font);
+    transition: background 0.2s ease, color 0.2s ease; }
+  .toolbar { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; align-items: center; justify-content: center;
+    gap: 6px 14px; padding: 8px 12px; background: color-mix(in srgb, var(--bg) 88%, transparent);
+    backdrop-filter: blur(12px); border-bottom: 1px solid var(--rule);
+    font: 12px/1 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+  .group { display: flex; gap: 2px; padding: 2px; border-radius: 8px; background: var(--rule); }
+  .toolbar button { font: inherit; color: var(--fg); background: transparent; border: none; border-radius: 6px;
+    padding: 6px 9px; cursor: pointer; }
+  .toolbar button:hover { background: color-mix(in srgb, var(--fg) 10%, transparent); }
+  .toolbar button[aria-pressed="true"] { background: var(--bg); color: var(--accent); box-shadow: 0 1px 2px rgba(0, 0, 0, 0.15); }
+  .swatch { width: 14px; height: 14px; border-radius: 50%; display: inline-block; vertical-align: middle;
+    border: 1px solid color-mix(in srgb, var(--fg) 30%, transparent); }
+  article { max-width: var(--reader-width); margin: 0 auto; padding: 40px 24px 96px; }
+  .reader-meta { margin: 0 0 6px; color: var(--muted); font-size: 0.8em; }
+  .reader-meta a { color: inherit; }
+  .reader-title { margin: 0 0 28px; font-size: 1.9em; line-height: 1.2; }
+  .reader-content h2 { font-size: 1.4em; line-height: 1.3; margin: 1.6em 0 0.6em; }
+  .reader-content h3, .reader-content h4, .reader-content h5, .reader-content h6 { font-size: 1.15em; margin: 1.4em 0 0.5em; }
+  .reader-content p, .reader-content ul, .reader-content ol, .reader-content dl, .reader-content figure { margin: 0 0 1.1em; }
+  .reader-content a { color: var(--accent); }
+  .reader-content img { display: block; max-width: 100%; height: auto; margin: 1.2em auto; border-radius: 4px; }
+  .reader-content figcaption, .reader-content caption { color: var(--muted); font-size: 0.8em; text-align: center; }
+  .reader-content blockquote { margin: 1.2em 0; padding: 0 0 0 1em; border-inline-start: 3px solid var(--rule); color: var(--muted); }
+  .reader-content pre { overflow-x: auto; padding: 12px 14px; border-radius: 6px; background: var(--rule); font-size: 0.8em; line-height: 1.5; }
+  .reader-content code, .reader-content kbd, .reader-content samp { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.88em; }
+  .reader-content table { border-collapse: collapse; width: 100%; font-size: 0.85em; display: block; overflow-x: auto; }
+  .reader-content th, .reader-content td { border: 1px solid var(--rule); padding: 6px 8px; text-align: start; }
+  .reader-content hr { border: none; border-top: 1px solid var(--rule); margin: 2em 0; }
+</style>
+</head>
+<body>
+<div class="toolbar" role="toolbar" aria-label="Reader settings">
+  <div class="group">${set('font', 'serif', 'Serif')}${set('font', 'sans', 'Sans')}${set('font', 'mono', 'Mono')}</div>
+  <div class="group">
+    <button type="button" data-size="-1" title="Smaller text">A−</button>
+    <button type="button" data-size="1" title="Larger text">A+</button>
+  </div>
+  <div class="group">${set('width', 'narrow', 'Narrow')}${set('width', 'medium', 'Medium')}${set('width', 'wide', 'Wide')}</div>
+  <div class="group">
+    ${set('theme', 'axis', `<span class="swatch" style="background: ${t.background}"></span>`, 'Axis theme')}
+    ${set('theme', 'light', '<span class="swatch" style="background: #ffffff"></span>', 'Light')}
+    ${set('theme', 'sepia', '<span class="swatch" style="background: #f4ecd8"></span>', 'Sepia')}
+    ${set('theme', 'dark', '<span class="swatch" style="background: #121212"></span>', 'Dark')}
+  </div>
+  <div class="group">
+    <button type="button" data-action="listen" aria-pressed="false" title="Read aloud">Listen</button>
+    <button type="button" data-action="exit" title="Back to the original page">Exit reader</button>
+  </div>
+</div>
+<article>
+  <p class="reader-meta">${source ? `<a href="${escapeHtml(source)}">${meta.join(' · ')}</a>` : meta.join(' · ')}</p>
+  <h1 class="reader-title">${escapeHtml(article.title || '')}</h1>
+  <div class="reader-content">${renderReaderNodes(article.content)}</div>
+</article>
+<script>(${axisReaderPageMain.toString()})();</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  AXIS_READER_DEFAULT_PREFS,
+  buildReaderExtractScript,
+  normalizeReaderPrefs,
+  normalizeReaderTheme,
+  buildReaderPageHtml
+};
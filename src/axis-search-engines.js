@@ -0,0 +1,241 @@
+/**
+ * Search engines: the built-in list plus user-defined ones (`customSearchEngines` setting).
+ * URL templates use `%s` for the encoded query. Shared by the main browser renderer and Settings.
+ */
+(function (global) {
+  'use strict';
+
+  const BUILTIN_ENGINES = [
+    { id: 'google', name: 'Google', keyword: 'google', url: 'https://www.google.com/search?q=%s' },
+    { id: 'bing', name: 'Bing', keyword: 'bing', url: 'https://www.bing.com/search?q=%s' },
+    // HTML version for better webview compatibility
+    { id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'duckduckgo', url: 'https://html.duckduckgo.com/html/?q=%s' },
+    { id: 'youtube', name: 'YouTube', keyword: 'youtube', url: 'https://www.youtube.com/results?search_query=%s' },
+    { id: 'yahoo', name: 'Yahoo!', keyword: 'yahoo', url: 'https://search.yahoo.com/search?p=%s' },
+    { id: 'yandex', name: 'Yandex', keyword: 'yandex', url: 'https://yandex.com/search/?text=%s' },
+    {
+      id: 'wikipedia',
+      name: 'Wikipedia',
+      keyword: 'wikipedia',
+      url: 'https://en.wikipedia.org/wiki/Special:Search?search=%s'
+    },
+    { id: 'reddit', name: 'Reddit', keyword: 'reddit', url: 'https://www.reddit.com/search/?q=%s' },
+    { id: 'github', name: 'GitHub', keyword: 'github', url: 'https://github.com/search?q=%s' },
+    { id: 'amazon', name: 'Amazon', keyword: 'amazon', url: 'https://www.amazon.com/s?k=%s' },
+    { id: 'twitter', name: 'Twitter', keyword: 'twitter', url: 'https://twitter.com/search?q=%s' },
+    { id: 'instagram', name: 'Instagram', keyword: 'instagram', url: 'https://www.instagram.com/explore/tags/%s/' },
+    { id: 'facebook', name: 'Facebook', keyword: 'facebook', url: 'https://www.facebook.com/search/top/?q=%s' }
+  ].map((e) => Object.freeze({ ...e, builtin: true }));
+
+  const DEFAULT_ENGINE_ID = 'google';
+  const CUSTOM_ENGINE_MAX = 50;
+  const NAME_MAX = 60;
+  const KEYWORD_MAX = 32;
+  const URL_MAX = 2048;
+
+  function normalizeKeyword(raw) {
+    return String(raw || '').trim().toLowerCase();
+  }
+
+  function isHttpTemplate(raw) {
+    const s = String(raw || '').trim();
+    if (!s || s.length > URL_MAX || !s.includes('%s')) return false;
+    try {
+      const u = new URL(s.replace(/%s/g, 'x'));
+      return u.protocol === 'https:' || u.protocol === 'http:';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function newEngineId() {
+    return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /** Stored row → clean engine, or null when it is unusable. */
+  function sanitizeCustomEngine(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id || '').trim();
+    const name = String(raw.name || '').trim().slice(0, NAME_MAX);
+    const keyword = normalizeKeyword(raw.keyword).slice(0, KEYWORD_MAX);
+    const url = String(raw.url || '').trim();
+    if (!/^custom-[a-z0-9]+$/.test(id) || !name || !isHttpTemplate(url)) return null;
+    const suggestUrl = String(raw.suggestUrl || '').trim();
+    return {
+      id,
+      name,
+      keyword: /\s/.test(keyword) ? '' : keyword,
+      url,
+      suggestUrl: isHttpTemplate(suggestUrl) ? suggestUrl : ''
+    };
+  }
+
+  function normalizeCustomEngines(raw) {
+    if (!Array.isArray(raw)) return [];
+    const out = [];
+    const seen = new Set();
+    for (const row of raw) {
+      const e = sanitizeCustomEngine(row);
+      if (!e || seen.has(e.id)) continue;
+      seen.add(e.id);
+      out.push(e);
+      if (out.length >= CUSTOM_ENGINE_MAX) break;
+    }
+    return out;
+  }
+
+  /**
+   * Checks a user-entered engine against the existing list.
+   * `raw.id` set means an edit of that engine (its own keyword does not conflict).
+   * @returns {{ ok: true, engine: object } | { ok: false, error: string }}
+   */
+  function validateCustomEngine(raw, customEngines) {
+    const existing = normalizeCustomEngines(customEngines);
+    const editing = raw && raw.id ? existing.find((e) => e.id === raw.id) : null;
+    if (raw && raw.id && !editing) return { ok: false, error: 'That search engine no longer exists.' };
+    if (!editing && existing.length >= CUSTOM_ENGINE_MAX) {
+      return { ok: false, error: `You can add up to ${CUSTOM_ENGINE_MAX} search engines.` };
+    }
+    const name = String((raw && raw.name) || '').trim();
+    if (!name) return { ok: false, error: 'Enter a name.' };
+    if (name.length > NAME_MAX) return { ok: false, error: `Keep the name under ${NAME_MAX} characters.` };
+    const url = String((raw && raw.url) || '').trim();
+    if (!isHttpTemplate(url)) {
+      return { ok: false, error: 'The search URL must be an http(s) address containing %s where the query goes.' };
+    }
+    const suggestUrl = String((raw && raw.suggestUrl) || '').trim();
+    if (suggestUrl && !isHttpTemplate(suggestUrl)) {
+      return { ok: false, error: 'The suggestion URL must be an http(s) address containing %s.' };
+    }
+    const keyword = normalizeKeyword(raw && raw.keyword);
+    if (keyword) {
+      if (/\s/.test(keyword)) return { ok: false, error: 'Keywords cannot contain spaces.' };
+      if (keyword.length > KEYWORD_MAX) {
+        return { ok: false, error: `Keep the keyword under ${KEYWORD_MAX} characters.` };
+      }
+      const taken = listEngines(existing).find(
+        (e) => e.keyword === keyword && (!editing || e.id !== editing.id)
+      );
+      if (taken) return { ok: false, error: `“${keyword}” is already the keyword for ${taken.name}.` };
+    }
+    return {
+      ok: true,
+      engine: { id: editing ? editing.id : newEngineId(), name, keyword, url, suggestUrl }
+    };
+  }
+
+  /** Built-ins first, then custom engines in the order the user added them. */
+  function listEngines(customEngines) {
+    return [...BUILTIN_ENGINES, ...normalizeCustomEngines(customEngines)];
+  }
+
+  function findEngine(customEngines, id) {
+    if (!id) return null;
+    return listEngines(customEngines).find((e) => e.id === id) || null;
+  }
+
+  function findEngineByKeyword(customEngines, keyword) {
+    const k = normalizeKeyword(keyword);
+    if (!k) return null;
+    return listEngines(customEngines).find((e) => e.keyword === k) || null;
+  }
+
+  /** Unknown or deleted ids fall back to Google. */
+  function resolveEngine(customEngines, id) {
+    return findEngine(customEngines, id) || findEngine(null, DEFAULT_ENGINE_ID);
+  }
+
+  function expandTemplate(template, query) {
+    return String(template).replace(/%s/g, encodeURIComponent(String(query)));
+  }
+
+  function buildSearchUrl(engine, query) {
+    return expandTemplate(engine.url, query);
+  }
+
+  /** `null` when the engine has no suggestion endpoint. */
+  function buildSuggestUrl(engine, query) {
+    return engine && engine.suggestUrl ? expandTemplate(engine.suggestUrl, query) : null;
+  }
+
+  /** OpenSearch suggestions JSON: `["query", ["completion", …], …]`. */
+  function parseSuggestResponse(text) {
+    try {
+      const data = JSON.parse(String(text || ''));
+      if (!Array.isArray(data) || !Array.isArray(data[1])) return [];
+      return data[1].filter((s) => typeof s === 'string' && s.trim()).slice(0, 10);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * OpenSearch `template` → `%s` template. Optional parameters (`{name?}`) are dropped; a
+   * required parameter other than the query and encodings makes the template unusable.
+   */
+  function convertOpenSearchTemplate(template, baseUrl) {
+    let s = String(template || '').trim();
+    if (!s || !/\{searchTerms\}/.test(s)) return null;
+    s = s
+      .replace(/\{searchTerms\}/g, '%s')
+      .replace(/\{(?:inputEncoding|outputEncoding)\}/g, 'UTF-8')
+      .replace(/\{startPage\}/g, '1')
+      .replace(/\{startIndex\}/g, '1')
+      .replace(/\{[^}]*\?\}/g, '');
+    if (/\{[^}]*\}/.test(s)) return null;
+    try {
+      const abs = new URL(s.replace(/%s/g, '__AXIS_QUERY__'), baseUrl).href.replace(/__AXIS_QUERY__/g, '%s');
+      return isHttpTemplate(abs) ? abs : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads an OpenSearch description document (already parsed as XML).
+   * @returns {{ name: string, url: string, suggestUrl: string } | null}
+   */
+  function parseOpenSearchDescription(doc, descriptionUrl) {
+    if (!doc || !doc.documentElement || doc.documentElement.localName !== 'OpenSearchDescription') return null;
+    const childText = (name) => {
+      const el = Array.from(doc.documentElement.children).find((c) => c.localName === name);
+      return el ? String(el.textContent || '').trim() : '';
+    };
+    let url = '';
+    let suggestUrl = '';
+    for (const el of Array.from(doc.getElementsByTagNameNS('*', 'Url'))) {
+      const type = String(el.getAttribute('type') || '').toLowerCase();
+      const method = String(el.getAttribute('method') || 'get').toLowerCase();
+      if (method !== 'get') continue;
+      const tpl = convertOpenSearchTemplate(el.getAttribute('template'), descriptionUrl);
+      if (!tpl) continue;
+      if (type === 'text/html' && !url) url = tpl;
+      else if (type === 'application/x-suggestions+json' && !suggestUrl) suggestUrl = tpl;
+    }
+    const name = (childText('ShortName') || childText('LongName')).slice(0, NAME_MAX);
+    if (!url || !name) return null;
+    return { name, url, suggestUrl };
+  }
+
+  /** Suggested keyword for a discovered engine: its host without `www.`. */
+  function keywordForHost(hostname) {
+    return normalizeKeyword(hostname).replace(/^www\./, '').slice(0, KEYWORD_MAX);
+  }
+
+  global.AxisSearchEngines = {
+    BUILTIN_ENGINES,
+    DEFAULT_ENGINE_ID,
+    CUSTOM_ENGINE_MAX,
+    normalizeCustomEngines,
+    validateCustomEngine,
+    listEngines,
+    findEngine,
+    findEngineByKeyword,
+    resolveEngine,
+    buildSearchUrl,
+    buildSuggestUrl,
+    parseSuggestResponse,
+    parseOpenSearchDescription,
+    keywordForHost
+  };
+})(typeof window !== 'undefined' ? window : global);
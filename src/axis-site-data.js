@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { querySqliteDb, pathExists } = require('./axis-import-sqlite');
+const { readLevelDbEntries } = require('./axis-leveldb');
+
+/**
+ * Cookies and site data for Settings: which sites store data in a profile partition, and the
+ * per-origin "clear on exit" / "never allow" rules kept in the profile store.
+ *
+ * Sites come from the session's cookies plus Chromium's quota database (`WebStorage/QuotaManager`),
+ * which has a bucket for every origin using IndexedDB, Cache Storage, File System or service
+ * workers, and `Local Storage/leveldb`, which keeps a `META:<origin>` entry per origin using
+ * localStorage. Usage is on-disk size of those stores, so it is approximate.
+ */
+
+const AXIS_SITE_DATA_RULES_KEY = 'siteDataRules';
+/**
+ * `clearOnExit`: storage is wiped at quit. `block`: cookies are dropped as they are set, and the
+ * origin's storage when a tab leaves it (and again at quit).
+ */
+const AXIS_SITE_DATA_RULE_VALUES = ['clearOnExit', 'block'];
+const AXIS_SITE_DATA_RULES_MAX = 500;
+
+/** `https://host[:port]` from a URL or bare host, or null. */
+function normalizeSiteDataOrigin(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return null;
+  try {
+    const u = new URL(s.includes('://') ? s : `https://${s}`);
+    if (u.protocol !== 'https:' && u.protocol !== 'http:') return null;
+    return u.origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+function cleanSiteDataRules(raw) {
+  const out = {};
+  if (!raw || typeof raw !== 'object') return out;
+  for (const [key, value] of Object.entries(raw)) {
+    const origin = normalizeSiteDataOrigin(key);
+    if (!origin || !AXIS_SITE_DATA_RULE_VALUES.includes(value)) continue;
+    out[origin] = value;
+    if (Object.keys(out).length >= AXIS_SITE_DATA_RULES_MAX) break;
+  }
+  return out;
+}
+
+/** Cookie domain without the leading dot of domain cookies. */
+function cookieHost(cookie) {
+  return String(cookie?.domain || '').replace(/^\./, '').toLowerCase();
+}
+
+/** URL `cookies.remove` needs to address this cookie. */
+function cookieUrl(cookie) {
+  return `${cookie.secure ? 'https' : 'http'}://${cookieHost(cookie)}${cookie.path || '/'}`;
+}
+
+/** Cookies set for `host` or one of its subdomains. */
+function cookieMatchesHost(cookie, host) {
+  const h = cookieHost(cookie);
+  return !!h && (h === host || h.endsWith(`.${host}`));
+}
+
+/** Whether an http(s) URL is on one of `hosts` or a subdomain; returns its origin, or null. */
+function blockedSiteDataOrigin(url, hosts) {
+  if (!hosts || !hosts.size || !/^https?:/i.test(String(url || ''))) return null;
+  const origin = normalizeSiteDataOrigin(url);
+  if (!origin) return null;
+  const h = new URL(origin).hostname;
+  for (const host of hosts) if (h === host || h.endsWith(`.${host}`)) return origin;
+  return null;
+}
+
+/** Cookie fields Settings shows; values are cut short, they can be large. */
+function toSiteDataCookie(cookie) {
+  return {
+    name: cookie.name,
+    domain: cookie.domain || '',
+    path: cookie.path || '/',
+    value: String(cookie.value || '').slice(0, 300),
+    size: String(cookie.name || '').length + String(cookie.value || '').length,
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly,
+    sameSite: cookie.sameSite || 'unspecified',
+    session: !!cookie.session,
+    expirationDate: cookie.session ? null : Number(cookie.expirationDate) || null
+  };
+}
+
+/** Top-level origin of a serialized storage key (`https://a.com/`, or `https://a.com/^0https://b.com` when partitioned). */
+function storageKeyOrigin(key) {
+  const first = String(key || '').split('^')[0];
+  return normalizeSiteDataOrigin(first);
+}
+
+async function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (_) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const p = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(p);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.promises.stat(p)).size;
+      } catch (_) {}
+    }
+  }
+  return total;
+}
+
+/** `https_example.com_0.indexeddb.leveldb` (default-bucket IndexedDB) → `https://example.com`. */
+function legacyIndexedDbOrigin(name) {
+  const m = /^(https?)_(.+)_(\d+)\.indexeddb\.(?:leveldb|blob)$/.exec(name);
+  if (!m) return null;
+  const port = m[3] === '0' ? '' : `:${m[3]}`;
+  return normalizeSiteDataOrigin(`${m[1]}://${m[2]}${port}`);
+}
+
+/** `size_bytes` (field 2) of a `LocalStorageOriginMetaData` protobuf, or 0. */
+function localStorageMetaSize(value) {
+  let pos = 0;
+  let size = 0;
+  try {
+    while (pos < value.length) {
+      const tag = value[pos++];
+      if ((tag & 7) !== 0) break;
+      let n = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = value[pos++];
+        n += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte >= 0x80 && pos < value.length);
+      if (tag >> 3 === 2) size = n;
+    }
+  } catch (_) {}
+  return size;
+}
+
+/**
+ * Origin → approximate bytes on disk for quota-managed storage in a partition directory.
+ * @param {string|null} storagePath `session.getStoragePath()`
+ * @returns {Promise<Map<string, number>>}
+ */
+async function readSiteStorageUsage(storagePath) {
+  const usage = new Map();
+  if (!storagePath) return usage;
+  const add = (origin, bytes) => {
+    if (origin) usage.set(origin, (usage.get(origin) || 0) + bytes);
+  };
+
+  const webStorage = path.join(storagePath, 'WebStorage');
+  const { rows } = querySqliteDb(path.join(webStorage, 'QuotaManager'), 'SELECT id, storage_key FROM buckets');
+  for (const row of rows) {
+    const origin = storageKeyOrigin(row.storage_key);
+    if (origin) add(origin, await directorySize(path.join(webStorage, String(row.id))));
+  }
+
+  const idbDir = path.join(storagePath, 'IndexedDB');
+  if (pathExists(idbDir)) {
+    for (const name of await fs.promises.readdir(idbDir).catch(() => [])) {
+      const origin = legacyIndexedDbOrigin(name);
+      if (origin) add(origin, await directorySize(path.join(idbDir, name)));
+    }
+  }
+
+  const localStorageDir = path.join(storagePath, 'Local Storage', 'leveldb');
+  if (pathExists(localStorageDir)) {
+    for (const [key, value] of await readLevelDbEntries(localStorageDir)) {
+      if (!key.startsWith('META:')) continue;
+      add(normalizeSiteDataOrigin(key.slice(5)), localStorageMetaSize(value));
+    }
+  }
+  return usage;
+}
+
+/**
+ * One row per host: cookie count and size plus storage usage of its origins, largest first.
+ * @param {Electron.Cookie[]} cookies
+ * @param {Map<string, number>} storageUsage
+ * @param {Record<string, string>} rules
+ */
+function summarizeSiteData(cookies, storageUsage, rules) {
+  const rows = new Map();
+  const row = (host) => {
+    if (!rows.has(host)) {
+      rows.set(host, { host, origins: [], cookies: 0, cookieBytes: 0, storageBytes: 0, rule: '' });
+    }
+    return rows.get(host);
+  };
+  for (const cookie of cookies) {
+    const host = cookieHost(cookie);
+    if (!host) continue;
+    const r = row(host);
+    r.cookies += 1;
+    r.cookieBytes += String(cookie.name || '').length + String(cookie.value || '').length;
+  }
+  for (const [origin, bytes] of storageUsage) {
+    const r = row(new URL(origin).hostname);
+    if (!r.origins.includes(origin)) r.origins.push(origin);
+    r.storageBytes += bytes;
+  }
+  for (const r of rows.values()) {
+    if (!r.origins.length) r.origins.push(`https://${r.host}`);
+    r.rule = r.origins.map((o) => rules[o]).find(Boolean) || '';
+  }
+  return Array.from(rows.values()).sort(
+    (a, b) => b.cookieBytes + b.storageBytes - (a.cookieBytes + a.storageBytes) || a.host.localeCompare(b.host)
+  );
+}
+
+module.exports = {
+  AXIS_SITE_DATA_RULES_KEY,
+  AXIS_SITE_DATA_RULE_VALUES,
+  normalizeSiteDataOrigin,
+  cleanSiteDataRules,
+  cookieHost,
+  cookieUrl,
+  cookieMatchesHost,
+  blockedSiteDataOrigin,
+  toSiteDataCookie,
+  readSiteStorageUsage,
+  summarizeSiteData
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Site permission model shared by main (request / check handlers) and Settings.
+ *
+ * `sitePermissionOverrides` maps a site key to `{ [kind]: 'allow' | 'deny' }`. A site key is
+ * either an origin (`https://app.example.com`) or a host pattern `[*.]example.com`, which
+ * matches that host and every subdomain over http and https. `sitePermissionDefaults` maps a
+ * kind to `'ask' | 'allow' | 'block'` for sites without an override.
+ */
+
+const AXIS_SITE_PERMISSION_KINDS = [
+  { id: 'camera', label: 'Camera', defaultValue: 'ask' },
+  { id: 'microphone', label: 'Microphone', defaultValue: 'ask' },
+  { id: 'notifications', label: 'Notifications', defaultValue: 'ask' },
+  { id: 'geolocation', label: 'Location', defaultValue: 'ask' },
+  { id: 'clipboard-read', label: 'Clipboard', defaultValue: 'ask' },
+  { id: 'midi', label: 'MIDI devices', defaultValue: 'ask' },
+  { id: 'midiSysex', label: 'MIDI SysEx', defaultValue: 'ask' },
+  { id: 'window-management', label: 'Window management', defaultValue: 'ask' },
+  { id: 'idle-detection', label: 'Idle detection', defaultValue: 'ask' },
+  { id: 'storage-access', label: 'Embedded site data', defaultValue: 'ask' },
+  { id: 'fileSystem', label: 'File editing', defaultValue: 'ask' },
+  // Screen sharing always goes through main's source picker, so only "block" changes anything;
+  // pointer lock is released with Esc.
+  { id: 'display-capture', label: 'Screen sharing', defaultValue: 'allow' },
+  { id: 'pointerLock', label: 'Pointer lock', defaultValue: 'allow' }
+];
+
+const AXIS_SITE_PERMISSION_KIND_IDS = AXIS_SITE_PERMISSION_KINDS.map((k) => k.id);
+
+const AXIS_SITE_PERMISSION_DEFAULT_VALUES = ['ask', 'allow', 'block'];
+
+/** Electron permission names that map to a kind other than their own. */
+const AXIS_SITE_PERMISSION_ALIASES = {
+  'top-level-storage-access': 'storage-access'
+};
+
+const AXIS_SITE_PATTERN_PREFIX = '[*.]';
+
+function isSitePermissionKind(kind) {
+  return AXIS_SITE_PERMISSION_KIND_IDS.includes(kind);
+}
+
+/**
+ * Kinds an Electron permission request / check is about; `[]` for permissions outside the
+ * model. `media` splits into camera and microphone from `mediaTypes` (request) or
+ * `mediaType` (check).
+ */
+function sitePermissionKinds(permission, details) {
+  if (permission === 'media') {
+    const types = Array.isArray(details?.mediaTypes)
+      ? details.mediaTypes
+      : details?.mediaType && details.mediaType !== 'unknown'
+        ? [details.mediaType]
+        : [];
+    const kinds = [];
+    if (!types.length || types.includes('video')) kinds.push('camera');
+    if (!types.length || types.includes('audio')) kinds.push('microphone');
+    return kinds;
+  }
+  const kind = AXIS_SITE_PERMISSION_ALIASES[permission] || permission;
+  return isSitePermissionKind(kind) ? [kind] : [];
+}
+
+function normalizePatternHost(raw) {
+  const host = String(raw || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!host || host.length > 253 || !/^[a-z0-9.-]+$/.test(host)) return null;
+  if (host.split('.').some((label) => !label || label.length > 63 || /^-|-$/.test(label))) return null;
+  return host;
+}
+
+/**
+ * Site key for user input: `[*.]example.com` (also accepts `*.example.com`) stays a host
+ * pattern; anything else becomes an origin. Returns null when neither parses.
+ */
+function normalizeSitePermissionKey(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const s = raw.trim();
+  if (!s) return null;
+  const wildcard = /^(?:\[\*\.\]|\*\.)(.+)$/.exec(s);
+  if (wildcard) {
+    const host = normalizePatternHost(wildcard[1]);
+    return host ? AXIS_SITE_PATTERN_PREFIX + host : null;
+  }
+  try {
+    const origin = new URL(s.includes('://') ? s : `https://${s}`).origin;
+    return origin && origin !== 'null' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+function isSitePermissionPattern(key) {
+  return typeof key === 'string' && key.startsWith(AXIS_SITE_PATTERN_PREFIX);
+}
+
+function cleanSitePermissionOverrides(raw) {
+  const out = {};
+  if (!raw || typeof raw !== 'object') return out;
+  for (const [key, perms] of Object.entries(raw)) {
+    if (!key || typeof perms !== 'object' || !perms) continue;
+    const siteKey = /^(?:\[\*\.\]|\*\.)/.test(key) ? normalizeSitePermissionKey(key) : key;
+    if (!siteKey) continue;
+    const row = {};
+    for (const k of AXIS_SITE_PERMISSION_KIND_IDS) {
+      if (perms[k] === 'allow' || perms[k] === 'deny') row[k] = perms[k];
+    }
+    out[siteKey] = { ...(out[siteKey] || {}), ...row };
+  }
+  return out;
+}
+
+/** Every kind present, falling back to its built-in default. */
+function cleanSitePermissionDefaults(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  for (const kind of AXIS_SITE_PERMISSION_KINDS) {
+    out[kind.id] = AXIS_SITE_PERMISSION_DEFAULT_VALUES.includes(src[kind.id]) ? src[kind.id] : kind.defaultValue;
+  }
+  return out;
+}
+
+/**
+ * Override rows that apply to an origin, most specific first: the exact origin, then host
+ * patterns from the longest matching domain down.
+ */
+function matchingSitePermissionRows(overrides, origin) {
+  if (!overrides || typeof overrides !== 'object' || !origin) return [];
+  const rows = [];
+  if (overrides[origin] && typeof overrides[origin] === 'object') rows.push(overrides[origin]);
+  let host = '';
+  let protocol = '';
+  try {
+    const u = new URL(origin);
+    host = u.hostname.toLowerCase();
+    protocol = u.protocol;
+  } catch (_) {
+    return rows;
+  }
+  if (!host || (protocol !== 'https:' && protocol !== 'http:')) return rows;
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const row = overrides[AXIS_SITE_PATTERN_PREFIX + labels.slice(i).join('.')];
+    if (row && typeof row === 'object') rows.push(row);
+  }
+  return rows;
+}
+
+/** One kind for one origin: the most specific override, else the global default. */
+function resolveSitePermissionKind(overrides, defaults, origin, kind) {
+  for (const row of matchingSitePermissionRows(overrides, origin)) {
+    if (row[kind] === 'allow') return 'allow';
+    if (row[kind] === 'deny') return 'deny';
+  }
+  const fallback = cleanSitePermissionDefaults(defaults)[kind];
+  if (fallback === 'block') return 'deny';
+  return fallback === 'allow' ? 'allow' : 'ask';
+}
+
+/** Several kinds together (camera + microphone): any deny wins, then any ask. */
+function resolveSitePermission(overrides, defaults, origin, kinds) {
+  const answers = (kinds || []).map((kind) => resolveSitePermissionKind(overrides, defaults, origin, kind));
+  if (!answers.length) return 'ask';
+  if (answers.includes('deny')) return 'deny';
+  return answers.includes('ask') ? 'ask' : 'allow';
+}
+
+const axisSitePermissionsApi = {
+  AXIS_SITE_PERMISSION_KINDS,
+  AXIS_SITE_PERMISSION_KIND_IDS,
+  AXIS_SITE_PERMISSION_DEFAULT_VALUES,
+  isSitePermissionKind,
+  sitePermissionKinds,
+  normalizeSitePermissionKey,
+  isSitePermissionPattern,
+  cleanSitePermissionOverrides,
+  cleanSitePermissionDefaults,
+  resolveSitePermissionKind,
+  resolveSitePermission
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = axisSitePermissionsApi;
+}
+if (typeof window !== 'undefined') {
+  window.AxisSitePermissions = axisSitePermissionsApi;
+}
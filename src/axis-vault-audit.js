@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Vault health report: reused, weak, duplicate and plain-`http:` logins.
+ * Pure functions over decrypted login rows — results never include passwords.
+ */
+
+/** Below this many bits a password is flagged as weak. */
+const WEAK_PASSWORD_BITS = 50;
+
+/** Frequent base words; a password built on one of these is capped at ~20 bits. */
+const COMMON_PASSWORD_WORDS = new Set([
+  'password',
+  'passw',
+  'qwerty',
+  'qwertyuiop',
+  'asdfgh',
+  'letmein',
+  'welcome',
+  'admin',
+  'administrator',
+  'iloveyou',
+  'monkey',
+  'dragon',
+  'abc',
+  'football',
+  'baseball',
+  'master',
+  'sunshine',
+  'shadow',
+  'princess',
+  'login',
+  'secret',
+  'trustno',
+  'hello',
+  'freedom',
+  'whatever',
+  'changeme'
+]);
+
+/**
+ * Rough entropy estimate: character-pool size × effective length, where repeats and
+ * keyboard-style sequences (`aaa`, `123`, `cba`) count for a quarter of a character.
+ */
+function estimatePasswordEntropy(password) {
+  const pw = String(password || '');
+  if (!pw) return 0;
+  let pool = 0;
+  if (/[a-z]/.test(pw)) pool += 26;
+  if (/[A-Z]/.test(pw)) pool += 26;
+  if (/[0-9]/.test(pw)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(pw)) pool += 33;
+  let effective = 0;
+  let prev = null;
+  for (const ch of pw) {
+    const code = ch.codePointAt(0);
+    if (prev != null && Math.abs(code - prev) <= 1) effective += 0.25;
+    else effective += 1;
+    prev = code;
+  }
+  let bits = effective * Math.log2(Math.max(pool, 2));
+  const letters = pw.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters && (COMMON_PASSWORD_WORDS.has(letters) || /^(?:pass(?:word)?|qwerty)/.test(letters))) {
+    bits = Math.min(bits, 20);
+  }
+  return Math.round(bits);
+}
+
+function isLoopbackHost(hostname) {
+  const h = String(hostname || '').toLowerCase();
+  return h === 'localhost' || h === '[::1]' || h.endsWith('.localhost') || /^127\./.test(h);
+}
+
+function loginSummary(row) {
+  return {
+    id: row.id,
+    origin: row.origin || '',
+    username: row.username || '',
+    title: row.title || ''
+  };
+}
+
+/**
+ * @param {object[]} logins  Decrypted vault login rows.
+ * @param {(a: string, b: string) => boolean} originsMatch  Same-site test from `axis-vault.js`.
+ */
+function buildVaultHealthReport(logins, originsMatch) {
+  const rows = Array.isArray(logins) ? logins.filter((e) => e && e.id) : [];
+  const reused = [];
+  const weak = [];
+  const duplicates = [];
+  const insecure = [];
+
+  const byPassword = new Map();
+  for (const row of rows) {
+    const pw = String(row.password || '');
+    if (!pw) continue;
+    if (!byPassword.has(pw)) byPassword.set(pw, []);
+    byPassword.get(pw).push(row);
+  }
+  for (const group of byPassword.values()) {
+    if (group.length < 2) continue;
+    const sites = [];
+    for (const row of group) {
+      if (!sites.some((o) => originsMatch(o, row.origin))) sites.push(row.origin);
+    }
+    // The same password on two accounts of one site is a duplicate, not reuse.
+    if (sites.length < 2) continue;
+    reused.push({ siteCount: sites.length, logins: group.map(loginSummary) });
+  }
+
+  for (const row of rows) {
+    const bits = estimatePasswordEntropy(row.password);
+    if (row.password && bits < WEAK_PASSWORD_BITS) {
+      weak.push({ ...loginSummary(row), entropyBits: bits });
+    }
+  }
+
+  const seen = new Set();
+  for (let i = 0; i < rows.length; i += 1) {
+    if (seen.has(rows[i].id)) continue;
+    const user = String(rows[i].username || '').trim().toLowerCase();
+    const group = [rows[i]];
+    for (let j = i + 1; j < rows.length; j += 1) {
+      if (seen.has(rows[j].id)) continue;
+      if (String(rows[j].username || '').trim().toLowerCase() !== user) continue;
+      if (!originsMatch(rows[i].origin, rows[j].origin)) continue;
+      group.push(rows[j]);
+    }
+    if (group.length < 2) continue;
+    group.forEach((row) => seen.add(row.id));
+    duplicates.push({ logins: group.map(loginSummary) });
+  }
+
+  for (const row of rows) {
+    try {
+      const u = new URL(row.origin);
+      if (u.protocol === 'http:' && !isLoopbackHost(u.hostname)) insecure.push(loginSummary(row));
+    } catch (_) {}
+  }
+
+  const flagged = new Set();
+  reused.forEach((g) => g.logins.forEach((l) => flagged.add(l.id)));
+  weak.forEach((l) => flagged.add(l.id));
+  duplicates.forEach((g) => g.logins.forEach((l) => flagged.add(l.id)));
+  insecure.forEach((l) => flagged.add(l.id));
+
+  return {
+    total: rows.length,
+    flagged: flagged.size,
+    reused,
+    weak: weak.sort((a, b) => a.entropyBits - b.entropyBits),
+    duplicates,
+    insecure
+  };
+}
+
+module.exports = {
+  WEAK_PASSWORD_BITS,
+  estimatePasswordEntropy,
+  buildVaultHealthReport
+};
@@ -149,6 +149,21 @@ const AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS = `(function axisVaultAutofillBootstrap()
     return null;
   }
 
+  function isNewPasswordField(el) {
+    if (!el || kind(el) !== 'password') return false;
+    const ac = (el.autocomplete || '').toLowerCase();
+    if (ac.includes('new-password')) return true;
+    if (ac.includes('current-password')) return false;
+    const hint = ((el.name || '') + ' ' + (el.id || '') + ' ' + (el.placeholder || '') + ' ' + (el.getAttribute('aria-label') || '')).toLowerCase();
+    if (/new|confirm|repeat|retype|verify|create|choose/.test(hint)) return true;
+    const root = el.form || document;
+    const passwords = Array.from(root.querySelectorAll('input[type="password"]')).filter(vis);
+    if (passwords.length >= 2) return true;
+    const form = el.form;
+    const formHint = form ? ((form.id || '') + ' ' + (form.name || '') + ' ' + (form.getAttribute('action') || '') + ' ' + (form.className || '')).toLowerCase() : '';
+    return /sign-?up|register|registration|join|create|enroll/.test(formHint + ' ' + location.pathname.toLowerCase());
+  }
+
   function findUserForPass(pass) {
     const form = pass.form;
     if (form) {
@@ -308,6 +323,45 @@ const AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS = `(function axisVaultAutofillBootstrap()
     };
   }
 
+  /** Names the form a generated password went into, so regenerating replaces its staged login. */
+  function generatedFormKey(form) {
+    if (!form) return '';
+    const action = form.getAttribute('action');
+    if (form.id || form.getAttribute('name') || action) {
+      return (form.id || '') + '|' + (form.getAttribute('name') || '') + '|' + (action || '');
+    }
+    return '#' + Array.prototype.indexOf.call(document.forms, form);
+  }
+
+  /** Fills the new + confirm password fields, then stages the password for the shell to save. */
+  function fillGenerated(password, anchor) {
+    anchor = anchor || api.menuAnchor || api.focusAnchor;
+    const root = anchor && anchor.form ? anchor.form : document;
+    let targets = Array.from(root.querySelectorAll('input[type="password"]')).filter((el) => {
+      if (!vis(el)) return false;
+      const ac = (el.autocomplete || '').toLowerCase();
+      const hint = ((el.name || '') + ' ' + (el.id || '')).toLowerCase();
+      return !ac.includes('current-password') && !/current|old/.test(hint);
+    });
+    if (!targets.length && anchor) targets = [anchor];
+    targets.forEach((el) => setVal(el, password));
+    const user = targets.length ? findUserForPass(targets[0]) : null;
+    const username = user && user.type !== 'password' ? String(user.value || '').trim() : '';
+    window.__axisVaultLastAutofill = {
+      at: Date.now(),
+      origin: location.origin || '',
+      username,
+      password
+    };
+    /* The shell stages this for the guest's own origin; nothing here is trusted for that. */
+    api.pendingGenerated = {
+      username,
+      password,
+      title: document.title || '',
+      formKey: generatedFormKey(anchor && anchor.form)
+    };
+  }
+
   function fillableFields(root) {
     const scope = root && root.querySelectorAll ? root : document;
     return Array.from(scope.querySelectorAll('input, select, textarea')).filter(vis);
@@ -404,6 +458,17 @@ const AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS = `(function axisVaultAutofillBootstrap()
           if (row.addressLine1 || row.fullName) fillAddress(row, anchor);
           else api.pendingPickId = row.id;
         });
+      } else if (row.generated) {
+        title.textContent = row.title || 'Use strong password';
+        sub.textContent = row.password || '';
+        btn.appendChild(title);
+        btn.appendChild(sub);
+        btn.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          hideMenu();
+          if (row.password) fillGenerated(row.password, anchor);
+        });
       } else {
         const username = row.username || '';
         title.textContent = username || row.title || 'Saved account';
@@ -436,10 +501,13 @@ const AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS = `(function axisVaultAutofillBootstrap()
     focusAt: 0,
     focusAnchor: null,
     pendingPickId: null,
+    pendingGenerated: null,
     menuAnchor: null,
     showMenu,
     hideMenu,
     fillLogin,
+    fillGenerated,
+    isNewPasswordField,
     fillCard,
     fillAddress,
     fillKind,
@@ -464,7 +532,8 @@ const AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS = `(function axisVaultAutofillBootstrap()
       origin: location.origin || '',
       pageUrl: location.href,
       usernameHint: offer === 'login' && userEl ? String(userEl.value || '').trim() : '',
-      fieldKind: k
+      fieldKind: k,
+      newPassword: k === 'password' && isNewPasswordField(el)
     };
     api.focusKey = offer + ':' + k + ':' + (el.id || el.name || '') + ':' + location.href;
     api.focusAt = Date.now();
@@ -521,6 +590,11 @@ const AXIS_VAULT_AUTOFILL_PROBE_JS = `(function(){
     v.pendingPickId = null;
     return { pick: id };
   }
+  if (v.pendingGenerated) {
+    const generated = v.pendingGenerated;
+    v.pendingGenerated = null;
+    return { generated };
+  }
   const f = v.focusedField;
   const menu = document.getElementById('axis-vault-autofill-menu');
   if (menu) {
@@ -1,7 +1,7 @@
 'use strict';
 
 /** Minimal scan injected into guest pages — must stay valid inside executeJavaScript(). */
-const AXIS_VAULT_QUICK_SCAN_JS = `(()=>{try{const vis=[...document.querySelectorAll("input")].filter(i=>!i.disabled&&!i.readOnly&&i.type!=="hidden"&&i.type!=="submit"&&i.type!=="button");const empty={login:null,card:null,address:null};const pw=vis.find(i=>(i.type||"").toLowerCase()==="password");let login=null;if(pw&&pw.value){let u="";const em=vis.find(i=>(i.type||"").toLowerCase()==="email");if(em&&em.value)u=String(em.value).trim();if(!u){const ix=vis.indexOf(pw);for(let j=ix-1;j>=0;j--){const t=(vis[j].type||"text").toLowerCase();if((t==="text"||t==="email"||t==="tel")&&vis[j].value){u=String(vis[j].value).trim();break;}}}if(u){login={type:"login",origin:location.origin||"",username:u,password:String(pw.value),title:document.title||""};}}let card=null;const numEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();return ac.includes("cc-number")||(i.type||"").toLowerCase()==="tel"&&String(i.value||"").replace(/\\D/g,"").length>=13;});if(numEl){const number=String(numEl.value||"").replace(/\\D/g,"");const nameEl=vis.find(i=>(i.autocomplete||"").toLowerCase().includes("cc-name"));const holder=nameEl?String(nameEl.value||"").trim():"";const expEl=vis.find(i=>(i.autocomplete||"").toLowerCase().includes("cc-exp"));const exp=expEl?String(expEl.value||""):"";const m=exp.match(/(\\d{1,2})\\D*(\\d{2,4})/);if(number.length>=13&&holder&&m){let mo=m[1].padStart(2,"0");let yr=m[2];if(yr.length===2)yr="20"+yr;card={type:"card",origin:location.origin||"",label:"",cardholder:holder,number,expMonth:mo,expYear:yr,cvv:"",billingZip:"",masked:"•••• "+number.slice(-4)};}}let address=null;const line1El=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="street-address"||ac==="address-line1"||ac.includes("street-address")||nm.includes("street")||nm.includes("address1");});const nameEl=vis.find(i=>(i.autocomplete||"").toLowerCase()==="name");const cityEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="address-level2"||nm==="city";});const zipEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="postal-code"||ac.includes("postal")||nm.includes("zip")||nm.includes("postal");});if(line1El&&nameEl&&cityEl&&zipEl){const fullName=String(nameEl.value||"").trim();const addressLine1=String(line1El.value||"").trim();const city=String(cityEl.value||"").trim();const postalCode=String(zipEl.value||"").trim();if(fullName&&addressLine1&&city&&postalCode){address={type:"address",origin:location.origin||"",label:"",fullName,organization:"",addressLine1,addressLine2:"",city,state:"",postalCode,country:"",phone:"",email:"",summary:addressLine1+", "+city};}}return{login,card,address};}catch(e){return{login:null,card:null,address:null}}})()`;
+const AXIS_VAULT_QUICK_SCAN_JS = `(()=>{try{const vis=[...document.querySelectorAll("input")].filter(i=>!i.disabled&&!i.readOnly&&i.type!=="hidden"&&i.type!=="submit"&&i.type!=="button");const empty={login:null,card:null,address:null,otp:null};const pw=vis.find(i=>(i.type||"").toLowerCase()==="password");let login=null;if(pw&&pw.value){let u="";const em=vis.find(i=>(i.type||"").toLowerCase()==="email");if(em&&em.value)u=String(em.value).trim();if(!u){const ix=vis.indexOf(pw);for(let j=ix-1;j>=0;j--){const t=(vis[j].type||"text").toLowerCase();if((t==="text"||t==="email"||t==="tel")&&vis[j].value){u=String(vis[j].value).trim();break;}}}if(u){login={type:"login",origin:location.origin||"",username:u,password:String(pw.value),title:document.title||""};}}let card=null;const numEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();return ac.includes("cc-number")||(i.type||"").toLowerCase()==="tel"&&String(i.value||"").replace(/\\D/g,"").length>=13;});if(numEl){const number=String(numEl.value||"").replace(/\\D/g,"");const nameEl=vis.find(i=>(i.autocomplete||"").toLowerCase().includes("cc-name"));const holder=nameEl?String(nameEl.value||"").trim():"";const expEl=vis.find(i=>(i.autocomplete||"").toLowerCase().includes("cc-exp"));const exp=expEl?String(expEl.value||""):"";const m=exp.match(/(\\d{1,2})\\D*(\\d{2,4})/);if(number.length>=13&&holder&&m){let mo=m[1].padStart(2,"0");let yr=m[2];if(yr.length===2)yr="20"+yr;card={type:"card",origin:location.origin||"",label:"",cardholder:holder,number,expMonth:mo,expYear:yr,cvv:"",billingZip:"",masked:"•••• "+number.slice(-4)};}}let address=null;const line1El=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="street-address"||ac==="address-line1"||ac.includes("street-address")||nm.includes("street")||nm.includes("address1");});const nameEl=vis.find(i=>(i.autocomplete||"").toLowerCase()==="name");const cityEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="address-level2"||nm==="city";});const zipEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();const nm=(i.name||"").toLowerCase();return ac==="postal-code"||ac.includes("postal")||nm.includes("zip")||nm.includes("postal");});if(line1El&&nameEl&&cityEl&&zipEl){const fullName=String(nameEl.value||"").trim();const addressLine1=String(line1El.value||"").trim();const city=String(cityEl.value||"").trim();const postalCode=String(zipEl.value||"").trim();if(fullName&&addressLine1&&city&&postalCode){address={type:"address",origin:location.origin||"",label:"",fullName,organization:"",addressLine1,addressLine2:"",city,state:"",postalCode,country:"",phone:"",email:"",summary:addressLine1+", "+city};}}let otp=null;const otpEl=vis.find(i=>{const ac=(i.autocomplete||"").toLowerCase();if(ac.includes("one-time-code"))return true;if(ac.includes("cc-"))return false;const t=(i.type||"text").toLowerCase();if(t!=="text"&&t!=="tel"&&t!=="number")return false;const h=((i.name||"")+" "+(i.id||"")+" "+(i.placeholder||"")+" "+(i.getAttribute("aria-label")||"")).toLowerCase();if(/cvv|cvc|card/.test(h))return false;return /otp|2fa|mfa|one.?time|two.?factor|verification.?code|auth\\w*.?code|security.?code/.test(h);});if(otpEl&&!String(otpEl.value||"").trim()){const r=otpEl.getBoundingClientRect();if(r.width>0&&r.height>0)otp={type:"otp",origin:location.origin||"",pageUrl:location.href,rect:{left:r.left,top:r.top,bottom:r.bottom,width:r.width}};}return{login,card,address,otp};}catch(e){return{login:null,card:null,address:null,otp:null}}})()`;
 
 module.exports = {
   AXIS_VAULT_PAGE_SCAN_JS: AXIS_VAULT_QUICK_SCAN_JS,
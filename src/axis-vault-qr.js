@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * 2FA setup QR codes read from screenshots, in the main process so every platform can do it
+ * (Chromium's `BarcodeDetector` only ships on some). Images are decoded with jimp and scanned
+ * with jsQR.
+ */
+
+const VAULT_QR_IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+/** Larger screenshots are scaled down first; QR codes stay readable and jsQR stays fast. */
+const VAULT_QR_IMAGE_MAX_SIDE = 1600;
+
+/** @returns {Promise<string>} The `otpauth://` link in the image; throws a user-facing error otherwise. */
+async function readOtpauthFromQrImage(bytes) {
+  const buffer = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes || []);
+  if (!buffer.length) throw new Error('Choose an image file.');
+  if (buffer.length > VAULT_QR_IMAGE_MAX_BYTES) throw new Error('That image is too large. Crop it to the QR code and try again.');
+  const { Jimp } = require('jimp');
+  const jsQR = require('jsqr');
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (_) {
+    throw new Error('Could not read that image.');
+  }
+  if (Math.max(image.bitmap.width, image.bitmap.height) > VAULT_QR_IMAGE_MAX_SIDE) {
+    image.scaleToFit({ w: VAULT_QR_IMAGE_MAX_SIDE, h: VAULT_QR_IMAGE_MAX_SIDE });
+  }
+  const { data, width, height } = image.bitmap;
+  const code = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width, height);
+  const text = code && typeof code.data === 'string' ? code.data : '';
+  if (!/^otpauth:\/\//i.test(text)) throw new Error('No 2FA QR code found in that image.');
+  return text;
+}
+
+module.exports = { readOtpauthFromQrImage };
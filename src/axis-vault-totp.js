@@ -0,0 +1,130 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) for vault logins.
+ * Logins store the parsed `otpauth://` parameters; codes are computed on demand.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+
+function invalidTotpError() {
+  return new Error('Invalid 2FA setup key. Paste the otpauth:// link or the base32 key from the site.');
+}
+
+function base32Decode(raw) {
+  const clean = String(raw || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/=+$/, '');
+  if (!clean || /[^A-Z2-7]/.test(clean)) return null;
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Accepts an `otpauth://totp/...` URI or a bare base32 secret.
+ * @returns {{ secret: string, issuer: string, account: string, algorithm: string, digits: number, period: number }}
+ */
+function parseOtpauth(input) {
+  const text = String(input || '').trim();
+  if (!text) throw invalidTotpError();
+  let secret = text;
+  let issuer = '';
+  let account = '';
+  let algorithm = 'SHA1';
+  let digits = 6;
+  let period = 30;
+  if (/^otpauth:/i.test(text)) {
+    let u;
+    try {
+      u = new URL(text);
+    } catch (_) {
+      throw invalidTotpError();
+    }
+    if (u.hostname.toLowerCase() !== 'totp') {
+      throw new Error('Only time-based (TOTP) codes are supported.');
+    }
+    let label;
+    try {
+      label = decodeURIComponent(u.pathname.replace(/^\//, ''));
+    } catch (_) {
+      throw invalidTotpError();
+    }
+    const colon = label.indexOf(':');
+    account = (colon >= 0 ? label.slice(colon + 1) : label).trim();
+    issuer = (u.searchParams.get('issuer') || (colon >= 0 ? label.slice(0, colon) : '')).trim();
+    secret = u.searchParams.get('secret') || '';
+    const alg = String(u.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+    if (!TOTP_ALGORITHMS[alg]) throw new Error(`Unsupported 2FA algorithm: ${alg}`);
+    algorithm = alg;
+    if (u.searchParams.has('digits')) digits = Number(u.searchParams.get('digits'));
+    if (u.searchParams.has('period')) period = Number(u.searchParams.get('period'));
+  }
+  const key = base32Decode(secret);
+  if (!key || key.length < 10) throw invalidTotpError();
+  if (![6, 7, 8].includes(digits)) digits = 6;
+  if (!Number.isInteger(period) || period < 10 || period > 300) period = 30;
+  return {
+    secret: secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, ''),
+    issuer,
+    account,
+    algorithm,
+    digits,
+    period
+  };
+}
+
+function formatOtpauth(config) {
+  if (!config || !config.secret) return '';
+  const label = config.issuer
+    ? `${config.issuer}:${config.account || ''}`
+    : config.account || 'Axis';
+  const params = new URLSearchParams({ secret: config.secret });
+  if (config.issuer) params.set('issuer', config.issuer);
+  if (config.algorithm && config.algorithm !== 'SHA1') params.set('algorithm', config.algorithm);
+  if (config.digits && config.digits !== 6) params.set('digits', String(config.digits));
+  if (config.period && config.period !== 30) params.set('period', String(config.period));
+  return `otpauth://totp/${encodeURIComponent(label)}?${params.toString()}`;
+}
+
+/** RFC 4226 HOTP with the RFC 6238 time step as the counter. */
+function generateTotpCode(config, now = Date.now()) {
+  const key = base32Decode(config && config.secret);
+  if (!key) throw invalidTotpError();
+  const period = config.period || 30;
+  const digits = config.digits || 6;
+  const seconds = Math.floor(now / 1000);
+  const counter = Math.floor(seconds / period);
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto
+    .createHmac(TOTP_ALGORITHMS[config.algorithm] || 'sha1', key)
+    .update(msg)
+    .digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const bin = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return {
+    code: String(bin).padStart(digits, '0'),
+    period,
+    expiresIn: period - (seconds % period)
+  };
+}
+
+module.exports = {
+  parseOtpauth,
+  formatOtpauth,
+  generateTotpCode
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Password import/export in the formats other managers use:
+ * Chrome / Firefox CSV and Bitwarden's unencrypted JSON export.
+ * Pure functions — the vault decides how planned rows are written.
+ */
+
+const VAULT_IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+const VAULT_IMPORT_RESOLUTIONS = ['skip', 'overwrite', 'keep'];
+
+/** RFC 4180: quoted fields, doubled quotes, CRLF or LF rows, newlines inside quotes. */
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+function csvCell(value) {
+  const s = String(value == null ? '' : value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function readCsvLogins(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) throw new Error('The CSV file is empty.');
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const urlCol = col('url', 'login_uri', 'website', 'origin');
+  const userCol = col('username', 'login_username', 'user', 'email');
+  const passCol = col('password', 'login_password');
+  if (urlCol < 0 || passCol < 0) {
+    throw new Error('Unrecognised CSV. Expected url, username and password columns.');
+  }
+  const nameCol = col('name', 'title');
+  const noteCol = col('note', 'notes', 'extra');
+  const totpCol = col('totp', 'login_totp');
+  // Firefox exports carry `httpRealm` / `formActionOrigin`; Chrome exports carry `name` / `note`.
+  const format = header.includes('httprealm') || header.includes('formactionorigin') ? 'firefox-csv' : 'chrome-csv';
+  const cell = (r, i) => (i >= 0 ? String(r[i] || '') : '');
+  return {
+    format,
+    logins: rows.slice(1).map((r) => ({
+      url: cell(r, urlCol).trim(),
+      username: cell(r, userCol).trim(),
+      password: cell(r, passCol),
+      title: cell(r, nameCol).trim(),
+      notes: cell(r, noteCol).trim(),
+      otpauth: cell(r, totpCol).trim()
+    }))
+  };
+}
+
+function readBitwardenLogins(json) {
+  if (json.encrypted === true) {
+    throw new Error('This Bitwarden export is encrypted. Export again choosing “.json” (not “.json (Encrypted)”).');
+  }
+  if (!Array.isArray(json.items)) throw new Error('Unrecognised Bitwarden export.');
+  const logins = [];
+  for (const item of json.items) {
+    // type 1 = login; secure notes, cards and identities are not imported here.
+    if (!item || item.type !== 1 || !item.login) continue;
+    const uris = Array.isArray(item.login.uris) ? item.login.uris : [];
+    logins.push({
+      url: String(uris.find((u) => u && u.uri)?.uri || '').trim(),
+      username: String(item.login.username || '').trim(),
+      password: String(item.login.password || ''),
+      title: String(item.name || '').trim(),
+      notes: String(item.notes || '').trim(),
+      otpauth: String(item.login.totp || '').trim()
+    });
+  }
+  return { format: 'bitwarden-json', logins };
+}
+
+/** Detects the format from the content; `fileName` only breaks ties. */
+function parseVaultImportFile(text, fileName = '') {
+  const body = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!body) throw new Error('The file is empty.');
+  if (body[0] === '{' || /\.json$/i.test(fileName)) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (_) {
+      throw new Error('The file is not valid JSON.');
+    }
+    return readBitwardenLogins(json);
+  }
+  return readCsvLogins(body);
+}
+
+/**
+ * Classifies each incoming row against the vault:
+ * `new`, `same` (identical login already saved), `conflict` (same site and username,
+ * different password) or `invalid` (no usable site or password).
+ * @param {object[]} existing  Decrypted vault login rows.
+ * @param {object[]} incoming  Rows from `parseVaultImportFile`.
+ * @param {(raw: string) => string|null} normalizeOrigin
+ * @param {(a: string, b: string) => boolean} originsMatch
+ */
+function planVaultLoginImport(existing, incoming, normalizeOrigin, originsMatch) {
+  const saved = Array.isArray(existing) ? existing : [];
+  const seen = new Set();
+  return (incoming || []).map((row, index) => {
+    const origin = /^https?:/i.test(row.url) || !row.url.includes('://') ? normalizeOrigin(row.url) : null;
+    const base = {
+      index,
+      origin: origin || row.url || '',
+      username: row.username || '',
+      title: row.title || '',
+      hasTotp: !!row.otpauth
+    };
+    if (!origin || !row.password) return { ...base, status: 'invalid' };
+    const key = `${origin}\0${row.username}\0${row.password}`;
+    if (seen.has(key)) return { ...base, status: 'same' };
+    seen.add(key);
+    const match = saved.find(
+      (e) => originsMatch(origin, e.origin) && String(e.username || '') === row.username
+    );
+    if (!match) return { ...base, status: 'new' };
+    if (match.password === row.password) return { ...base, status: 'same', existingId: match.id };
+    return { ...base, status: 'conflict', existingId: match.id };
+  });
+}
+
+/** Chrome's column layout; Firefox, Safari and Bitwarden all read it. */
+function buildVaultExportCsv(logins) {
+  const lines = [['name', 'url', 'username', 'password', 'note'].join(',')];
+  for (const e of logins || []) {
+    lines.push(
+      [e.title || '', e.origin || '', e.username || '', e.password || '', e.notes || ''].map(csvCell).join(',')
+    );
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/** @param {(totp: object) => string} formatOtpauth */
+function buildVaultExportBitwarden(logins, formatOtpauth) {
+  return {
+    encrypted: false,
+    folders: [],
+    items: (logins || []).map((e) => ({
+      id: e.id,
+      type: 1,
+      name: e.title || e.origin || '',
+      notes: e.notes || null,
+      favorite: false,
+      login: {
+        uris: e.origin ? [{ match: null, uri: e.origin }] : [],
+        username: e.username || null,
+        password: e.password || null,
+        totp: e.totp ? formatOtpauth(e.totp) : null
+      }
+    }))
+  };
+}
+
+module.exports = {
+  VAULT_IMPORT_MAX_BYTES,
+  VAULT_IMPORT_RESOLUTIONS,
+  parseVaultImportFile,
+  planVaultLoginImport,
+  buildVaultExportCsv,
+  buildVaultExportBitwarden
+};
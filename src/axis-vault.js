@@ -1,9 +1,21 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { buildVaultHealthReport } = require('./axis-vault-audit');
+const { parseOtpauth, formatOtpauth, generateTotpCode } = require('./axis-vault-totp');
+const { planVaultLoginImport, buildVaultExportCsv, buildVaultExportBitwarden } = require('./axis-vault-transfer');
 
-const VAULT_VERSION = 2;
+/** v2 was plain JSON; v3 wraps the same payload in AES-256-GCM. */
+const VAULT_VERSION = 3;
+const VAULT_CIPHER = 'aes-256-gcm';
+/** scrypt cost for the master-password KEK (~50 ms on a laptop). */
+const VAULT_SCRYPT = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const VAULT_DEFAULT_AUTO_LOCK_MINUTES = 15;
+const VAULT_MIN_MASTER_PASSWORD_LENGTH = 8;
+/** How long a generated password waits for its form to be submitted before it is settled. */
+const VAULT_STAGED_LOGIN_TTL_MS = 24 * 60 * 60 * 1000;
 
 function vaultFilePathForProfile(app, profileId) {
   const id = String(profileId || 'personal')
@@ -76,52 +88,382 @@ function originsMatch(pageOrigin, savedOrigin) {
 }
 
 function newId() {
-  return require('crypto').randomUUID();
+  return crypto.randomUUID();
 }
 
-function createAxisVault(app, _store, profileId = 'personal') {
+function vaultLockedError() {
+  const err = new Error('Vault is locked');
+  err.code = 'AXIS_VAULT_LOCKED';
+  return err;
+}
+
+function vaultCorruptError() {
+  const err = new Error('The vault file is damaged and cannot be read');
+  err.code = 'AXIS_VAULT_CORRUPT';
+  return err;
+}
+
+function normalizeVaultPayload(parsed) {
+  return {
+    version: VAULT_VERSION,
+    logins: Array.isArray(parsed?.logins) ? parsed.logins : [],
+    cards: Array.isArray(parsed?.cards) ? parsed.cards : [],
+    addresses: Array.isArray(parsed?.addresses) ? parsed.addresses : []
+  };
+}
+
+function sealBuffer(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(VAULT_CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/** Throws on a wrong key or tampered data (GCM auth tag mismatch). */
+function openBuffer(key, sealed) {
+  const decipher = crypto.createDecipheriv(VAULT_CIPHER, key, Buffer.from(String(sealed.iv), 'base64'));
+  decipher.setAuthTag(Buffer.from(String(sealed.tag), 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(String(sealed.data), 'base64')), decipher.final()]);
+}
+
+function deriveMasterKey(password, kdf) {
+  return crypto.scryptSync(String(password), Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: VAULT_SCRYPT.maxmem
+  });
+}
+
+function newScryptParams() {
+  return {
+    name: 'scrypt',
+    salt: crypto.randomBytes(16).toString('base64'),
+    N: VAULT_SCRYPT.N,
+    r: VAULT_SCRYPT.r,
+    p: VAULT_SCRYPT.p
+  };
+}
+
+/**
+ * Per-profile password/card/address vault.
+ *
+ * The payload is encrypted with a random data key; that key is wrapped either with a
+ * scrypt-derived master-password key (`keyMode: 'password'`) or with the OS keyring through
+ * Electron `safeStorage` (`keyMode: 'keyring'`). Keyring vaults unlock on demand; password
+ * vaults stay locked until `unlock(password)`. Both re-lock after `vaultAutoLockMinutes` idle.
+ *
+ * @param {import('electron').App} app
+ * @param {{ get: Function } | null} store  Profile store (reads `vaultAutoLockMinutes`).
+ * @param {string} profileId
+ * @param {{ safeStorage?: import('electron').SafeStorage, onLockChange?: (unlocked: boolean) => void }} [options]
+ */
+function createAxisVault(app, store, profileId = 'personal', options = {}) {
   const vaultProfileId = profileId;
+  const safeStorage = options.safeStorage || null;
+  const onLockChange = typeof options.onLockChange === 'function' ? options.onLockChange : null;
   /** @type {{ logins: object[], cards: object[], addresses: object[] } | null} */
   let vaultData = null;
+  /** @type {Buffer | null} */
+  let dataKey = null;
+  /** Envelope fields other than the payload (`keyMode`, `kdf`, wrapped key). */
+  let keyEnvelope = null;
+  let autoLockTimer = null;
 
   function vaultFilePath() {
     return vaultFilePathForProfile(app, vaultProfileId);
   }
 
-  function ensureLoaded() {
-    if (vaultData) return vaultData;
-    const fp = vaultFilePath();
+  /** `safeStorage` can encrypt at all; enough to read a vault key it wrapped earlier. */
+  function keyringReadable() {
+    try {
+      return !!(safeStorage && safeStorage.isEncryptionAvailable());
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * A real OS keyring protects new vault keys. Linux without a secret service falls back to
+   * `basic_text`, whose key is hardcoded in Chromium, so that counts as no keyring.
+   */
+  function keyringAvailable() {
+    if (!keyringReadable()) return false;
     try {
-      if (fs.existsSync(fp)) {
-        const parsed = JSON.parse(fs.readFileSync(fp, 'utf8'));
-        vaultData = {
-          version: VAULT_VERSION,
-          logins: Array.isArray(parsed.logins) ? parsed.logins : [],
-          cards: Array.isArray(parsed.cards) ? parsed.cards : [],
-          addresses: Array.isArray(parsed.addresses) ? parsed.addresses : []
-        };
-        return vaultData;
+      if (typeof safeStorage.getSelectedStorageBackend === 'function') {
+        return safeStorage.getSelectedStorageBackend() !== 'basic_text';
       }
+    } catch (_) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * `corrupt`: the file exists but cannot be read or parsed. It is never unlocked or written
+   * over; the user has to set it aside first (`setAsideDamagedVault`).
+   * @returns {{ kind: 'empty' | 'plain' | 'encrypted' | 'corrupt', parsed: object | null }}
+   */
+  function readVaultFile() {
+    const fp = vaultFilePath();
+    if (!fs.existsSync(fp)) return { kind: 'empty', parsed: null };
+    try {
+      const parsed = JSON.parse(fs.readFileSync(fp, 'utf8'));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return { kind: 'corrupt', parsed: null };
+      if (parsed.payload && parsed.keyMode) return { kind: 'encrypted', parsed };
+      return { kind: 'plain', parsed };
+    } catch (_) {
+      return { kind: 'corrupt', parsed: null };
+    }
+  }
+
+  /** Renames a damaged vault file to `<name>.corrupt-<time>` so a new vault can be created. */
+  function setAsideDamagedVault() {
+    if (vaultData || readVaultFile().kind !== 'corrupt') return null;
+    const fp = vaultFilePath();
+    const backup = `${fp}.corrupt-${Date.now()}`;
+    fs.renameSync(fp, backup);
+    return backup;
+  }
+
+  function writeVaultFile(envelope) {
+    const fp = vaultFilePath();
+    const tmp = `${fp}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(envelope), { mode: 0o600 });
+    fs.renameSync(tmp, fp);
+  }
+
+  function autoLockMs() {
+    let minutes = VAULT_DEFAULT_AUTO_LOCK_MINUTES;
+    try {
+      const raw = store && typeof store.get === 'function' ? store.get('vaultAutoLockMinutes') : undefined;
+      if (raw !== undefined && raw !== null && raw !== '') minutes = Number(raw);
     } catch (_) {}
-    vaultData = emptyVaultPayload();
-    return vaultData;
+    if (!Number.isFinite(minutes) || minutes <= 0) return 0;
+    return Math.min(minutes, 24 * 60) * 60 * 1000;
+  }
+
+  function touch() {
+    if (autoLockTimer) clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    if (!vaultData) return;
+    const ms = autoLockMs();
+    if (!ms) return;
+    autoLockTimer = setTimeout(() => lock(), ms);
+    if (typeof autoLockTimer.unref === 'function') autoLockTimer.unref();
+  }
+
+  function setUnlocked(data, key, envelopeKeys) {
+    const wasUnlocked = !!vaultData;
+    vaultData = normalizeVaultPayload(data);
+    dataKey = key;
+    keyEnvelope = envelopeKeys;
+    touch();
+    if (!wasUnlocked && onLockChange) onLockChange(true);
+  }
+
+  function keyringEnvelopeKeys(key) {
+    return {
+      keyMode: 'keyring',
+      keyringKey: safeStorage.encryptString(key.toString('base64')).toString('base64')
+    };
+  }
+
+  function passwordEnvelopeKeys(key, password) {
+    const kdf = newScryptParams();
+    return {
+      keyMode: 'password',
+      kdf,
+      wrappedKey: sealBuffer(deriveMasterKey(password, kdf), key)
+    };
   }
 
   function persist() {
     const data = ensureLoaded();
-    const fp = vaultFilePath();
-    fs.writeFileSync(fp, JSON.stringify(data), { mode: 0o600 });
+    writeVaultFile({
+      version: VAULT_VERSION,
+      ...keyEnvelope,
+      payload: sealBuffer(dataKey, Buffer.from(JSON.stringify(data), 'utf8'))
+    });
+    touch();
   }
 
-  function isConfigured() {
-    ensureLoaded();
+  /**
+   * Unlocks with the master password, or with the OS keyring when `password` is empty.
+   * A missing or plaintext v2 file is encrypted (migrated) on first unlock.
+   */
+  function unlock(password) {
+    const pw = password == null ? '' : String(password);
+    const { kind, parsed } = readVaultFile();
+    if (kind === 'corrupt') throw vaultCorruptError();
+    if (kind === 'encrypted') {
+      let key;
+      if (parsed.keyMode === 'password') {
+        if (!pw) throw new Error('Enter your master password');
+        try {
+          key = openBuffer(deriveMasterKey(pw, parsed.kdf), parsed.wrappedKey);
+        } catch (_) {
+          throw new Error('Incorrect master password');
+        }
+      } else {
+        if (!keyringReadable()) throw new Error('System keychain is not available');
+        try {
+          key = Buffer.from(safeStorage.decryptString(Buffer.from(parsed.keyringKey, 'base64')), 'base64');
+        } catch (_) {
+          throw new Error('Could not read the vault key from the system keychain');
+        }
+      }
+      let data;
+      try {
+        data = JSON.parse(openBuffer(key, parsed.payload).toString('utf8'));
+      } catch (_) {
+        throw new Error('Vault data is corrupted');
+      }
+      const envelopeKeys = { ...parsed };
+      delete envelopeKeys.version;
+      delete envelopeKeys.payload;
+      setUnlocked(data, key, envelopeKeys);
+      return true;
+    }
+    if (!pw && !keyringAvailable()) {
+      throw new Error('Set a master password to protect the vault');
+    }
+    if (pw && pw.length < VAULT_MIN_MASTER_PASSWORD_LENGTH) {
+      throw new Error(`Master password must be at least ${VAULT_MIN_MASTER_PASSWORD_LENGTH} characters`);
+    }
+    const key = crypto.randomBytes(32);
+    setUnlocked(
+      kind === 'plain' ? parsed : emptyVaultPayload(),
+      key,
+      pw ? passwordEnvelopeKeys(key, pw) : keyringEnvelopeKeys(key)
+    );
+    persist();
     return true;
   }
 
-  function isUnlocked() {
+  function lock() {
+    if (autoLockTimer) clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    const wasUnlocked = !!vaultData;
+    vaultData = null;
+    if (dataKey) dataKey.fill(0);
+    dataKey = null;
+    keyEnvelope = null;
+    if (wasUnlocked && onLockChange) onLockChange(false);
+    return true;
+  }
+
+  /**
+   * Keyring vaults (and first use with a keychain) unlock without user input. Plaintext and new
+   * vaults are only moved to keyring mode silently when a real keyring exists; a keyring vault
+   * written under `basic_text` still opens, and Settings reports it as unprotected.
+   */
+  function canUnlockSilently() {
+    const { kind, parsed } = readVaultFile();
+    if (kind === 'corrupt') return false;
+    if (kind === 'encrypted') return parsed.keyMode !== 'password' && keyringReadable();
+    return keyringAvailable();
+  }
+
+  function ensureLoaded() {
+    if (vaultData) {
+      touch();
+      return vaultData;
+    }
+    if (canUnlockSilently()) {
+      unlock('');
+      return vaultData;
+    }
+    throw vaultLockedError();
+  }
+
+  /** Switches to master-password protection, or changes the current master password. */
+  function setMasterPassword(newPassword, currentPassword) {
+    const pw = String(newPassword || '');
+    if (pw.length < VAULT_MIN_MASTER_PASSWORD_LENGTH) {
+      throw new Error(`Master password must be at least ${VAULT_MIN_MASTER_PASSWORD_LENGTH} characters`);
+    }
+    const { kind, parsed } = readVaultFile();
+    if (kind !== 'encrypted') return unlock(pw);
+    unlockForKeyChange(parsed, currentPassword);
+    keyEnvelope = passwordEnvelopeKeys(dataKey, pw);
+    persist();
+    return true;
+  }
+
+  /** Drops the master password and keeps the vault key in the OS keyring instead. */
+  function useKeyring(currentPassword) {
+    if (!keyringAvailable()) throw new Error('System keychain is not available');
+    const { kind, parsed } = readVaultFile();
+    if (kind !== 'encrypted') return unlock('');
+    unlockForKeyChange(parsed, currentPassword);
+    keyEnvelope = keyringEnvelopeKeys(dataKey);
+    persist();
     return true;
   }
 
+  /** Changing how the key is protected always re-checks an existing master password. */
+  function unlockForKeyChange(parsed, currentPassword) {
+    if (parsed.keyMode === 'password') {
+      if (vaultData) verifyMasterPassword(parsed, currentPassword);
+      else unlock(currentPassword);
+      return;
+    }
+    ensureLoaded();
+  }
+
+  function verifyMasterPassword(parsed, password) {
+    try {
+      openBuffer(deriveMasterKey(String(password || ''), parsed.kdf), parsed.wrappedKey);
+    } catch (_) {
+      throw new Error('Incorrect master password');
+    }
+  }
+
+  function keyMode() {
+    if (keyEnvelope) return keyEnvelope.keyMode;
+    const { kind, parsed } = readVaultFile();
+    return kind === 'encrypted' ? parsed.keyMode : null;
+  }
+
+  function isConfigured() {
+    return readVaultFile().kind === 'encrypted';
+  }
+
+  function isUnlocked() {
+    return !!vaultData;
+  }
+
+  function lockStatus() {
+    if (vaultData) {
+      return {
+        configured: true,
+        unlocked: true,
+        keyMode: keyEnvelope.keyMode,
+        needsMigration: false,
+        keyringAvailable: keyringAvailable(),
+        canUnlockSilently: false,
+        corrupt: false,
+        autoLockMinutes: autoLockMs() / 60000
+      };
+    }
+    const { kind } = readVaultFile();
+    return {
+      configured: kind === 'encrypted',
+      unlocked: !!vaultData,
+      keyMode: keyMode(),
+      needsMigration: kind === 'plain',
+      keyringAvailable: keyringAvailable(),
+      canUnlockSilently: !vaultData && canUnlockSilently(),
+      corrupt: kind === 'corrupt',
+      autoLockMinutes: autoLockMs() / 60000
+    };
+  }
+
   function listLogins() {
     const data = ensureLoaded();
     return data.logins.map((e) => ({
@@ -129,6 +471,7 @@ function createAxisVault(app, _store, profileId = 'personal') {
       origin: e.origin,
       username: e.username || '',
       title: e.title || '',
+      hasTotp: !!(e.totp && e.totp.secret),
       updatedAt: e.updatedAt || e.createdAt || 0
     }));
   }
@@ -153,12 +496,21 @@ function createAxisVault(app, _store, profileId = 'personal') {
       if (!row) throw new Error('Password is required');
       password = row.password;
     }
+    // `otpauth` undefined keeps the stored 2FA key; an empty string removes it.
+    let totp = row ? row.totp || null : null;
+    if (entry.otpauth !== undefined) {
+      totp = String(entry.otpauth || '').trim() ? parseOtpauth(entry.otpauth) : null;
+    }
     if (row) {
       row.origin = origin;
       row.username = username;
       row.password = password;
       row.title = String(entry.title || '').trim();
       row.notes = String(entry.notes || '').trim();
+      if (totp) row.totp = totp;
+      else delete row.totp;
+      delete row.stagedAt;
+      delete row.stagedForm;
       row.updatedAt = now;
     } else {
       let autoTitle = String(entry.title || '').trim();
@@ -179,6 +531,7 @@ function createAxisVault(app, _store, profileId = 'personal') {
         createdAt: now,
         updatedAt: now
       };
+      if (totp) row.totp = totp;
       data.logins.push(row);
     }
     persist();
@@ -374,6 +727,7 @@ function createAxisVault(app, _store, profileId = 'personal') {
   }
 
   function shouldOfferAddressSave(entry) {
+    if (!vaultData && !canUnlockSilently()) return false;
     const data = ensureLoaded();
     try {
       const normalized = normalizeAddressEntry(entry);
@@ -438,6 +792,7 @@ function createAxisVault(app, _store, profileId = 'personal') {
   }
 
   function shouldOfferLoginSave({ origin, username, password }) {
+    if (!vaultData && !canUnlockSilently()) return false;
     const data = ensureLoaded();
     const o = normalizeVaultOrigin(origin);
     if (!o) return false;
@@ -457,13 +812,105 @@ function createAxisVault(app, _store, profileId = 'personal') {
     const u = String(username || '').trim();
     const p = String(password || '');
     if (!u || !p) throw new Error('Missing credentials');
+    const now = Date.now();
     const exact = data.logins.find(
       (e) => originsMatch(o, e.origin) && e.username === u && e.password === p
     );
     if (exact) {
+      if (settleStagedLogins(data, now, { origin: o, keepId: exact.id })) persist();
       return { id: exact.id, updated: false };
     }
+    // A generated password staged before the form was submitted: attach the username.
+    const staged = data.logins.find(
+      (e) =>
+        e.generated &&
+        (e.stagedAt || !e.username) &&
+        originsMatch(o, e.origin) &&
+        e.password === p
+    );
+    if (staged) {
+      staged.username = u;
+      staged.updatedAt = now;
+      settleStagedLogins(data, now, { origin: o, keepId: staged.id });
+      persist();
+      return { id: staged.id, updated: true };
+    }
+    settleStagedLogins(data, now, { origin: o });
+    let autoTitle = String(title || '').trim();
+    if (!autoTitle) {
+      try {
+        autoTitle = new URL(o).hostname.replace(/^www\./i, '');
+      } catch (_) {
+        autoTitle = '';
+      }
+    }
+    const row = {
+      id: newId(),
+      origin: o,
+      username: u,
+      password: p,
+      title: autoTitle,
+      notes: '',
+      createdAt: now,
+      updatedAt: now
+    };
+    data.logins.push(row);
+    persist();
+    return { id: row.id, updated: false };
+  }
+
+  /**
+   * Generated rows still waiting for their form to be submitted carry `stagedAt`. When one is
+   * kept (`keepId`), the other staged rows for its site go. Past the TTL a staged row is dropped,
+   * or kept as an ordinary login if it already has a username.
+   * @returns {boolean} Whether anything changed.
+   */
+  function settleStagedLogins(data, now, { origin = null, keepId = null } = {}) {
+    let changed = false;
+    data.logins = data.logins.filter((e) => {
+      if (!e.stagedAt) return true;
+      const expired = now - e.stagedAt > VAULT_STAGED_LOGIN_TTL_MS;
+      if (e.id !== keepId && origin && originsMatch(origin, e.origin)) {
+        changed = true;
+        return false;
+      }
+      if (e.id !== keepId && !expired) return true;
+      changed = true;
+      if (e.id !== keepId && !e.username) return false;
+      delete e.stagedAt;
+      delete e.stagedForm;
+      return true;
+    });
+    return changed;
+  }
+
+  /**
+   * Saves a freshly generated password the moment it is filled, so it survives a failed
+   * submit. Each site and form keeps one staged row: regenerating replaces its password, and
+   * `captureLogin` fills in the username and settles it once the form is submitted.
+   */
+  function stageGeneratedLogin({ origin, username, password, title, formKey }) {
+    const data = ensureLoaded();
+    const o = normalizeVaultOrigin(origin);
+    if (!o) throw new Error('Invalid origin');
+    const u = String(username || '').trim();
+    const p = String(password || '');
+    if (!p) throw new Error('Missing password');
+    const form = String(formKey || '');
     const now = Date.now();
+    settleStagedLogins(data, now);
+    const existing = data.logins.find(
+      (e) => e.stagedAt && originsMatch(o, e.origin) && (e.stagedForm === form || e.password === p)
+    );
+    if (existing) {
+      existing.password = p;
+      if (u) existing.username = u;
+      existing.stagedAt = now;
+      existing.stagedForm = form;
+      existing.updatedAt = now;
+      persist();
+      return { id: existing.id, updated: true };
+    }
     let autoTitle = String(title || '').trim();
     if (!autoTitle) {
       try {
@@ -479,6 +926,9 @@ function createAxisVault(app, _store, profileId = 'personal') {
       password: p,
       title: autoTitle,
       notes: '',
+      generated: true,
+      stagedAt: now,
+      stagedForm: form,
       createdAt: now,
       updatedAt: now
     };
@@ -487,8 +937,119 @@ function createAxisVault(app, _store, profileId = 'personal') {
     return { id: row.id, updated: false };
   }
 
+  /** Current RFC 6238 code for a login with a stored 2FA key. */
+  function totpCode(id) {
+    const entry = getLogin(id);
+    if (!entry.totp || !entry.totp.secret) throw new Error('No 2FA key saved for this login');
+    return generateTotpCode(entry.totp);
+  }
+
+  function loginOtpauth(id) {
+    return formatOtpauth(getLogin(id).totp);
+  }
+
+  /** Logins for this site that can answer a one-time-code prompt. */
+  function matchTotpLogins(pageOrigin, pageUrl) {
+    const data = ensureLoaded();
+    const ids = new Set(matchLogins(pageOrigin, '', pageUrl).map((e) => e.id));
+    return data.logins
+      .filter((e) => ids.has(e.id) && e.totp && e.totp.secret)
+      .map((e) => ({
+        id: e.id,
+        username: e.username || '',
+        title: e.title || '',
+        ...generateTotpCode(e.totp)
+      }));
+  }
+
+  /** Dry run of `importLogins` for the preview — never includes passwords. */
+  function previewLoginImport(incoming) {
+    const data = ensureLoaded();
+    return planVaultLoginImport(data.logins, incoming, normalizeVaultOrigin, originsMatch);
+  }
+
+  /**
+   * @param {object[]} incoming  Rows from `parseVaultImportFile`.
+   * @param {{ resolution?: 'skip'|'overwrite'|'keep', resolutions?: Record<number, string> }} [opts]
+   *   How to treat conflicts; `resolutions` overrides the default per row index.
+   */
+  function importLogins(incoming, opts = {}) {
+    const data = ensureLoaded();
+    const plan = planVaultLoginImport(data.logins, incoming, normalizeVaultOrigin, originsMatch);
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    const now = Date.now();
+    for (const step of plan) {
+      const src = incoming[step.index];
+      let totp = null;
+      try {
+        totp = src.otpauth ? parseOtpauth(src.otpauth) : null;
+      } catch (_) {}
+      if (step.status === 'invalid' || step.status === 'same') {
+        counts.skipped += 1;
+        continue;
+      }
+      const choice =
+        step.status === 'conflict'
+          ? (opts.resolutions && opts.resolutions[step.index]) || opts.resolution || 'skip'
+          : 'keep';
+      if (choice === 'overwrite') {
+        const row = data.logins.find((e) => e.id === step.existingId);
+        if (row) {
+          row.password = src.password;
+          if (src.title) row.title = src.title;
+          if (src.notes) row.notes = src.notes;
+          if (totp) row.totp = totp;
+          row.updatedAt = now;
+          counts.updated += 1;
+          continue;
+        }
+      } else if (choice !== 'keep') {
+        counts.skipped += 1;
+        continue;
+      }
+      let title = src.title;
+      if (!title) {
+        try {
+          title = new URL(step.origin).hostname.replace(/^www\./i, '');
+        } catch (_) {
+          title = '';
+        }
+      }
+      const row = {
+        id: newId(),
+        origin: step.origin,
+        username: src.username,
+        password: src.password,
+        title,
+        notes: src.notes || '',
+        createdAt: now,
+        updatedAt: now
+      };
+      if (totp) row.totp = totp;
+      data.logins.push(row);
+      counts.added += 1;
+    }
+    if (counts.added || counts.updated) persist();
+    return counts;
+  }
+
+  /** Plaintext export; callers must have confirmed with the user first. */
+  function exportLogins(format) {
+    const data = ensureLoaded();
+    if (format === 'bitwarden') {
+      return JSON.stringify(buildVaultExportBitwarden(data.logins, formatOtpauth), null, 2);
+    }
+    return buildVaultExportCsv(data.logins);
+  }
+
+  /** Reused / weak / duplicate / `http:` findings for the Settings health report. */
+  function healthReport() {
+    const data = ensureLoaded();
+    return buildVaultHealthReport(data.logins, originsMatch);
+  }
+
   function flushUnlocked() {
-    persist();
+    if (vaultData) persist();
   }
 
   return {
@@ -497,6 +1058,13 @@ function createAxisVault(app, _store, profileId = 'personal') {
     ensureLoaded,
     isConfigured,
     isUnlocked,
+    unlock,
+    lock,
+    touch,
+    lockStatus,
+    setAsideDamagedVault,
+    setMasterPassword,
+    useKeyring,
     listLogins,
     getLogin,
     saveLogin,
@@ -515,10 +1083,18 @@ function createAxisVault(app, _store, profileId = 'personal') {
     matchCards,
     shouldOfferLoginSave,
     captureLogin,
+    stageGeneratedLogin,
+    totpCode,
+    loginOtpauth,
+    matchTotpLogins,
+    previewLoginImport,
+    importLogins,
+    exportLogins,
+    healthReport,
     flushUnlocked,
     normalizeVaultOrigin,
     originsMatch
   };
 }
 
-module.exports = { createAxisVault, formatAddressSummary };
+module.exports = { createAxisVault, formatAddressSummary, VAULT_MIN_MASTER_PASSWORD_LENGTH };
@@ -1,16 +1,96 @@
-const { app, BrowserWindow, Menu, ipcMain, dialog, session, globalShortcut, shell, screen, nativeImage, clipboard, nativeTheme, systemPreferences, net } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, session, globalShortcut, shell, screen, nativeImage, clipboard, nativeTheme, systemPreferences, net, safeStorage, desktopCapturer, protocol } = require('electron');
 // Must run before `ready`. `package.json` `name` is lowercase `axis` (npm); Dock tooltip and `getName()` use this human-readable label.
 app.setName('Axis');
+// Reader pages are served as `axis-reader://<token>/` (see `installReaderProtocol`); schemes must be registered before `ready`.
+protocol.registerSchemesAsPrivileged([{ scheme: 'axis-reader', privileges: { standard: true, secure: true } }]);
 const path = require('path');
 const Store = require('electron-store');
 const fs = require('fs');
 const os = require('os');
-const { exec } = require('child_process');
+const crypto = require('crypto');
+const { exec, execFile } = require('child_process');
 const AdmZip = require('adm-zip');
 const { pathToFileURL, fileURLToPath } = require('url');
 const { installAxisShellCspOnAllSessions } = require('./axis-shell-csp');
 const { createAxisVault, formatAddressSummary } = require('./axis-vault');
+const { readOtpauthFromQrImage } = require('./axis-vault-qr');
+const { PASSWORD_GENERATOR_DEFAULTS, normalizeGeneratorOptions, generatePassword } = require('./axis-password-generator');
 const { sanitizeProfileIcon } = require('./axis-profile-icons');
+const {
+  sitePermissionKinds,
+  cleanSitePermissionOverrides,
+  cleanSitePermissionDefaults,
+  isSitePermissionPattern,
+  resolveSitePermission
+} = require('./axis-site-permissions');
+const { normalizeDownloadRules, matchDownloadRule, describeDownloadRule } = require('./axis-download-rules');
+const {
+  AXIS_ADBLOCK_LISTS_KEY,
+  AXIS_ADBLOCK_USER_RULES_KEY,
+  AXIS_ADBLOCK_LISTS_MAX,
+  AXIS_ADBLOCK_LIST_MAX_BYTES,
+  AXIS_ADBLOCK_LIST_STALE_MS,
+  newAdblockListId,
+  cleanAdblockFilterLists,
+  normalizeAdblockListUrl,
+  adblockListTitle,
+  countAdblockRules,
+  validateAdblockListText,
+  cleanAdblockUserRules,
+  writeAdblockListText,
+  removeAdblockListText,
+  readAdblockCustomFilterSections,
+  readAdblockCustomFilterText,
+  adblockCustomEngineSignature
+} = require('./axis-adblock-lists');
+const { buildElementPickerScript, sanitizePickedSelector } = require('./axis-element-picker');
+const {
+  AXIS_READER_DEFAULT_PREFS,
+  buildReaderExtractScript,
+  buildReaderPageHtml
+} = require('./axis-reader');
+const {
+  AXIS_CLEAR_SITE_DATA_STORAGES,
+  AXIS_CLEAR_DATA_MAX_HOSTS,
+  normalizeClearBrowsingDataRequest,
+  clearDataOriginsForHosts,
+  downloadItemTime
+} = require('./axis-browsing-data');
+const {
+  AXIS_SITE_DATA_RULES_KEY,
+  AXIS_SITE_DATA_RULE_VALUES,
+  normalizeSiteDataOrigin,
+  cleanSiteDataRules,
+  cookieHost,
+  cookieUrl,
+  cookieMatchesHost,
+  blockedSiteDataOrigin,
+  toSiteDataCookie,
+  readSiteStorageUsage,
+  summarizeSiteData
+} = require('./axis-site-data');
+const { buildBackgroundShimSource, buildExtensionApiPreloadSource } = require('./axis-extension-chrome-shims');
+const {
+  AXIS_EXTENSION_MENU_ITEMS_MAX,
+  extensionHasPermission,
+  extensionHasHostAccess,
+  normalizeExtensionMenuItem,
+  extensionMenuContextsFor,
+  extensionMenuItemApplies,
+  extensionTabMatchesQuery,
+  normalizeExtensionSiteAccess,
+  extensionSiteHostMatches,
+  extensionRequestsSiteAccess,
+  restrictExtensionContentScripts,
+  normalizeExtensionBadgeColor
+} = require('./axis-extension-api');
+const {
+  AXIS_DOWNLOAD_RISK_REASONS,
+  classifyDownloadRisk,
+  isInspectableArchive,
+  zipContainsExecutable,
+  applyDownloadQuarantine
+} = require('./axis-download-safety');
 const {
   listImportableBrowsers,
   listBrowserImportProfiles,
@@ -21,8 +101,18 @@ const {
   importAxisProfileBackup
 } = require('./axis-profile-import');
 const { createProfileTrashApi } = require('./axis-profile-trash');
-const { trimProfileHistoryItems } = require('./axis-history-store');
+const { createAxisHistoryDb } = require('./axis-history-db');
 const { AXIS_VAULT_PAGE_SCAN_JS } = require('./axis-vault-page-scan');
+const {
+  isEncryptedProfileBackup,
+  encryptProfileBackup,
+  decryptProfileBackup
+} = require('./axis-profile-backup');
+const {
+  VAULT_IMPORT_MAX_BYTES,
+  VAULT_IMPORT_RESOLUTIONS,
+  parseVaultImportFile
+} = require('./axis-vault-transfer');
 const {
   AXIS_VAULT_AUTOFILL_BOOTSTRAP_JS,
   AXIS_VAULT_AUTOFILL_PROBE_JS,
@@ -225,6 +315,9 @@ const axisProfileStores = new Map();
 /** Per-profile vault instances (separate password/card files). */
 const axisVaultByProfile = new Map();
 
+/** Per-profile SQLite history handles, opened on first use. */
+const axisHistoryDbByProfile = new Map();
+
 // Electron defaults `nativeTheme.themeSource` to `system`, so when the OS switches
 // light/dark, Chromium's `prefers-color-scheme`, vibrancy materials, and native form
 // chrome follow — which fights Axis (user theme + in-app Appearance). Pin a stable
@@ -409,7 +502,13 @@ function formatProfileStorageBytes(bytes) {
 function getProfileStorageBytes(profileId) {
   const id = sanitizeProfileId(profileId);
   let total = 0;
-  for (const filePath of [getProfileStoreFilePath(id), getProfileVaultFilePath(id)]) {
+  const historyDbPath = getProfileHistoryDbPath(id);
+  for (const filePath of [
+    getProfileStoreFilePath(id),
+    getProfileVaultFilePath(id),
+    historyDbPath,
+    `${historyDbPath}-wal`
+  ]) {
     try {
       total += fs.statSync(filePath).size;
     } catch (_) {}
@@ -437,7 +536,10 @@ function getProfilesOverview() {
     const id = profile.id;
     const profileStore = getProfileStore(id);
     const favorites = profileStore.get('favorites', []);
-    const historyItems = profileStore.get('historyItems', []);
+    let historyCount = 0;
+    try {
+      historyCount = getProfileHistoryDb(id).count();
+    } catch (_) {}
     const pinnedTabs = profileStore.get('pinnedTabs', []);
     const extensions = getStoredAxisExtensions(id);
     return {
@@ -445,7 +547,7 @@ function getProfilesOverview() {
       name: profile.name,
       icon: profile.icon,
       favorites: Array.isArray(favorites) ? favorites.length : 0,
-      history: Array.isArray(historyItems) ? historyItems.length : 0,
+      history: historyCount,
       pinnedTabs: Array.isArray(pinnedTabs) ? pinnedTabs.length : 0,
       extensions: Array.isArray(extensions) ? extensions.length : 0,
       storageBytes: getProfileStorageBytes(id),
@@ -501,6 +603,8 @@ const profileTrash = createProfileTrashApi({
   sanitizeProfileId,
   getProfileStoreFilePath,
   getProfileVaultFilePath,
+  getProfileHistoryDbPath,
+  closeProfileHistoryDb,
   listAxisProfiles,
   saveAxisProfiles,
   axisProfileStores,
@@ -597,6 +701,7 @@ async function deleteAxisProfile(profileId) {
   } catch (_) {}
 
   axisVaultByProfile.delete(id);
+  axisSiteDataBlockedHosts.delete(id);
 
   if (axisProfileStores.has(id)) {
     axisProfileStores.delete(id);
@@ -690,9 +795,12 @@ function initializeProfileDefaults(profileId, profileStore) {
     siteThemeColor: false,
     linkPreview: true,
     vaultAutofillEnabled: true,
+    vaultAutoLockMinutes: 15,
+    vaultGeneratorOptions: { ...PASSWORD_GENERATOR_DEFAULTS },
     windowChromeLight: 50,
     sidebarZoom: 100,
     searchEngine: 'google',
+    customSearchEngines: [],
     recentSearches: [],
     dismissedSuggestions: [],
     favorites: [],
@@ -700,8 +808,11 @@ function initializeProfileDefaults(profileId, profileStore) {
     tabGroups: [],
     unpinnedTabs: [],
     unpinnedTabsRecovery: [],
+    splitViews: [],
+    readerPrefs: { ...AXIS_READER_DEFAULT_PREFS },
     sitePermissionOverrides: {},
-    historyItems: [],
+    sitePermissionDefaults: {},
+    downloadRules: [],
     downloadItems: [],
     noteItems: [],
     ntpWelcomeEnabled: true,
@@ -717,7 +828,9 @@ function initializeProfileDefaults(profileId, profileStore) {
     ambientAudioEnabled: false,
     ambientMuteWhenTabAudio: true,
     ambientAudioPreset: 'rain',
-    ambientAudioVolume: 48
+    ambientAudioVolume: 48,
+    tabHibernateMinutes: 60,
+    tabHibernateOnMemoryPressure: true
   };
   for (const [key, value] of Object.entries(defaults)) {
     if (s.get(key) === undefined) s.set(key, value);
@@ -748,12 +861,35 @@ function getProfileSitePermissionStore(profileId) {
   return getProfileStore(profileId);
 }
 
-function getHistoryItems(profileId) {
-  return getProfileStore(profileId).get('historyItems', []) || [];
+function getProfileHistoryDbPath(profileId) {
+  return path.join(app.getPath('userData'), `profile-${sanitizeProfileId(profileId)}-history.sqlite`);
+}
+
+/** Per-profile SQLite history; the first open moves any electron-store `historyItems` into it. */
+function getProfileHistoryDb(profileId) {
+  const id = sanitizeProfileId(profileId);
+  if (axisHistoryDbByProfile.has(id)) return axisHistoryDbByProfile.get(id);
+  const historyDb = createAxisHistoryDb(getProfileHistoryDbPath(id));
+  const profileStore = getProfileStore(id);
+  const legacyItems = profileStore.get('historyItems');
+  if (legacyItems !== undefined) {
+    historyDb.migrateFromJson(legacyItems);
+    profileStore.delete('historyItems');
+  }
+  axisHistoryDbByProfile.set(id, historyDb);
+  return historyDb;
+}
+
+function closeProfileHistoryDb(profileId) {
+  const id = sanitizeProfileId(profileId);
+  const historyDb = axisHistoryDbByProfile.get(id);
+  if (!historyDb) return;
+  axisHistoryDbByProfile.delete(id);
+  historyDb.close();
 }
 
-function setHistoryItems(profileId, items) {
-  getProfileStore(profileId).set('historyItems', trimProfileHistoryItems(items));
+function importProfileHistory(profileId, items, options) {
+  return getProfileHistoryDb(profileId).importItems(items, options);
 }
 
 function getDownloadItems(profileId) {
@@ -775,7 +911,13 @@ function setNoteItems(profileId, items) {
 function ensureAxisVaultForProfile(profileId) {
   const id = sanitizeProfileId(profileId);
   if (!axisVaultByProfile.has(id)) {
-    axisVaultByProfile.set(id, createAxisVault(app, null, id));
+    axisVaultByProfile.set(
+      id,
+      createAxisVault(app, getProfileStore(id), id, {
+        safeStorage,
+        onLockChange: (unlocked) => broadcastVaultLockChanged(id, unlocked)
+      })
+    );
   }
   return axisVaultByProfile.get(id);
 }
@@ -784,6 +926,16 @@ function ensureAxisVaultFromEvent(event) {
   return ensureAxisVaultForProfile(getProfileIdForEvent(event));
 }
 
+/** Settings vault pane and the shell autofill UI re-query status when the vault locks or unlocks. */
+function broadcastVaultLockChanged(profileId, unlocked) {
+  for (const w of BrowserWindow.getAllWindows()) {
+    if (w.isDestroyed()) continue;
+    try {
+      w.webContents.send('axis-vault-lock-changed', { profileId, unlocked: !!unlocked });
+    } catch (_) {}
+  }
+}
+
 function getAxisExtensionSession(profileId = AXIS_DEFAULT_PROFILE_ID) {
   return session.fromPartition(getProfilePartition(profileId));
 }
@@ -1144,70 +1296,21 @@ function convertMv3WebAccessibleResources(resources) {
   return Array.from(new Set(out));
 }
 
-function getAxisExtensionApiShimSource() {
-  return `
-(function () {
-  var root = typeof globalThis !== 'undefined' ? globalThis : self;
-  var chromeObj = root.chrome = root.chrome || {};
-  function eventStub() {
-    return {
-      addListener: function () {},
-      removeListener: function () {},
-      hasListener: function () { return false; }
-    };
-  }
-  function noop() {
-    var cb = arguments.length ? arguments[arguments.length - 1] : null;
-    if (typeof cb === 'function') setTimeout(function () { cb(); }, 0);
-  }
-  chromeObj.action = chromeObj.action || {};
-  ['setIcon', 'setBadgeText', 'setBadgeBackgroundColor', 'setTitle', 'setPopup', 'enable', 'disable'].forEach(function (key) {
-    if (typeof chromeObj.action[key] !== 'function') chromeObj.action[key] = noop;
-  });
-  chromeObj.browserAction = chromeObj.browserAction || chromeObj.action;
-  chromeObj.contextMenus = chromeObj.contextMenus || {};
-  ['create', 'update', 'remove', 'removeAll'].forEach(function (key) {
-    if (typeof chromeObj.contextMenus[key] !== 'function') chromeObj.contextMenus[key] = noop;
-  });
-  chromeObj.contextMenus.onClicked = chromeObj.contextMenus.onClicked || eventStub();
-  chromeObj.scripting = chromeObj.scripting || {};
-  if (typeof chromeObj.scripting.executeScript !== 'function') {
-    chromeObj.scripting.executeScript = function (_details, callback) {
-      if (typeof callback === 'function') setTimeout(function () { callback([]); }, 0);
-      return Promise.resolve([]);
-    };
-  }
-  if (typeof chromeObj.scripting.insertCSS !== 'function') chromeObj.scripting.insertCSS = noop;
-  if (typeof chromeObj.scripting.removeCSS !== 'function') chromeObj.scripting.removeCSS = noop;
-  chromeObj.fontSettings = chromeObj.fontSettings || {};
-  if (typeof chromeObj.fontSettings.getFontList !== 'function') {
-    chromeObj.fontSettings.getFontList = function (callback) {
-      if (typeof callback === 'function') setTimeout(function () { callback([]); }, 0);
-    };
-  }
-  chromeObj.windows = chromeObj.windows || {};
-  if (typeof chromeObj.windows.getAll !== 'function') {
-    chromeObj.windows.getAll = function (_query, callback) {
-      if (typeof _query === 'function') callback = _query;
-      if (typeof callback === 'function') setTimeout(function () { callback([]); }, 0);
-    };
-  }
-  if (typeof chromeObj.windows.update !== 'function') chromeObj.windows.update = noop;
-  if (typeof chromeObj.windows.create !== 'function') chromeObj.windows.create = noop;
-  if (chromeObj.runtime && typeof chromeObj.runtime.setUninstallURL !== 'function') {
-    chromeObj.runtime.setUninstallURL = noop;
-  }
-})();`;
-}
-
-async function prepareAxisExtensionLoadPath(record, manifest) {
-  if (!record?.path || !manifest || manifest.manifest_version !== 3) {
+/**
+ * Directory to load: the extension itself, or a runtime copy when an MV3 manifest needs
+ * converting or `scriptHosts` (see `getAxisExtensionScriptHosts`) limits its content scripts.
+ */
+async function prepareAxisExtensionLoadPath(record, manifest, scriptHosts = null) {
+  if (!record?.path || !manifest) {
     return record?.path || '';
   }
   const serviceWorker = manifest.background?.service_worker;
   const hasAction = manifest.action && typeof manifest.action === 'object';
-  const needsCompat = !!serviceWorker || hasAction || Array.isArray(manifest.host_permissions);
-  if (!needsCompat) return record.path;
+  const convertMv3 =
+    manifest.manifest_version === 3 && (!!serviceWorker || hasAction || Array.isArray(manifest.host_permissions));
+  const restrictScripts =
+    Array.isArray(scriptHosts) && Array.isArray(manifest.content_scripts) && manifest.content_scripts.length > 0;
+  if (!convertMv3 && !restrictScripts) return record.path;
 
   const runtimeRoot = getAxisExtensionRuntimeDir();
   const safeId = String(record.id || 'extension').replace(/[^a-zA-Z0-9._-]/g, '-');
@@ -1220,9 +1323,25 @@ async function prepareAxisExtensionLoadPath(record, manifest) {
     errorOnExist: false
   });
 
+  const compatManifest = convertMv3 ? await convertAxisMv3Manifest(compatPath, manifest) : { ...manifest };
+  if (restrictScripts) {
+    compatManifest.content_scripts = restrictExtensionContentScripts(compatManifest.content_scripts, scriptHosts);
+  }
+
+  await fs.promises.writeFile(
+    path.join(compatPath, 'manifest.json'),
+    JSON.stringify(compatManifest, null, 2),
+    'utf8'
+  );
+  return compatPath;
+}
+
+/** MV2 manifest for an MV3 extension copied to `compatPath` (Electron runs MV2 backgrounds). */
+async function convertAxisMv3Manifest(compatPath, manifest) {
+  const serviceWorker = manifest.background?.service_worker;
   const compatManifest = { ...manifest, manifest_version: 2 };
   const shimFile = 'axis_extension_api_shim.js';
-  await fs.promises.writeFile(path.join(compatPath, shimFile), getAxisExtensionApiShimSource(), 'utf8');
+  await fs.promises.writeFile(path.join(compatPath, shimFile), buildBackgroundShimSource(), 'utf8');
 
   if (manifest.action && typeof manifest.action === 'object') {
     compatManifest.browser_action = {
@@ -1303,13 +1422,7 @@ async function prepareAxisExtensionLoadPath(record, manifest) {
       compatManifest.content_security_policy.extension_pages ||
       "script-src 'self'; object-src 'self'";
   }
-
-  await fs.promises.writeFile(
-    path.join(compatPath, 'manifest.json'),
-    JSON.stringify(compatManifest, null, 2),
-    'utf8'
-  );
-  return compatPath;
+  return compatManifest;
 }
 
 function parseChromeWebStoreExtensionId(raw) {
@@ -1612,6 +1725,7 @@ function toAxisExtensionView(record, profileId = AXIS_DEFAULT_PROFILE_ID) {
   const activeExtensionId = rt.loadedId || '';
   const optionsPath = record.optionsPage || '';
   const popupPath = record.popupPage || '';
+  const access = normalizeExtensionSiteAccess(record.siteAccess, record.siteAccessSites);
   return {
     id: record.id,
     extensionId: loadedId,
@@ -1627,7 +1741,11 @@ function toAxisExtensionView(record, profileId = AXIS_DEFAULT_PROFILE_ID) {
     popupUrl: activeExtensionId && popupPath ? `chrome-extension://${activeExtensionId}/${popupPath}` : '',
     installedAt: record.installedAt || 0,
     manifestVersion: record.manifestVersion || null,
-    storeListingToken: record.storeListingToken || ''
+    storeListingToken: record.storeListingToken || '',
+    pinned: record.pinned === true,
+    requestsSiteAccess: record.requestsSiteAccess !== false,
+    siteAccess: access.mode,
+    siteAccessSites: access.sites
   };
 }
 
@@ -1639,8 +1757,11 @@ async function loadAxisExtensionRecord(record, profileId = AXIS_DEFAULT_PROFILE_
 
   try {
     const manifest = await readAxisExtensionManifest(record.path);
-    const loadPath = await prepareAxisExtensionLoadPath(record, manifest);
+    const loadPath = await prepareAxisExtensionLoadPath(record, manifest, getAxisExtensionScriptHosts(pid, record));
     const extSession = getAxisExtensionSession(pid);
+    ensureAxisExtensionApiPreload(extSession);
+    // The background page re-registers its menu items as soon as it starts.
+    if (record.extensionId) clearAxisExtensionMenuItems(pid, record.extensionId);
     const loadExtension =
       extSession.extensions && typeof extSession.extensions.loadExtension === 'function'
         ? extSession.extensions.loadExtension.bind(extSession.extensions)
@@ -1667,7 +1788,8 @@ async function loadAxisExtensionRecord(record, profileId = AXIS_DEFAULT_PROFILE_
       manifestVersion: manifest.manifest_version,
       optionsPage: getAxisExtensionOptionsPage(manifest),
       popupPage: getAxisExtensionDefaultPopup(manifest),
-      iconUrl: getAxisExtensionIconUrl(record.path, manifest)
+      iconUrl: getAxisExtensionIconUrl(record.path, manifest),
+      requestsSiteAccess: extensionRequestsSiteAccess(manifest)
     };
     setExtensionRuntimeState(pid, record.id, { loadedId: ext.id, error: '' });
     const all = getStoredAxisExtensions(pid);
@@ -1700,6 +1822,8 @@ function unloadAxisExtensionRecord(record, profileId = AXIS_DEFAULT_PROFILE_ID)
   const rt = getExtensionRuntimeState(pid, record.id);
   const extensionId = rt?.loadedId || record.extensionId;
   if (extensionId) {
+    clearAxisExtensionMenuItems(pid, extensionId);
+    axisExtensionActionState.delete(extensionRuntimeKey(pid, extensionId));
     try {
       getAxisExtensionSession(pid).removeExtension(extensionId);
     } catch (_) {}
@@ -1727,176 +1851,1113 @@ async function loadAllProfileExtensions() {
   }
 }
 
-async function migrateAxisExtensionPopupPagesIfNeeded(profileId = AXIS_DEFAULT_PROFILE_ID) {
-  const pid = sanitizeProfileId(profileId);
-  const all = getStoredAxisExtensions(pid);
-  let changed = false;
-  const out = await Promise.all(
-    all.map(async (rec) => {
-      if (rec.popupPage !== undefined) return rec;
-      changed = true;
-      try {
-        const manifest = await readAxisExtensionManifest(rec.path);
-        return {
-          ...rec,
-          popupPage: getAxisExtensionDefaultPopup(manifest) || ''
-        };
-      } catch (_) {
-        return { ...rec, popupPage: '' };
-      }
-    })
-  );
-  if (changed) setStoredAxisExtensions(pid, out);
+// ---------------------------------------------------------------------------
+// Extension API bridge — chrome.tabs / windows / scripting / contextMenus for extension pages
+// ---------------------------------------------------------------------------
+const axisExtensionApiPreloadSessions = new WeakSet();
+let axisExtensionApiPreloadPath = '';
+/** `pid::extensionId` → `{ profileId, extensionId, items: Map<id, item> }` (insertion order is menu order). */
+const axisExtensionMenus = new Map();
+/** Windows opened by `chrome.windows.create` for extension pages: window id → extension id. */
+const axisExtensionApiWindows = new Map();
+/** `scripting.insertCSS` keys so `removeCSS` can undo them. */
+const axisExtensionInsertedCss = new Map();
+const axisShellTabsRequests = new Map();
+let axisShellTabsRequestSeq = 0;
+/** Isolated world for `scripting.executeScript` (Electron's content scripts use their own). */
+const AXIS_EXTENSION_SCRIPTING_WORLD_ID = 1077;
+
+/** Registers the bridge preload (see `buildExtensionApiPreloadSource`) on a profile session once. */
+function ensureAxisExtensionApiPreload(sess) {
+  if (!sess || axisExtensionApiPreloadSessions.has(sess)) return;
+  try {
+    if (!axisExtensionApiPreloadPath) {
+      const dir = getAxisExtensionRuntimeDir();
+      fs.mkdirSync(dir, { recursive: true });
+      const filePath = path.join(dir, 'axis-extension-api-preload.js');
+      fs.writeFileSync(filePath, buildExtensionApiPreloadSource(), 'utf8');
+      axisExtensionApiPreloadPath = filePath;
+    }
+    if (typeof sess.registerPreloadScript === 'function') {
+      sess.registerPreloadScript({ id: 'axis-extension-api', type: 'frame', filePath: axisExtensionApiPreloadPath });
+    } else {
+      sess.setPreloads([...sess.getPreloads(), axisExtensionApiPreloadPath]);
+    }
+    axisExtensionApiPreloadSessions.add(sess);
+  } catch (err) {
+    console.warn('Axis: could not register the extension API preload:', err);
+  }
 }
 
-async function listAxisExtensions(profileId = AXIS_DEFAULT_PROFILE_ID) {
-  const pid = sanitizeProfileId(profileId);
-  const all = getStoredAxisExtensions(pid);
-  const out = [];
-  for (const rec of all) {
-    const hydrated = await hydrateExtensionRecordManifestStrings(rec, pid);
-    out.push(toAxisExtensionView(hydrated, pid));
+function getAxisLoadedExtension(sess, extensionId) {
+  try {
+    const api = sess.extensions && typeof sess.extensions.getExtension === 'function' ? sess.extensions : sess;
+    return api.getExtension(extensionId) || null;
+  } catch (_) {
+    return null;
   }
-  return out;
 }
 
-/**
- * Whether this profile already has an extension from a store listing URL / token.
- * Reads persisted profile store (works immediately after app restart).
- */
-async function resolveStoreListingInstallStatus(profileId, rawUrlOrToken) {
-  const pid = sanitizeProfileId(profileId);
-  let token = '';
-  const raw = String(rawUrlOrToken || '').trim();
-  if (/^amo:[a-z0-9._-]+$/i.test(raw)) {
-    token = raw.toLowerCase();
-  } else if (/^[a-p]{32}$/i.test(raw.replace(/\s+/g, ''))) {
-    token = raw.replace(/\s+/g, '').toLowerCase();
-  } else if (raw) {
-    token = resolveStoreListingTokenForInput(raw) || '';
+/** The calling extension page, or null when the sender is not a loaded extension's page. */
+function getAxisExtensionApiCaller(event) {
+  const sender = event?.sender;
+  if (!sender || sender.isDestroyed()) return null;
+  let url;
+  try {
+    url = new URL(event.senderFrame?.url || sender.getURL());
+  } catch (_) {
+    return null;
   }
-  if (!token) {
-    return { installed: false, token: '', name: '', version: '', extensionRecordId: '' };
+  if (url.protocol !== 'chrome-extension:') return null;
+  const ext = getAxisLoadedExtension(sender.session, url.host);
+  if (!ext) return null;
+  const profileId = getProfileIdFromSession(sender.session);
+  return { sender, session: sender.session, profileId, ext, record: findAxisExtensionRecordByExtensionId(profileId, ext.id) };
+}
+
+function isAxisShellWindow(win) {
+  if (!win || win.isDestroyed() || win.__axisIsSettingsWindow) return false;
+  try {
+    return win.webContents.getURL().split('#')[0].endsWith('/index.html');
+  } catch (_) {
+    return false;
   }
-  const cwsId = token.startsWith('amo:') ? null : token;
-  const all = getStoredAxisExtensions(pid);
-  let match = null;
-  for (const rec of all) {
-    const listing = String(rec.storeListingToken || '').trim();
-    if (listing && listing === token) {
-      match = rec;
-      break;
+}
+
+function listAxisProfileShellWindows(profileId) {
+  const pid = sanitizeProfileId(profileId);
+  return BrowserWindow.getAllWindows().filter(
+    (w) =>
+      isAxisShellWindow(w) &&
+      w.__axisIsIncognito !== true &&
+      sanitizeProfileId(w.__axisProfileId || AXIS_DEFAULT_PROFILE_ID) === pid
+  );
+}
+
+function getAxisLastFocusedShellWindow(profileId) {
+  const wins = listAxisProfileShellWindows(profileId);
+  const focused = BrowserWindow.getFocusedWindow();
+  if (focused && wins.includes(focused)) return focused;
+  if (mainWindow && wins.includes(mainWindow)) return mainWindow;
+  return wins[0] || null;
+}
+
+/** Chrome's "current window": the tab's window for pages in a tab, the opener for popups. */
+function getAxisExtensionCallerWindow(caller) {
+  const wins = listAxisProfileShellWindows(caller.profileId);
+  const host = caller.sender.hostWebContents;
+  const own = BrowserWindow.fromWebContents(host && !host.isDestroyed() ? host : caller.sender);
+  if (own && wins.includes(own)) return own;
+  const parent = own && typeof own.getParentWindow === 'function' ? own.getParentWindow() : null;
+  if (parent && wins.includes(parent)) return parent;
+  return getAxisLastFocusedShellWindow(caller.profileId);
+}
+
+/** Asks a shell window's renderer to run a tab operation (`handleExtensionTabsRequest`). */
+function requestAxisShellTabs(win, op, args = {}) {
+  return new Promise((resolve, reject) => {
+    if (!win || win.isDestroyed()) {
+      reject(new Error('No browser window.'));
+      return;
     }
-    if (cwsId) {
-      const extId = String(rec.extensionId || '').trim().toLowerCase();
-      if (extId && extId === cwsId) {
-        match = rec;
-        break;
-      }
+    const requestId = ++axisShellTabsRequestSeq;
+    const timer = setTimeout(() => {
+      axisShellTabsRequests.delete(requestId);
+      reject(new Error('The browser window did not respond.'));
+    }, 8000);
+    axisShellTabsRequests.set(requestId, { resolve, reject, timer, senderId: win.webContents.id });
+    try {
+      win.webContents.send('axis-extension-tabs-request', { requestId, op, args });
+    } catch (err) {
+      clearTimeout(timer);
+      axisShellTabsRequests.delete(requestId);
+      reject(err);
     }
-  }
-  if (!match) {
-    return { installed: false, token, name: '', version: '', extensionRecordId: '' };
-  }
-  const hydrated = await hydrateExtensionRecordManifestStrings(match, pid);
-  const view = toAxisExtensionView(hydrated, pid);
-  return {
-    installed: true,
-    token,
-    name: view.name || '',
-    version: view.version || '',
-    extensionRecordId: view.id || ''
-  };
+  });
 }
 
-async function installAxisExtensionFromFolder(ownerWindow, profileId) {
-  const pid =
-    profileId ||
-    (ownerWindow && !ownerWindow.isDestroyed()
-      ? sanitizeProfileId(ownerWindow.__axisProfileId)
-      : AXIS_DEFAULT_PROFILE_ID);
-  const dialogOptions = {
-    title: 'Install Extension',
-    message: 'Choose an unpacked Chrome extension folder that contains manifest.json',
-    properties: ['openDirectory']
+/** Chrome `Tab` for a renderer tab entry; url / title / favicon need `tabs` or host access. */
+function toAxisExtensionTab(caller, win, entry) {
+  const tab = {
+    id: entry.wcId || -1,
+    index: entry.index,
+    windowId: win.id,
+    active: !!entry.active,
+    highlighted: !!entry.active,
+    selected: !!entry.active,
+    pinned: !!entry.pinned,
+    audible: !!entry.audible,
+    discarded: false,
+    autoDiscardable: true,
+    mutedInfo: { muted: !!entry.muted },
+    incognito: false,
+    status: entry.status === 'loading' ? 'loading' : 'complete',
+    groupId: -1
   };
-  const result = ownerWindow
-    ? await dialog.showOpenDialog(ownerWindow, dialogOptions)
-    : await dialog.showOpenDialog(dialogOptions);
-  if (result.canceled || !result.filePaths || !result.filePaths[0]) {
-    return { canceled: true, extensions: await listAxisExtensions(pid) };
+  const manifest = caller.ext.manifest;
+  if (extensionHasPermission(manifest, 'tabs') || extensionHasHostAccess(manifest, entry.url)) {
+    tab.url = entry.url || '';
+    tab.title = entry.title || '';
+    tab.favIconUrl = entry.favIconUrl || '';
   }
+  return tab;
+}
 
-  const sourcePath = result.filePaths[0];
-  const out = await commitAxisExtensionInstall(sourcePath, pid);
-  return { canceled: false, ...out };
+async function listAxisExtensionTabs(caller, wins = listAxisProfileShellWindows(caller.profileId)) {
+  const out = [];
+  for (const win of wins) {
+    let entries = [];
+    try {
+      entries = await requestAxisShellTabs(win, 'list');
+    } catch (_) {}
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      out.push({ win, entry, tab: toAxisExtensionTab(caller, win, entry) });
+    }
+  }
+  return out;
 }
 
-async function installAxisExtensionFromCrxFile(ownerWindow, profileId) {
-  const pid =
-    profileId ||
-    (ownerWindow && !ownerWindow.isDestroyed()
-      ? sanitizeProfileId(ownerWindow.__axisProfileId)
-      : AXIS_DEFAULT_PROFILE_ID);
-  const dialogOptions = {
-    title: 'Install Extension from .crx',
-    message: 'Choose a Chrome extension package (.crx)',
-    properties: ['openFile'],
-    filters: [{ name: 'Chrome Extension', extensions: ['crx'] }, { name: 'All Files', extensions: ['*'] }]
+async function findAxisExtensionTab(caller, tabId) {
+  const id = Number(tabId);
+  const hit = Number.isFinite(id) && id > 0 ? (await listAxisExtensionTabs(caller)).find((t) => t.tab.id === id) : null;
+  if (!hit) throw new Error(`No tab with id: ${tabId}.`);
+  return hit;
+}
+
+/** http(s), about:blank or an extension page; relative URLs resolve against the extension. */
+function resolveAxisExtensionUrl(caller, raw) {
+  if (raw == null || raw === '') return '';
+  let u;
+  try {
+    u = new URL(String(raw), caller.ext.url);
+  } catch (_) {
+    throw new Error(`Invalid url: "${raw}".`);
+  }
+  if (['http:', 'https:', 'chrome-extension:'].includes(u.protocol) || u.href === 'about:blank') return u.href;
+  throw new Error(`Cannot navigate to ${u.protocol} URLs.`);
+}
+
+function toAxisExtensionWindow(win, tabs = null) {
+  const extWindow = axisExtensionApiWindows.has(win.id);
+  const b = win.getBounds();
+  const out = {
+    id: win.id,
+    focused: win.isFocused(),
+    top: b.y,
+    left: b.x,
+    width: b.width,
+    height: b.height,
+    incognito: false,
+    type: extWindow ? 'popup' : 'normal',
+    state: win.isMinimized() ? 'minimized' : win.isFullScreen() ? 'fullscreen' : win.isMaximized() ? 'maximized' : 'normal',
+    alwaysOnTop: win.isAlwaysOnTop()
   };
-  const result = ownerWindow
-    ? await dialog.showOpenDialog(ownerWindow, dialogOptions)
-    : await dialog.showOpenDialog(dialogOptions);
-  if (result.canceled || !result.filePaths || !result.filePaths[0]) {
-    return { canceled: true, extensions: await listAxisExtensions(pid) };
-  }
-  const crxBuf = await fs.promises.readFile(result.filePaths[0]);
-  const out = await installAxisExtensionFromCrxBuffer(crxBuf, pid);
-  return { canceled: false, ...out };
+  if (tabs) out.tabs = tabs;
+  return out;
 }
 
-async function setAxisExtensionEnabled(id, enabled, profileId = AXIS_DEFAULT_PROFILE_ID) {
-  const pid = sanitizeProfileId(profileId);
-  const all = getStoredAxisExtensions(pid);
-  const idx = all.findIndex((x) => x.id === id);
-  if (idx < 0) throw new Error('Extension not found');
-  all[idx] = { ...all[idx], enabled: !!enabled };
-  setStoredAxisExtensions(pid, all);
-  if (enabled) {
-    await loadAxisExtensionRecord(all[idx], pid);
-  } else {
-    unloadAxisExtensionRecord(all[idx], pid);
+function listAxisExtensionWindows(caller) {
+  const wins = listAxisProfileShellWindows(caller.profileId);
+  for (const [id, extensionId] of axisExtensionApiWindows) {
+    const w = BrowserWindow.fromId(id);
+    if (w && !w.isDestroyed() && extensionId === caller.ext.id) wins.push(w);
   }
-  broadcastSettingsUpdated(pid);
-  try {
-    createMenu();
-  } catch (_) {}
-  return await listAxisExtensions(pid);
+  return wins;
 }
 
-async function removeAxisExtension(id, profileId = AXIS_DEFAULT_PROFILE_ID) {
-  const pid = sanitizeProfileId(profileId);
-  const all = getStoredAxisExtensions(pid);
-  const record = all.find((x) => x.id === id);
-  if (!record) throw new Error('Extension not found');
-  unloadAxisExtensionRecord(record, pid);
-  setStoredAxisExtensions(pid, all.filter((x) => x.id !== id));
-  try {
-    const root = getAxisExtensionsDir();
-    const rel = path.relative(root, record.path || '');
-    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
-      await fs.promises.rm(record.path, { recursive: true, force: true });
-    }
-  } catch (_) {}
-  deleteExtensionRuntimeState(pid, id);
-  broadcastSettingsUpdated(pid);
-  try {
-    createMenu();
-  } catch (_) {}
-  return await listAxisExtensions(pid);
+async function describeAxisExtensionWindow(caller, win, query) {
+  if (!query?.populate) return toAxisExtensionWindow(win);
+  const tabs = axisExtensionApiWindows.has(win.id) ? [] : (await listAxisExtensionTabs(caller, [win])).map((t) => t.tab);
+  return toAxisExtensionWindow(win, tabs);
 }
 
-async function openAxisExtensionOptions(id, profileId = AXIS_DEFAULT_PROFILE_ID) {
+function resolveAxisExtensionWindowId(caller, windowId) {
+  const id = windowId === -2 || windowId == null ? getAxisExtensionCallerWindow(caller)?.id : Number(windowId);
+  const win = listAxisExtensionWindows(caller).find((w) => w.id === id);
+  if (!win) throw new Error(`No window with id: ${windowId}.`);
+  return win;
+}
+
+/** `windows.create` for an extension page: a small window in the extension's session. */
+function openAxisExtensionApiWindow(caller, url, createData) {
+  const win = new BrowserWindow({
+    width: Number(createData.width) || 420,
+    height: Number(createData.height) || 600,
+    ...(Number.isFinite(createData.left) ? { x: createData.left } : {}),
+    ...(Number.isFinite(createData.top) ? { y: createData.top } : {}),
+    minWidth: 200,
+    minHeight: 120,
+    title: caller.ext.name || 'Extension',
+    icon: fs.existsSync(APP_ICON_PATH) ? APP_ICON_PATH : undefined,
+    autoHideMenuBar: true,
+    backgroundColor: '#f5f5f5',
+    show: createData.focused !== false,
+    webPreferences: {
+      session: caller.session,
+      contextIsolation: false,
+      nodeIntegration: false,
+      sandbox: false,
+      preload: path.join(__dirname, 'extension-popup-preload.js'),
+      webSecurity: true,
+      webviewTag: false,
+      spellcheck: false
+    }
+  });
+  const id = win.id;
+  axisExtensionApiWindows.set(id, caller.ext.id);
+  win.on('closed', () => axisExtensionApiWindows.delete(id));
+  void win.loadURL(url).catch(() => {});
+  return win;
+}
+
+/**
+ * `activeTab` grants: `pid::extensionId` → guest id → origin. Given when the user invokes the
+ * extension on a tab (toolbar button or one of its context-menu items) and dropped when that tab
+ * navigates or closes, as in Chrome.
+ */
+const axisExtensionActiveTabGrants = new Map();
+const axisExtensionActiveTabWatched = new Set();
+
+function grantAxisExtensionActiveTab(profileId, extensionId, guest) {
+  if (!guest || guest.isDestroyed() || guest.getType() !== 'webview') return;
+  const ext = getAxisLoadedExtension(guest.session, extensionId);
+  if (!ext || !extensionHasPermission(ext.manifest, 'activeTab')) return;
+  let origin = '';
+  try {
+    origin = new URL(guest.getURL()).origin;
+  } catch (_) {}
+  if (!origin || origin === 'null') return;
+  const key = extensionRuntimeKey(profileId, extensionId);
+  if (!axisExtensionActiveTabGrants.has(key)) axisExtensionActiveTabGrants.set(key, new Map());
+  axisExtensionActiveTabGrants.get(key).set(guest.id, origin);
+  if (axisExtensionActiveTabWatched.has(guest.id)) return;
+  axisExtensionActiveTabWatched.add(guest.id);
+  const guestId = guest.id;
+  const revoke = () => {
+    for (const tabs of axisExtensionActiveTabGrants.values()) tabs.delete(guestId);
+  };
+  guest.on('did-start-navigation', (details) => {
+    if (details && details.isMainFrame && !details.isSameDocument) revoke();
+  });
+  guest.once('destroyed', () => {
+    revoke();
+    axisExtensionActiveTabWatched.delete(guestId);
+  });
+}
+
+function axisExtensionHasActiveTab(caller, guest) {
+  const origin = axisExtensionActiveTabGrants.get(extensionRuntimeKey(caller.profileId, caller.ext.id))?.get(guest.id);
+  if (!origin) return false;
+  try {
+    return new URL(guest.getURL()).origin === origin;
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Tab guest targeted by `scripting.*`, after Chrome's host-permission / activeTab check. */
+async function resolveAxisScriptingTarget(caller, target) {
+  const tabId = Number(target?.tabId);
+  const { webContents } = require('electron');
+  const guest = Number.isFinite(tabId) && tabId > 0 ? webContents.fromId(tabId) : null;
+  if (!guest || guest.isDestroyed() || guest.getType() !== 'webview' || guest.session !== caller.session) {
+    throw new Error(`No tab with id: ${target?.tabId}.`);
+  }
+  const manifest = caller.ext.manifest;
+  const url = guest.getURL();
+  if (!extensionHasHostAccess(manifest, url) || !isAxisExtensionSiteAllowed(caller.profileId, caller.record, url)) {
+    if (!extensionHasPermission(manifest, 'activeTab') || !axisExtensionHasActiveTab(caller, guest)) {
+      throw new Error('Cannot access contents of the page. Extension manifest must request permission to access the respective host.');
+    }
+  }
+  return guest;
+}
+
+async function readAxisExtensionFiles(caller, files) {
+  const root = path.resolve(caller.ext.path);
+  const out = [];
+  for (const file of Array.isArray(files) ? files : []) {
+    const full = path.resolve(root, String(file).replace(/^\/+/, ''));
+    if (full !== root && !full.startsWith(root + path.sep)) throw new Error(`Invalid file: ${file}.`);
+    try {
+      out.push(await fs.promises.readFile(full, 'utf8'));
+    } catch (_) {
+      throw new Error(`Could not load file: '${file}'.`);
+    }
+  }
+  return out;
+}
+
+/** Frames an injection targets: the main frame (frameId 0), `allFrames`, or listed `frameIds`. */
+function axisScriptingFrames(guest, target) {
+  const main = guest.mainFrame;
+  const all = target?.allFrames ? main.framesInSubtree : [main];
+  if (!Array.isArray(target?.frameIds) || !target.frameIds.length) return all;
+  const wanted = new Set(target.frameIds.map(Number));
+  return main.framesInSubtree.filter((f) => wanted.has(f === main ? 0 : f.routingId));
+}
+
+/**
+ * Subframes are checked on their own URL: host permissions plus site access, or the main frame's
+ * origin when the tab itself was granted (activeTab covers that origin only).
+ */
+function axisScriptingFrameAllowed(caller, guest, frame) {
+  if (frame === guest.mainFrame) return true;
+  const url = String(frame.url || '');
+  if (extensionHasHostAccess(caller.ext.manifest, url) && isAxisExtensionSiteAllowed(caller.profileId, caller.record, url)) {
+    return true;
+  }
+  try {
+    const origin = new URL(url).origin;
+    return origin !== 'null' && origin === new URL(guest.getURL()).origin;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function runAxisExtensionExecuteScript(caller, injection) {
+  const details = injection && typeof injection === 'object' ? injection : {};
+  const guest = await resolveAxisScriptingTarget(caller, details.target);
+  let sources;
+  if (typeof details.func === 'string') {
+    const args = Array.isArray(details.args) ? details.args : [];
+    sources = [`(${details.func})(...${JSON.stringify(args)})`];
+  } else if (Array.isArray(details.files) && details.files.length) {
+    sources = await readAxisExtensionFiles(caller, details.files);
+  } else {
+    throw new Error("Exactly one of 'func' and 'files' must be specified.");
+  }
+  const results = [];
+  const isolated = details.world !== 'MAIN';
+  for (const frame of axisScriptingFrames(guest, details.target)) {
+    const isMain = frame === guest.mainFrame;
+    // Subframes have no isolated-world entry point in Electron; they are skipped rather than
+    // handed code meant for an isolated world.
+    if (!isMain && (isolated || !axisScriptingFrameAllowed(caller, guest, frame))) continue;
+    let result;
+    for (const code of sources) {
+      try {
+        result = isolated
+          ? await guest.executeJavaScriptInIsolatedWorld(AXIS_EXTENSION_SCRIPTING_WORLD_ID, [{ code }], true)
+          : await frame.executeJavaScript(code, true);
+      } catch (err) {
+        result = undefined;
+        if (isMain) throw new Error(String(err?.message || err));
+      }
+    }
+    results.push({ frameId: isMain ? 0 : frame.routingId, result });
+  }
+  return results;
+}
+
+function axisInsertedCssKey(guest, caller, css, origin) {
+  return `${guest.id}\n${caller.ext.id}\n${origin}\n${css}`;
+}
+
+async function axisInjectionCss(caller, injection) {
+  if (typeof injection?.css === 'string') return injection.css;
+  if (Array.isArray(injection?.files) && injection.files.length) return (await readAxisExtensionFiles(caller, injection.files)).join('\n');
+  throw new Error("Exactly one of 'css' and 'files' must be specified.");
+}
+
+function getAxisExtensionMenu(profileId, extensionId, create = false) {
+  const key = extensionRuntimeKey(profileId, extensionId);
+  if (!axisExtensionMenus.has(key) && create) {
+    axisExtensionMenus.set(key, { profileId: sanitizeProfileId(profileId), extensionId, items: new Map() });
+  }
+  return axisExtensionMenus.get(key) || null;
+}
+
+function clearAxisExtensionMenuItems(profileId, extensionId) {
+  axisExtensionMenus.delete(extensionRuntimeKey(profileId, extensionId));
+}
+
+/** Dispatches an event (`contextMenus.onClicked`) to every open page of an extension. */
+function sendAxisExtensionEvent(sess, extensionId, eventName, args) {
+  const { webContents } = require('electron');
+  const prefix = `chrome-extension://${extensionId}/`;
+  for (const wc of webContents.getAllWebContents()) {
+    try {
+      if (wc.isDestroyed() || wc.session !== sess || !wc.getURL().startsWith(prefix)) continue;
+      wc.send('axis-extension-api-event', { event: eventName, args });
+    } catch (_) {}
+  }
+}
+
+/** API namespaces that need a manifest permission, as in Chrome. */
+const AXIS_EXTENSION_API_PERMISSIONS = {
+  scripting: 'scripting',
+  contextMenus: 'contextMenus'
+};
+
+const AXIS_EXTENSION_API_METHODS = {
+  'tabs.query': async (caller, [query]) => {
+    const current = getAxisExtensionCallerWindow(caller);
+    const lastFocused = getAxisLastFocusedShellWindow(caller.profileId);
+    return (await listAxisExtensionTabs(caller))
+      .map((t) => t.tab)
+      .filter((tab) => extensionTabMatchesQuery(tab, query, current?.id, lastFocused?.id));
+  },
+  'tabs.get': async (caller, [tabId]) => (await findAxisExtensionTab(caller, tabId)).tab,
+  'tabs.getCurrent': async (caller) => {
+    if (caller.sender.getType() !== 'webview') return undefined;
+    const hit = (await listAxisExtensionTabs(caller)).find((t) => t.tab.id === caller.sender.id);
+    return hit ? hit.tab : undefined;
+  },
+  'tabs.create': async (caller, [props = {}]) => {
+    const win = resolveAxisExtensionWindowId(caller, props.windowId);
+    if (axisExtensionApiWindows.has(win.id)) throw new Error('Tabs can only be created in browser windows.');
+    const url = resolveAxisExtensionUrl(caller, props.url);
+    const entry = await requestAxisShellTabs(win, 'create', { url, active: props.active !== false, pinned: !!props.pinned });
+    return toAxisExtensionTab(caller, win, entry);
+  },
+  'tabs.update': async (caller, [tabId, props = {}]) => {
+    let hit;
+    if (tabId == null) {
+      const current = getAxisExtensionCallerWindow(caller);
+      hit = (await listAxisExtensionTabs(caller, current ? [current] : [])).find((t) => t.entry.active);
+      if (!hit) throw new Error('No active tab.');
+    } else {
+      hit = await findAxisExtensionTab(caller, tabId);
+    }
+    const update = { wcId: hit.entry.wcId };
+    if (props.url !== undefined) update.url = resolveAxisExtensionUrl(caller, props.url);
+    if (typeof props.active === 'boolean' || typeof props.highlighted === 'boolean') {
+      update.active = props.active ?? props.highlighted;
+    }
+    if (typeof props.pinned === 'boolean') update.pinned = props.pinned;
+    if (typeof props.muted === 'boolean') update.muted = props.muted;
+    const entry = await requestAxisShellTabs(hit.win, 'update', update);
+    return toAxisExtensionTab(caller, hit.win, entry || hit.entry);
+  },
+  'tabs.remove': async (caller, [tabIds]) => {
+    const ids = (Array.isArray(tabIds) ? tabIds : [tabIds]).map(Number);
+    const tabs = await listAxisExtensionTabs(caller);
+    const byWindow = new Map();
+    for (const id of ids) {
+      const hit = tabs.find((t) => t.tab.id === id);
+      if (!hit) throw new Error(`No tab with id: ${id}.`);
+      if (!byWindow.has(hit.win)) byWindow.set(hit.win, []);
+      byWindow.get(hit.win).push(id);
+    }
+    for (const [win, wcIds] of byWindow) await requestAxisShellTabs(win, 'remove', { wcIds });
+    return undefined;
+  },
+  'windows.get': async (caller, [windowId, query]) =>
+    describeAxisExtensionWindow(caller, resolveAxisExtensionWindowId(caller, windowId), query),
+  'windows.getCurrent': async (caller, [query]) =>
+    describeAxisExtensionWindow(caller, resolveAxisExtensionWindowId(caller, -2), query),
+  'windows.getLastFocused': async (caller, [query]) => {
+    const win = getAxisLastFocusedShellWindow(caller.profileId);
+    if (!win) throw new Error('No last-focused window.');
+    return describeAxisExtensionWindow(caller, win, query);
+  },
+  'windows.getAll': async (caller, [query]) => {
+    const out = [];
+    for (const win of listAxisExtensionWindows(caller)) out.push(await describeAxisExtensionWindow(caller, win, query));
+    return out;
+  },
+  'windows.create': async (caller, [createData = {}]) => {
+    if (createData.tabId != null) throw new Error('Moving tabs into a new window is not supported.');
+    const urls = Array.isArray(createData.url) ? createData.url : createData.url ? [createData.url] : [];
+    const url = urls.length ? resolveAxisExtensionUrl(caller, urls[0]) : '';
+    if (url.startsWith('chrome-extension:')) {
+      return toAxisExtensionWindow(openAxisExtensionApiWindow(caller, url, createData));
+    }
+    if (createData.incognito) {
+      return { ...toAxisExtensionWindow(createIncognitoWindow(url || null)), incognito: true };
+    }
+    const win = createWindow({ profileId: caller.profileId });
+    if (url) {
+      win.webContents.once('did-finish-load', () => {
+        setTimeout(() => {
+          if (!win.isDestroyed()) win.webContents.send('open-url-in-browser', url);
+        }, 400);
+      });
+    }
+    return toAxisExtensionWindow(win);
+  },
+  'windows.update': async (caller, [windowId, info = {}]) => {
+    const win = resolveAxisExtensionWindowId(caller, windowId);
+    if (info.state === 'minimized') win.minimize();
+    else if (info.state === 'maximized') win.maximize();
+    else if (info.state === 'fullscreen') win.setFullScreen(true);
+    else if (info.state === 'normal') {
+      if (win.isFullScreen()) win.setFullScreen(false);
+      if (win.isMaximized()) win.unmaximize();
+      if (win.isMinimized()) win.restore();
+    }
+    const b = win.getBounds();
+    const bounds = {
+      x: Number.isFinite(info.left) ? info.left : b.x,
+      y: Number.isFinite(info.top) ? info.top : b.y,
+      width: Number.isFinite(info.width) ? info.width : b.width,
+      height: Number.isFinite(info.height) ? info.height : b.height
+    };
+    if (bounds.x !== b.x || bounds.y !== b.y || bounds.width !== b.width || bounds.height !== b.height) win.setBounds(bounds);
+    if (info.focused === true) {
+      win.show();
+      win.focus();
+    } else if (info.focused === false) {
+      win.blur();
+    }
+    if (info.drawAttention === true) win.flashFrame(true);
+    return toAxisExtensionWindow(win);
+  },
+  'windows.remove': async (caller, [windowId]) => {
+    resolveAxisExtensionWindowId(caller, windowId).close();
+    return undefined;
+  },
+  'scripting.executeScript': (caller, [injection]) => runAxisExtensionExecuteScript(caller, injection),
+  'scripting.insertCSS': async (caller, [injection = {}]) => {
+    const guest = await resolveAxisScriptingTarget(caller, injection.target);
+    const css = await axisInjectionCss(caller, injection);
+    const origin = injection.origin === 'USER' ? 'user' : 'author';
+    const key = await guest.insertCSS(css, { cssOrigin: origin });
+    axisExtensionInsertedCss.set(axisInsertedCssKey(guest, caller, css, origin), key);
+    return undefined;
+  },
+  'scripting.removeCSS': async (caller, [injection = {}]) => {
+    const guest = await resolveAxisScriptingTarget(caller, injection.target);
+    const css = await axisInjectionCss(caller, injection);
+    const origin = injection.origin === 'USER' ? 'user' : 'author';
+    const cssKey = axisInsertedCssKey(guest, caller, css, origin);
+    const key = axisExtensionInsertedCss.get(cssKey);
+    if (key) {
+      axisExtensionInsertedCss.delete(cssKey);
+      await guest.removeInsertedCSS(key);
+    }
+    return undefined;
+  },
+  'action.setBadgeText': async (caller, [details = {}]) => {
+    setAxisExtensionActionValue(caller, details, 'badgeText', String(details.text ?? ''));
+  },
+  'action.getBadgeText': async (caller, [details = {}]) =>
+    getAxisExtensionActionValue(caller.profileId, caller.ext.id, details.tabId, 'badgeText') || '',
+  'action.setBadgeBackgroundColor': async (caller, [details = {}]) => {
+    const color = normalizeExtensionBadgeColor(details.color);
+    if (!color) throw new Error(`Invalid color: ${details.color}`);
+    setAxisExtensionActionValue(caller, details, 'badgeColor', color);
+  },
+  'action.getBadgeBackgroundColor': async (caller, [details = {}]) =>
+    getAxisExtensionActionValue(caller.profileId, caller.ext.id, details.tabId, 'badgeColor') ||
+    AXIS_EXTENSION_BADGE_DEFAULT_COLOR.slice(),
+  'action.setTitle': async (caller, [details = {}]) => {
+    setAxisExtensionActionValue(caller, details, 'title', String(details.title ?? '').slice(0, 300));
+  },
+  'action.getTitle': async (caller, [details = {}]) =>
+    getAxisExtensionActionValue(caller.profileId, caller.ext.id, details.tabId, 'title') || caller.ext.name || '',
+  'action.setIcon': async (caller, [details = {}]) => {
+    setAxisExtensionActionValue(caller, details, 'icon', resolveAxisExtensionActionIcon(caller, details));
+  },
+  'action.enable': async (caller, [tabId]) => {
+    setAxisExtensionActionValue(caller, { tabId }, 'enabled', true);
+  },
+  'action.disable': async (caller, [tabId]) => {
+    setAxisExtensionActionValue(caller, { tabId }, 'enabled', false);
+  },
+  'action.isEnabled': async (caller, [tabId]) =>
+    getAxisExtensionActionValue(caller.profileId, caller.ext.id, tabId, 'enabled') !== false,
+  'contextMenus.create': async (caller, [props]) => {
+    const menu = getAxisExtensionMenu(caller.profileId, caller.ext.id, true);
+    const result = normalizeExtensionMenuItem(props);
+    if (!result.ok) throw new Error(result.error);
+    const { item } = result;
+    if (menu.items.has(item.id)) throw new Error(`Cannot create item with duplicate id ${item.id}`);
+    if (item.parentId != null && !menu.items.has(item.parentId)) throw new Error(`Cannot find menu item with id ${item.parentId}`);
+    if (menu.items.size >= AXIS_EXTENSION_MENU_ITEMS_MAX) throw new Error('Too many menu items.');
+    menu.items.set(item.id, item);
+    return item.id;
+  },
+  'contextMenus.update': async (caller, [id, props]) => {
+    const menu = getAxisExtensionMenu(caller.profileId, caller.ext.id);
+    const prev = menu?.items.get(String(id));
+    if (!prev) throw new Error(`Cannot find menu item with id ${id}`);
+    const result = normalizeExtensionMenuItem(props, prev);
+    if (!result.ok) throw new Error(result.error);
+    menu.items.set(prev.id, result.item);
+    return undefined;
+  },
+  'contextMenus.remove': async (caller, [id]) => {
+    const menu = getAxisExtensionMenu(caller.profileId, caller.ext.id);
+    const key = String(id);
+    if (!menu?.items.has(key)) throw new Error(`Cannot find menu item with id ${id}`);
+    const doomed = new Set([key]);
+    for (const item of menu.items.values()) {
+      if (item.parentId != null && doomed.has(item.parentId)) doomed.add(item.id);
+    }
+    for (const itemId of doomed) menu.items.delete(itemId);
+    return undefined;
+  },
+  'contextMenus.removeAll': async (caller) => {
+    clearAxisExtensionMenuItems(caller.profileId, caller.ext.id);
+    return undefined;
+  }
+};
+
+/**
+ * Extension items for the page context menu. One top-level item shows as-is; several are
+ * grouped under the extension's name, as in Chrome. `%s` in titles is the selected text.
+ */
+function appendAxisExtensionMenuItems(template, guest, ctx) {
+  if (!guest || guest.isDestroyed()) return;
+  const pid = getProfileIdFromSession(guest.session);
+  const contexts = extensionMenuContextsFor(ctx);
+  const selection = String(ctx.selectionText || '').trim();
+  const shortSelection = selection.length > 32 ? `${selection.slice(0, 32)}…` : selection;
+  const groups = [];
+  for (const menu of axisExtensionMenus.values()) {
+    if (menu.profileId !== pid) continue;
+    const ext = getAxisLoadedExtension(guest.session, menu.extensionId);
+    if (!ext) continue;
+    const build = (parentId) => {
+      const out = [];
+      for (const item of menu.items.values()) {
+        if ((item.parentId ?? null) !== parentId || !extensionMenuItemApplies(item, contexts, ctx)) continue;
+        if (item.type === 'separator') {
+          out.push({ type: 'separator' });
+          continue;
+        }
+        const children = build(item.id);
+        const entry = {
+          label: item.title.replace(/%s/g, shortSelection),
+          enabled: item.enabled
+        };
+        if (children.length) {
+          entry.submenu = children;
+        } else {
+          if (item.type === 'checkbox' || item.type === 'radio') {
+            entry.type = item.type;
+            entry.checked = !!item.checked;
+          }
+          entry.click = () => onAxisExtensionMenuItemClicked(guest, menu, item, ctx);
+        }
+        out.push(entry);
+      }
+      return out;
+    };
+    const top = build(null);
+    if (top.length) groups.push(top.length === 1 ? top[0] : { label: ext.name || 'Extension', submenu: top });
+  }
+  if (!groups.length) return;
+  template.push(...groups, { type: 'separator' });
+}
+
+/** Chrome `Tab` for a tab guest as extension `extensionId` may see it (for event payloads). */
+async function describeAxisGuestTabForExtension(guest, profileId, extensionId) {
+  const ext = getAxisLoadedExtension(guest.session, extensionId);
+  if (!ext) return undefined;
+  const caller = { sender: guest, session: guest.session, profileId, ext };
+  try {
+    return (await listAxisExtensionTabs(caller)).find((t) => t.tab.id === guest.id)?.tab;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+async function onAxisExtensionMenuItemClicked(guest, menu, item, ctx) {
+  grantAxisExtensionActiveTab(menu.profileId, menu.extensionId, guest);
+  const wasChecked = !!item.checked;
+  if (item.type === 'checkbox') item.checked = !wasChecked;
+  if (item.type === 'radio') {
+    for (const other of menu.items.values()) {
+      if (other.type === 'radio' && (other.parentId ?? null) === (item.parentId ?? null)) other.checked = other === item;
+    }
+  }
+  const info = {
+    menuItemId: item.id,
+    editable: !!ctx.isEditable,
+    pageUrl: guest.isDestroyed() ? String(ctx.pageURL || '') : guest.getURL()
+  };
+  if (item.parentId != null) info.parentMenuItemId = item.parentId;
+  if (ctx.linkURL) info.linkUrl = ctx.linkURL;
+  if (ctx.srcURL) info.srcUrl = ctx.srcURL;
+  if (ctx.mediaType && ctx.mediaType !== 'none') info.mediaType = ctx.mediaType;
+  if (ctx.hasSelection && ctx.selectionText) info.selectionText = ctx.selectionText;
+  if (item.type === 'checkbox' || item.type === 'radio') {
+    info.wasChecked = wasChecked;
+    info.checked = !!item.checked;
+  }
+  const tab = guest.isDestroyed() ? undefined : await describeAxisGuestTabForExtension(guest, menu.profileId, menu.extensionId);
+  sendAxisExtensionEvent(guest.session, menu.extensionId, 'contextMenus.onClicked', [info, tab]);
+}
+
+// ---------------------------------------------------------------------------
+// Extension toolbar — `chrome.action` badges / icons, pinning and site access
+// ---------------------------------------------------------------------------
+/** Hosts granted from the toolbar to extensions set to run on click; not persisted. */
+const axisExtensionClickGrants = new Map();
+/** `pid::extensionId` → `{ global: {...}, tabs: Map<tabId, {...}> }` set through `chrome.action`. */
+const axisExtensionActionState = new Map();
+const AXIS_EXTENSION_BADGE_DEFAULT_COLOR = [95, 99, 104, 255];
+const AXIS_EXTENSION_ICON_MAX_CHARS = 256 * 1024;
+
+function findAxisExtensionRecordByExtensionId(profileId, extensionId) {
+  const pid = sanitizeProfileId(profileId);
+  return (
+    getStoredAxisExtensions(pid).find(
+      (r) => r.extensionId === extensionId || getExtensionRuntimeState(pid, r.id).loadedId === extensionId
+    ) || null
+  );
+}
+
+/** Hosts the extension's content scripts may run on, or null for whatever its manifest matches. */
+function getAxisExtensionScriptHosts(profileId, record) {
+  const access = normalizeExtensionSiteAccess(record?.siteAccess, record?.siteAccessSites);
+  if (access.mode === 'all') return null;
+  if (access.mode === 'sites') return access.sites;
+  return Array.from(axisExtensionClickGrants.get(extensionRuntimeKey(profileId, record.id)) || []);
+}
+
+function isAxisExtensionSiteAllowed(profileId, record, url) {
+  const hosts = getAxisExtensionScriptHosts(profileId, record);
+  return hosts === null || extensionSiteHostMatches(hosts, url);
+}
+
+/** Site access only reaches content scripts on load, so a loaded extension is reloaded. */
+async function setAxisExtensionSiteAccess(id, payload, profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  const idx = all.findIndex((x) => x.id === id);
+  if (idx < 0) throw new Error('Extension not found');
+  const access = normalizeExtensionSiteAccess(payload?.mode, payload?.sites);
+  all[idx] = { ...all[idx], siteAccess: access.mode, siteAccessSites: access.sites };
+  setStoredAxisExtensions(pid, all);
+  axisExtensionClickGrants.delete(extensionRuntimeKey(pid, id));
+  if (all[idx].enabled !== false) {
+    unloadAxisExtensionRecord(all[idx], pid);
+    await loadAxisExtensionRecord(all[idx], pid);
+  }
+  broadcastSettingsUpdated(pid);
+  broadcastAxisExtensionActionsUpdated(pid);
+  return await listAxisExtensions(pid);
+}
+
+async function setAxisExtensionPinned(id, pinned, profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  const idx = all.findIndex((x) => x.id === id);
+  if (idx < 0) throw new Error('Extension not found');
+  all[idx] = { ...all[idx], pinned: !!pinned };
+  setStoredAxisExtensions(pid, all);
+  broadcastAxisExtensionActionsUpdated(pid);
+  return await listAxisExtensions(pid);
+}
+
+function broadcastAxisExtensionActionsUpdated(profileId) {
+  const pid = sanitizeProfileId(profileId);
+  for (const win of listAxisProfileShellWindows(pid)) {
+    try {
+      win.webContents.send('axis-extension-actions-updated', { profileId: pid });
+    } catch (_) {}
+  }
+}
+
+function getAxisExtensionActionState(profileId, extensionId) {
+  const key = extensionRuntimeKey(profileId, extensionId);
+  if (!axisExtensionActionState.has(key)) axisExtensionActionState.set(key, { global: {}, tabs: new Map() });
+  return axisExtensionActionState.get(key);
+}
+
+/** Sets one `chrome.action` value for `details.tabId` (until that tab closes) or for every tab. */
+function setAxisExtensionActionValue(caller, details, prop, value) {
+  const state = getAxisExtensionActionState(caller.profileId, caller.ext.id);
+  const tabId = Number(details?.tabId);
+  if (Number.isFinite(tabId) && tabId > 0) {
+    const { webContents } = require('electron');
+    const guest = webContents.fromId(tabId);
+    if (!guest || guest.isDestroyed() || guest.session !== caller.session) throw new Error(`No tab with id: ${tabId}.`);
+    if (!state.tabs.has(tabId)) {
+      state.tabs.set(tabId, {});
+      guest.once('destroyed', () => state.tabs.delete(tabId));
+    }
+    state.tabs.get(tabId)[prop] = value;
+  } else {
+    state.global[prop] = value;
+  }
+  broadcastAxisExtensionActionsUpdated(caller.profileId);
+}
+
+function getAxisExtensionActionValue(profileId, extensionId, tabId, prop) {
+  const state = extensionId ? axisExtensionActionState.get(extensionRuntimeKey(profileId, extensionId)) : null;
+  if (!state) return undefined;
+  const tabValue = state.tabs.get(Number(tabId))?.[prop];
+  return tabValue !== undefined ? tabValue : state.global[prop];
+}
+
+/** `action.setIcon` image as a data URL the shell can show (extension URLs only load in its session). */
+function resolveAxisExtensionActionIcon(caller, details) {
+  if (typeof details.imageUrl === 'string') {
+    if (!details.imageUrl.startsWith('data:image/png;base64,') || details.imageUrl.length > AXIS_EXTENSION_ICON_MAX_CHARS) {
+      throw new Error('Invalid icon image.');
+    }
+    return details.imageUrl;
+  }
+  let rel = details.path;
+  if (rel && typeof rel === 'object') {
+    const sizes = Object.keys(rel)
+      .map(Number)
+      .filter((n) => Number.isFinite(n))
+      .sort((a, b) => a - b);
+    const size = sizes.find((n) => n >= 32) || sizes[sizes.length - 1];
+    rel = size != null ? rel[String(size)] : '';
+  }
+  if (typeof rel !== 'string' || !rel) throw new Error("Either 'path' or 'imageData' must be specified.");
+  const root = path.resolve(caller.ext.path);
+  const full = path.resolve(root, rel.replace(/^\/+/, ''));
+  if (full !== root && !full.startsWith(root + path.sep)) throw new Error(`Invalid icon path: ${rel}.`);
+  const img = nativeImage.createFromPath(full);
+  if (img.isEmpty()) throw new Error(`Could not load icon '${rel}'.`);
+  return img.resize({ width: 32, height: 32, quality: 'best' }).toDataURL();
+}
+
+/** Every extension with the `chrome.action` values that apply to tab `tabId`, for the URL bar. */
+function getAxisExtensionToolbar(profileId, tabId) {
+  const pid = sanitizeProfileId(profileId);
+  return getStoredAxisExtensions(pid).map((record) => {
+    const view = toAxisExtensionView(record, pid);
+    const extId = view.loaded ? view.extensionId : '';
+    const value = (prop) => getAxisExtensionActionValue(pid, extId, tabId, prop);
+    const [r, g, b, a] = value('badgeColor') || AXIS_EXTENSION_BADGE_DEFAULT_COLOR;
+    return {
+      id: view.id,
+      name: view.name,
+      pinned: view.pinned,
+      enabled: view.enabled,
+      loaded: view.loaded,
+      iconUrl: value('icon') || view.iconUrl,
+      title: value('title') || view.name,
+      badgeText: value('badgeText') || '',
+      badgeColor: `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(3)})`,
+      actionEnabled: value('enabled') !== false,
+      siteAccess: view.siteAccess
+    };
+  });
+}
+
+/**
+ * Toolbar button click. An extension set to run on click first gets the tab's site (it is
+ * reloaded so its content scripts cover the site, then the tab reloads to run them); then its
+ * popup opens, or `action.onClicked` fires when it has none.
+ */
+async function clickAxisExtensionAction(id, profileId, tabId, ownerWindow) {
+  const pid = sanitizeProfileId(profileId);
+  const record = getStoredAxisExtensions(pid).find((x) => x.id === id);
+  if (!record) throw new Error('Extension not found');
+  if (record.enabled === false) throw new Error('Enable this extension before opening it.');
+  let view = toAxisExtensionView(record, pid);
+  if (view.loaded && getAxisExtensionActionValue(pid, view.extensionId, tabId, 'enabled') === false) {
+    return { action: 'none' };
+  }
+  const { webContents } = require('electron');
+  const guest = Number(tabId) > 0 ? webContents.fromId(Number(tabId)) : null;
+  const pageUrl = guest && !guest.isDestroyed() ? guest.getURL() : '';
+  if (
+    view.siteAccess === 'click' &&
+    view.requestsSiteAccess &&
+    /^https?:/i.test(pageUrl) &&
+    !isAxisExtensionSiteAllowed(pid, record, pageUrl)
+  ) {
+    const key = extensionRuntimeKey(pid, record.id);
+    if (!axisExtensionClickGrants.has(key)) axisExtensionClickGrants.set(key, new Set());
+    axisExtensionClickGrants.get(key).add(new URL(pageUrl).hostname.toLowerCase());
+    unloadAxisExtensionRecord(record, pid);
+    view = await loadAxisExtensionRecord(record, pid);
+    let manifest = null;
+    try {
+      manifest = await readAxisExtensionManifest(record.path);
+    } catch (_) {}
+    if (Array.isArray(manifest?.content_scripts) && manifest.content_scripts.length && !guest.isDestroyed()) {
+      guest.reload();
+    }
+    broadcastAxisExtensionActionsUpdated(pid);
+  } else if (!view.loaded) {
+    view = await loadAxisExtensionRecord(record, pid);
+  }
+  if (view.popupUrl) {
+    if (view.loaded) grantAxisExtensionActiveTab(pid, view.extensionId, guest);
+    await openAxisExtensionPopup(id, pid, ownerWindow);
+    return { action: 'popup' };
+  }
+  if (!view.loaded) throw new Error(view.error || 'This extension is not loaded.');
+  grantAxisExtensionActiveTab(pid, view.extensionId, guest);
+  const extSession = getAxisExtensionSession(pid);
+  const tab = guest && !guest.isDestroyed() ? await describeAxisGuestTabForExtension(guest, pid, view.extensionId) : undefined;
+  sendAxisExtensionEvent(extSession, view.extensionId, 'action.onClicked', [tab]);
+  return { action: 'clicked' };
+}
+
+async function migrateAxisExtensionPopupPagesIfNeeded(profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  let changed = false;
+  const out = await Promise.all(
+    all.map(async (rec) => {
+      if (rec.popupPage !== undefined) return rec;
+      changed = true;
+      try {
+        const manifest = await readAxisExtensionManifest(rec.path);
+        return {
+          ...rec,
+          popupPage: getAxisExtensionDefaultPopup(manifest) || ''
+        };
+      } catch (_) {
+        return { ...rec, popupPage: '' };
+      }
+    })
+  );
+  if (changed) setStoredAxisExtensions(pid, out);
+}
+
+async function listAxisExtensions(profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  const out = [];
+  for (const rec of all) {
+    const hydrated = await hydrateExtensionRecordManifestStrings(rec, pid);
+    out.push(toAxisExtensionView(hydrated, pid));
+  }
+  return out;
+}
+
+/**
+ * Whether this profile already has an extension from a store listing URL / token.
+ * Reads persisted profile store (works immediately after app restart).
+ */
+async function resolveStoreListingInstallStatus(profileId, rawUrlOrToken) {
+  const pid = sanitizeProfileId(profileId);
+  let token = '';
+  const raw = String(rawUrlOrToken || '').trim();
+  if (/^amo:[a-z0-9._-]+$/i.test(raw)) {
+    token = raw.toLowerCase();
+  } else if (/^[a-p]{32}$/i.test(raw.replace(/\s+/g, ''))) {
+    token = raw.replace(/\s+/g, '').toLowerCase();
+  } else if (raw) {
+    token = resolveStoreListingTokenForInput(raw) || '';
+  }
+  if (!token) {
+    return { installed: false, token: '', name: '', version: '', extensionRecordId: '' };
+  }
+  const cwsId = token.startsWith('amo:') ? null : token;
+  const all = getStoredAxisExtensions(pid);
+  let match = null;
+  for (const rec of all) {
+    const listing = String(rec.storeListingToken || '').trim();
+    if (listing && listing === token) {
+      match = rec;
+      break;
+    }
+    if (cwsId) {
+      const extId = String(rec.extensionId || '').trim().toLowerCase();
+      if (extId && extId === cwsId) {
+        match = rec;
+        break;
+      }
+    }
+  }
+  if (!match) {
+    return { installed: false, token, name: '', version: '', extensionRecordId: '' };
+  }
+  const hydrated = await hydrateExtensionRecordManifestStrings(match, pid);
+  const view = toAxisExtensionView(hydrated, pid);
+  return {
+    installed: true,
+    token,
+    name: view.name || '',
+    version: view.version || '',
+    extensionRecordId: view.id || ''
+  };
+}
+
+async function installAxisExtensionFromFolder(ownerWindow, profileId) {
+  const pid =
+    profileId ||
+    (ownerWindow && !ownerWindow.isDestroyed()
+      ? sanitizeProfileId(ownerWindow.__axisProfileId)
+      : AXIS_DEFAULT_PROFILE_ID);
+  const dialogOptions = {
+    title: 'Install Extension',
+    message: 'Choose an unpacked Chrome extension folder that contains manifest.json',
+    properties: ['openDirectory']
+  };
+  const result = ownerWindow
+    ? await dialog.showOpenDialog(ownerWindow, dialogOptions)
+    : await dialog.showOpenDialog(dialogOptions);
+  if (result.canceled || !result.filePaths || !result.filePaths[0]) {
+    return { canceled: true, extensions: await listAxisExtensions(pid) };
+  }
+
+  const sourcePath = result.filePaths[0];
+  const out = await commitAxisExtensionInstall(sourcePath, pid);
+  return { canceled: false, ...out };
+}
+
+async function installAxisExtensionFromCrxFile(ownerWindow, profileId) {
+  const pid =
+    profileId ||
+    (ownerWindow && !ownerWindow.isDestroyed()
+      ? sanitizeProfileId(ownerWindow.__axisProfileId)
+      : AXIS_DEFAULT_PROFILE_ID);
+  const dialogOptions = {
+    title: 'Install Extension from .crx',
+    message: 'Choose a Chrome extension package (.crx)',
+    properties: ['openFile'],
+    filters: [{ name: 'Chrome Extension', extensions: ['crx'] }, { name: 'All Files', extensions: ['*'] }]
+  };
+  const result = ownerWindow
+    ? await dialog.showOpenDialog(ownerWindow, dialogOptions)
+    : await dialog.showOpenDialog(dialogOptions);
+  if (result.canceled || !result.filePaths || !result.filePaths[0]) {
+    return { canceled: true, extensions: await listAxisExtensions(pid) };
+  }
+  const crxBuf = await fs.promises.readFile(result.filePaths[0]);
+  const out = await installAxisExtensionFromCrxBuffer(crxBuf, pid);
+  return { canceled: false, ...out };
+}
+
+async function setAxisExtensionEnabled(id, enabled, profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  const idx = all.findIndex((x) => x.id === id);
+  if (idx < 0) throw new Error('Extension not found');
+  all[idx] = { ...all[idx], enabled: !!enabled };
+  setStoredAxisExtensions(pid, all);
+  if (enabled) {
+    await loadAxisExtensionRecord(all[idx], pid);
+  } else {
+    unloadAxisExtensionRecord(all[idx], pid);
+  }
+  broadcastSettingsUpdated(pid);
+  try {
+    createMenu();
+  } catch (_) {}
+  return await listAxisExtensions(pid);
+}
+
+async function removeAxisExtension(id, profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const pid = sanitizeProfileId(profileId);
+  const all = getStoredAxisExtensions(pid);
+  const record = all.find((x) => x.id === id);
+  if (!record) throw new Error('Extension not found');
+  unloadAxisExtensionRecord(record, pid);
+  axisExtensionClickGrants.delete(extensionRuntimeKey(pid, id));
+  setStoredAxisExtensions(pid, all.filter((x) => x.id !== id));
+  try {
+    const root = getAxisExtensionsDir();
+    const rel = path.relative(root, record.path || '');
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+      await fs.promises.rm(record.path, { recursive: true, force: true });
+    }
+  } catch (_) {}
+  deleteExtensionRuntimeState(pid, id);
+  broadcastSettingsUpdated(pid);
+  try {
+    createMenu();
+  } catch (_) {}
+  return await listAxisExtensions(pid);
+}
+
+async function openAxisExtensionOptions(id, profileId = AXIS_DEFAULT_PROFILE_ID) {
   const pid = sanitizeProfileId(profileId);
   const record = getStoredAxisExtensions(pid).find((x) => x.id === id);
   if (!record) throw new Error('Extension not found');
@@ -2031,20 +3092,6 @@ function normalizePermissionOrigin(url) {
   }
 }
 
-function cleanSitePermissionOverrides(raw) {
-  const out = {};
-  if (!raw || typeof raw !== 'object') return out;
-  for (const [origin, perms] of Object.entries(raw)) {
-    if (!origin || typeof perms !== 'object' || !perms) continue;
-    const row = {};
-    for (const k of ['camera', 'microphone', 'notifications', 'geolocation']) {
-      if (perms[k] === 'allow' || perms[k] === 'deny') row[k] = perms[k];
-    }
-    out[origin] = row;
-  }
-  return out;
-}
-
 /** Notify windows for one profile (or all if profileId omitted) to reload store-backed state. */
 function broadcastSettingsUpdated(profileId = null) {
   const target = profileId != null ? sanitizeProfileId(profileId) : null;
@@ -2077,13 +3124,6 @@ function broadcastExtensionsReady(profileId = null) {
   }
 }
 
-/**
- * When the session auto-grants a permission (no per-site override), persist that
- * decision so Settings → Site permission overrides reflects reality.
- * @param {string} origin
- * @param {string} permission Electron permission id
- * @param {Record<string, unknown> | undefined} details `mediaTypes` for `media` requests
- */
 function getProfileIdFromWebContents(webContents) {
   if (!webContents || webContents.isDestroyed()) return AXIS_DEFAULT_PROFILE_ID;
   try {
@@ -2093,124 +3133,283 @@ function getProfileIdFromWebContents(webContents) {
   }
 }
 
-function recordSitePermissionAllowance(origin, permission, details, profileId = AXIS_DEFAULT_PROFILE_ID) {
-  if (!origin || typeof origin !== 'string') return;
+/**
+ * Electron permissions outside the site permission model (`sitePermissionKinds` → []):
+ * these are granted, everything else is refused.
+ */
+const AUTO_GRANTED_SITE_PERMISSIONS = new Set([
+  'fullscreen',
+  'mediaKeySystem',
+  'keyboardLock',
+  'openExternal',
+  'speaker-selection',
+  'clipboard-sanitized-write',
+  'unknown'
+]);
+
+function rememberSitePermissionAllowance(origin, kinds, profileId = AXIS_DEFAULT_PROFILE_ID) {
   const pid = sanitizeProfileId(profileId);
   const profileStore = getProfileSitePermissionStore(pid);
+  const raw = profileStore.get('sitePermissionOverrides', {});
+  const base = raw && typeof raw === 'object' ? raw : {};
+  const site = { ...(base[origin] || {}) };
+  for (const kind of kinds) site[kind] = 'allow';
+  profileStore.set('sitePermissionOverrides', cleanSitePermissionOverrides({ ...base, [origin]: site }));
+  broadcastSettingsUpdated(pid);
+}
 
-  if (permission === 'geolocation' || permission === 'notifications') {
-    const raw = profileStore.get('sitePermissionOverrides', {});
-    const base = raw && typeof raw === 'object' ? raw : {};
-    const site = { ...(base[origin] || {}) };
-    site[permission] = 'allow';
-    const next = { ...base, [origin]: site };
-    profileStore.set('sitePermissionOverrides', cleanSitePermissionOverrides(next));
-    broadcastSettingsUpdated(pid);
-    return;
-  }
+/**
+ * Stored answer for `kinds` on `origin`: the most specific site override (exact origin, then
+ * `[*.]domain` patterns), else the profile's global default per kind.
+ * @returns {'allow'|'deny'|'ask'}
+ */
+function getSitePermissionDecision(origin, kinds, profileId = AXIS_DEFAULT_PROFILE_ID) {
+  const profileStore = getProfileSitePermissionStore(profileId);
+  return resolveSitePermission(
+    profileStore.get('sitePermissionOverrides', {}),
+    profileStore.get('sitePermissionDefaults', {}),
+    origin,
+    kinds
+  );
+}
 
-  if (permission === 'media') {
-    const types = details && Array.isArray(details.mediaTypes) ? details.mediaTypes : ['video', 'audio'];
-    const raw = profileStore.get('sitePermissionOverrides', {});
-    const base = raw && typeof raw === 'object' ? raw : {};
-    const site = { ...(base[origin] || {}) };
-    if (types.length === 0) {
-      site.camera = 'allow';
-      site.microphone = 'allow';
-    } else {
-      if (types.includes('video')) site.camera = 'allow';
-      if (types.includes('audio')) site.microphone = 'allow';
-    }
-    const next = { ...base, [origin]: site };
-    profileStore.set('sitePermissionOverrides', cleanSitePermissionOverrides(next));
-    broadcastSettingsUpdated(pid);
-  }
+/**
+ * "Allow once" / "Block" answers, per guest webContents id → `origin|kind` → allow | deny.
+ * They last until the page navigates away.
+ */
+const axisPagePermissionDecisions = new Map();
+/** Prompts waiting for an answer, by prompt id. */
+const axisPendingPermissionPrompts = new Map();
+let axisPermissionPromptSeq = 0;
+
+function getPagePermissionDecision(webContentsId, origin, kinds) {
+  const page = axisPagePermissionDecisions.get(webContentsId);
+  if (!page || !origin || !kinds.length) return null;
+  const answers = kinds.map((kind) => page.get(`${origin}|${kind}`));
+  if (answers.includes('deny')) return 'deny';
+  return answers.every((a) => a === 'allow') ? 'allow' : null;
 }
 
-/** @param {string|null} origin @param {string} permission Electron permission id */
-function getSitePermissionDecision(origin, permission, profileId = AXIS_DEFAULT_PROFILE_ID) {
-  const overrides = getProfileStore(profileId).get('sitePermissionOverrides', {});
-  if (!origin || typeof overrides !== 'object') return null;
-  const site = overrides[origin];
-  if (!site || typeof site !== 'object') return null;
+function setPagePermissionDecision(webContentsId, origin, kinds, value) {
+  let page = axisPagePermissionDecisions.get(webContentsId);
+  if (!page) {
+    page = new Map();
+    axisPagePermissionDecisions.set(webContentsId, page);
+  }
+  for (const kind of kinds) page.set(`${origin}|${kind}`, value);
+}
 
-  if (permission === 'media') {
-    const cam = site.camera;
-    const mic = site.microphone;
-    if (cam === 'deny' || mic === 'deny') return 'deny';
-    if (cam === 'allow' || mic === 'allow') return 'allow';
+/** The shell window a `<webview>` guest lives in, or null for anything else. */
+function getPermissionPromptHost(webContents) {
+  try {
+    if (!webContents || webContents.isDestroyed() || webContents.getType() !== 'webview') return null;
+    const host = webContents.hostWebContents;
+    return host && !host.isDestroyed() ? host : null;
+  } catch (_) {
     return null;
   }
+}
 
-  if (permission === 'geolocation' || permission === 'notifications') {
-    const v = site[permission];
-    if (v === 'deny' || v === 'allow') return v;
-    return null;
+function settlePermissionPrompt(prompt, decision) {
+  axisPendingPermissionPrompts.delete(prompt.id);
+  const allow = decision === 'once' || decision === 'always';
+  if (decision === 'always' && prompt.canRemember) {
+    try {
+      rememberSitePermissionAllowance(prompt.origin, prompt.kinds, prompt.profileId);
+    } catch (err) {
+      console.warn('rememberSitePermissionAllowance failed:', err);
+    }
   }
+  setPagePermissionDecision(prompt.webContentsId, prompt.origin, prompt.kinds, allow ? 'allow' : 'deny');
+  for (const callback of prompt.callbacks) callback(allow);
+}
 
-  return null;
+/** Denies a guest's queued prompts (navigated away or closed) and forgets its page answers. */
+function resetPagePermissionState(webContentsId) {
+  axisPagePermissionDecisions.delete(webContentsId);
+  const cancelledByHost = new Map();
+  for (const prompt of axisPendingPermissionPrompts.values()) {
+    if (prompt.webContentsId !== webContentsId) continue;
+    axisPendingPermissionPrompts.delete(prompt.id);
+    for (const callback of prompt.callbacks) callback(false);
+    if (!cancelledByHost.has(prompt.hostId)) cancelledByHost.set(prompt.hostId, []);
+    cancelledByHost.get(prompt.hostId).push(prompt.id);
+  }
+  const { webContents } = require('electron');
+  for (const [hostId, ids] of cancelledByHost) {
+    const host = webContents.fromId(hostId);
+    if (!host || host.isDestroyed()) continue;
+    try {
+      host.send('axis-permission-prompt-cancelled', { ids });
+    } catch (_) {}
+  }
+}
+
+function queuePermissionPrompt(webContents, host, origin, kinds, profileId, callback) {
+  const webContentsId = webContents.id;
+  const key = `${origin}|${kinds.join(',')}`;
+  for (const prompt of axisPendingPermissionPrompts.values()) {
+    if (prompt.webContentsId === webContentsId && prompt.key === key && !prompt.captureSources) {
+      prompt.callbacks.push(callback);
+      return;
+    }
+  }
+  let incognito = false;
+  try {
+    incognito = !webContents.session.isPersistent();
+  } catch (_) {}
+  const prompt = {
+    id: ++axisPermissionPromptSeq,
+    key,
+    webContentsId,
+    hostId: host.id,
+    origin,
+    kinds,
+    profileId,
+    canRemember: !incognito,
+    callbacks: [callback]
+  };
+  axisPendingPermissionPrompts.set(prompt.id, prompt);
+  try {
+    host.send('axis-permission-prompt', {
+      id: prompt.id,
+      webContentsId,
+      origin,
+      kinds,
+      canRemember: prompt.canRemember
+    });
+  } catch (_) {
+    settlePermissionPrompt(prompt, 'block');
+  }
 }
 
 function permissionRequestHandler(webContents, permission, callback, details) {
-  const profileId = getProfileIdFromWebContents(webContents);
+  const kinds = sitePermissionKinds(permission, details);
+  if (!kinds.length) {
+    callback(AUTO_GRANTED_SITE_PERMISSIONS.has(permission));
+    return;
+  }
   const requestingUrl = details && details.requestingUrl;
   const origin = normalizePermissionOrigin(requestingUrl);
-  const decided = getSitePermissionDecision(origin, permission, profileId);
-  if (decided === 'deny') {
-    callback(false);
+  // Axis and extension pages are not sites: no overrides, defaults or prompts.
+  if (!/^https?:/i.test(origin || '')) {
+    callback(true);
     return;
   }
-  if (decided === 'allow') {
-    callback(true);
+  const profileId = getProfileIdFromWebContents(webContents);
+  const decided = getSitePermissionDecision(origin, kinds, profileId);
+  if (decided !== 'ask') {
+    callback(decided === 'allow');
     return;
   }
 
-  const allowedPermissions = [
-    'display-capture',
-    'fullscreen',
-    'geolocation',
-    'idle-detection',
-    'media',
-    'mediaKeySystem',
-    'midi',
-    'midiSysex',
-    'notifications',
-    'pointerLock',
-    'keyboardLock',
-    'openExternal',
-    'speaker-selection',
-    'storage-access',
-    'top-level-storage-access',
-    'window-management',
-    'clipboard-read',
-    'clipboard-sanitized-write',
-    'unknown',
-    'fileSystem'
-  ];
-
-  const grant = allowedPermissions.includes(permission);
-  if (grant) {
-    try {
-      recordSitePermissionAllowance(origin, permission, details, profileId);
-    } catch (err) {
-      console.warn('recordSitePermissionAllowance failed:', err);
-    }
+  // Popups and other non-tab windows have no URL bar to anchor a prompt to, so an undecided
+  // request is refused there; the site can ask again from a tab.
+  const host = getPermissionPromptHost(webContents);
+  if (!host) {
+    callback(false);
+    return;
+  }
+  const pageDecision = getPagePermissionDecision(webContents.id, origin, kinds);
+  if (pageDecision) {
+    callback(pageDecision === 'allow');
+    return;
   }
-  callback(grant);
+  queuePermissionPrompt(webContents, host, origin, kinds, profileId, callback);
 }
 
 function permissionCheckHandler(webContents, permission, requestingOrigin, details) {
-  const profileId = getProfileIdFromWebContents(webContents);
+  const kinds = sitePermissionKinds(permission, details);
   const origin = normalizePermissionOrigin(requestingOrigin) || requestingOrigin;
-  const decided = getSitePermissionDecision(origin, permission, profileId);
-  if (decided === 'deny') return false;
-  if (decided === 'allow') return true;
-  return true;
+  if (!kinds.length || !/^https?:/i.test(origin || '')) return true;
+  const decided = getSitePermissionDecision(origin, kinds, getProfileIdFromWebContents(webContents));
+  if (decided !== 'ask') return decided === 'allow';
+  if (webContents && !webContents.isDestroyed()) {
+    const pageDecision = getPagePermissionDecision(webContents.id, origin, kinds);
+    if (pageDecision) return pageDecision === 'allow';
+  }
+  // Still undecided: report "not granted" so the site asks and the URL-bar prompt shows.
+  return false;
+}
+
+/**
+ * `getDisplayMedia()`: the URL-bar prompt doubles as the source picker, so every share is
+ * chosen by the user. A "Block" site setting refuses without asking; there is no "always"
+ * for a capture source. Popups have no URL bar to anchor the picker and are refused.
+ */
+async function displayMediaRequestHandler(request, callback) {
+  let settled = false;
+  const respond = (source) => {
+    if (settled) return;
+    settled = true;
+    callback(source ? { video: source } : {});
+  };
+  try {
+    const { webContents } = require('electron');
+    const guest = request.frame ? webContents.fromFrame(request.frame) : null;
+    const host = getPermissionPromptHost(guest);
+    if (!guest || !host || !request.videoRequested) return respond(null);
+    const origin = normalizePermissionOrigin(request.securityOrigin || request.frame.url);
+    if (!origin) return respond(null);
+    const profileId = getProfileIdFromWebContents(guest);
+    if (/^https?:/i.test(origin) && getSitePermissionDecision(origin, ['display-capture'], profileId) === 'block') {
+      return respond(null);
+    }
+    const sources = await desktopCapturer.getSources({
+      types: ['screen', 'window'],
+      thumbnailSize: { width: 320, height: 180 }
+    });
+    if (!sources.length || guest.isDestroyed()) return respond(null);
+    const prompt = {
+      id: ++axisPermissionPromptSeq,
+      key: `${origin}|display-capture`,
+      webContentsId: guest.id,
+      hostId: host.id,
+      origin,
+      kinds: ['display-capture'],
+      profileId,
+      canRemember: false,
+      captureSources: sources,
+      callbacks: [(allow, source) => respond(allow ? source : null)]
+    };
+    axisPendingPermissionPrompts.set(prompt.id, prompt);
+    host.send('axis-permission-prompt', {
+      id: prompt.id,
+      webContentsId: prompt.webContentsId,
+      origin,
+      kinds: prompt.kinds,
+      canRemember: false,
+      sources: sources.map((s) => ({
+        id: s.id,
+        name: s.name,
+        kind: s.id.startsWith('screen:') ? 'screen' : 'window',
+        thumbnail: s.thumbnail && !s.thumbnail.isEmpty() ? s.thumbnail.toDataURL() : ''
+      }))
+    });
+  } catch (err) {
+    console.warn('displayMediaRequestHandler failed:', err);
+    respond(null);
+  }
 }
 
+ipcMain.handle('axis-permission-prompt-respond', (event, payload = {}) => {
+  const prompt = axisPendingPermissionPrompts.get(Number(payload.id));
+  if (!prompt || prompt.hostId !== event.sender.id) return { ok: false, error: 'Request is no longer pending' };
+  const decision = ['once', 'always', 'block'].includes(payload.decision) ? payload.decision : 'block';
+  if (prompt.captureSources) {
+    axisPendingPermissionPrompts.delete(prompt.id);
+    const source = decision === 'once' ? prompt.captureSources.find((s) => s.id === payload.sourceId) : null;
+    for (const callback of prompt.callbacks) callback(!!source, source);
+    return { ok: true };
+  }
+  settlePermissionPrompt(prompt, decision);
+  return { ok: true };
+});
+
 function installSessionPermissionHandlers(sess) {
   sess.setPermissionRequestHandler(permissionRequestHandler);
   sess.setPermissionCheckHandler(permissionCheckHandler);
+  sess.setDisplayMediaRequestHandler(displayMediaRequestHandler);
 }
 
 const axisConfiguredSessionPartitions = new Set();
@@ -2254,6 +3453,9 @@ function configureAxisSessionInstance(sess) {
   try {
     installSessionPermissionHandlers(sess);
   } catch (_) {}
+  try {
+    installReaderProtocol(sess);
+  } catch (_) {}
   try {
     configureSpellChecker(sess);
   } catch (_) {}
@@ -2270,6 +3472,9 @@ function configureAxisSessionInstance(sess) {
   try {
     attachThemeColorHeaderSniffer(sess);
   } catch (_) {}
+  try {
+    attachSiteDataCookieGuard(sess);
+  } catch (_) {}
   try {
     syncAdBlockerForProfile(getProfileIdFromSession(sess));
   } catch (_) {}
@@ -2366,10 +3571,22 @@ const axisDownloadItemMeta = new Map();
 let nextAxisDownloadSessionId = 1;
 let axisDownloadProgressBroadcastTimer = null;
 
+/** Running (not paused, failed or interrupted) downloads — what the URL-bar ring reflects. */
+function isAxisDownloadRunning(item) {
+  const meta = axisDownloadItemMeta.get(item);
+  if (meta && meta.failed) return false;
+  try {
+    return item.getState() === 'progressing' && !item.isPaused();
+  } catch (_) {
+    return false;
+  }
+}
+
 function getAxisAggregateDownloadProgress() {
   let received = 0;
   let total = 0;
   for (const item of axisActiveDownloadItems) {
+    if (!isAxisDownloadRunning(item)) continue;
     try {
       received += item.getReceivedBytes();
       const t = item.getTotalBytes();
@@ -2383,12 +3600,13 @@ function getAxisAggregateDownloadProgress() {
 }
 
 function broadcastAxisDownloadActivity() {
-  const active = axisActiveDownloadItems.size > 0;
+  const active = Array.from(axisActiveDownloadItems).some(isAxisDownloadRunning);
   const progress = active ? getAxisAggregateDownloadProgress() : null;
+  const held = axisHeldDownloads.size;
   for (const w of BrowserWindow.getAllWindows()) {
     if (w.isDestroyed()) continue;
     try {
-      w.webContents.send('axis-download-activity', { active, progress });
+      w.webContents.send('axis-download-activity', { active, progress, held });
     } catch (_) {
       /* window gone */
     }
@@ -2472,7 +3690,31 @@ function axisScheduleAdblockStatsBroadcast() {
   }, 180);
 }
 
-/** Per-tab page counter — resets on each main-frame navigation (reload, new URL). */
+/** Requests kept per tab for the ad-block panel's log (oldest dropped first). */
+const AXIS_ADBLOCK_REQUEST_LOG_MAX = 400;
+let axisAdblockRequestLogSeq = 0;
+
+/**
+ * Per-tab page entry `{ host, count, log, allowedHosts, allowedRequests }`: hosts and request
+ * addresses (`axisAdblockRequestAddress`) given an exception from the panel's log. Dropped when
+ * the tab's webContents goes away.
+ */
+function axisAdblockPageEntry(bucket, wcId, host) {
+  let entry = bucket.byWebContents.get(wcId);
+  if (entry) return entry;
+  entry = { host, count: 0, log: [], allowedHosts: new Set(), allowedRequests: new Set() };
+  bucket.byWebContents.set(wcId, entry);
+  try {
+    const { webContents } = require('electron');
+    const wc = webContents.fromId(wcId);
+    if (wc && !wc.isDestroyed()) {
+      wc.once('destroyed', () => bucket.byWebContents.delete(wcId));
+    }
+  } catch (_) {}
+  return entry;
+}
+
+/** Per-tab page counter and request log — reset on each main-frame navigation (reload, new URL). */
 function axisResetAdblockPageStats(profileId, webContentsId, pageUrlOrHost) {
   const wcId = Number(webContentsId) || 0;
   if (!wcId) return;
@@ -2480,11 +3722,35 @@ function axisResetAdblockPageStats(profileId, webContentsId, pageUrlOrHost) {
     typeof pageUrlOrHost === 'string' && pageUrlOrHost.includes('://')
       ? axisHostFromUrl(pageUrlOrHost)
       : String(pageUrlOrHost || '').trim();
-  const bucket = getAdblockStatsBucket(profileId);
-  bucket.byWebContents.set(wcId, { host, count: 0 });
+  const entry = axisAdblockPageEntry(getAdblockStatsBucket(profileId), wcId, host);
+  entry.host = host;
+  entry.count = 0;
+  entry.log = [];
   axisScheduleAdblockStatsBroadcast();
 }
 
+/**
+ * Appends one request to its tab's log. The matching filter is looked up only when the log is
+ * viewed (see `describeAxisAdblockLogEntry`), so logging stays cheap.
+ * @param {'blocked'|'redirected'|'allowed'|'site-allowed'} outcome
+ */
+function axisLogAdblockRequest(bucket, details, pageHost, outcome) {
+  const wcId = details && details.webContentsId;
+  if (!wcId || details.resourceType === 'mainFrame') return;
+  const entry = axisAdblockPageEntry(bucket, wcId, pageHost);
+  entry.log.push({
+    id: ++axisAdblockRequestLogSeq,
+    at: Date.now(),
+    url: String(details.url || ''),
+    type: String(details.resourceType || 'other'),
+    referrer: String(details.referrer || ''),
+    outcome
+  });
+  if (entry.log.length > AXIS_ADBLOCK_REQUEST_LOG_MAX) {
+    entry.log.splice(0, entry.log.length - AXIS_ADBLOCK_REQUEST_LOG_MAX);
+  }
+}
+
 function axisRecordAdblockBlock(details) {
   const profileId = axisProfileIdForAdblockDetails(details);
   const bucket = getAdblockStatsBucket(profileId);
@@ -2492,10 +3758,9 @@ function axisRecordAdblockBlock(details) {
   const host = axisPageHostFromAdblockDetails(details);
   const wcId = details && details.webContentsId;
   if (wcId) {
-    const prev = bucket.byWebContents.get(wcId) || { host, count: 0 };
+    const prev = axisAdblockPageEntry(bucket, wcId, host);
     if (host && !prev.host) prev.host = host;
     prev.count += 1;
-    bucket.byWebContents.set(wcId, prev);
   }
   axisScheduleAdblockStatsBroadcast();
 }
@@ -2514,13 +3779,18 @@ function wrapAxisAdblockStats(blocker) {
     }
     const profileId = axisProfileIdForAdblockDetails(details);
     const pageHost = axisPageHostFromAdblockDetails(details);
+    const bucket = getAdblockStatsBucket(profileId);
     if (isAdblockDisabledForSite(profileId, pageHost)) {
+      axisLogAdblockRequest(bucket, details, pageHost, 'site-allowed');
       callback({});
       return;
     }
     origBefore(details, (result) => {
       if (result && (result.cancel === true || result.redirectURL)) {
         axisRecordAdblockBlock(details);
+        axisLogAdblockRequest(bucket, details, pageHost, result.redirectURL ? 'redirected' : 'blocked');
+      } else {
+        axisLogAdblockRequest(bucket, details, pageHost, 'allowed');
       }
       callback(result);
     });
@@ -2627,16 +3897,8 @@ async function applyAxisAdBlockerToSession(sess, enabled) {
       console.warn('Axis: ad blocker needs global fetch (Electron 39+)');
       return;
     }
-    const { ElectronBlocker } = require('@ghostery/adblocker-electron');
-    const fsp = fs.promises;
-    const cachePath = path.join(app.getPath('userData'), 'axis-adblock-engine.bin');
-    const fetchFn = globalThis.fetch.bind(globalThis);
     if (!axisAdblockLoadPromise) {
-      axisAdblockLoadPromise = ElectronBlocker.fromPrebuiltAdsAndTracking(fetchFn, {
-        path: cachePath,
-        read: (p) => fsp.readFile(p),
-        write: (p, buf) => fsp.writeFile(p, buf),
-      }).catch((err) => {
+      axisAdblockLoadPromise = loadAxisAdblockEngine().catch((err) => {
         axisAdblockLoadPromise = null;
         console.error('Axis: failed to initialize ad blocker lists:', err);
         throw err;
@@ -2661,7 +3923,348 @@ async function applyAxisAdBlockerToSession(sess, enabled) {
       if (key) axisAdblockEnabledSessionKeys.add(key);
       return;
     }
-    console.warn('Axis: enable ad blocker on session failed:', e);
+    console.warn('Axis: enable ad blocker on session failed:', e);
+  }
+}
+
+/** Custom filter text (extra lists + user rules) currently compiled into `axisAdblockBlocker`. */
+let axisAdblockAppliedCustomText = '';
+let axisAdblockCustomRebuildChain = Promise.resolve();
+
+function getAxisAdblockPaths() {
+  const userData = app.getPath('userData');
+  return {
+    base: path.join(userData, 'axis-adblock-engine.bin'),
+    custom: path.join(userData, 'axis-adblock-engine-custom.bin'),
+    customSignature: path.join(userData, 'axis-adblock-engine-custom.sig'),
+    listsDir: path.join(userData, 'adblock-lists')
+  };
+}
+
+function getAdblockFilterLists() {
+  return cleanAdblockFilterLists(store.get(AXIS_ADBLOCK_LISTS_KEY, []));
+}
+
+function setAdblockFilterLists(lists) {
+  store.set(AXIS_ADBLOCK_LISTS_KEY, cleanAdblockFilterLists(lists));
+}
+
+function getAdblockUserRules() {
+  return cleanAdblockUserRules(store.get(AXIS_ADBLOCK_USER_RULES_KEY, ''));
+}
+
+async function readAxisAdblockCustomText() {
+  return readAdblockCustomFilterText(getAxisAdblockPaths().listsDir, getAdblockFilterLists(), getAdblockUserRules());
+}
+
+/** Changes to the prebuilt engine cache invalidate the compiled custom engine. */
+async function axisAdblockBaseStamp() {
+  try {
+    const st = await fs.promises.stat(getAxisAdblockPaths().base);
+    return `${st.size}:${Math.round(st.mtimeMs)}`;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Diffs two custom filter documents and applies the difference to the engine in place, so
+ * sessions already blocking with it pick up the change without being re-registered.
+ */
+function applyAxisAdblockCustomFilters(blocker, prevText, nextText) {
+  const { parseFilters } = require('@ghostery/adblocker-electron');
+  const prev = prevText ? parseFilters(prevText, blocker.config) : { networkFilters: [], cosmeticFilters: [] };
+  const next = nextText ? parseFilters(nextText, blocker.config) : { networkFilters: [], cosmeticFilters: [] };
+  const ids = (filters) => new Set(filters.map((f) => f.getId()));
+  const prevNetwork = ids(prev.networkFilters);
+  const prevCosmetic = ids(prev.cosmeticFilters);
+  const nextNetwork = ids(next.networkFilters);
+  const nextCosmetic = ids(next.cosmeticFilters);
+  blocker.update({
+    newNetworkFilters: next.networkFilters.filter((f) => !prevNetwork.has(f.getId())),
+    newCosmeticFilters: next.cosmeticFilters.filter((f) => !prevCosmetic.has(f.getId())),
+    removedNetworkFilters: [...prevNetwork].filter((id) => !nextNetwork.has(id)),
+    removedCosmeticFilters: [...prevCosmetic].filter((id) => !nextCosmetic.has(id))
+  });
+}
+
+async function writeAxisAdblockCustomEngineCache(blocker, customText) {
+  const paths = getAxisAdblockPaths();
+  try {
+    if (!customText) {
+      await fs.promises.rm(paths.custom, { force: true });
+      await fs.promises.rm(paths.customSignature, { force: true });
+      return;
+    }
+    const signature = adblockCustomEngineSignature(await axisAdblockBaseStamp(), customText);
+    await fs.promises.writeFile(paths.custom, blocker.serialize());
+    await fs.promises.writeFile(paths.customSignature, signature, 'utf8');
+  } catch (err) {
+    console.warn('Axis: could not cache the ad blocker engine:', err);
+  }
+}
+
+/**
+ * The shared engine: the cached compiled custom engine when its signature still matches,
+ * else the prebuilt ads + tracking engine with the custom filters applied (then cached).
+ */
+async function loadAxisAdblockEngine() {
+  const { ElectronBlocker } = require('@ghostery/adblocker-electron');
+  const fsp = fs.promises;
+  const paths = getAxisAdblockPaths();
+  const customText = await readAxisAdblockCustomText();
+  if (customText) {
+    try {
+      const signature = adblockCustomEngineSignature(await axisAdblockBaseStamp(), customText);
+      if ((await fsp.readFile(paths.customSignature, 'utf8')) === signature) {
+        const blocker = ElectronBlocker.deserialize(new Uint8Array(await fsp.readFile(paths.custom)));
+        axisAdblockAppliedCustomText = customText;
+        return blocker;
+      }
+    } catch (_) {
+      /* no usable cache — compile below */
+    }
+  }
+  const fetchFn = globalThis.fetch.bind(globalThis);
+  const blocker = await ElectronBlocker.fromPrebuiltAdsAndTracking(fetchFn, {
+    path: paths.base,
+    read: (p) => fsp.readFile(p),
+    write: (p, buf) => fsp.writeFile(p, buf),
+  });
+  axisAdblockAppliedCustomText = '';
+  if (customText) {
+    try {
+      applyAxisAdblockCustomFilters(blocker, '', customText);
+      axisAdblockAppliedCustomText = customText;
+    } catch (err) {
+      console.warn('Axis: could not apply custom ad block filters:', err);
+    }
+  }
+  await writeAxisAdblockCustomEngineCache(blocker, axisAdblockAppliedCustomText);
+  return blocker;
+}
+
+/** Re-applies lists + user rules after a change; queued so overlapping edits apply in order. */
+function rebuildAxisAdblockCustomFilters() {
+  axisAdblockCustomRebuildChain = axisAdblockCustomRebuildChain.then(async () => {
+    // Never loaded: `loadAxisAdblockEngine` reads the current lists when it first runs.
+    const blocker =
+      axisAdblockBlocker || (axisAdblockLoadPromise ? await axisAdblockLoadPromise.catch(() => null) : null);
+    if (!blocker) return;
+    const nextText = await readAxisAdblockCustomText();
+    if (nextText === axisAdblockAppliedCustomText) return;
+    try {
+      applyAxisAdblockCustomFilters(blocker, axisAdblockAppliedCustomText, nextText);
+      axisAdblockAppliedCustomText = nextText;
+    } catch (err) {
+      console.warn('Axis: could not apply custom ad block filters:', err);
+      return;
+    }
+    await writeAxisAdblockCustomEngineCache(blocker, nextText);
+  });
+  return axisAdblockCustomRebuildChain;
+}
+
+async function fetchAxisAdblockListText(list) {
+  if (list.source === 'file') {
+    const st = await fs.promises.stat(list.location);
+    if (st.size > AXIS_ADBLOCK_LIST_MAX_BYTES) throw new Error('The file is too large for a filter list.');
+    return fs.promises.readFile(list.location, 'utf8');
+  }
+  const res = await net.fetch(list.location, {
+    method: 'GET',
+    redirect: 'follow',
+    headers: { Accept: 'text/plain,*/*', 'User-Agent': 'Mozilla/5.0 (compatible; AxisBrowser/1.0)' }
+  });
+  if (!res.ok) throw new Error(`The server answered ${res.status}.`);
+  const text = await res.text();
+  if (text.length > AXIS_ADBLOCK_LIST_MAX_BYTES) throw new Error('The list is too large.');
+  return text;
+}
+
+/**
+ * Downloads / re-reads one list into its cache and updates its metadata. On failure the
+ * previous text stays in use and the list records the error.
+ * @returns {Promise<{ ok: boolean, list?: object, error?: string }>}
+ */
+async function updateAxisAdblockFilterList(list) {
+  let text = '';
+  let error = '';
+  try {
+    text = await fetchAxisAdblockListText(list);
+    error = validateAdblockListText(text);
+  } catch (err) {
+    error = list.source === 'file' ? 'Could not read the file.' : String(err?.message || 'Could not download the list.');
+  }
+  if (!error) {
+    try {
+      await writeAdblockListText(getAxisAdblockPaths().listsDir, list.id, text);
+    } catch (_) {
+      error = 'Could not save the list.';
+    }
+  }
+  const updated = error
+    ? { ...list, error }
+    : {
+        ...list,
+        title: list.title || adblockListTitle(text, list.location),
+        updatedAt: Date.now(),
+        ruleCount: countAdblockRules(text),
+        error: ''
+      };
+  return error ? { ok: false, list: updated, error } : { ok: true, list: updated };
+}
+
+function replaceAdblockFilterList(list) {
+  setAdblockFilterLists(getAdblockFilterLists().map((l) => (l.id === list.id ? list : l)));
+}
+
+/** Startup: refresh URL lists older than `AXIS_ADBLOCK_LIST_STALE_MS`, then rebuild once. */
+async function refreshStaleAdblockFilterLists() {
+  const stale = getAdblockFilterLists().filter(
+    (l) => l.source === 'url' && l.enabled && Date.now() - l.updatedAt > AXIS_ADBLOCK_LIST_STALE_MS
+  );
+  if (!stale.length) return;
+  for (const list of stale) {
+    const result = await updateAxisAdblockFilterList(list);
+    replaceAdblockFilterList(result.list);
+  }
+  await rebuildAxisAdblockCustomFilters();
+}
+
+/** Appends one filter line to the user's rules unless it is already there. */
+async function addAxisAdblockUserRule(rule) {
+  const rules = getAdblockUserRules();
+  if (rules.split('\n').some((line) => line.trim() === rule)) return false;
+  const next = rules.trim() ? `${rules.replace(/\n+$/, '')}\n${rule}\n` : `${rule}\n`;
+  store.set(AXIS_ADBLOCK_USER_RULES_KEY, cleanAdblockUserRules(next));
+  await rebuildAxisAdblockCustomFilters();
+  return true;
+}
+
+/** Filter id → title of the custom list (or "My filters") it came from, for the applied text. */
+let axisAdblockFilterOrigins = null;
+
+async function getAxisAdblockFilterOrigins(blocker) {
+  const text = axisAdblockAppliedCustomText;
+  if (axisAdblockFilterOrigins && axisAdblockFilterOrigins.text === text) return axisAdblockFilterOrigins.byId;
+  const byId = new Map();
+  if (text) {
+    const { parseFilters } = require('@ghostery/adblocker-electron');
+    const sections = await readAdblockCustomFilterSections(
+      getAxisAdblockPaths().listsDir,
+      getAdblockFilterLists(),
+      getAdblockUserRules()
+    );
+    for (const section of sections) {
+      try {
+        for (const filter of parseFilters(section.text, blocker.config).networkFilters) {
+          if (!byId.has(filter.getId())) byId.set(filter.getId(), section.title);
+        }
+      } catch (_) {}
+    }
+  }
+  axisAdblockFilterOrigins = { text, byId };
+  return byId;
+}
+
+/**
+ * Panel row for a logged request. The filter that blocked it (or the exception that let it
+ * through) is matched on first view and kept, so later rule edits do not rewrite history.
+ */
+function describeAxisAdblockLogEntry(blocker, item, origins, page) {
+  if (item.filter === undefined) {
+    item.filter = '';
+    item.filterId = null;
+    if (blocker && item.outcome !== 'site-allowed') {
+      try {
+        const { fromElectronDetails } = require('@ghostery/adblocker-electron');
+        const result = blocker.match(
+          fromElectronDetails({ id: item.id, url: item.url, resourceType: item.type, referrer: item.referrer })
+        );
+        const filter = item.outcome === 'allowed' ? result.exception : result.filter;
+        if (filter) {
+          item.filter = filter.toString();
+          item.filterId = filter.getId();
+        }
+      } catch (_) {}
+    }
+  }
+  const host = normalizeAdblockHostname(axisHostFromUrl(item.url));
+  return {
+    id: item.id,
+    at: item.at,
+    url: item.url,
+    type: item.type,
+    outcome: item.outcome,
+    filter: item.filter,
+    list: item.filter ? origins.get(item.filterId) || 'Built-in ads & tracking' : '',
+    host,
+    exceptionAdded:
+      (!!host && page.allowedHosts.has(host)) || page.allowedRequests.has(axisAdblockRequestAddress(item.url))
+  };
+}
+
+/**
+ * Scheme, host and path of a request without its query, cut before the first character that is
+ * filter syntax (`$ ^ * |`); `''` for URLs that are not http(s).
+ */
+function axisAdblockRequestAddress(requestUrl) {
+  let u;
+  try {
+    u = new URL(String(requestUrl || ''));
+  } catch (_) {
+    return '';
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return '';
+  const address = `${u.protocol}//${u.host}${u.pathname}`;
+  const cut = address.search(/[$^*|]/);
+  return cut < 0 ? address : address.slice(0, cut);
+}
+
+/**
+ * Panel exceptions on the page's site. `request` (default) covers that address whatever its
+ * query, `@@|https://cdn.example/ads/x.js^$domain=site.example`; `host` covers everything from
+ * the request's host, `@@||cdn.example^$domain=site.example`.
+ */
+function axisAdblockExceptionRuleFor(requestUrl, pageHost, scope = 'request') {
+  const host = normalizeAdblockHostname(axisHostFromUrl(requestUrl));
+  if (!host || !/^[a-z0-9.-]+$/.test(host)) return null;
+  const site = normalizeAdblockHostname(pageHost);
+  const domain = site && /^[a-z0-9.-]+$/.test(site) ? `$domain=${site}` : '';
+  if (scope === 'host') return { scope, host, rule: `@@||${host}^${domain}` };
+  const address = axisAdblockRequestAddress(requestUrl);
+  if (!address) return null;
+  // A cut-short address is matched as a prefix; a whole one ends at a separator or the query.
+  const u = new URL(requestUrl);
+  const whole = address === `${u.protocol}//${u.host}${u.pathname}`;
+  return { scope, host, address, rule: `@@|${address}${whole ? '^' : ''}${domain}` };
+}
+
+/**
+ * "Block Element…": runs the picker in the guest, then saves the chosen element as a cosmetic
+ * rule for the page's host. The rule reaches the engine for later loads; the open page hides the
+ * element right away through `insertCSS`.
+ */
+async function startAxisElementPicker(guest, x, y) {
+  if (!guest || guest.isDestroyed()) return;
+  const hostname = normalizeAdblockHostname(axisHostFromUrl(guest.getURL()));
+  if (!hostname) return;
+  let picked = null;
+  try {
+    picked = await guest.executeJavaScript(buildElementPickerScript({ x, y }), true);
+  } catch (_) {
+    return; // navigated away or the page blocked script execution
+  }
+  const selector = sanitizePickedSelector(picked?.selector);
+  if (!selector || guest.isDestroyed()) return;
+  try {
+    await guest.insertCSS(`${selector} { display: none !important; }`, { cssOrigin: 'user' });
+  } catch (_) {}
+  try {
+    await addAxisAdblockUserRule(`${hostname}##${selector}`);
+  } catch (err) {
+    console.warn('Axis: could not save element rule:', err);
   }
 }
 
@@ -2867,8 +4470,269 @@ function axisShouldCancelChromeExtensionPackageDownload(item) {
   return false;
 }
 
+/** Profile-store key for downloads to offer again after a restart (`createInterruptedDownload` options). */
+const AXIS_RESUMABLE_DOWNLOADS_KEY = 'resumableDownloads';
+/** Save paths whose recreated item should resume as soon as `will-download` hands it over. */
+const axisDownloadPathsToResume = new Set();
+/** Profiles that had resumable downloads written last time, so an empty list can clear them. */
+const axisProfilesWithResumableDownloads = new Set();
+let axisDownloadsShuttingDown = false;
+
+function getAxisDownloadItemState(item) {
+  try {
+    return item.getState();
+  } catch (_) {
+    return 'interrupted';
+  }
+}
+
+/** `createInterruptedDownload` options for an item, or null when there is nothing to resume from. */
+function axisDownloadResumeOptions(item) {
+  try {
+    const urlChain = item.getURLChain();
+    const savePath = item.getSavePath();
+    if (!savePath || !Array.isArray(urlChain) || !urlChain.length) return null;
+    const eTag = item.getETag() || '';
+    const lastModified = item.getLastModifiedTime() || '';
+    // Without a validator the server cannot confirm the partial file is still current.
+    const canContinue = !!(eTag || lastModified);
+    return {
+      path: savePath,
+      urlChain,
+      mimeType: item.getMimeType() || '',
+      offset: canContinue ? Number(item.getReceivedBytes()) || 0 : 0,
+      length: Number(item.getTotalBytes()) || 0,
+      lastModified,
+      eTag,
+      startTime: Number(item.getStartTime()) || undefined
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Writes every unfinished download (running, paused or interrupted) of persistent profiles to
+ * their store so `restoreAxisResumableDownloads` can offer them after a restart.
+ */
+function persistAxisResumableDownloads() {
+  if (axisDownloadsShuttingDown) return;
+  writeAxisResumableDownloads();
+}
+
+function writeAxisResumableDownloads() {
+  const byProfile = new Map();
+  for (const item of axisActiveDownloadItems) {
+    const meta = axisDownloadItemMeta.get(item);
+    if (!meta || !meta.profileId) continue;
+    const options = meta.resumeOptions || axisDownloadResumeOptions(item);
+    if (!options) continue;
+    if (!byProfile.has(meta.profileId)) byProfile.set(meta.profileId, []);
+    byProfile.get(meta.profileId).push(options);
+  }
+  const profileIds = new Set([...axisProfilesWithResumableDownloads, ...byProfile.keys()]);
+  for (const pid of profileIds) {
+    const list = byProfile.get(pid) || [];
+    try {
+      getProfileStore(pid).set(AXIS_RESUMABLE_DOWNLOADS_KEY, list);
+    } catch (_) {
+      continue;
+    }
+    if (list.length) axisProfilesWithResumableDownloads.add(pid);
+    else axisProfilesWithResumableDownloads.delete(pid);
+  }
+}
+
+/** Recreates last session's unfinished downloads as interrupted items; the popup offers Resume. */
+function restoreAxisResumableDownloads() {
+  for (const p of listAxisProfiles()) {
+    const pid = sanitizeProfileId(p.id);
+    const saved = getProfileStore(pid).get(AXIS_RESUMABLE_DOWNLOADS_KEY, []);
+    if (!Array.isArray(saved) || !saved.length) continue;
+    axisProfilesWithResumableDownloads.add(pid);
+    const sess = session.fromPartition(getProfilePartition(pid));
+    configureAxisSessionInstance(sess);
+    for (const options of saved) {
+      if (!options || typeof options.path !== 'string' || !Array.isArray(options.urlChain)) continue;
+      try {
+        sess.createInterruptedDownload(options);
+      } catch (err) {
+        console.warn('Axis: could not restore download', options.path, err);
+      }
+    }
+  }
+}
+
+/** Completed downloads a rule routed, newest first, so the popup can list them with the rule. */
+const axisRuleRoutedDownloads = [];
+const AXIS_RULE_ROUTED_DOWNLOADS_MAX = 20;
+
+/** `dir/name`, or `dir/name (1).ext`, `(2)`… when that file already exists. */
+function uniqueAxisDownloadPath(dir, filename) {
+  const safeName = path.basename(String(filename || 'download')) || 'download';
+  const ext = path.extname(safeName);
+  const stem = safeName.slice(0, safeName.length - ext.length) || 'download';
+  let candidate = path.join(dir, safeName);
+  for (let n = 1; fs.existsSync(candidate) && n < 1000; n++) {
+    candidate = path.join(dir, `${stem} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Applies the profile's first matching download rule to a new item: pick its save path, or
+ * leave it unset with dialog options so Electron asks. Returns the rule (for "open when done"
+ * and the popup label) or null.
+ */
+function applyAxisDownloadRule(item, profileId) {
+  let rule = null;
+  try {
+    rule = matchDownloadRule(getProfileStore(profileId).get('downloadRules', []), {
+      filename: item.getFilename(),
+      mimeType: item.getMimeType(),
+      urls: item.getURLChain()
+    });
+  } catch (_) {
+    return null;
+  }
+  if (!rule) return null;
+  if (rule.action === 'folder') {
+    try {
+      fs.mkdirSync(rule.folder, { recursive: true });
+      item.setSavePath(uniqueAxisDownloadPath(rule.folder, item.getFilename()));
+    } catch (err) {
+      console.warn('Axis: download rule folder unavailable:', rule.folder, err);
+      return null;
+    }
+  } else if (rule.action === 'ask') {
+    try {
+      item.setSaveDialogOptions({
+        title: 'Save download',
+        defaultPath: path.join(app.getPath('downloads'), item.getFilename())
+      });
+    } catch (_) {}
+  }
+  return rule;
+}
+
+function rememberAxisRuleRoutedDownload(savePath, ruleLabel) {
+  if (!savePath || !ruleLabel) return;
+  const existing = axisRuleRoutedDownloads.findIndex((d) => d.path === savePath);
+  if (existing >= 0) axisRuleRoutedDownloads.splice(existing, 1);
+  axisRuleRoutedDownloads.unshift({ path: savePath, ruleLabel });
+  axisRuleRoutedDownloads.length = Math.min(axisRuleRoutedDownloads.length, AXIS_RULE_ROUTED_DOWNLOADS_MAX);
+}
+
+/** Profile-store key for risky downloads still waiting for Keep / Discard. */
+const AXIS_HELD_DOWNLOADS_KEY = 'heldDownloads';
+/**
+ * Held downloads by id: the finished file renamed to a hidden `heldPath` beside `path`, where
+ * Keep puts it back. Incognito entries (`profileId: null`) are not persisted and are deleted on quit.
+ */
+const axisHeldDownloads = new Map();
+
+function persistAxisHeldDownloads(profileId) {
+  if (!profileId) return;
+  const list = Array.from(axisHeldDownloads.values()).filter((d) => d.profileId === profileId);
+  try {
+    getProfileStore(profileId).set(AXIS_HELD_DOWNLOADS_KEY, list);
+  } catch (_) {}
+}
+
+function restoreAxisHeldDownloads() {
+  for (const p of listAxisProfiles()) {
+    const pid = sanitizeProfileId(p.id);
+    const saved = getProfileStore(pid).get(AXIS_HELD_DOWNLOADS_KEY, []);
+    if (!Array.isArray(saved) || !saved.length) continue;
+    for (const entry of saved) {
+      if (!entry || typeof entry.id !== 'string' || typeof entry.heldPath !== 'string') continue;
+      if (!fs.existsSync(entry.heldPath)) continue;
+      axisHeldDownloads.set(entry.id, { ...entry, profileId: pid });
+    }
+    persistAxisHeldDownloads(pid);
+  }
+}
+
+/** Hides a finished risky download until the user keeps or discards it from the downloads popup. */
+async function holdAxisDownload(meta, completed, reasons) {
+  const id = `held-${meta.axisId}-${Date.now().toString(36)}`;
+  const filename = path.basename(completed.savePath);
+  const heldPath = path.join(path.dirname(completed.savePath), `.${filename}.${id}.axisheld`);
+  try {
+    await fs.promises.rename(completed.savePath, heldPath);
+  } catch (err) {
+    console.warn('Axis: could not hold risky download', completed.savePath, err);
+    return false;
+  }
+  axisHeldDownloads.set(id, {
+    id,
+    filename,
+    path: completed.savePath,
+    heldPath,
+    url: completed.urls[completed.urls.length - 1] || '',
+    reasons,
+    size: completed.size,
+    heldAt: Date.now(),
+    profileId: meta.profileId,
+    ruleLabel: meta.rule ? describeDownloadRule(meta.rule) : '',
+    openWhenKept: meta.rule?.action === 'open'
+  });
+  persistAxisHeldDownloads(meta.profileId);
+  broadcastAxisDownloadActivity();
+  return true;
+}
+
+/** Archive check, then hold the file when anything looks risky; otherwise apply the rule's "open when done". */
+async function settleAxisCompletedDownload(meta, completed) {
+  const reasons = [...meta.riskReasons];
+  if (isInspectableArchive(completed.filename, completed.mimeType) && (await zipContainsExecutable(completed.savePath))) {
+    reasons.push('archive-executable');
+  }
+  if (reasons.length && (await holdAxisDownload(meta, completed, reasons))) return;
+  if (meta.rule) {
+    rememberAxisRuleRoutedDownload(completed.savePath, describeDownloadRule(meta.rule));
+    if (meta.rule.action === 'open') void shell.openPath(completed.savePath);
+  }
+}
+
+function listAxisHeldDownloads() {
+  return Array.from(axisHeldDownloads.values())
+    .sort((a, b) => b.heldAt - a.heldAt)
+    .map((d) => ({
+      id: d.id,
+      filename: d.filename,
+      path: d.path,
+      size: Number(d.size) || 0,
+      heldAt: d.heldAt,
+      url: d.url,
+      ruleLabel: d.ruleLabel || '',
+      warnings: (Array.isArray(d.reasons) ? d.reasons : []).map((r) => AXIS_DOWNLOAD_RISK_REASONS[r]).filter(Boolean)
+    }));
+}
+
+function findAxisDownloadItem(axisId) {
+  const id = Number(axisId);
+  if (!Number.isFinite(id) || id <= 0) return null;
+  for (const item of axisActiveDownloadItems) {
+    const meta = axisDownloadItemMeta.get(item);
+    if (meta && meta.axisId === id) return item;
+  }
+  return null;
+}
+
+function forgetAxisDownloadItem(item) {
+  axisActiveDownloadItems.delete(item);
+  axisDownloadItemMeta.delete(item);
+}
+
 function attachDownloadActivityTracking(sess) {
   if (!sess || typeof sess.on !== 'function') return;
+  let profileId = null;
+  let rulesProfileId = AXIS_DEFAULT_PROFILE_ID;
+  try {
+    rulesProfileId = getProfileIdFromSession(sess);
+    if (sess.isPersistent()) profileId = rulesProfileId;
+  } catch (_) {}
   sess.on('will-download', (event, item) => {
     if (axisShouldCancelChromeExtensionPackageDownload(item)) {
       try {
@@ -2878,22 +4742,79 @@ function attachDownloadActivityTracking(sess) {
       }
       return;
     }
+    // Recreated (Retry / restart) items already have their path; rules only route new downloads.
+    const rule = getAxisDownloadItemState(item) === 'interrupted' ? null : applyAxisDownloadRule(item, rulesProfileId);
+    let riskReasons = [];
+    try {
+      riskReasons = classifyDownloadRisk({
+        filename: item.getFilename(),
+        mimeType: item.getMimeType(),
+        urls: item.getURLChain()
+      });
+    } catch (_) {}
     axisActiveDownloadItems.add(item);
-    axisDownloadItemMeta.set(item, {
+    const meta = {
       startedAt: Date.now(),
-      axisId: nextAxisDownloadSessionId++
-    });
-    const onUpdated = () => scheduleAxisDownloadProgressBroadcast();
+      axisId: nextAxisDownloadSessionId++,
+      session: sess,
+      profileId,
+      rule,
+      riskReasons,
+      stateKey: '',
+      resumeOptions: null
+    };
+    axisDownloadItemMeta.set(item, meta);
+    const onStateMaybeChanged = () => {
+      const key = `${getAxisDownloadItemState(item)}:${item.isPaused() ? 1 : 0}`;
+      if (key === meta.stateKey) return;
+      meta.stateKey = key;
+      persistAxisResumableDownloads();
+      broadcastAxisDownloadActivity();
+    };
+    const onUpdated = () => {
+      onStateMaybeChanged();
+      scheduleAxisDownloadProgressBroadcast();
+    };
     item.on('updated', onUpdated);
-    item.once('done', () => {
+    item.once('done', (_e, state) => {
       try {
         item.removeListener('updated', onUpdated);
       } catch (_) {}
-      axisActiveDownloadItems.delete(item);
-      axisDownloadItemMeta.delete(item);
+      if (state === 'interrupted' && !axisDownloadsShuttingDown) {
+        // Keep failed downloads listed so the popup can offer Retry; the item itself is spent.
+        meta.resumeOptions = axisDownloadResumeOptions(item);
+        meta.failed = true;
+        persistAxisResumableDownloads();
+      } else if (!axisDownloadsShuttingDown) {
+        forgetAxisDownloadItem(item);
+        persistAxisResumableDownloads();
+        if (state === 'completed') {
+          let completed = null;
+          try {
+            completed = {
+              savePath: item.getSavePath(),
+              filename: item.getFilename(),
+              mimeType: item.getMimeType(),
+              urls: item.getURLChain(),
+              size: Number(item.getTotalBytes()) || 0
+            };
+          } catch (_) {}
+          if (completed?.savePath) void settleAxisCompletedDownload(meta, completed);
+        }
+      }
       broadcastAxisDownloadActivity();
     });
-    broadcastAxisDownloadActivity();
+    // Recreated by Retry / restart: pick up where the partial file left off.
+    let savePath = '';
+    try {
+      savePath = item.getSavePath();
+    } catch (_) {}
+    if (savePath && axisDownloadPathsToResume.delete(savePath)) {
+      try {
+        item.resume();
+      } catch (_) {}
+    }
+    onStateMaybeChanged();
   });
 }
 
@@ -2901,12 +4822,19 @@ function listAxisActiveDownloads() {
   const out = [];
   for (const item of axisActiveDownloadItems) {
     try {
-      const savePath = item.getSavePath && item.getSavePath();
-      const filename = item.getFilename && item.getFilename();
-      const totalBytes = item.getTotalBytes ? Number(item.getTotalBytes()) : 0;
-      const receivedBytes = item.getReceivedBytes ? Number(item.getReceivedBytes()) : 0;
-      const bytesPerSecond = item.getCurrentBytesPerSecond ? Number(item.getCurrentBytesPerSecond()) : 0;
       const meta = axisDownloadItemMeta.get(item) || { startedAt: Date.now(), axisId: 0 };
+      const savePath = meta.failed ? meta.resumeOptions?.path || '' : item.getSavePath && item.getSavePath();
+      const filename = meta.failed ? path.basename(savePath || '') : item.getFilename && item.getFilename();
+      const totalBytes = meta.failed
+        ? Number(meta.resumeOptions?.length) || 0
+        : item.getTotalBytes ? Number(item.getTotalBytes()) : 0;
+      const receivedBytes = meta.failed
+        ? Number(meta.resumeOptions?.offset) || 0
+        : item.getReceivedBytes ? Number(item.getReceivedBytes()) : 0;
+      const state = meta.failed ? 'interrupted' : getAxisDownloadItemState(item);
+      const paused = !meta.failed && state === 'progressing' && item.isPaused();
+      const bytesPerSecond =
+        state === 'progressing' && !paused && item.getCurrentBytesPerSecond ? Number(item.getCurrentBytesPerSecond()) : 0;
       const remainingBytes = totalBytes > 0 ? Math.max(0, totalBytes - receivedBytes) : 0;
       const etaSeconds = bytesPerSecond > 0 && remainingBytes > 0
         ? Math.ceil(remainingBytes / bytesPerSecond)
@@ -2919,7 +4847,12 @@ function listAxisActiveDownloads() {
         receivedBytes: Number.isFinite(receivedBytes) ? receivedBytes : 0,
         bytesPerSecond: Number.isFinite(bytesPerSecond) ? bytesPerSecond : 0,
         etaSeconds: Number.isFinite(etaSeconds) ? etaSeconds : null,
-        startedAt: meta.startedAt || Date.now()
+        startedAt: meta.startedAt || Date.now(),
+        state: paused ? 'paused' : state,
+        ruleLabel: meta.rule ? describeDownloadRule(meta.rule) : '',
+        risky: !!meta.riskReasons?.length,
+        // Interrupted but the live item can continue in place; otherwise Retry recreates it.
+        canResume: !meta.failed && state === 'interrupted' && item.canResume()
       });
     } catch (_) {
       /* item may be destroyed between ticks */
@@ -4720,6 +6653,58 @@ function warmUpMainProcessNativePaths() {
 }
 
 // App event handlers
+/**
+ * Available memory below this share of total counts as pressure (Linux, Windows); shell windows
+ * then hibernate idle tabs early.
+ */
+const AXIS_MEMORY_PRESSURE_FREE_RATIO = 0.1;
+/** `kern.memorystatus_vm_pressure_level` at or above this is pressure (1 normal, 2 warn, 4 critical). */
+const AXIS_MEMORY_PRESSURE_DARWIN_LEVEL = 2;
+const AXIS_MEMORY_PRESSURE_POLL_MS = 30 * 1000;
+/** At most one pressure notice per interval, so each pass has time to free memory. */
+const AXIS_MEMORY_PRESSURE_COOLDOWN_MS = 2 * 60 * 1000;
+let axisMemoryPressureTimer = null;
+let axisMemoryPressureLastAt = 0;
+
+/**
+ * Whether the system is short of memory. On Linux and Windows `getSystemMemoryInfo().free` is
+ * available memory (reclaimable cache included). macOS reports only unused pages there, which is
+ * always low once the file cache fills, so the kernel's own pressure level is read instead.
+ */
+function isAxisSystemMemoryUnderPressure(info) {
+  if (process.platform !== 'darwin') {
+    return Promise.resolve(!!info?.total && info.free / info.total < AXIS_MEMORY_PRESSURE_FREE_RATIO);
+  }
+  return new Promise((resolve) => {
+    execFile('/usr/sbin/sysctl', ['-n', 'kern.memorystatus_vm_pressure_level'], { timeout: 5000 }, (err, stdout) => {
+      const level = err ? 0 : parseInt(String(stdout).trim(), 10) || 0;
+      resolve(level >= AXIS_MEMORY_PRESSURE_DARWIN_LEVEL);
+    });
+  });
+}
+
+function startAxisMemoryPressureMonitor() {
+  if (axisMemoryPressureTimer) return;
+  axisMemoryPressureTimer = setInterval(async () => {
+    let info;
+    try {
+      info = process.getSystemMemoryInfo();
+    } catch (_) {
+      return;
+    }
+    if (!(await isAxisSystemMemoryUnderPressure(info))) return;
+    if (Date.now() - axisMemoryPressureLastAt < AXIS_MEMORY_PRESSURE_COOLDOWN_MS) return;
+    axisMemoryPressureLastAt = Date.now();
+    for (const win of BrowserWindow.getAllWindows()) {
+      if (!isAxisShellWindow(win)) continue;
+      try {
+        win.webContents.send('axis-memory-pressure', { freeKb: info.free, totalKb: info.total });
+      } catch (_) {}
+    }
+  }, AXIS_MEMORY_PRESSURE_POLL_MS);
+  axisMemoryPressureTimer.unref?.();
+}
+
 app.whenReady().then(async () => {
   axisSessionLastExitClean = wasLastAxisSessionCleanExit();
   markAxisSessionRunning();
@@ -4768,6 +6753,16 @@ app.whenReady().then(async () => {
       installAxisPageSecurityOnWebContents(contents);
     } catch (_) {}
 
+    // Pending permission prompts and "Allow once" / "Block" answers belong to the page.
+    const guestId = contents.id;
+    contents.on('did-start-navigation', (details) => {
+      if (details && details.isMainFrame && !details.isSameDocument) resetPagePermissionState(guestId);
+    });
+    contents.once('destroyed', () => resetPagePermissionState(guestId));
+    try {
+      attachSiteDataStorageGuard(contents);
+    } catch (_) {}
+
     // <webview> guests: stop Electron from opening a blank Axis BrowserWindow
     // for window.open() / target=_blank (file downloads, etc.).
     contents.setWindowOpenHandler((details) => {
@@ -4797,12 +6792,16 @@ app.whenReady().then(async () => {
   warmUpMainProcessNativePaths();
   createWindow();
   updateDockMenu();
+  startAxisMemoryPressureMonitor();
   // First window loads ad blocker + extensions for its profile on ready-to-show; warm the rest in idle.
   setImmediate(() => {
     void (async () => {
       try {
         await syncAllProfilesAdBlocker();
+        void refreshStaleAdblockFilterLists();
         await loadAllProfileExtensions();
+        restoreAxisResumableDownloads();
+        restoreAxisHeldDownloads();
       } catch (e) {
         console.error('Axis: deferred profile init failed:', e);
       }
@@ -4829,6 +6828,16 @@ app.whenReady().then(async () => {
 // Clean up global shortcuts on quit
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  // Record unfinished downloads before shutdown cancels them.
+  writeAxisResumableDownloads();
+  axisDownloadsShuttingDown = true;
+  for (const held of axisHeldDownloads.values()) {
+    if (held.profileId) continue;
+    try {
+      fs.rmSync(held.heldPath, { force: true });
+    } catch (_) {}
+  }
+  for (const id of Array.from(axisHistoryDbByProfile.keys())) closeProfileHistoryDb(id);
   if (isQuitConfirmed) markAxisSessionCleanExit();
 });
 
@@ -4883,12 +6892,14 @@ async function persistSessionBeforeQuit() {
         if (payload.tabGroups != null) s.set('tabGroups', payload.tabGroups);
         if (payload.pinnedTabs != null) s.set('pinnedTabs', payload.pinnedTabs);
         if (payload.unpinnedTabs != null) s.set('unpinnedTabs', payload.unpinnedTabs);
+        if (payload.splitViews != null) s.set('splitViews', payload.splitViews);
         s.set('unpinnedTabsRecovery', []);
       }
     } catch (err) {
       console.error('persistSessionBeforeQuit:', err);
     }
   }
+  await clearAxisSiteDataOnExit();
 }
 
 async function finishConfirmedQuit() {
@@ -4960,7 +6971,7 @@ async function axisVerifyDeviceOwner(reason) {
 
 function vaultStatusPayload(profileId = AXIS_DEFAULT_PROFILE_ID) {
   const pid = sanitizeProfileId(profileId);
-  ensureAxisVaultForProfile(pid).ensureLoaded();
+  const lock = ensureAxisVaultForProfile(pid).lockStatus();
   let touchIdAvailable = false;
   if (process.platform === 'darwin') {
     try {
@@ -4970,8 +6981,16 @@ function vaultStatusPayload(profileId = AXIS_DEFAULT_PROFILE_ID) {
     } catch (_) {}
   }
   return {
-    configured: true,
-    unlocked: true,
+    configured: lock.configured,
+    unlocked: lock.unlocked,
+    /** True when the user must enter the master password before the vault can be read. */
+    locked: !lock.unlocked && !lock.canUnlockSilently,
+    keyMode: lock.keyMode,
+    needsMigration: lock.needsMigration,
+    /** The vault file could not be read; it is left untouched until the user sets it aside. */
+    corrupt: lock.corrupt,
+    keyringAvailable: lock.keyringAvailable,
+    autoLockMinutes: lock.autoLockMinutes,
     autofillEnabled: getProfileStore(pid).get('vaultAutofillEnabled', true) !== false,
     touchIdAvailable
   };
@@ -5001,31 +7020,183 @@ ipcMain.handle('axis-vault-status', (event) => vaultStatusPayload(getProfileIdFo
 
 ipcMain.handle('axis-vault-verify-device', async (_e, reason) => axisVerifyDeviceOwner(reason));
 
+ipcMain.handle('axis-vault-unlock', (event, password) => {
+  const pid = getProfileIdForEvent(event);
+  try {
+    ensureAxisVaultForProfile(pid).unlock(typeof password === 'string' ? password : '');
+    return { ok: true, status: vaultStatusPayload(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-set-aside-damaged', (event) => {
+  const pid = getProfileIdForEvent(event);
+  try {
+    const backupPath = ensureAxisVaultForProfile(pid).setAsideDamagedVault();
+    if (!backupPath) return { ok: false, error: 'The vault file is not damaged' };
+    return { ok: true, backupPath, status: vaultStatusPayload(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-lock', (event) => {
+  const pid = getProfileIdForEvent(event);
+  ensureAxisVaultForProfile(pid).lock();
+  return { ok: true, status: vaultStatusPayload(pid) };
+});
+
+ipcMain.handle('axis-vault-set-master-password', (event, payload) => {
+  const pid = getProfileIdForEvent(event);
+  const data = payload && typeof payload === 'object' ? payload : {};
+  try {
+    ensureAxisVaultForProfile(pid).setMasterPassword(data.newPassword, data.currentPassword);
+    return { ok: true, status: vaultStatusPayload(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-use-keyring', (event, currentPassword) => {
+  const pid = getProfileIdForEvent(event);
+  try {
+    ensureAxisVaultForProfile(pid).useKeyring(typeof currentPassword === 'string' ? currentPassword : '');
+    return { ok: true, status: vaultStatusPayload(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
 ipcMain.handle('axis-vault-reveal-login', async (event, id) => {
   const ok = await axisVerifyDeviceOwner('Show saved login');
   if (!ok) return { ok: false, cancelled: true };
-  const login = ensureAxisVaultFromEvent(event).getLogin(id);
-  return { ok: true, username: login.username, password: login.password };
+  const vault = ensureAxisVaultFromEvent(event);
+  const login = vault.getLogin(id);
+  return {
+    ok: true,
+    username: login.username,
+    password: login.password,
+    otpauth: vault.loginOtpauth(id)
+  };
+});
+
+ipcMain.handle('axis-vault-totp-code', (event, id) => {
+  try {
+    return { ok: true, ...ensureAxisVaultFromEvent(event).totpCode(id) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-reveal-card', async (event, id) => {
+  const ok = await axisVerifyDeviceOwner('Show saved card');
+  if (!ok) return { ok: false, cancelled: true };
+  const card = ensureAxisVaultFromEvent(event).getCard(id);
+  return {
+    ok: true,
+    number: card.number,
+    cvv: card.cvv,
+    expMonth: card.expMonth,
+    expYear: card.expYear
+  };
+});
+
+ipcMain.handle('axis-vault-list-logins', (event) => ({
+  ok: true,
+  items: ensureAxisVaultFromEvent(event).listLogins()
+}));
+
+ipcMain.handle('axis-vault-health-report', (event) => ({
+  ok: true,
+  report: ensureAxisVaultFromEvent(event).healthReport()
+}));
+
+/** Parsed import files waiting for the user to confirm the preview (token → rows). */
+const pendingVaultImports = new Map();
+
+ipcMain.handle('axis-vault-import-file-preview', async (event) => {
+  const pid = getProfileIdForEvent(event);
+  const win = getWindowFromSender(event?.sender);
+  const result = await dialog.showOpenDialog(win && !win.isDestroyed() ? win : undefined, {
+    title: 'Import passwords',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Password export', extensions: ['csv', 'json'] },
+      { name: 'All files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || !result.filePaths?.[0]) return { ok: false, cancelled: true };
+  try {
+    const filePath = result.filePaths[0];
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > VAULT_IMPORT_MAX_BYTES) throw new Error('That file is too large to be a password export.');
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const parsed = parseVaultImportFile(text, path.basename(filePath));
+    const rows = ensureAxisVaultForProfile(pid).previewLoginImport(parsed.logins);
+    const token = crypto.randomUUID();
+    pendingVaultImports.clear();
+    pendingVaultImports.set(token, { profileId: pid, logins: parsed.logins });
+    return {
+      ok: true,
+      token,
+      format: parsed.format,
+      fileName: path.basename(filePath),
+      rows
+    };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-import-file-commit', (event, payload) => {
+  const token = payload && typeof payload.token === 'string' ? payload.token : '';
+  const pending = pendingVaultImports.get(token);
+  pendingVaultImports.delete(token);
+  if (!pending) return { ok: false, error: 'This import has expired. Choose the file again.' };
+  if (!payload || payload.cancel) return { ok: true, cancelled: true };
+  const resolution = VAULT_IMPORT_RESOLUTIONS.includes(payload.resolution) ? payload.resolution : 'skip';
+  const resolutions = {};
+  if (payload.resolutions && typeof payload.resolutions === 'object') {
+    for (const [idx, choice] of Object.entries(payload.resolutions)) {
+      if (VAULT_IMPORT_RESOLUTIONS.includes(choice)) resolutions[idx] = choice;
+    }
+  }
+  try {
+    const counts = ensureAxisVaultForProfile(pending.profileId).importLogins(pending.logins, {
+      resolution,
+      resolutions
+    });
+    return { ok: true, ...counts };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('axis-vault-reveal-card', async (event, id) => {
-  const ok = await axisVerifyDeviceOwner('Show saved card');
+ipcMain.handle('axis-vault-export-file', async (event, format) => {
+  const fmt = format === 'bitwarden' ? 'bitwarden' : 'csv';
+  const ok = await axisVerifyDeviceOwner('Export saved passwords');
   if (!ok) return { ok: false, cancelled: true };
-  const card = ensureAxisVaultFromEvent(event).getCard(id);
-  return {
-    ok: true,
-    number: card.number,
-    cvv: card.cvv,
-    expMonth: card.expMonth,
-    expYear: card.expYear
-  };
+  const pid = getProfileIdForEvent(event);
+  try {
+    const body = ensureAxisVaultForProfile(pid).exportLogins(fmt);
+    const win = getWindowFromSender(event?.sender);
+    const result = await dialog.showSaveDialog(win && !win.isDestroyed() ? win : undefined, {
+      title: 'Export passwords',
+      defaultPath: fmt === 'bitwarden' ? 'axis-passwords-bitwarden.json' : 'axis-passwords.csv',
+      filters:
+        fmt === 'bitwarden'
+          ? [{ name: 'Bitwarden JSON', extensions: ['json'] }]
+          : [{ name: 'CSV', extensions: ['csv'] }]
+    });
+    if (result.canceled || !result.filePath) return { ok: false, cancelled: true };
+    await fs.promises.writeFile(result.filePath, body, { encoding: 'utf8', mode: 0o600 });
+    return { ok: true, path: result.filePath };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('axis-vault-list-logins', (event) => ({
-  ok: true,
-  items: ensureAxisVaultFromEvent(event).listLogins()
-}));
-
 ipcMain.handle('axis-vault-get-login', (event, id) => {
   const login = ensureAxisVaultFromEvent(event).getLogin(id);
   return {
@@ -5193,12 +7364,17 @@ function vaultAutofillCandidates(profileId, payload) {
   if (status.autofillEnabled === false) {
     return { ok: true, kind: 'login', items: [] };
   }
+  if (status.locked) {
+    return { ok: true, kind: 'login', items: [], locked: true };
+  }
   const kind =
     payload && payload.kind === 'card'
       ? 'card'
       : payload && payload.kind === 'address'
         ? 'address'
-        : 'login';
+        : payload && payload.kind === 'otp'
+          ? 'otp'
+          : 'login';
   // Cards and addresses are not site-scoped — don't require a page origin.
   if (kind === 'card') {
     const cards = v.matchCards().map((c) => ({
@@ -5222,7 +7398,10 @@ function vaultAutofillCandidates(profileId, payload) {
   if (!origin && payload && payload.pageUrl) {
     origin = v.normalizeVaultOrigin(payload.pageUrl);
   }
-  if (!origin) return { ok: true, kind: 'login', items: [] };
+  if (!origin) return { ok: true, kind, items: [] };
+  if (kind === 'otp') {
+    return { ok: true, kind: 'otp', items: v.matchTotpLogins(origin, payload && payload.pageUrl) };
+  }
   const logins = v
     .matchLogins(origin, payload && payload.usernameHint, payload && payload.pageUrl)
     .map((e) => ({
@@ -5231,9 +7410,93 @@ function vaultAutofillCandidates(profileId, payload) {
       password: e.password,
       title: e.title
     }));
+  // Signup / change-password fields get a fresh suggestion ahead of saved logins.
+  if (payload && payload.newPassword === true) {
+    logins.unshift({
+      generated: true,
+      password: generateVaultPasswordForProfile(pid),
+      title: 'Use strong password'
+    });
+  }
   return { ok: true, kind: 'login', items: logins };
 }
 
+function generateVaultPasswordForProfile(profileId, overrides) {
+  const saved = getProfileStore(profileId).get('vaultGeneratorOptions', null);
+  return generatePassword({ ...normalizeGeneratorOptions(saved), ...(overrides || {}) });
+}
+
+/** Guest `<webview>` senders resolve their profile from the partition; the shell from its window. */
+function getVaultProfileIdForSender(event) {
+  const sender = event?.sender;
+  try {
+    if (sender && !sender.isDestroyed() && sender.hostWebContents) {
+      return getProfileIdFromWebContents(sender);
+    }
+  } catch (_) {}
+  return getProfileIdForEvent(event);
+}
+
+/** Image bytes from the vault editor's "QR image…" picker → the `otpauth://` link it encodes. */
+ipcMain.handle('axis-vault-read-qr-image', async (_event, bytes) => {
+  try {
+    if (!(bytes instanceof Uint8Array)) return { ok: false, error: 'Choose an image file.' };
+    return { ok: true, otpauth: await readOtpauthFromQrImage(Buffer.from(bytes)) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('axis-vault-generate-password', (event, overrides) => ({
+  ok: true,
+  password: generateVaultPasswordForProfile(
+    getProfileIdForEvent(event),
+    overrides && typeof overrides === 'object' ? overrides : null
+  )
+}));
+
+/**
+ * Origin a generated login is staged for, taken from the page itself rather than the payload:
+ * the sending frame for the guest preload, or the named guest's URL when the shell relays it.
+ */
+function vaultGeneratedLoginOrigin(event, payload) {
+  const { webContents } = require('electron');
+  const sender = event?.sender;
+  let url = '';
+  try {
+    if (sender && !sender.isDestroyed() && sender.hostWebContents) {
+      url = event.senderFrame?.url || sender.getURL();
+    } else {
+      const guestId = Number(payload?.guestWebContentsId) || 0;
+      const guest = guestId > 0 ? webContents.fromId(guestId) : null;
+      if (!guest || guest.isDestroyed() || guest.hostWebContents !== sender) return null;
+      url = guest.getURL();
+    }
+    const u = new URL(url);
+    return u.protocol === 'https:' || u.protocol === 'http:' ? u.origin : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+ipcMain.handle('axis-vault-stage-generated-login', (event, payload) => {
+  if (!payload || typeof payload !== 'object') return { ok: false };
+  const origin = vaultGeneratedLoginOrigin(event, payload);
+  if (!origin) return { ok: false, error: 'Invalid origin' };
+  try {
+    const res = ensureAxisVaultForProfile(getVaultProfileIdForSender(event)).stageGeneratedLogin({
+      username: payload.username,
+      password: payload.password,
+      title: payload.title,
+      formKey: String(payload.formKey || '').slice(0, 300),
+      origin
+    });
+    return { ok: true, ...res };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
 /** Guest preload: autofill menu data (invoke — reliable in webview). */
 ipcMain.handle('axis-vault-autofill-query', (event, payload) =>
   vaultAutofillCandidates(getProfileIdFromWebContents(event.sender), payload)
@@ -5263,6 +7526,9 @@ ipcMain.on('axis-vault-guest-ipc', (event, msg) => {
 ipcMain.handle('axis-vault-fill-candidates', (event, payload) => {
   const res = vaultAutofillCandidates(getProfileIdForEvent(event), payload || {});
   if (!res.ok) return { ok: true, logins: [], cards: [], addresses: [] };
+  if (res.kind === 'otp') {
+    return { ok: true, logins: [], cards: [], addresses: [], codes: res.items };
+  }
   if (res.kind === 'card') {
     return { ok: true, logins: [], cards: res.items, addresses: [] };
   }
@@ -5590,10 +7856,15 @@ ipcMain.handle('set-setting', (event, key, value) => {
     return true;
   }
   const s = getSettingsStoreForEvent(event);
-  s.set(key, value);
+  if (key === 'sitePermissionDefaults') s.set(key, cleanSitePermissionDefaults(value));
+  else if (key === 'downloadRules') s.set(key, normalizeDownloadRules(value));
+  else s.set(key, value);
   if (key === 'adBlockerEnabled') {
     syncAdBlockerForProfile(pid);
   }
+  if (key === 'vaultAutoLockMinutes') {
+    ensureAxisVaultForProfile(pid).touch();
+  }
   broadcastSettingsUpdated(pid);
   return true;
 });
@@ -5605,6 +7876,7 @@ function applyAxisSessionFlushPayload(event, payload) {
   if (payload.pinnedTabs != null) s.set('pinnedTabs', payload.pinnedTabs);
   if (payload.unpinnedTabs != null) s.set('unpinnedTabs', payload.unpinnedTabs);
   if (payload.pinnedSidebarOrder != null) s.set('pinnedSidebarOrder', payload.pinnedSidebarOrder);
+  if (payload.splitViews != null) s.set('splitViews', payload.splitViews);
   if (payload.clearUnpinnedRecovery === true) s.set('unpinnedTabsRecovery', []);
 }
 
@@ -5664,6 +7936,45 @@ ipcMain.handle('axis-reset-adblock-page-stats', (event, payload = {}) => {
   return { ok: true };
 });
 
+ipcMain.handle('axis-get-adblock-request-log', async (event, payload = {}) => {
+  const pid = getProfileIdForEvent(event);
+  const webContentsId = Number(payload.webContentsId) || 0;
+  const page = webContentsId ? getAdblockStatsBucket(pid).byWebContents.get(webContentsId) : null;
+  if (!page) return { ok: true, pageHost: '', entries: [] };
+  const blocker = axisAdblockBlocker;
+  let origins = new Map();
+  if (blocker) {
+    try {
+      origins = await getAxisAdblockFilterOrigins(blocker);
+    } catch (_) {}
+  }
+  return {
+    ok: true,
+    pageHost: page.host || '',
+    entries: page.log.map((item) => describeAxisAdblockLogEntry(blocker, item, origins, page))
+  };
+});
+
+ipcMain.handle('axis-adblock-allow-request', async (event, payload = {}) => {
+  const pid = getProfileIdForEvent(event);
+  const webContentsId = Number(payload.webContentsId) || 0;
+  const entryId = Number(payload.entryId) || 0;
+  const page = webContentsId ? getAdblockStatsBucket(pid).byWebContents.get(webContentsId) : null;
+  const item = page ? page.log.find((x) => x.id === entryId) : null;
+  if (!item) return { ok: false, error: 'That request is no longer in the log.' };
+  const scope = payload.scope === 'host' ? 'host' : 'request';
+  const exception = axisAdblockExceptionRuleFor(item.url, page.host || axisHostFromUrl(item.referrer), scope);
+  if (!exception) return { ok: false, error: 'This request cannot be allowed with a filter.' };
+  try {
+    await addAxisAdblockUserRule(exception.rule);
+  } catch (err) {
+    return { ok: false, error: String(err?.message || 'Could not save the exception.') };
+  }
+  if (exception.scope === 'host') page.allowedHosts.add(exception.host);
+  else page.allowedRequests.add(exception.address);
+  return { ok: true, rule: exception.rule };
+});
+
 ipcMain.handle('axis-set-adblock-site-exception', (event, payload = {}) => {
   const pid = getProfileIdForEvent(event);
   const hostname = typeof payload.hostname === 'string' ? payload.hostname : '';
@@ -5672,6 +7983,87 @@ ipcMain.handle('axis-set-adblock-site-exception', (event, payload = {}) => {
   return { ok };
 });
 
+ipcMain.handle('axis-adblock-get-filter-lists', () => ({
+  ok: true,
+  lists: getAdblockFilterLists(),
+  userRules: getAdblockUserRules()
+}));
+
+/** `{ url }` subscribes to a list by address; `{ file: true }` picks a local list file. */
+ipcMain.handle('axis-adblock-add-filter-list', async (event, payload = {}) => {
+  const lists = getAdblockFilterLists();
+  if (lists.length >= AXIS_ADBLOCK_LISTS_MAX) return { ok: false, error: `You can add up to ${AXIS_ADBLOCK_LISTS_MAX} lists.` };
+  let source = 'url';
+  let location = '';
+  if (payload.file) {
+    const win = getWindowFromSender(event?.sender);
+    const result = await dialog.showOpenDialog(win && !win.isDestroyed() ? win : undefined, {
+      title: 'Choose a filter list',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Filter lists', extensions: ['txt', 'list'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    });
+    if (result.canceled || !result.filePaths?.[0]) return { ok: false, cancelled: true };
+    source = 'file';
+    location = result.filePaths[0];
+  } else {
+    location = normalizeAdblockListUrl(payload.url);
+    if (!location) return { ok: false, error: 'Enter the address of a filter list, e.g. https://easylist.to/easylist/easylist.txt.' };
+  }
+  if (lists.some((l) => l.location === location)) return { ok: false, error: 'That list is already added.' };
+  const result = await updateAxisAdblockFilterList({
+    id: newAdblockListId(),
+    title: '',
+    source,
+    location,
+    enabled: true,
+    updatedAt: 0,
+    ruleCount: 0,
+    error: ''
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+  setAdblockFilterLists([...getAdblockFilterLists(), result.list]);
+  await rebuildAxisAdblockCustomFilters();
+  return { ok: true, lists: getAdblockFilterLists() };
+});
+
+ipcMain.handle('axis-adblock-refresh-filter-list', async (_event, id) => {
+  const list = getAdblockFilterLists().find((l) => l.id === id);
+  if (!list) return { ok: false, error: 'not-found' };
+  const result = await updateAxisAdblockFilterList(list);
+  replaceAdblockFilterList(result.list);
+  if (result.ok) await rebuildAxisAdblockCustomFilters();
+  return { ok: result.ok, error: result.error, lists: getAdblockFilterLists() };
+});
+
+ipcMain.handle('axis-adblock-set-filter-list-enabled', async (_event, id, enabled) => {
+  const list = getAdblockFilterLists().find((l) => l.id === id);
+  if (!list) return { ok: false, error: 'not-found' };
+  replaceAdblockFilterList({ ...list, enabled: !!enabled });
+  await rebuildAxisAdblockCustomFilters();
+  return { ok: true, lists: getAdblockFilterLists() };
+});
+
+ipcMain.handle('axis-adblock-remove-filter-list', async (_event, id) => {
+  const lists = getAdblockFilterLists();
+  if (!lists.some((l) => l.id === id)) return { ok: false, error: 'not-found' };
+  setAdblockFilterLists(lists.filter((l) => l.id !== id));
+  await rebuildAxisAdblockCustomFilters();
+  try {
+    await removeAdblockListText(getAxisAdblockPaths().listsDir, id);
+  } catch (_) {}
+  return { ok: true, lists: getAdblockFilterLists() };
+});
+
+ipcMain.handle('axis-adblock-set-user-rules', async (_event, text) => {
+  const rules = cleanAdblockUserRules(text);
+  store.set(AXIS_ADBLOCK_USER_RULES_KEY, rules);
+  await rebuildAxisAdblockCustomFilters();
+  return { ok: true, ruleCount: countAdblockRules(rules) };
+});
+
 ipcMain.handle('axis-get-page-security-info', async (event, opts = {}) => {
   const webContentsId = Number(opts.webContentsId) || 0;
   const pageUrl = typeof opts.pageUrl === 'string' ? opts.pageUrl : '';
@@ -5820,132 +8212,558 @@ ipcMain.handle('install-extension-crx', async (event) => {
   return installAxisExtensionFromCrxFile(win && !win.isDestroyed() ? win : undefined, pid);
 });
 
-ipcMain.handle('set-extension-enabled', async (event, id, enabled) => {
-  return setAxisExtensionEnabled(id, enabled, getProfileIdForEvent(event));
-});
+ipcMain.handle('set-extension-enabled', async (event, id, enabled) => {
+  return setAxisExtensionEnabled(id, enabled, getProfileIdForEvent(event));
+});
+
+ipcMain.handle('remove-extension', async (event, id) => {
+  return removeAxisExtension(id, getProfileIdForEvent(event));
+});
+
+ipcMain.handle('open-extension-options', async (event, id) => {
+  return openAxisExtensionOptions(id, getProfileIdForEvent(event));
+});
+
+ipcMain.handle('set-extension-pinned', async (event, id, pinned) => {
+  return setAxisExtensionPinned(id, pinned, getProfileIdForEvent(event));
+});
+
+ipcMain.handle('set-extension-site-access', async (event, id, access) => {
+  return setAxisExtensionSiteAccess(id, access, getProfileIdForEvent(event));
+});
+
+ipcMain.handle('get-extension-toolbar', async (event, tabId) => {
+  return getAxisExtensionToolbar(getProfileIdForEvent(event), Number(tabId) || 0);
+});
+
+ipcMain.handle('click-extension-action', async (event, id, tabId) => {
+  const win = getWindowFromSender(event.sender);
+  return clickAxisExtensionAction(id, getProfileIdForEvent(event), Number(tabId) || 0, win || undefined);
+});
+
+/** `chrome.*` calls from extension pages (see `buildExtensionApiPreloadSource`). */
+ipcMain.handle('axis-extension-api', async (event, payload = {}) => {
+  const caller = getAxisExtensionApiCaller(event);
+  if (!caller) return { ok: false, error: 'Not an extension page.' };
+  const method = typeof payload.method === 'string' ? payload.method : '';
+  const impl = Object.prototype.hasOwnProperty.call(AXIS_EXTENSION_API_METHODS, method)
+    ? AXIS_EXTENSION_API_METHODS[method]
+    : null;
+  if (!impl) return { ok: false, error: `chrome.${method} is not supported.` };
+  const permission = AXIS_EXTENSION_API_PERMISSIONS[method.split('.')[0]];
+  if (permission && !extensionHasPermission(caller.ext.manifest, permission)) {
+    return { ok: false, error: `chrome.${method} requires the "${permission}" permission in the manifest.` };
+  }
+  try {
+    const result = await impl(caller, Array.isArray(payload.args) ? payload.args : []);
+    return { ok: true, result };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+});
+
+ipcMain.on('axis-extension-tabs-response', (event, payload = {}) => {
+  const pending = axisShellTabsRequests.get(Number(payload.requestId));
+  if (!pending || pending.senderId !== event.sender.id) return;
+  axisShellTabsRequests.delete(Number(payload.requestId));
+  clearTimeout(pending.timer);
+  if (payload.ok) pending.resolve(payload.result);
+  else pending.reject(new Error(payload.error || 'Tab operation failed.'));
+});
+
+ipcMain.handle('open-extension-popup', async (event, id) => {
+  const pid = getProfileIdForEvent(event);
+  const win = getWindowFromSender(event.sender);
+  return openAxisExtensionPopup(id, pid, win || undefined);
+});
+
+// Keyboard shortcuts management
+ipcMain.handle('get-shortcuts', (event) => {
+  return getShortcuts(getProfileIdForEvent(event));
+});
+
+ipcMain.handle('get-default-shortcuts', () => {
+  return getDefaultShortcuts();
+});
+
+ipcMain.handle('get-shortcut-overrides', (event) => {
+  return getShortcutOverrides(getProfileIdForEvent(event));
+});
+
+ipcMain.handle('set-shortcuts', (event, shortcuts) => {
+  const pid = getProfileIdForEvent(event);
+  getProfileStore(pid).set('keyboardShortcuts', shortcuts);
+  unregisterShortcuts();
+  registerShortcuts();
+  createMenu();
+  broadcastSettingsUpdated(pid);
+  return shortcuts;
+});
+
+ipcMain.handle('reset-shortcuts', (event) => {
+  const pid = getProfileIdForEvent(event);
+  getProfileStore(pid).delete('keyboardShortcuts');
+  unregisterShortcuts();
+  registerShortcuts();
+  broadcastSettingsUpdated(pid);
+  return getDefaultShortcuts();
+});
+
+// Temporarily disable/enable shortcuts (e.g., when recording a new shortcut)
+ipcMain.handle('disable-shortcuts', () => {
+  unregisterShortcuts();
+  return true;
+});
+
+ipcMain.handle('enable-shortcuts', () => {
+  registerShortcuts();
+  return true;
+});
+
+// History management
+/** @param {{ text?: string, from?: number|string, to?: number|string, limit?: number, offset?: number, order?: string }} [options] */
+ipcMain.handle('get-history', (event, options) => {
+  return getProfileHistoryDb(getProfileIdForEvent(event)).query(options || {});
+});
+
+ipcMain.handle('get-history-count', (event, options) => {
+  return getProfileHistoryDb(getProfileIdForEvent(event)).count(options || {});
+});
+
+/** URL-bar / spotlight matches, best frecency first. */
+ipcMain.handle('get-history-suggestions', (event, query, limit) => {
+  return getProfileHistoryDb(getProfileIdForEvent(event)).query({
+    text: query,
+    limit: Math.min(50, Math.max(1, Number(limit) || 8)),
+    order: 'frecency'
+  });
+});
+
+ipcMain.handle('add-history-item', (event, item) => {
+  return getProfileHistoryDb(getProfileIdForEvent(event)).recordVisit({
+    url: item.url,
+    title: item.title,
+    favicon: item.favicon,
+    transition: item.transition
+  });
+});
+
+ipcMain.handle('clear-history', (event) => {
+  getProfileHistoryDb(getProfileIdForEvent(event)).clear();
+  return true;
+});
+
+ipcMain.handle('delete-history-item', (event, id) => {
+  getProfileHistoryDb(getProfileIdForEvent(event)).deleteItems([id]);
+  return true;
+});
+
+ipcMain.handle('delete-history-items', (event, ids) => {
+  try {
+    const removed = getProfileHistoryDb(getProfileIdForEvent(event)).deleteItems(Array.isArray(ids) ? ids : []);
+    return { ok: true, removed };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+/** `{ from, to }` in epoch ms; "last hour" etc. send only `from`. */
+ipcMain.handle('delete-history-range', (event, range) => {
+  try {
+    const removed = getProfileHistoryDb(getProfileIdForEvent(event)).deleteRange(range || {});
+    return { ok: true, removed };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+ipcMain.handle('delete-history-domain', (event, domain) => {
+  try {
+    const removed = getProfileHistoryDb(getProfileIdForEvent(event)).deleteDomain(domain);
+    return { ok: true, removed };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+/**
+ * Settings "Clear browsing data". A limited range works out which sites were visited in it
+ * (before history is deleted) and clears cookies, storage, cache and permissions for those
+ * origins only; "All time" wipes the whole profile partition.
+ */
+async function clearAxisBrowsingData(profileId, request) {
+  const pid = sanitizeProfileId(profileId);
+  const { from, types } = normalizeClearBrowsingDataRequest(request);
+  const sess = getAxisExtensionSession(pid);
+  const historyDb = getProfileHistoryDb(pid);
+  const hosts = from == null ? null : historyDb.listHosts({ from, limit: AXIS_CLEAR_DATA_MAX_HOSTS });
+  const origins = hosts ? clearDataOriginsForHosts(hosts) : null;
+  const cleared = [];
+  let vaultLocked = false;
+
+  if (types.has('history')) {
+    if (from == null) historyDb.clear();
+    else historyDb.deleteRange({ from });
+    cleared.push('history');
+  }
+
+  if (types.has('cookies')) {
+    if (!origins) {
+      await sess.clearStorageData({ storages: AXIS_CLEAR_SITE_DATA_STORAGES });
+      await sess.clearAuthCache();
+    } else {
+      for (const origin of origins) {
+        await sess.clearStorageData({ origin, storages: AXIS_CLEAR_SITE_DATA_STORAGES });
+      }
+    }
+    cleared.push('cookies');
+  }
+
+  if (types.has('cache')) {
+    if (!origins) {
+      await sess.clearCache();
+      await sess.clearHostResolverCache();
+    } else if (origins.length) {
+      await sess.clearData({ dataTypes: ['cache'], origins });
+    }
+    cleared.push('cache');
+  }
+
+  if (types.has('downloads')) {
+    const items = from == null ? [] : getDownloadItems(pid).filter((item) => downloadItemTime(item) < from);
+    setDownloadItems(pid, items);
+    cleared.push('downloads');
+  }
+
+  if (types.has('autofill')) {
+    const vault = ensureAxisVaultForProfile(pid);
+    if (!vault.isUnlocked()) {
+      vaultLocked = true;
+    } else {
+      for (const card of vault.listCards()) {
+        if (from == null || card.updatedAt >= from) vault.deleteCard(card.id);
+      }
+      for (const address of vault.listAddresses()) {
+        if (from == null || address.updatedAt >= from) vault.deleteAddress(address.id);
+      }
+      cleared.push('autofill');
+    }
+  }
+
+  if (types.has('sitePermissions')) {
+    const profileStore = getProfileSitePermissionStore(pid);
+    let overrides = {};
+    if (hosts) {
+      const visited = new Set(hosts);
+      const raw = profileStore.get('sitePermissionOverrides', {});
+      for (const [key, perms] of Object.entries(raw && typeof raw === 'object' ? raw : {})) {
+        let host = '';
+        try {
+          host = isSitePermissionPattern(key) ? '' : new URL(key).hostname;
+        } catch (_) {}
+        if (!host || !visited.has(host)) overrides[key] = perms;
+      }
+      overrides = cleanSitePermissionOverrides(overrides);
+    }
+    profileStore.set('sitePermissionOverrides', overrides);
+    cleared.push('sitePermissions');
+  }
+
+  // The URL-bar tint cache lives in each shell window's localStorage.
+  if (types.has('urlBarThemes')) cleared.push('urlBarThemes');
+  for (const win of listAxisProfileShellWindows(pid)) {
+    try {
+      win.webContents.send('axis-browsing-data-cleared', { profileId: pid, types: cleared, hosts });
+    } catch (_) {}
+  }
+  broadcastSettingsUpdated(pid);
+  return { cleared, hosts: hosts ? hosts.length : null, vaultLocked };
+}
+
+ipcMain.handle('clear-browsing-data', async (event, request) => {
+  try {
+    return { ok: true, ...(await clearAxisBrowsingData(getProfileIdForEvent(event), request)) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+});
+
+/** Profile id → hosts whose "never allow" rule drops cookies as they are set. */
+const axisSiteDataBlockedHosts = new Map();
 
-ipcMain.handle('remove-extension', async (event, id) => {
-  return removeAxisExtension(id, getProfileIdForEvent(event));
-});
+function getAxisSiteDataRules(profileId) {
+  return cleanSiteDataRules(getProfileStore(profileId).get(AXIS_SITE_DATA_RULES_KEY, {}));
+}
 
-ipcMain.handle('open-extension-options', async (event, id) => {
-  return openAxisExtensionOptions(id, getProfileIdForEvent(event));
-});
+function getAxisSiteDataBlockedHosts(profileId) {
+  const pid = sanitizeProfileId(profileId);
+  if (!axisSiteDataBlockedHosts.has(pid)) {
+    const hosts = Object.entries(getAxisSiteDataRules(pid))
+      .filter(([, rule]) => rule === 'block')
+      .map(([origin]) => new URL(origin).hostname);
+    axisSiteDataBlockedHosts.set(pid, new Set(hosts));
+  }
+  return axisSiteDataBlockedHosts.get(pid);
+}
+
+function attachSiteDataCookieGuard(sess) {
+  const pid = getProfileIdFromSession(sess);
+  if (sess.getPartition() !== getProfilePartition(pid)) return;
+  sess.cookies.on('changed', (_event, cookie, _cause, removed) => {
+    if (removed) return;
+    const blocked = getAxisSiteDataBlockedHosts(pid);
+    if (!blocked.size) return;
+    for (const host of blocked) {
+      if (cookieMatchesHost(cookie, host)) {
+        sess.cookies.remove(cookieUrl(cookie), cookie.name).catch(() => {});
+        return;
+      }
+    }
+  });
+}
 
-ipcMain.handle('open-extension-popup', async (event, id) => {
-  const pid = getProfileIdForEvent(event);
-  const win = getWindowFromSender(event.sender);
-  return openAxisExtensionPopup(id, pid, win || undefined);
-});
+/**
+ * "Never allow" for storage: a guest's blocked origins (main page and frames) are remembered as
+ * they load and their storage is cleared when the tab navigates away or closes.
+ */
+function attachSiteDataStorageGuard(contents) {
+  const sess = contents.session;
+  const pid = getProfileIdFromSession(sess);
+  if (sess.getPartition() !== getProfilePartition(pid)) return;
+  let visited = new Set();
+  const note = (url) => {
+    const origin = blockedSiteDataOrigin(url, getAxisSiteDataBlockedHosts(pid));
+    if (origin) visited.add(origin);
+  };
+  const flush = () => {
+    if (!visited.size) return;
+    const origins = [...visited];
+    visited = new Set();
+    for (const origin of origins) {
+      sess.clearStorageData({ origin, storages: AXIS_CLEAR_SITE_DATA_STORAGES.filter((s) => s !== 'cookies') }).catch(() => {});
+    }
+  };
+  contents.on('did-start-navigation', (details) => {
+    if (details && details.isMainFrame && !details.isSameDocument) flush();
+  });
+  contents.on('did-frame-navigate', (_event, url) => note(url));
+  contents.once('destroyed', flush);
+}
 
-// Keyboard shortcuts management
-ipcMain.handle('get-shortcuts', (event) => {
-  return getShortcuts(getProfileIdForEvent(event));
-});
+/** Storage for each origin plus cookies for their hosts (and subdomains). */
+async function clearAxisSiteDataForOrigins(sess, origins) {
+  const hosts = new Set();
+  for (const origin of origins) {
+    await sess.clearStorageData({ origin, storages: AXIS_CLEAR_SITE_DATA_STORAGES });
+    hosts.add(new URL(origin).hostname);
+  }
+  let removed = 0;
+  for (const cookie of await sess.cookies.get({})) {
+    if (![...hosts].some((host) => cookieMatchesHost(cookie, host))) continue;
+    try {
+      await sess.cookies.remove(cookieUrl(cookie), cookie.name);
+      removed += 1;
+    } catch (_) {}
+  }
+  return removed;
+}
 
-ipcMain.handle('get-default-shortcuts', () => {
-  return getDefaultShortcuts();
+async function listAxisSiteData(profileId) {
+  const sess = getAxisExtensionSession(profileId);
+  const [cookies, usage] = await Promise.all([
+    sess.cookies.get({}),
+    readSiteStorageUsage(sess.getStoragePath())
+  ]);
+  return summarizeSiteData(cookies, usage, getAxisSiteDataRules(profileId));
+}
+
+/** Quit-time pass over every profile's "clear on exit" and "never allow" origins. */
+async function clearAxisSiteDataOnExit() {
+  for (const profile of listAxisProfiles()) {
+    const origins = Object.keys(getAxisSiteDataRules(profile.id));
+    if (!origins.length) continue;
+    try {
+      await clearAxisSiteDataForOrigins(getAxisExtensionSession(profile.id), origins);
+    } catch (err) {
+      console.error('clearAxisSiteDataOnExit:', err);
+    }
+  }
+}
+
+ipcMain.handle('get-site-data', async (event) => {
+  try {
+    const pid = getProfileIdForEvent(event);
+    return { ok: true, sites: await listAxisSiteData(pid), rules: getAxisSiteDataRules(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('get-shortcut-overrides', (event) => {
-  return getShortcutOverrides(getProfileIdForEvent(event));
+ipcMain.handle('get-site-data-cookies', async (event, host) => {
+  try {
+    const h = String(host || '').toLowerCase();
+    if (!h) return { ok: false, error: 'Missing site' };
+    const cookies = await getAxisExtensionSession(getProfileIdForEvent(event)).cookies.get({});
+    return { ok: true, cookies: cookies.filter((c) => cookieHost(c) === h).map(toSiteDataCookie) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('set-shortcuts', (event, shortcuts) => {
-  const pid = getProfileIdForEvent(event);
-  getProfileStore(pid).set('keyboardShortcuts', shortcuts);
-  unregisterShortcuts();
-  registerShortcuts();
-  createMenu();
-  broadcastSettingsUpdated(pid);
-  return shortcuts;
+ipcMain.handle('delete-site-data-cookie', async (event, cookie) => {
+  try {
+    if (!cookie?.name || !cookie?.domain) return { ok: false, error: 'Missing cookie' };
+    await getAxisExtensionSession(getProfileIdForEvent(event)).cookies.remove(cookieUrl(cookie), cookie.name);
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('reset-shortcuts', (event) => {
-  const pid = getProfileIdForEvent(event);
-  getProfileStore(pid).delete('keyboardShortcuts');
-  unregisterShortcuts();
-  registerShortcuts();
-  broadcastSettingsUpdated(pid);
-  return getDefaultShortcuts();
+/** `{ host, origins }` as listed by `get-site-data`; both schemes of the host are always included. */
+ipcMain.handle('clear-site-data', async (event, site) => {
+  try {
+    const host = String(site?.host || '').toLowerCase();
+    if (!host) return { ok: false, error: 'Missing site' };
+    const origins = new Set(clearDataOriginsForHosts([host]));
+    for (const raw of Array.isArray(site.origins) ? site.origins : []) {
+      const origin = normalizeSiteDataOrigin(raw);
+      if (origin && new URL(origin).hostname === host) origins.add(origin);
+    }
+    const sess = getAxisExtensionSession(getProfileIdForEvent(event));
+    return { ok: true, cookiesRemoved: await clearAxisSiteDataForOrigins(sess, [...origins]) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-// Temporarily disable/enable shortcuts (e.g., when recording a new shortcut)
-ipcMain.handle('disable-shortcuts', () => {
-  unregisterShortcuts();
-  return true;
+/** `rule` is `clearOnExit`, `block`, or empty to remove the origin's rule. */
+ipcMain.handle('set-site-data-rule', async (event, payload = {}) => {
+  try {
+    const pid = getProfileIdForEvent(event);
+    const origin = normalizeSiteDataOrigin(payload.origin);
+    if (!origin) return { ok: false, error: 'Enter a valid site address' };
+    const rules = getAxisSiteDataRules(pid);
+    if (AXIS_SITE_DATA_RULE_VALUES.includes(payload.rule)) rules[origin] = payload.rule;
+    else delete rules[origin];
+    getProfileStore(pid).set(AXIS_SITE_DATA_RULES_KEY, cleanSiteDataRules(rules));
+    axisSiteDataBlockedHosts.delete(pid);
+    if (payload.rule === 'block') await clearAxisSiteDataForOrigins(getAxisExtensionSession(pid), [origin]);
+    return { ok: true, rules: getAxisSiteDataRules(pid) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
 });
 
-ipcMain.handle('enable-shortcuts', () => {
-  registerShortcuts();
-  return true;
+// Downloads management (history of browser downloads)
+ipcMain.handle('get-downloads', (event) => {
+  return getDownloadItems(getProfileIdForEvent(event));
 });
 
-// History management
-ipcMain.handle('get-history', (event) => {
-  return getHistoryItems(getProfileIdForEvent(event));
+ipcMain.handle('get-active-downloads', () => {
+  return listAxisActiveDownloads();
 });
 
-ipcMain.handle('add-history-item', (event, item) => {
-  const pid = getProfileIdForEvent(event);
-  const history = getHistoryItems(pid);
-  const newItem = {
-    id: Date.now(),
-    url: item.url,
-    title: item.title,
-    timestamp: new Date().toISOString(),
-    favicon: item.favicon || ''
-  };
-  
-  // Remove duplicate if exists
-  const existingIndex = history.findIndex(h => h.url === item.url);
-  if (existingIndex !== -1) {
-    history.splice(existingIndex, 1);
+ipcMain.handle('cancel-active-download', (_event, axisId) => {
+  const item = findAxisDownloadItem(axisId);
+  if (!item) return { ok: false, error: 'not-found' };
+  if (axisDownloadItemMeta.get(item)?.failed) {
+    // Nothing is running any more; cancelling just drops it from the list.
+    forgetAxisDownloadItem(item);
+    persistAxisResumableDownloads();
+    broadcastAxisDownloadActivity();
+    return { ok: true };
+  }
+  try {
+    item.cancel();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
   }
-  
-  // Add to beginning and cap at profile limit
-  history.unshift(newItem);
-  setHistoryItems(pid, history);
-  return newItem;
 });
 
-ipcMain.handle('clear-history', (event) => {
-  setHistoryItems(getProfileIdForEvent(event), []);
-  return true;
+ipcMain.handle('pause-active-download', (_event, axisId) => {
+  const item = findAxisDownloadItem(axisId);
+  if (!item || axisDownloadItemMeta.get(item)?.failed) return { ok: false, error: 'not-found' };
+  try {
+    item.pause();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
 });
 
-ipcMain.handle('delete-history-item', (event, id) => {
-  const pid = getProfileIdForEvent(event);
-  const history = getHistoryItems(pid);
-  const filtered = history.filter((item) => item.id !== id);
-  setHistoryItems(pid, filtered);
-  return true;
+ipcMain.handle('resume-active-download', (_event, axisId) => {
+  const item = findAxisDownloadItem(axisId);
+  if (!item || axisDownloadItemMeta.get(item)?.failed) return { ok: false, error: 'not-found' };
+  try {
+    if (!item.canResume()) return { ok: false, error: 'not-resumable' };
+    item.resume();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
 });
 
-// Downloads management (history of browser downloads)
-ipcMain.handle('get-downloads', (event) => {
-  return getDownloadItems(getProfileIdForEvent(event));
+/**
+ * Starts an interrupted download again as a new item: from the saved byte offset when the
+ * server sent an ETag / Last-Modified to validate the partial file, else from the start.
+ */
+ipcMain.handle('retry-download', (_event, axisId) => {
+  const item = findAxisDownloadItem(axisId);
+  if (!item) return { ok: false, error: 'not-found' };
+  const meta = axisDownloadItemMeta.get(item);
+  if (!meta.failed && getAxisDownloadItemState(item) !== 'interrupted') {
+    return { ok: false, error: 'not-interrupted' };
+  }
+  const options = meta.resumeOptions || axisDownloadResumeOptions(item);
+  if (!options || !meta.session) return { ok: false, error: 'not-resumable' };
+  forgetAxisDownloadItem(item);
+  axisDownloadPathsToResume.add(options.path);
+  try {
+    meta.session.createInterruptedDownload(options);
+  } catch (err) {
+    axisDownloadPathsToResume.delete(options.path);
+    persistAxisResumableDownloads();
+    broadcastAxisDownloadActivity();
+    return { ok: false, error: String(err?.message || err) };
+  }
+  return { ok: true };
 });
 
-ipcMain.handle('get-active-downloads', () => {
-  return listAxisActiveDownloads();
+ipcMain.handle('get-held-downloads', () => listAxisHeldDownloads());
+
+/** Keep: move the held file back to where it was headed and mark it as downloaded from the internet. */
+ipcMain.handle('keep-held-download', async (_event, id) => {
+  const entry = axisHeldDownloads.get(String(id || ''));
+  if (!entry) return { ok: false, error: 'not-found' };
+  const target = uniqueAxisDownloadPath(path.dirname(entry.path), entry.filename);
+  try {
+    await fs.promises.rename(entry.heldPath, target);
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+  axisHeldDownloads.delete(entry.id);
+  persistAxisHeldDownloads(entry.profileId);
+  await applyDownloadQuarantine(target, entry.url);
+  rememberAxisRuleRoutedDownload(target, entry.ruleLabel);
+  if (entry.openWhenKept) void shell.openPath(target);
+  broadcastAxisDownloadActivity();
+  return { ok: true, path: target };
 });
 
-ipcMain.handle('cancel-active-download', (_event, axisId) => {
-  const id = Number(axisId);
-  if (!Number.isFinite(id) || id <= 0) return { ok: false, error: 'bad-id' };
-  for (const item of axisActiveDownloadItems) {
-    const meta = axisDownloadItemMeta.get(item);
-    if (meta && meta.axisId === id) {
-      try {
-        item.cancel();
-        return { ok: true };
-      } catch (err) {
-        return { ok: false, error: String(err?.message || err) };
-      }
-    }
+ipcMain.handle('discard-held-download', async (_event, id) => {
+  const entry = axisHeldDownloads.get(String(id || ''));
+  if (!entry) return { ok: false, error: 'not-found' };
+  try {
+    await fs.promises.rm(entry.heldPath, { force: true });
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
   }
-  return { ok: false, error: 'not-found' };
+  axisHeldDownloads.delete(entry.id);
+  persistAxisHeldDownloads(entry.profileId);
+  broadcastAxisDownloadActivity();
+  return { ok: true };
 });
 
 ipcMain.handle('add-download', (event, downloadInfo) => {
@@ -6331,6 +9149,16 @@ ipcMain.handle('pick-browser-profile-folder', async (event) => {
   return { ok: true, path: result.filePaths[0] };
 });
 
+ipcMain.handle('pick-download-folder', async (event) => {
+  const win = getWindowFromSender(event?.sender);
+  const result = await dialog.showOpenDialog(win && !win.isDestroyed() ? win : undefined, {
+    title: 'Choose where matching downloads are saved',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || !result.filePaths?.[0]) return { ok: false, cancelled: true };
+  return { ok: true, path: result.filePaths[0] };
+});
+
 ipcMain.handle('import-browser-profile', async (event, payload) => {
   try {
     return await importBrowserProfileData(
@@ -6343,6 +9171,7 @@ ipcMain.handle('import-browser-profile', async (event, payload) => {
         broadcastSettingsUpdated,
         sanitizeProfileIcon,
         ensureAxisVaultForProfile,
+        importProfileHistory,
         cleanSitePermissionOverrides,
         broadcastExtensionsReady,
         installExtensionForProfileImport: async (profileId, spec) => {
@@ -6389,34 +9218,101 @@ ipcMain.handle('get-profiles-overview-for-window', (event) => ({
   currentProfileId: getProfileIdForEvent(event)
 }));
 
-ipcMain.handle('export-axis-profile', async (event, profileId) => {
+/**
+ * @param {{ passphrase?: string, plaintext?: boolean }} options  One of the two is required:
+ *   backups include the vault, so writing them unencrypted must be an explicit choice.
+ */
+ipcMain.handle('export-axis-profile', async (event, profileId, options) => {
+  const opts = options && typeof options === 'object' ? options : {};
+  const passphrase = typeof opts.passphrase === 'string' ? opts.passphrase : '';
+  if (!passphrase && opts.plaintext !== true) {
+    return { ok: false, error: 'Enter a backup passphrase, or confirm an unencrypted export.' };
+  }
   const pid = sanitizeProfileId(profileId || getProfileIdForEvent(event));
   const meta = listAxisProfiles().find((p) => p.id === pid);
-  const vault = ensureAxisVaultForProfile(pid).ensureLoaded();
-  const payload = buildAxisProfileExportPayload(getProfileStore(pid), meta, vault);
+  let vault;
+  try {
+    vault = ensureAxisVaultForProfile(pid).ensureLoaded();
+  } catch (e) {
+    return { ok: false, error: 'Unlock the vault in Settings → Passwords before exporting this profile.' };
+  }
+  const payload = buildAxisProfileExportPayload(
+    getProfileStore(pid),
+    meta,
+    vault,
+    getProfileHistoryDb(pid).exportItems({ limit: 500 })
+  );
+  let body;
+  try {
+    body = passphrase ? await encryptProfileBackup(payload, passphrase) : payload;
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
   const win = getWindowFromSender(event?.sender);
   const safeName = String(meta?.name || pid).replace(/[^\w\s-]/g, '').trim() || 'profile';
   const result = await dialog.showSaveDialog(win && !win.isDestroyed() ? win : undefined, {
     title: 'Export Axis profile',
-    defaultPath: `${safeName}-axis-profile.json`,
+    defaultPath: `${safeName}-axis-profile${passphrase ? '.encrypted' : ''}.json`,
     filters: [{ name: 'Axis Profile', extensions: ['json'] }]
   });
   if (result.canceled || !result.filePath) return { ok: false, cancelled: true };
-  await fs.promises.writeFile(result.filePath, JSON.stringify(payload, null, 2), 'utf8');
-  return { ok: true, path: result.filePath };
+  await fs.promises.writeFile(result.filePath, JSON.stringify(body, null, 2), { encoding: 'utf8', mode: 0o600 });
+  return { ok: true, path: result.filePath, encrypted: !!passphrase };
 });
 
-ipcMain.handle('import-axis-profile-backup', async (event) => {
-  const win = getWindowFromSender(event?.sender);
-  const result = await dialog.showOpenDialog(win && !win.isDestroyed() ? win : undefined, {
-    title: 'Import Axis profile backup',
-    properties: ['openFile'],
-    filters: [{ name: 'Axis Profile', extensions: ['json'] }]
-  });
-  if (result.canceled || !result.filePaths?.[0]) return { ok: false, cancelled: true };
+/**
+ * Backup files read but not yet imported: token → `{ envelope }` (encrypted, waiting for the
+ * passphrase) or `{ payload }` (waiting for a vault master password).
+ */
+const pendingEncryptedBackups = new Map();
+
+/**
+ * Without arguments opens a file picker. Encrypted backups answer `{ needsPassphrase, token }`;
+ * call again with `{ token, passphrase }` to finish (or `{ token, cancel: true }`). Backups with
+ * vault data on a system without a keyring answer `{ needsVaultPassword, token }`; call again with
+ * `{ token, vaultPassword }`.
+ */
+ipcMain.handle('import-axis-profile-backup', async (event, options) => {
+  const opts = options && typeof options === 'object' ? options : {};
+  let payload;
+  if (opts.token) {
+    const pending = pendingEncryptedBackups.get(opts.token);
+    if (!pending) return { ok: false, error: 'This import has expired. Choose the backup file again.' };
+    if (opts.cancel) {
+      pendingEncryptedBackups.delete(opts.token);
+      return { ok: false, cancelled: true };
+    }
+    try {
+      payload = pending.payload || (await decryptProfileBackup(pending.envelope, String(opts.passphrase || '')));
+    } catch (e) {
+      if (e?.code === 'AXIS_BACKUP_BAD_PASSPHRASE') {
+        return { ok: false, needsPassphrase: true, token: opts.token, error: e.message };
+      }
+      pendingEncryptedBackups.delete(opts.token);
+      return { ok: false, error: String(e?.message || e) };
+    }
+    pendingEncryptedBackups.delete(opts.token);
+  } else {
+    const win = getWindowFromSender(event?.sender);
+    const result = await dialog.showOpenDialog(win && !win.isDestroyed() ? win : undefined, {
+      title: 'Import Axis profile backup',
+      properties: ['openFile'],
+      filters: [{ name: 'Axis Profile', extensions: ['json'] }]
+    });
+    if (result.canceled || !result.filePaths?.[0]) return { ok: false, cancelled: true };
+    try {
+      payload = JSON.parse(await fs.promises.readFile(result.filePaths[0], 'utf8'));
+    } catch (e) {
+      return { ok: false, error: String(e?.message || e) };
+    }
+    if (isEncryptedProfileBackup(payload)) {
+      const token = crypto.randomUUID();
+      pendingEncryptedBackups.clear();
+      pendingEncryptedBackups.set(token, { envelope: payload });
+      return { ok: false, needsPassphrase: true, token, fileName: path.basename(result.filePaths[0]) };
+    }
+  }
   try {
-    const raw = await fs.promises.readFile(result.filePaths[0], 'utf8');
-    const payload = JSON.parse(raw);
     const imported = importAxisProfileBackup(
       {
         allocateProfileId,
@@ -6426,12 +9322,22 @@ ipcMain.handle('import-axis-profile-backup', async (event) => {
         broadcastProfilesUpdated,
         sanitizeProfileIcon,
         ensureAxisVaultForProfile,
-        cleanSitePermissionOverrides
+        importProfileHistory,
+        cleanSitePermissionOverrides,
+        vaultNeedsMasterPassword: () => !ensureAxisVaultFromEvent(event).lockStatus().keyringAvailable
       },
-      payload
+      payload,
+      undefined,
+      { vaultPassword: typeof opts.vaultPassword === 'string' ? opts.vaultPassword : '' }
     );
     return imported;
   } catch (e) {
+    if (e?.code === 'AXIS_BACKUP_NEEDS_VAULT_PASSWORD') {
+      const token = crypto.randomUUID();
+      pendingEncryptedBackups.clear();
+      pendingEncryptedBackups.set(token, { payload });
+      return { ok: false, needsVaultPassword: true, token, error: e.message };
+    }
     return { ok: false, error: String(e?.message || e) };
   }
 });
@@ -6924,6 +9830,16 @@ ipcMain.handle('show-webpage-context-menu', async (event, x, y, contextInfo) =>
       event.sender.send('webpage-context-menu-action', 'print');
     }
   });
+  appendAxisExtensionMenuItems(template, guest, ctx);
+  if (guest && !guest.isDestroyed() && /^https?:/i.test(guest.getURL())) {
+    const pickGuest = guest;
+    template.push({
+      label: 'Block Element…',
+      click: () => {
+        void startAxisElementPicker(pickGuest, Number(ctx.x), Number(ctx.y));
+      }
+    });
+  }
   template.push({
     label: 'Inspect Element',
     click: () => {
@@ -6986,6 +9902,56 @@ ipcMain.handle('copy-image-at-guest', async (_event, payload) => {
   }
 });
 
+/**
+ * Reader pages by unguessable token → `{ html, sourceUrl }`. Only the shell learns a token, so a
+ * page cannot pose as a reader view of another site; the oldest pages drop past the cap.
+ */
+const axisReaderPages = new Map();
+const AXIS_READER_PAGES_MAX = 30;
+
+function installReaderProtocol(sess) {
+  sess.protocol.handle('axis-reader', (request) => {
+    let page = null;
+    try {
+      page = axisReaderPages.get(new URL(request.url).hostname);
+    } catch (_) {}
+    if (!page) {
+      return new Response('This reader view has expired. Go back to the article to open it again.', {
+        status: 404,
+        headers: { 'content-type': 'text/plain; charset=utf-8' }
+      });
+    }
+    return new Response(page.html, { headers: { 'content-type': 'text/html; charset=utf-8' } });
+  });
+}
+
+/** Reader mode: extract the article from a guest and return the `axis-reader:` URL serving it. */
+ipcMain.handle('open-reader-view', async (_event, payload) => {
+  const { webContents } = require('electron');
+  const guestId = Number(payload?.guestWebContentsId) || 0;
+  if (guestId <= 0) return { ok: false, error: 'no-guest' };
+  const guest = webContents.fromId(guestId);
+  if (!guest || guest.isDestroyed()) return { ok: false, error: 'destroyed' };
+  const sourceUrl = guest.getURL();
+  if (!/^https?:\/\//i.test(sourceUrl)) return { ok: false, error: 'not-a-web-page' };
+  let article = null;
+  try {
+    article = await guest.executeJavaScript(buildReaderExtractScript(), true);
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+  if (!article || !Array.isArray(article.content)) return { ok: false, error: 'no-article' };
+  try {
+    const html = buildReaderPageHtml({ article, prefs: payload?.prefs, theme: payload?.theme, sourceUrl });
+    const token = crypto.randomBytes(16).toString('hex');
+    axisReaderPages.set(token, { html, sourceUrl });
+    while (axisReaderPages.size > AXIS_READER_PAGES_MAX) axisReaderPages.delete(axisReaderPages.keys().next().value);
+    return { ok: true, url: `axis-reader://${token}/`, title: String(article.title || ''), sourceUrl };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+});
+
 /** When `navigator.clipboard` / `execCommand` fail (common right after a native context menu). */
 ipcMain.handle('write-clipboard-text', (_event, text) => {
   try {
@@ -7188,6 +10154,37 @@ ipcMain.handle('show-tab-context-menu', async (event, x, y, tabInfo) => {
     });
   }
 
+  if (info.inSplitView) {
+    template.push(
+      { type: 'separator' },
+      {
+        label: info.splitOrientation === 'column' ? 'Show Split View Side by Side' : 'Stack Split View',
+        click: () => {
+          event.sender.send('tab-context-menu-action', 'toggle-split-orientation');
+        }
+      },
+      {
+        label: 'Remove from Split View',
+        click: () => {
+          event.sender.send('tab-context-menu-action', 'remove-from-split');
+        }
+      },
+      {
+        label: 'Close Split View',
+        click: () => {
+          event.sender.send('tab-context-menu-action', 'close-split');
+        }
+      }
+    );
+  } else if (info.canSplitWithCurrent) {
+    template.push({
+      label: info.currentInSplitView ? 'Add to Current Split View' : 'Split View with Current Tab',
+      click: () => {
+        event.sender.send('tab-context-menu-action', 'split-with-current');
+      }
+    });
+  }
+
   template.push({ type: 'separator' });
   template.push({
     label: 'Close Tab',
@@ -7370,6 +10367,26 @@ ipcMain.handle('get-downloads-from-folder', async (event) => {
     } catch (readError) {
       console.error('Failed to read Downloads folder:', readError);
     }
+
+    // Files a download rule saved elsewhere, and the rule label for those it routed here.
+    for (const routed of axisRuleRoutedDownloads) {
+      const listed = files.find((f) => f.path === routed.path);
+      if (listed) {
+        listed.rule = routed.ruleLabel;
+        continue;
+      }
+      try {
+        const stats = await fs.promises.stat(routed.path);
+        if (!stats.isFile()) continue;
+        files.push({
+          name: path.basename(routed.path),
+          path: routed.path,
+          mtime: stats.mtime,
+          size: stats.size,
+          rule: routed.ruleLabel
+        });
+      } catch (_) {}
+    }
     
     files.sort((a, b) => new Date(b.mtime) - new Date(a.mtime));
     return files.slice(0, 5);
@@ -43,12 +43,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('axis-reset-adblock-page-stats', { webContentsId, pageUrl }),
   setAdblockSiteException: (hostname, disabled) =>
     ipcRenderer.invoke('axis-set-adblock-site-exception', { hostname, disabled: !!disabled }),
+  getAdblockRequestLog: (webContentsId) => ipcRenderer.invoke('axis-get-adblock-request-log', { webContentsId }),
+  allowAdblockRequest: (webContentsId, entryId, scope) =>
+    ipcRenderer.invoke('axis-adblock-allow-request', { webContentsId, entryId, scope }),
   getPageSecurityInfo: (opts) => ipcRenderer.invoke('axis-get-page-security-info', opts || {}),
   onAdblockStatsUpdated: (callback) => {
     const handler = () => callback();
     ipcRenderer.on('axis-adblock-stats-updated', handler);
     return () => ipcRenderer.removeListener('axis-adblock-stats-updated', handler);
   },
+  onPermissionPrompt: (callback) => {
+    const handler = (_event, payload) => callback(payload);
+    ipcRenderer.on('axis-permission-prompt', handler);
+    return () => ipcRenderer.removeListener('axis-permission-prompt', handler);
+  },
+  onPermissionPromptCancelled: (callback) => {
+    const handler = (_event, payload) => callback(payload);
+    ipcRenderer.on('axis-permission-prompt-cancelled', handler);
+    return () => ipcRenderer.removeListener('axis-permission-prompt-cancelled', handler);
+  },
+  respondPermissionPrompt: (id, decision, sourceId) =>
+    ipcRenderer.invoke('axis-permission-prompt-respond', { id, decision, sourceId }),
   getStoreListingInstallStatus: (rawUrl) =>
     ipcRenderer.invoke('get-store-listing-install-status', rawUrl),
   installExtension: () => ipcRenderer.invoke('install-extension'),
@@ -58,20 +73,36 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getWebviewCwsPreloadPath: () => ipcRenderer.invoke('get-webview-cws-preload-path'),
   getWebviewLightPreloadPath: () => ipcRenderer.invoke('get-webview-light-preload-path'),
   setExtensionEnabled: (id, enabled) => ipcRenderer.invoke('set-extension-enabled', id, enabled),
+  setExtensionPinned: (id, pinned) => ipcRenderer.invoke('set-extension-pinned', id, pinned),
+  setExtensionSiteAccess: (id, access) => ipcRenderer.invoke('set-extension-site-access', id, access),
+  getExtensionToolbar: (tabWebContentsId) => ipcRenderer.invoke('get-extension-toolbar', tabWebContentsId),
+  clickExtensionAction: (id, tabWebContentsId) => ipcRenderer.invoke('click-extension-action', id, tabWebContentsId),
   removeExtension: (id) => ipcRenderer.invoke('remove-extension', id),
   openExtensionOptions: (id) => ipcRenderer.invoke('open-extension-options', id),
   openExtensionPopup: (id) => ipcRenderer.invoke('open-extension-popup', id),
   
   // History management
-  getHistory: () => ipcRenderer.invoke('get-history'),
+  getHistory: (options) => ipcRenderer.invoke('get-history', options),
   addHistoryItem: (item) => ipcRenderer.invoke('add-history-item', item),
+  getHistorySuggestions: (query, limit) => ipcRenderer.invoke('get-history-suggestions', query, limit),
   clearHistory: () => ipcRenderer.invoke('clear-history'),
   deleteHistoryItem: (id) => ipcRenderer.invoke('delete-history-item', id),
+  clearBrowsingData: (request) => ipcRenderer.invoke('clear-browsing-data', request),
+  onBrowsingDataCleared: (callback) =>
+    ipcRenderer.on('axis-browsing-data-cleared', (_event, data) => callback(data)),
+  onMemoryPressure: (callback) =>
+    ipcRenderer.on('axis-memory-pressure', (_event, data) => callback(data)),
   
   // Downloads management
   getDownloads: () => ipcRenderer.invoke('get-downloads'),
   getActiveDownloads: () => ipcRenderer.invoke('get-active-downloads'),
   cancelActiveDownload: (axisId) => ipcRenderer.invoke('cancel-active-download', axisId),
+  pauseActiveDownload: (axisId) => ipcRenderer.invoke('pause-active-download', axisId),
+  resumeActiveDownload: (axisId) => ipcRenderer.invoke('resume-active-download', axisId),
+  retryDownload: (axisId) => ipcRenderer.invoke('retry-download', axisId),
+  getHeldDownloads: () => ipcRenderer.invoke('get-held-downloads'),
+  keepHeldDownload: (id) => ipcRenderer.invoke('keep-held-download', id),
+  discardHeldDownload: (id) => ipcRenderer.invoke('discard-held-download', id),
   addDownload: (downloadInfo) => ipcRenderer.invoke('add-download', downloadInfo),
   updateDownloadProgress: (id, progress) => ipcRenderer.invoke('update-download-progress', id, progress),
   clearDownloads: () => ipcRenderer.invoke('clear-downloads'),
@@ -116,8 +147,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onOpenSettingsTab: (callback) => ipcRenderer.on('open-settings-tab', (event, section) => callback(section)),
   onSettingsUpdated: (callback) =>
     ipcRenderer.on('settings-updated', (_event, data) => callback(data)),
+  onVaultLockChanged: (callback) =>
+    ipcRenderer.on('axis-vault-lock-changed', (_event, data) => callback(data)),
   onExtensionsReady: (callback) =>
     ipcRenderer.on('axis-extensions-ready', (_event, data) => callback(data)),
+  onExtensionActionsUpdated: (callback) =>
+    ipcRenderer.on('axis-extension-actions-updated', (_event, data) => callback(data)),
+  onExtensionTabsRequest: (callback) =>
+    ipcRenderer.on('axis-extension-tabs-request', (_event, payload) => callback(payload)),
+  respondExtensionTabsRequest: (requestId, payload) =>
+    ipcRenderer.send('axis-extension-tabs-response', { requestId, ...payload }),
   onProfilesUpdated: (callback) =>
     ipcRenderer.on('profiles-updated', (_event, payload) => callback(payload)),
   onProfileMenuAction: (callback) =>
@@ -186,7 +225,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   vaultBuildAutofillFillJs: (cred) => ipcRenderer.invoke('axis-vault-build-autofill-fill-js', cred),
   vaultReportCredentials: (payload) => ipcRenderer.invoke('axis-vault-report-credentials', payload),
   vaultVerifyDevice: (reason) => ipcRenderer.invoke('axis-vault-verify-device', reason),
+  vaultUnlock: (password) => ipcRenderer.invoke('axis-vault-unlock', password),
+  vaultLock: () => ipcRenderer.invoke('axis-vault-lock'),
   vaultRevealLogin: (id) => ipcRenderer.invoke('axis-vault-reveal-login', id),
+  vaultTotpCode: (id) => ipcRenderer.invoke('axis-vault-totp-code', id),
   vaultRevealCard: (id) => ipcRenderer.invoke('axis-vault-reveal-card', id),
   vaultGetLoginForFill: (id) => ipcRenderer.invoke('axis-vault-get-login-for-fill', id),
   vaultGetCardForFill: (id) => ipcRenderer.invoke('axis-vault-get-card-for-fill', id),
@@ -205,6 +247,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   vaultGetAddressForFill: (id) => ipcRenderer.invoke('axis-vault-get-address-for-fill', id),
   vaultShouldOfferAddressSave: (payload) => ipcRenderer.invoke('axis-vault-should-offer-address-save', payload),
   vaultCaptureLogin: (payload) => ipcRenderer.invoke('axis-vault-capture-login', payload),
+  vaultStageGeneratedLogin: (payload) => ipcRenderer.invoke('axis-vault-stage-generated-login', payload),
+  vaultGeneratePassword: (overrides) => ipcRenderer.invoke('axis-vault-generate-password', overrides),
   vaultShouldOfferLoginSave: (payload) => ipcRenderer.invoke('axis-vault-should-offer-login-save', payload),
   vaultFillCandidates: (payload) => ipcRenderer.invoke('axis-vault-fill-candidates', payload),
   onVaultGuestIpc: (callback) => {
@@ -247,6 +291,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   writeClipboardText: (text) => ipcRenderer.invoke('write-clipboard-text', text),
   saveImageFromUrl: (url, guestWebContentsId) =>
     ipcRenderer.invoke('save-image-from-url', { url, guestWebContentsId }),
+  openReaderView: (guestWebContentsId, prefs, theme) =>
+    ipcRenderer.invoke('open-reader-view', { guestWebContentsId, prefs, theme }),
   onWebpageContextMenuAction: (callback) => ipcRenderer.on('webpage-context-menu-action', (event, action, data) => callback(action, data)),
   addToSpellCheckerDictionary: (word) => ipcRenderer.invoke('add-to-spellcheck-dictionary', word),
   
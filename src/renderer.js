@@ -131,6 +131,23 @@ if(!had)cleanupOldInline();
 })();
 `.replace(/\s+/g, ' ').trim();
 
+/** Permission prompt wording / icon per kind (axis-site-permissions.js); `media` arrives as camera + microphone. */
+const AXIS_PERMISSION_PROMPT_KINDS = {
+    camera: { label: 'use your camera', icon: 'fa-video' },
+    microphone: { label: 'use your microphone', icon: 'fa-microphone' },
+    geolocation: { label: 'know your location', icon: 'fa-location-dot' },
+    notifications: { label: 'show notifications', icon: 'fa-bell' },
+    'clipboard-read': { label: 'see text and images copied to the clipboard', icon: 'fa-clipboard' },
+    midi: { label: 'use your MIDI devices', icon: 'fa-music' },
+    midiSysex: { label: 'control and reprogram your MIDI devices', icon: 'fa-music' },
+    fileSystem: { label: 'edit files on your device', icon: 'fa-folder-open' },
+    'idle-detection': { label: 'know when you are actively using this device', icon: 'fa-user-clock' },
+    'window-management': { label: 'manage windows on all your displays', icon: 'fa-window-restore' },
+    'storage-access': { label: 'use cookies and site data while embedded', icon: 'fa-cookie-bite' },
+    'display-capture': { label: 'share your screen', icon: 'fa-display' },
+    pointerLock: { label: 'hide and lock your pointer', icon: 'fa-arrow-pointer' }
+};
+
 /** Keyboard shortcut editor rows (must match settings.html SHORTCUT_ACTIONS). */
 function getShortcutEditorActions() {
     return [
@@ -278,6 +295,15 @@ function axisParseFirefoxAmoAddonKey(raw) {
     return null;
 }
 
+/** Split view: tabs one layout can show, and the smallest share of the page a pane can be resized to. */
+const AXIS_SPLIT_VIEW_MAX_PANES = 4;
+const AXIS_SPLIT_VIEW_MIN_SIZE = 0.15;
+
+/**
+ * Reader pages are data: URLs ending in this fragment plus the encoded article URL, so the
+ * source survives back/forward and is never confused with an error page.
+ */
+
 /** Settings sidebar section ids (`settings.html` `data-section` values). */
 const AXIS_SETTINGS_SECTION_IDS = new Set([
     'customization',
@@ -367,39 +393,18 @@ class AxisBrowser {
         this._recentTabStack = [];
         this.tabUndoStack = []; // Cmd+Z undo stack (close, clear, pin, rename, icon, favorites, groups)
         this._suppressUndo = false;
-        // Search engine full word mapping (no shortcuts, only full words)
-        this.searchEngineWords = [
-            'google',
-            'youtube',
-            'bing',
-            'duckduckgo',
-            'yahoo',
-            'yandex',
-            'wikipedia',
-            'reddit',
-            'github',
-            'amazon',
-            'twitter',
-            'instagram',
-            'facebook'
-        ];
-        
-        // Map words to their engine names
-        this.searchEngineWordMap = {
-            'google': 'google',
-            'youtube': 'youtube',
-            'bing': 'bing',
-            'duckduckgo': 'duckduckgo',
-            'yahoo': 'yahoo',
-            'yandex': 'yandex',
-            'wikipedia': 'wikipedia',
-            'reddit': 'reddit',
-            'github': 'github',
-            'amazon': 'amazon',
-            'twitter': 'twitter',
-            'instagram': 'instagram',
-            'facebook': 'facebook'
-        };
+        /** Input (`#new-tab-input` / `#url-bar-input`) whose pill shows `selectedSearchEngine`. */
+        this._searchEngineInput = null;
+        /** OpenSearch description URL → parsed engine (or null), so revisits skip the fetch. */
+        this._openSearchDescriptionCache = new Map();
+        /** Site permission requests from main, oldest first; only the active tab's head is shown. */
+        this._permissionPrompts = [];
+        this._permissionPromptSourceId = '';
+        /** Ad-block panel request log: expanded state and the last fetched rows for its tab. */
+        this._adblockLogOpen = false;
+        this._adblockLogEntries = [];
+        this._adblockLogWebContentsId = 0;
+        this._adblockLogRenderKey = '';
         this.loadingTimeout = null; // Timeout for stuck loading pages (main view)
         this.loadingBarTabId = null; // Tab id for which the loading bar is currently shown (so we hide when that tab finishes)
         this.isBenchmarking = false; // suppress non-critical work on Speedometer
@@ -571,7 +576,9 @@ class AxisBrowser {
             urlBarSecurity: document.getElementById('url-bar-security'),
             urlBarAdblock: document.getElementById('url-bar-adblock'),
             urlBarCopy: document.getElementById('url-bar-copy'),
+            urlBarReader: document.getElementById('url-bar-reader'),
             urlBarCwsInstall: document.getElementById('url-bar-cws-install'),
+            urlBarSearchEngineAdd: document.getElementById('url-bar-search-engine-add'),
             axisStoreInstallHostBar: document.getElementById('axis-store-install-host-bar'),
             axisStoreInstallHostBadge: document.getElementById('axis-store-install-host-badge'),
             axisStoreInstallHostText: document.getElementById('axis-store-install-host-text'),
@@ -671,6 +678,7 @@ class AxisBrowser {
         this._lastJavascriptEnabled = this.settings?.javascriptEnabled !== false;
         this.syncTransparentSitesUi();
         this.syncAdBlockerUrlBarState();
+        this.scheduleExtensionToolbarRefresh();
 
         // Set `data-ui-theme` before any theme apply so CSS fallback rules for the light
         // shell land on the first paint (incognito stays dark regardless).
@@ -774,8 +782,10 @@ class AxisBrowser {
             this._applyUnpinnedClearOnStartup();
             this._setupUnpinnedTabsRecoveryPersistence();
         }
+        this._restoreSplitViews();
 
         this._setupUnpinnedClearTimer();
+        this._setupTabHibernationTimer();
         this._syncUndoShortcutState?.();
 
         // Defer non-critical work to idle time to improve first interaction latency
@@ -934,16 +944,18 @@ class AxisBrowser {
     _syncWebviewBackgroundThrottling(activeTabId, deferSuspendTabId = null) {
         const active = this._normalizeTabMapKey(activeTabId);
         const deferSuspend = this._normalizeTabMapKey(deferSuspendTabId);
+        const splitPanes = this._splitPaneTabIds(active);
         this.tabs.forEach((tab, id) => {
             if (!tab?.webview) return;
+            const onScreen = id === active || splitPanes.has(id);
             try {
                 const wc = tab.webview.getWebContents?.();
                 if (wc && typeof wc.setBackgroundThrottling === 'function' && !wc.isDestroyed?.()) {
-                    const keepMedia = id === active || this._shouldKeepBackgroundMediaAlive(id);
+                    const keepMedia = onScreen || this._shouldKeepBackgroundMediaAlive(id);
                     wc.setBackgroundThrottling(!keepMedia);
                 }
             } catch (_) {}
-            if (id === active) {
+            if (onScreen) {
                 this._resumeActiveTabGuest(tab.webview, tab);
             } else if (deferSuspend != null && id === deferSuspend) {
                 /* PiP check in flight — do not pause/mute yet. */
@@ -1049,6 +1061,526 @@ class AxisBrowser {
             );
         } catch (_) {}
     }
+
+    /** Idle time before a background tab is hibernated (Settings → Tabs), or null when off. */
+    _tabHibernateIdleMs() {
+        const raw = this.settings?.tabHibernateMinutes;
+        const mins = raw == null ? 60 : Number(raw);
+        return Number.isFinite(mins) && mins > 0 ? mins * 60 * 1000 : null;
+    }
+
+    _setupTabHibernationTimer() {
+        if (this._tabHibernateTimer) {
+            clearInterval(this._tabHibernateTimer);
+            this._tabHibernateTimer = null;
+        }
+        if (!this._tabHibernateIdleMs()) return;
+        this._tabHibernateTimer = setInterval(() => void this.hibernateIdleTabs(), 60 * 1000);
+    }
+
+    /** Background web tabs that could drop their guest: not pinned, audible, in PiP or the media dock. */
+    _canHibernateTab(tab, tabId) {
+        if (!tab?.webview || tab.pinned || tab.isFavoriteTab || tab.isPlayingAudio) return false;
+        if (tabId === this._normalizeTabMapKey(this.currentTab)) return false;
+        if (this._splitPaneTabIds(this.currentTab).has(tabId)) return false;
+        if (this._shouldKeepBackgroundMediaAlive(tabId)) return false;
+        return /^https?:/i.test(tab.url || '');
+    }
+
+    /**
+     * Hibernate background tabs idle longer than the configured time. Under memory pressure
+     * the wait drops to a few minutes and runs even when the idle timer is off.
+     */
+    async hibernateIdleTabs({ pressure = false } = {}) {
+        if (this._tabHibernatePass) return 0;
+        const configured = this._tabHibernateIdleMs();
+        const idleMs = pressure ? Math.min(configured || Infinity, 5 * 60 * 1000) : configured;
+        if (!idleMs) return 0;
+        this._tabHibernatePass = true;
+        let count = 0;
+        try {
+            const now = Date.now();
+            for (const [tabId, tab] of Array.from(this.tabs.entries())) {
+                if (!this._canHibernateTab(tab, tabId)) continue;
+                // Tabs opened in the background start their idle clock on the first pass.
+                if (!tab.lastActiveAt) tab.lastActiveAt = now;
+                if (now - tab.lastActiveAt < idleMs) continue;
+                if (await this.hibernateTab(tabId)) count++;
+            }
+        } finally {
+            this._tabHibernatePass = false;
+        }
+        return count;
+    }
+
+    /**
+     * Destroy a background tab's guest and keep what is needed to bring it back on `switchToTab`:
+     * URL, title and favicon stay on the record, the URL bar tint in `urlBarChromeSnapshot`,
+     * and the scroll offset in `hibernatedScroll`. Tabs with edited forms are left alone.
+     */
+    async hibernateTab(rawTabId) {
+        const tabId = this._normalizeTabMapKey(rawTabId);
+        const tab = tabId == null ? null : this.tabs.get(tabId);
+        if (!this._canHibernateTab(tab, tabId)) return false;
+        const webview = tab.webview;
+        let state = null;
+        try {
+            state = await webview.executeJavaScript(
+                `(function(){
+                    const edited = (el) => {
+                        if (el.isContentEditable) return document.activeElement === el;
+                        if (el.tagName === 'SELECT') return Array.from(el.options).some((o) => o.selected !== o.defaultSelected);
+                        if (el.type === 'checkbox' || el.type === 'radio') return el.checked !== el.defaultChecked;
+                        if (/^(hidden|submit|button|reset|image|file)$/i.test(el.type || '')) return false;
+                        return el.value !== el.defaultValue;
+                    };
+                    const fields = document.querySelectorAll('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+                    return {
+                        edited: Array.from(fields).some(edited),
+                        scrollX: window.scrollX,
+                        scrollY: window.scrollY
+                    };
+                })();`,
+                false
+            );
+        } catch (_) {
+            state = null;
+        }
+        // The page could not answer (crashed, still loading) or the user switched to it meanwhile.
+        if (!state || state.edited || tab.webview !== webview || !this._canHibernateTab(tab, tabId)) return false;
+
+        try {
+            const liveUrl = webview.getURL();
+            if (/^https?:/i.test(liveUrl || '')) tab.url = liveUrl;
+        } catch (_) {}
+        tab.hibernated = true;
+        tab.hibernatedScroll = { x: Number(state.scrollX) || 0, y: Number(state.scrollY) || 0 };
+        try {
+            this.cleanupWebviewListeners(webview);
+            try { webview.src = 'about:blank'; } catch (_) {}
+            webview.parentNode?.removeChild(webview);
+        } catch (e) {
+            console.error('Error hibernating tab:', e);
+        }
+        tab.webview = null;
+        this.tabs.set(tabId, tab);
+        this._getTabElement(tabId)?.classList.add('hibernated');
+        return true;
+    }
+
+    /** After `switchToTab` recreated a hibernated tab's guest: put the scroll position back once it loads. */
+    _wakeHibernatedTab(tabId, tab, webview) {
+        if (!tab?.hibernated) return;
+        const scroll = tab.hibernatedScroll;
+        tab.hibernated = false;
+        tab.hibernatedScroll = null;
+        this._getTabElement(tabId)?.classList.remove('hibernated');
+        if (!scroll || (!scroll.x && !scroll.y)) return;
+        webview.addEventListener(
+            'did-finish-load',
+            () => {
+                this._voidGuestTask(
+                    webview.executeJavaScript(`window.scrollTo(${scroll.x}, ${scroll.y});`, false)
+                );
+            },
+            { once: true }
+        );
+    }
+
+    /** Split layouts of this profile, `{ id, tabIds, orientation: 'row'|'column', sizes }[]`, kept in `settings.splitViews`. */
+    _getSplitViews() {
+        return Array.isArray(this.settings?.splitViews) ? this.settings.splitViews : [];
+    }
+
+    /** Replace the layouts (dropping any left with one tab), persist them, and redraw the sidebar and panes. */
+    _setSplitViews(list) {
+        const next = list.filter((split) => split.tabIds.length >= 2);
+        if (!this.settings || typeof this.settings !== 'object') this.settings = {};
+        this.settings.splitViews = next;
+        if (!this.isIncognitoWindow) void this.saveSetting('splitViews', next);
+        this._syncSplitViewSidebar();
+        this._applySplitLayout();
+    }
+
+    /** Same layout with new members; pane sizes reset to equal shares. */
+    _splitWithTabs(split, tabIds) {
+        return {
+            id: split.id,
+            orientation: split.orientation === 'column' ? 'column' : 'row',
+            tabIds,
+            sizes: tabIds.map(() => 1 / tabIds.length)
+        };
+    }
+
+    _getSplitViewForTab(rawTabId) {
+        const tabId = this._normalizeTabMapKey(rawTabId);
+        if (tabId == null) return null;
+        return this._getSplitViews().find((split) => split.tabIds.includes(tabId)) || null;
+    }
+
+    /** Tabs on screen together with `rawTabId` (itself included) while it is focused; empty when it is not split. */
+    _splitPaneTabIds(rawTabId) {
+        return new Set(this._getSplitViewForTab(rawTabId)?.tabIds || []);
+    }
+
+    /** Only web pages share the page area; New Tab, Settings, notes and favorites keep the full view. */
+    _canSplitTab(rawTabId) {
+        const tab = this.tabs.get(this._normalizeTabMapKey(rawTabId));
+        if (!tab || tab.isFavoriteTab || this._isSettingsTab(tab)) return false;
+        return /^https?:/i.test(this._getTabLivePageUrl(tab));
+    }
+
+    /**
+     * Show `rawTabId` next to `rawAnchorId`. Starts a layout with `orientation`, or joins the anchor's
+     * layout while it has room; `before` puts the tab first (left / top). A member just moves.
+     */
+    splitTabs(rawAnchorId, rawTabId, { orientation = 'row', before = false } = {}) {
+        const anchorId = this._normalizeTabMapKey(rawAnchorId);
+        const tabId = this._normalizeTabMapKey(rawTabId);
+        if (anchorId == null || tabId == null || anchorId === tabId) return false;
+        if (!this._canSplitTab(anchorId) || !this._canSplitTab(tabId)) {
+            this.showNotification('Only web pages can be shown in split view', 'info');
+            return false;
+        }
+        const anchorSplit = this._getSplitViewForTab(anchorId);
+        if (
+            anchorSplit &&
+            !anchorSplit.tabIds.includes(tabId) &&
+            anchorSplit.tabIds.length >= AXIS_SPLIT_VIEW_MAX_PANES
+        ) {
+            this.showNotification(`Split view shows up to ${AXIS_SPLIT_VIEW_MAX_PANES} tabs`, 'info');
+            return false;
+        }
+
+        const list = [];
+        for (const split of this._getSplitViews()) {
+            if (split === anchorSplit) continue;
+            list.push(
+                split.tabIds.includes(tabId)
+                    ? this._splitWithTabs(split, split.tabIds.filter((id) => id !== tabId))
+                    : split
+            );
+        }
+        const members = anchorSplit ? anchorSplit.tabIds.filter((id) => id !== tabId) : [anchorId];
+        const neighbor = before ? members[0] : members[members.length - 1];
+        if (before) members.unshift(tabId);
+        else members.push(tabId);
+        list.push(this._splitWithTabs(anchorSplit || { id: `split-${Date.now().toString(36)}`, orientation }, members));
+
+        this._placeSplitTabInSidebar(tabId, neighbor, before);
+        this._setSplitViews(list);
+        if (this._normalizeTabMapKey(this.currentTab) !== tabId) this.switchToTab(tabId);
+        return true;
+    }
+
+    /** Drop a dragged sidebar tab on a page edge: left / right split side by side, top / bottom stack. */
+    splitTabAtEdge(rawTabId, edge) {
+        return this.splitTabs(this.currentTab, rawTabId, {
+            orientation: edge === 'top' || edge === 'bottom' ? 'column' : 'row',
+            before: edge === 'left' || edge === 'top'
+        });
+    }
+
+    removeTabFromSplitView(rawTabId) {
+        const tabId = this._normalizeTabMapKey(rawTabId);
+        const split = this._getSplitViewForTab(tabId);
+        if (!split) return;
+        this._setSplitViews(
+            this._getSplitViews().map((s) =>
+                s === split ? this._splitWithTabs(s, s.tabIds.filter((id) => id !== tabId)) : s
+            )
+        );
+    }
+
+    /** Ungroup a layout; its tabs stay open, and only the focused one stays on screen. */
+    closeSplitView(rawTabId) {
+        const split = this._getSplitViewForTab(rawTabId);
+        if (!split) return;
+        this._setSplitViews(this._getSplitViews().filter((s) => s !== split));
+    }
+
+    toggleSplitViewOrientation(rawTabId) {
+        const split = this._getSplitViewForTab(rawTabId);
+        if (!split) return;
+        this._setSplitViews(
+            this._getSplitViews().map((s) =>
+                s === split ? { ...s, orientation: s.orientation === 'column' ? 'row' : 'column' } : s
+            )
+        );
+        this._forceGuestLayoutSync();
+    }
+
+    /**
+     * Move a tab's sidebar row next to `anchorId` when both sit in the same list, so a layout reads as
+     * one block. Rows in different tab groups are left where they are.
+     */
+    _placeSplitTabInSidebar(tabId, anchorId, before = false) {
+        const tabEl = this._getTabElement(tabId);
+        const anchorEl = this._getTabElement(anchorId);
+        if (!tabEl || !anchorEl || tabEl.parentElement !== anchorEl.parentElement) return;
+        const sibling = before ? anchorEl.previousElementSibling : anchorEl.nextElementSibling;
+        if (sibling === tabEl) return;
+        anchorEl.insertAdjacentElement(before ? 'beforebegin' : 'afterend', tabEl);
+
+        const container = tabEl.parentElement;
+        if (container.classList.contains('tab-group-content')) {
+            const gKey = this.findTabGroupKey(container.closest('.tab-group')?.dataset.tabGroupId);
+            const group = gKey != null ? this.tabGroups.get(gKey) : null;
+            if (group) {
+                group.tabIds = Array.from(container.querySelectorAll('.tab'))
+                    .map((el) => this._normalizeTabMapKey(el.dataset.tabId))
+                    .filter((id) => id != null);
+            }
+        } else {
+            this._syncTabPinFromDomPosition(tabEl);
+            void this.saveUnpinnedTabs();
+            this.updatePinnedSeparatorVisibility();
+        }
+        void this.saveTabGroups();
+    }
+
+    _applySplitSidebarClasses(tabEl, tabId) {
+        const split = this._getSplitViewForTab(tabId);
+        const index = split ? split.tabIds.indexOf(this._normalizeTabMapKey(tabId)) : -1;
+        tabEl.classList.toggle('split-member', !!split);
+        tabEl.classList.toggle('split-first', index === 0);
+        tabEl.classList.toggle('split-last', !!split && index === split.tabIds.length - 1);
+    }
+
+    /** Bracket the sidebar rows of each layout. */
+    _syncSplitViewSidebar() {
+        document.querySelectorAll('.tab.split-member').forEach((el) => {
+            el.classList.remove('split-member', 'split-first', 'split-last');
+        });
+        for (const split of this._getSplitViews()) {
+            for (const id of split.tabIds) {
+                const el = this._getTabElement(id);
+                if (el) this._applySplitSidebarClasses(el, id);
+            }
+        }
+    }
+
+    /** After the sidebar loaded: drop tabs that did not come back, and layouts left with one tab. */
+    _restoreSplitViews() {
+        const seen = new Set();
+        const list = [];
+        for (const raw of this._getSplitViews()) {
+            if (!raw || !Array.isArray(raw.tabIds)) continue;
+            const tabIds = Array.from(new Set(raw.tabIds.map((id) => this._normalizeTabMapKey(id))))
+                .filter((id) => id != null && !seen.has(id) && this._canSplitTab(id))
+                .slice(0, AXIS_SPLIT_VIEW_MAX_PANES);
+            if (tabIds.length < 2) continue;
+            tabIds.forEach((id) => seen.add(id));
+            const split = this._splitWithTabs(
+                { id: String(raw.id || `split-${list.length}`), orientation: raw.orientation },
+                tabIds
+            );
+            const sizes = Array.isArray(raw.sizes) ? raw.sizes.map(Number) : [];
+            const total = sizes.reduce((a, b) => a + b, 0);
+            if (
+                sizes.length === tabIds.length &&
+                sizes.every((n) => n >= AXIS_SPLIT_VIEW_MIN_SIZE) &&
+                Math.abs(total - 1) < 0.01
+            ) {
+                split.sizes = sizes;
+            }
+            list.push(split);
+        }
+        if (!this.settings || typeof this.settings !== 'object') this.settings = {};
+        this.settings.splitViews = list;
+        this._syncSplitViewSidebar();
+        this._applySplitLayout();
+    }
+
+    /**
+     * Lay out the focused tab's split: member guests share #webviews-container as panes with
+     * draggable dividers between them. Without a split, leftover panes go back to hidden background tabs.
+     */
+    _applySplitLayout() {
+        const container = document.getElementById('webviews-container');
+        if (!container) return;
+        const cur = this._normalizeTabMapKey(this.currentTab);
+        const split = this._getSplitViewForTab(cur);
+        // Profile switches swap `this.tabs` under saved layouts; prune members that are gone.
+        if (split && split.tabIds.some((id) => !this.tabs.has(id))) {
+            this._setSplitViews(
+                this._getSplitViews().map((s) =>
+                    s === split ? this._splitWithTabs(s, s.tabIds.filter((id) => this.tabs.has(id))) : s
+                )
+            );
+            return;
+        }
+
+        const members = new Set(split?.tabIds || []);
+        const curWebview = this.tabs.get(cur)?.webview || null;
+        for (const wv of Array.from(container.querySelectorAll('webview.split-pane'))) {
+            if (members.has(this._normalizeTabMapKey(wv.dataset.tabId))) continue;
+            wv.classList.remove('split-pane');
+            if (wv !== curWebview) this._styleInactiveTabWebview(wv);
+        }
+        container.querySelectorAll('.split-divider, .split-focus-ring').forEach((el) => el.remove());
+        container.classList.toggle('split-active', !!split);
+        if (!split) return;
+
+        for (const id of split.tabIds) {
+            const wv = this._ensureSplitPaneWebview(id);
+            if (!wv) continue;
+            wv.classList.add('split-pane');
+            wv.classList.remove('inactive', 'axis-profile-webview-suspended');
+            wv.style.opacity = '1';
+            wv.style.visibility = 'visible';
+            wv.style.pointerEvents = 'auto';
+            wv.style.zIndex = '2';
+            if (!wv.__axisSplitFocusBound) {
+                wv.__axisSplitFocusBound = true;
+                wv.addEventListener('focus', () => this._focusSplitPane(wv));
+            }
+        }
+        const ring = document.createElement('div');
+        ring.className = 'split-focus-ring';
+        container.appendChild(ring);
+        for (let i = 1; i < split.tabIds.length; i++) {
+            const divider = document.createElement('div');
+            divider.className = 'split-divider';
+            divider.addEventListener('pointerdown', (e) => this._startSplitResize(e, split.id, i));
+            container.appendChild(divider);
+        }
+        this._layoutSplitPanes(split);
+    }
+
+    /** Guest for a split member, created and loaded when it was hibernated or not opened yet this session. */
+    _ensureSplitPaneWebview(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return null;
+        if (!tab.webview) tab.webview = this._findTabWebviewInContainer(tabId) || null;
+        if (!tab.webview) {
+            const webview = this.createTabWebview(tabId, this._settingsWebviewOptionsForTab(tab));
+            if (!webview) return null;
+            tab.webview = webview;
+            this._wakeHibernatedTab(tabId, tab, webview);
+            const target = this.sanitizeUrl((tab.pinned && tab.savedLinkUrl) || tab.url);
+            if (target) webview.src = target;
+            if (tab.pinned) this.updatePinnedTabClosedState(tabId);
+        }
+        this.tabs.set(tabId, tab);
+        return tab.webview;
+    }
+
+    /** Position panes, dividers and the focus ring from `sizes` (fractions of the page area). */
+    _layoutSplitPanes(split) {
+        const container = document.getElementById('webviews-container');
+        if (!container) return;
+        const column = split.orientation === 'column';
+        const cur = this._normalizeTabMapKey(this.currentTab);
+        const dividers = container.querySelectorAll('.split-divider');
+        const ring = container.querySelector('.split-focus-ring');
+        container.classList.toggle('split-column', column);
+        let offset = 0;
+        split.tabIds.forEach((id, i) => {
+            const size = split.sizes[i];
+            const box = column
+                ? { left: 0, top: offset, width: 1, height: size }
+                : { left: offset, top: 0, width: size, height: 1 };
+            const targets = [this.tabs.get(id)?.webview];
+            if (id === cur) targets.push(ring);
+            for (const el of targets) {
+                if (!el) continue;
+                el.style.setProperty('--split-left', `${box.left * 100}%`);
+                el.style.setProperty('--split-top', `${box.top * 100}%`);
+                el.style.setProperty('--split-width', `${box.width * 100}%`);
+                el.style.setProperty('--split-height', `${box.height * 100}%`);
+            }
+            if (i > 0 && dividers[i - 1]) {
+                dividers[i - 1].style.setProperty(column ? 'top' : 'left', `${offset * 100}%`);
+            }
+            offset += size;
+        });
+    }
+
+    /** Drag a divider: moves the edge between panes `index - 1` and `index`, then saves the sizes. */
+    _startSplitResize(e, splitId, index) {
+        if (e.button !== 0) return;
+        const container = document.getElementById('webviews-container');
+        const split = this._getSplitViews().find((s) => s.id === splitId);
+        if (!container || !split) return;
+        e.preventDefault();
+        const divider = e.currentTarget;
+        const column = split.orientation === 'column';
+        const rect = container.getBoundingClientRect();
+        const working = { ...split, sizes: [...split.sizes] };
+        const start = working.sizes.slice(0, index - 1).reduce((a, b) => a + b, 0);
+        const pair = working.sizes[index - 1] + working.sizes[index];
+        try {
+            divider.setPointerCapture(e.pointerId);
+        } catch (_) {}
+        container.classList.add('split-resizing');
+
+        const onMove = (ev) => {
+            const pos = column ? (ev.clientY - rect.top) / rect.height : (ev.clientX - rect.left) / rect.width;
+            const first = Math.min(pair - AXIS_SPLIT_VIEW_MIN_SIZE, Math.max(AXIS_SPLIT_VIEW_MIN_SIZE, pos - start));
+            working.sizes[index - 1] = first;
+            working.sizes[index] = pair - first;
+            this._layoutSplitPanes(working);
+        };
+        const onUp = () => {
+            divider.removeEventListener('pointermove', onMove);
+            divider.removeEventListener('pointerup', onUp);
+            divider.removeEventListener('pointercancel', onUp);
+            container.classList.remove('split-resizing');
+            this._setSplitViews(this._getSplitViews().map((s) => (s.id === splitId ? working : s)));
+            this._forceGuestLayoutSync();
+        };
+        divider.addEventListener('pointermove', onMove);
+        divider.addEventListener('pointerup', onUp);
+        divider.addEventListener('pointercancel', onUp);
+    }
+
+    /** Clicking into a pane makes its tab the focused one (URL bar, shortcuts, sidebar highlight). */
+    _focusSplitPane(webview) {
+        if (!webview.classList.contains('split-pane')) return;
+        const tabId = this._normalizeTabMapKey(webview.dataset.tabId);
+        if (tabId == null || tabId === this._normalizeTabMapKey(this.currentTab)) return;
+        if (this._splitPaneTabIds(this.currentTab).has(tabId)) this.switchToTab(tabId);
+    }
+
+    /** Page edge under a tab dragged out of the sidebar, when dropping there would split it with the current tab. */
+    _splitDropEdgeAt(x, y, rawTabId) {
+        const container = document.getElementById('webviews-container');
+        const cur = this._normalizeTabMapKey(this.currentTab);
+        const tabId = this._normalizeTabMapKey(rawTabId);
+        if (!container || cur == null || tabId == null) return null;
+        if (!this._canSplitTab(cur) || !this._canSplitTab(tabId)) return null;
+        const split = this._getSplitViewForTab(cur);
+        if (split) {
+            if (!split.tabIds.includes(tabId) && split.tabIds.length >= AXIS_SPLIT_VIEW_MAX_PANES) return null;
+        } else if (tabId === cur) {
+            return null;
+        }
+        const r = container.getBoundingClientRect();
+        if (!r.width || !r.height || x < r.left || x > r.right || y < r.top || y > r.bottom) return null;
+        const fx = (x - r.left) / r.width;
+        const fy = (y - r.top) / r.height;
+        const [edge, dist] = [['left', fx], ['right', 1 - fx], ['top', fy], ['bottom', 1 - fy]].reduce((a, b) =>
+            b[1] < a[1] ? b : a
+        );
+        return dist <= 0.25 ? edge : null;
+    }
+
+    _showSplitDropZone(edge) {
+        const container = document.getElementById('webviews-container');
+        let zone = container?.querySelector('.split-drop-zone') || null;
+        if (!edge) {
+            zone?.remove();
+            return;
+        }
+        if (!container) return;
+        if (!zone) {
+            zone = document.createElement('div');
+            zone.className = 'split-drop-zone';
+            container.appendChild(zone);
+        }
+        zone.dataset.edge = edge;
+    }
     
     // Batch DOM updates to reduce reflows
     batchDOMUpdates(updates) {
@@ -1160,7 +1692,8 @@ class AxisBrowser {
             key === 'pinnedTabs' ||
             key === 'unpinnedTabs' ||
             key === 'pinnedSidebarOrder' ||
-            key === 'favorites'
+            key === 'favorites' ||
+            key === 'splitViews'
         );
     }
 
@@ -1512,8 +2045,9 @@ class AxisBrowser {
 
     _syncBackgroundTabWebviewsForTransparentSetting() {
         const cur = this.currentTab;
+        const splitPanes = this._splitPaneTabIds(cur);
         this.tabs.forEach((tab, id) => {
-            if (!tab?.webview || id === cur) return;
+            if (!tab?.webview || id === cur || splitPanes.has(id)) return;
             this._styleInactiveTabWebview(tab.webview);
         });
     }
@@ -1525,8 +2059,9 @@ class AxisBrowser {
     _prepareWebviewsForTabSwitch(targetTabId) {
         const tid = this._normalizeTabMapKey(targetTabId);
         if (tid == null) return;
+        const splitPanes = this._splitPaneTabIds(tid);
         this.tabs.forEach((tab, id) => {
-            if (!tab?.webview || id === tid) return;
+            if (!tab?.webview || id === tid || splitPanes.has(id)) return;
             this._styleInactiveTabWebview(tab.webview);
         });
     }
@@ -2405,8 +2940,27 @@ class AxisBrowser {
             this.handleDownloadsPopupAction(action, data);
         });
 
+        // Held downloads restored from last session are listed, not announced.
+        window.electronAPI?.getHeldDownloads?.().then((held) => {
+            this._heldDownloadsCount = Array.isArray(held) ? held.length : 0;
+            document.getElementById('downloads-btn-footer')?.classList.toggle('has-held-downloads', this._heldDownloadsCount > 0);
+        }).catch(() => {});
+
         window.electronAPI?.onAxisDownloadActivity?.((payload) => {
             const active = !!payload?.active;
+            const held = Number(payload?.held) || 0;
+            const heldBefore = this._heldDownloadsCount || 0;
+            this._heldDownloadsCount = held;
+            document.getElementById('downloads-btn-footer')?.classList.toggle('has-held-downloads', held > 0);
+            if (held !== heldBefore) {
+                // A newly held download needs an answer: show the popup (or redraw it) so it is seen.
+                const list = document.getElementById('downloads-popup-list');
+                if (this.isDownloadsPopupVisible()) {
+                    if (list) void this.populateDownloadsPopupList(list);
+                } else if (held > heldBefore) {
+                    void this.showDownloadsPopup();
+                }
+            }
             document.body.classList.toggle('axis-download-activity', active);
             const dlBtn = document.getElementById('downloads-btn-footer');
             if (dlBtn) {
@@ -2992,6 +3546,18 @@ class AxisBrowser {
                         if (gid != null) this.removeTabFromTabGroup(this.contextMenuTabId, gid);
                     }
                     break;
+                case 'split-with-current':
+                    if (this.contextMenuTabId) this.splitTabs(this.currentTab, this.contextMenuTabId);
+                    break;
+                case 'toggle-split-orientation':
+                    if (this.contextMenuTabId) this.toggleSplitViewOrientation(this.contextMenuTabId);
+                    break;
+                case 'remove-from-split':
+                    if (this.contextMenuTabId) this.removeTabFromSplitView(this.contextMenuTabId);
+                    break;
+                case 'close-split':
+                    if (this.contextMenuTabId) this.closeSplitView(this.contextMenuTabId);
+                    break;
             }
         });
         
@@ -3661,6 +4227,11 @@ class AxisBrowser {
             void window.electronAPI.openSettingsWindow(section || null);
         });
         
+        // Vault auto-lock / unlock: the Settings vault pane re-queries its status
+        window.electronAPI.onVaultLockChanged?.((data) => {
+            this._sendToSettingsTabWebviews('axis-vault-lock-changed', data);
+        });
+
         // Listen for settings updates from the settings tab / store (refresh theme)
         window.electronAPI.onSettingsUpdated?.((data) => {
             const updatedProfile =
@@ -3679,6 +4250,34 @@ class AxisBrowser {
             });
         });
 
+        window.electronAPI.onExtensionActionsUpdated?.((data) => {
+            const updatedProfile =
+                data && typeof data.profileId === 'string' ? data.profileId : null;
+            if (
+                updatedProfile &&
+                String(updatedProfile).toLowerCase() !==
+                    String(this.profileId || 'personal').toLowerCase()
+            ) {
+                return;
+            }
+            this.scheduleExtensionToolbarRefresh();
+        });
+
+        window.electronAPI.onMemoryPressure?.(() => {
+            if (this.settings?.tabHibernateOnMemoryPressure === false) return;
+            void this.hibernateIdleTabs({ pressure: true });
+        });
+
+        window.electronAPI.onBrowsingDataCleared?.((data) => {
+            const types = Array.isArray(data?.types) ? data.types : [];
+            if (types.includes('urlBarThemes')) this.purgeUrlBarThemeCache(data.hosts);
+            if (types.includes('history')) void this.populateHistory();
+        });
+
+        window.electronAPI.onExtensionTabsRequest?.((payload) => {
+            void this.handleExtensionTabsRequest(payload);
+        });
+
         window.electronAPI.onExtensionsReady?.((data) => {
             const updatedProfile =
                 data && typeof data.profileId === 'string' ? data.profileId : null;
@@ -3689,6 +4288,7 @@ class AxisBrowser {
             ) {
                 return;
             }
+            this.scheduleExtensionToolbarRefresh();
             const wv = this.getActiveWebview();
             if (!wv) return;
             try {
@@ -4543,10 +5143,12 @@ class AxisBrowser {
             this.applyAiFeaturesVisibility();
             this._applyLinkPreviewSetting();
             this._setupUnpinnedClearTimer();
+            this._setupTabHibernationTimer();
             const emp = document.getElementById('extensions-menu-panel');
             if (emp && !emp.classList.contains('hidden')) {
                 void this.populateExtensionsMenu();
             }
+            this.scheduleExtensionToolbarRefresh();
             const adblockPanel = document.getElementById('adblock-panel');
             if (adblockPanel && !adblockPanel.classList.contains('hidden')) {
                 void this.refreshAdblockPanel();
@@ -4612,18 +5214,22 @@ class AxisBrowser {
         return JSON.stringify(a) === JSON.stringify(b);
     }
 
-    /** Settings tabs live in guest webviews and do not receive main-window `settings-updated` IPC. */
-    _notifySettingsTabWebviewsStoreUpdated() {
+    /** Settings tabs live in guest webviews and do not receive main-window IPC; relay it to them. */
+    _sendToSettingsTabWebviews(channel, ...args) {
         for (const tab of this.tabs.values()) {
             if (!tab?.webview || (!tab.isSettings && tab.url !== 'axis://settings')) continue;
             try {
                 if (typeof tab.webview.send === 'function') {
-                    tab.webview.send('axis-settings-store-updated');
+                    tab.webview.send(channel, ...args);
                 }
             } catch (_) {}
         }
     }
 
+    _notifySettingsTabWebviewsStoreUpdated() {
+        this._sendToSettingsTabWebviews('axis-settings-store-updated');
+    }
+
     /** Store default: on unless explicitly false. */
     isAdBlockerEnabled() {
         return this.settings?.adBlockerEnabled !== false;
@@ -4672,7 +5278,7 @@ class AxisBrowser {
                 webContentsId = wv.getWebContentsId() || 0;
             }
             const url = wv && typeof wv.getURL === 'function' ? wv.getURL() || '' : '';
-            if (url && !url.startsWith('about:') && !url.startsWith('axis:') && !url.startsWith('data:')) {
+            if (url && !/^(?:about|axis|axis-reader|data):/.test(url)) {
                 pageHostname = new URL(url).hostname || '';
                 pageLabel = pageHostname;
             }
@@ -4747,6 +5353,131 @@ class AxisBrowser {
             }
         }
         panel.classList.toggle('adblock-panel--off', !active);
+
+        const logToggle = document.getElementById('adblock-panel-log-toggle');
+        const canLog = hasSite && !!ctx.webContentsId;
+        if (logToggle) logToggle.classList.toggle('hidden', !canLog);
+        document.getElementById('adblock-panel-log')?.classList.toggle('hidden', !canLog || !this._adblockLogOpen);
+        if (canLog && this._adblockLogOpen) await this.refreshAdblockRequestLog(ctx.webContentsId);
+    }
+
+    toggleAdblockRequestLog() {
+        this._adblockLogOpen = !this._adblockLogOpen;
+        this._adblockLogRenderKey = '';
+        document.getElementById('adblock-panel-log-toggle')?.setAttribute('aria-expanded', this._adblockLogOpen ? 'true' : 'false');
+        document.getElementById('adblock-panel')?.classList.toggle('adblock-panel--log-open', this._adblockLogOpen);
+        this.positionAdblockPanel();
+        void this.refreshAdblockPanel();
+    }
+
+    async refreshAdblockRequestLog(webContentsId) {
+        let res = null;
+        try {
+            res = await window.electronAPI.getAdblockRequestLog(webContentsId);
+        } catch (_) {}
+        const entries = res?.ok && Array.isArray(res.entries) ? res.entries : [];
+        // A different tab or a fresh navigation: the last "Added … to My filters" note no longer applies.
+        if (webContentsId !== this._adblockLogWebContentsId || entries.length < this._adblockLogEntries.length) {
+            document.getElementById('adblock-panel-log-note')?.classList.add('hidden');
+        }
+        this._adblockLogWebContentsId = webContentsId;
+        this._adblockLogEntries = entries;
+        this.renderAdblockRequestLog();
+    }
+
+    /** Newest first, narrowed by the search box and the Blocked / Allowed picker. */
+    renderAdblockRequestLog(force = false) {
+        const list = document.getElementById('adblock-panel-log-list');
+        if (!list) return;
+        const entries = this._adblockLogEntries || [];
+        const query = (document.getElementById('adblock-panel-log-search')?.value || '').trim().toLowerCase();
+        const outcome = document.getElementById('adblock-panel-log-outcome')?.value || 'all';
+        const last = entries[entries.length - 1];
+        const allowedCount = entries.filter((e) => e.exceptionAdded).length;
+        const key = `${this._adblockLogWebContentsId}:${entries.length}:${last?.id || 0}:${allowedCount}:${query}:${outcome}`;
+        if (!force && key === this._adblockLogRenderKey) return;
+        this._adblockLogRenderKey = key;
+
+        const isBlocked = (e) => e.outcome === 'blocked' || e.outcome === 'redirected';
+        const shown = entries
+            .filter((e) => (outcome === 'blocked' ? isBlocked(e) : outcome === 'allowed' ? !isBlocked(e) : true))
+            .filter((e) => !query || [e.url, e.type, e.filter, e.list].some((v) => String(v || '').toLowerCase().includes(query)))
+            .reverse()
+            .slice(0, 200);
+        list.replaceChildren();
+        if (!shown.length) {
+            const empty = document.createElement('div');
+            empty.className = 'adblock-log-empty';
+            empty.textContent = entries.length ? 'No requests match.' : 'No requests yet. Reload the page to log them.';
+            list.appendChild(empty);
+            return;
+        }
+        for (const entry of shown) list.appendChild(this.buildAdblockLogRow(entry));
+    }
+
+    buildAdblockLogRow(entry) {
+        const labels = { blocked: 'Blocked', redirected: 'Replaced', allowed: 'Allowed', 'site-allowed': 'Site allowed' };
+        const blocked = entry.outcome === 'blocked' || entry.outcome === 'redirected';
+        const row = document.createElement('div');
+        row.className = `adblock-log-row ${blocked ? 'is-blocked' : 'is-allowed'}`;
+        row.innerHTML = `
+            <div class="adblock-log-head">
+                <span class="adblock-log-outcome">${labels[entry.outcome] || 'Allowed'}</span>
+                <span class="adblock-log-type">${this.escapeHtml(entry.type || 'other')}</span>
+                <span class="adblock-log-url" title="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.url)}</span>
+            </div>
+            ${entry.filter ? `<div class="adblock-log-rule" title="${this.escapeHtml(entry.filter)}"><code>${this.escapeHtml(entry.filter)}</code> · ${this.escapeHtml(entry.list)}</div>` : ''}
+        `;
+        if (blocked && entry.exceptionAdded) {
+            const done = document.createElement('span');
+            done.className = 'adblock-log-allowed-note';
+            done.textContent = 'Allowed · reload to load it';
+            row.appendChild(done);
+        } else if (blocked) {
+            const actions = document.createElement('div');
+            actions.className = 'adblock-log-actions';
+            const addButton = (scope, label, title) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'adblock-log-allow';
+                btn.textContent = label;
+                btn.title = title;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    void this.allowAdblockLogRequest(entry, scope, actions);
+                });
+                actions.appendChild(btn);
+            };
+            addButton('request', 'Allow this request', 'Add an exception for this address on this site');
+            if (entry.host) {
+                addButton('host', `Allow all from ${entry.host}`, 'Add an exception for everything this host serves on this site');
+            }
+            row.appendChild(actions);
+        }
+        return row;
+    }
+
+    /** @param {'request'|'host'} scope */
+    async allowAdblockLogRequest(entry, scope, actions) {
+        const wcId = this._adblockLogWebContentsId;
+        if (!wcId) return;
+        const buttons = actions.querySelectorAll('button');
+        buttons.forEach((b) => (b.disabled = true));
+        let res = null;
+        try {
+            res = await window.electronAPI.allowAdblockRequest(wcId, entry.id, scope);
+        } catch (_) {}
+        const note = document.getElementById('adblock-panel-log-note');
+        if (!res?.ok) {
+            buttons.forEach((b) => (b.disabled = false));
+            this.showNotification(res?.error || 'Could not allow that request', 'error');
+            return;
+        }
+        if (note) {
+            note.textContent = `Added ${res.rule} to My filters. Reload the page to load what was blocked.`;
+            note.classList.remove('hidden');
+        }
+        await this.refreshAdblockRequestLog(wcId);
     }
 
     positionAdblockPanel() {
@@ -4756,7 +5487,7 @@ class AxisBrowser {
         const rect = btn.getBoundingClientRect();
         const margin = 8;
         const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
-        const popupWidth = Math.min(300, viewportWidth - margin * 2);
+        const popupWidth = Math.min(this._adblockLogOpen ? 440 : 300, viewportWidth - margin * 2);
         panel.style.width = `${popupWidth}px`;
         let left = rect.right - popupWidth;
         if (left < margin) left = rect.left;
@@ -4784,6 +5515,137 @@ class AxisBrowser {
         if (panel) panel.classList.add('hidden');
     }
 
+    _activeGuestWebContentsId() {
+        const wv = this.getActiveWebview();
+        try {
+            return wv && typeof wv.getWebContentsId === 'function' ? wv.getWebContentsId() || 0 : 0;
+        } catch (_) {
+            return 0;
+        }
+    }
+
+    enqueuePermissionPrompt(prompt) {
+        if (!prompt || !prompt.id) return;
+        this._permissionPrompts.push(prompt);
+        this.renderPermissionPrompt();
+    }
+
+    dropPermissionPrompts(ids) {
+        const drop = new Set(Array.isArray(ids) ? ids : []);
+        this._permissionPrompts = this._permissionPrompts.filter((p) => !drop.has(p.id));
+        this.renderPermissionPrompt();
+    }
+
+    /** Shows the active tab's oldest pending request under the URL bar, or hides the prompt. */
+    renderPermissionPrompt() {
+        const panel = document.getElementById('permission-prompt');
+        if (!panel) return;
+        const wcId = this._activeGuestWebContentsId();
+        const queue = wcId ? this._permissionPrompts.filter((p) => p.webContentsId === wcId) : [];
+        const prompt = queue[0];
+        if (!prompt) {
+            panel.classList.add('hidden');
+            panel.dataset.promptId = '';
+            return;
+        }
+        let host = prompt.origin;
+        try {
+            host = new URL(prompt.origin).host;
+        } catch (_) {}
+        const kinds = prompt.kinds.map((kind) => AXIS_PERMISSION_PROMPT_KINDS[kind] || { label: kind, icon: 'fa-key' });
+        document.getElementById('permission-prompt-host').textContent = host;
+        document.getElementById('permission-prompt-detail').textContent = kinds.map((k) => k.label).join(' and ');
+        const icon = panel.querySelector('.permission-prompt-icon');
+        if (icon) icon.className = `fas ${kinds[0]?.icon || 'fa-key'} permission-prompt-icon`;
+        const more = document.getElementById('permission-prompt-queue');
+        if (more) {
+            more.textContent = queue.length > 1 ? `+${queue.length - 1} more` : '';
+            more.classList.toggle('hidden', queue.length < 2);
+        }
+        const picking = Array.isArray(prompt.sources);
+        if (String(prompt.id) !== panel.dataset.promptId) this._permissionPromptSourceId = '';
+        this.renderPermissionPromptSources(picking ? prompt.sources : null);
+        const blockBtn = document.getElementById('permission-prompt-block');
+        if (blockBtn) blockBtn.textContent = picking ? 'Cancel' : 'Block';
+        const onceBtn = document.getElementById('permission-prompt-once');
+        if (onceBtn) {
+            onceBtn.textContent = picking ? 'Share' : 'Allow once';
+            onceBtn.disabled = picking && !this._permissionPromptSourceId;
+            onceBtn.classList.toggle('permission-prompt-btn--primary', picking);
+        }
+        const alwaysBtn = document.getElementById('permission-prompt-always');
+        if (alwaysBtn) alwaysBtn.classList.toggle('hidden', picking || !prompt.canRemember || this.isIncognitoWindow);
+        panel.dataset.promptId = String(prompt.id);
+        this.positionPermissionPrompt();
+        panel.classList.remove('hidden');
+    }
+
+    /** Screen sharing: one thumbnail per screen / window to pick from; `null` hides the list. */
+    renderPermissionPromptSources(sources) {
+        const list = document.getElementById('permission-prompt-sources');
+        if (!list) return;
+        list.replaceChildren();
+        list.classList.toggle('hidden', !sources);
+        if (!sources) return;
+        for (const source of sources) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'permission-prompt-source';
+            btn.setAttribute('role', 'option');
+            const selected = source.id === this._permissionPromptSourceId;
+            btn.classList.toggle('selected', selected);
+            btn.setAttribute('aria-selected', selected ? 'true' : 'false');
+            if (source.thumbnail) {
+                const img = document.createElement('img');
+                img.src = source.thumbnail;
+                img.alt = '';
+                btn.appendChild(img);
+            }
+            const name = document.createElement('span');
+            name.className = 'permission-prompt-source-name';
+            name.textContent = source.name || (source.kind === 'screen' ? 'Entire screen' : 'Window');
+            btn.appendChild(name);
+            btn.addEventListener('click', () => {
+                this._permissionPromptSourceId = source.id;
+                this.renderPermissionPrompt();
+            });
+            list.appendChild(btn);
+        }
+    }
+
+    positionPermissionPrompt() {
+        const panel = document.getElementById('permission-prompt');
+        const anchor = document.querySelector('.url-bar-center');
+        if (!panel || !anchor) return;
+        const rect = anchor.getBoundingClientRect();
+        const margin = 8;
+        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+        const picking = !document.getElementById('permission-prompt-sources')?.classList.contains('hidden');
+        const popupWidth = Math.min(picking ? 420 : 320, viewportWidth - margin * 2);
+        panel.style.width = `${popupWidth}px`;
+        const left = Math.min(Math.max(margin, rect.left), viewportWidth - popupWidth - margin);
+        panel.style.left = `${left}px`;
+        panel.style.top = `${rect.bottom + margin}px`;
+    }
+
+    /** @param {'once'|'always'|'block'} decision */
+    async answerPermissionPrompt(decision) {
+        const panel = document.getElementById('permission-prompt');
+        const id = Number(panel?.dataset.promptId) || 0;
+        if (!id) return;
+        const sourceId = this._permissionPromptSourceId;
+        const picking = !document.getElementById('permission-prompt-sources')?.classList.contains('hidden');
+        if (decision === 'once' && picking && !sourceId) return;
+        this._permissionPrompts = this._permissionPrompts.filter((p) => p.id !== id);
+        this._permissionPromptSourceId = '';
+        this.renderPermissionPrompt();
+        try {
+            await window.electronAPI.respondPermissionPrompt(id, decision, sourceId);
+        } catch (err) {
+            console.warn('respondPermissionPrompt failed:', err);
+        }
+    }
+
     async toggleAdblockPanel() {
         const panel = document.getElementById('adblock-panel');
         if (!panel) return;
@@ -5096,7 +5958,7 @@ class AxisBrowser {
         if (this.elements?.urlBarInput) {
             this.elements.urlBarInput.value = text;
         }
-        this.navigate(text);
+        this.navigate(text, { transition: 'typed' });
     }
 
     setupWebviewEventListeners(webview, tabId) {
@@ -5285,8 +6147,11 @@ class AxisBrowser {
             if (tab) {
                 const currentUrl = webview.getURL();
                 const currentTitle = webview.getTitle();
+                const readerSource = this._readerSourceUrl(webview);
                 // Don't overwrite special/internal URLs with webview URL
-                if (currentUrl && currentUrl !== 'about:blank' && tab.url !== 'axis://settings' && tab.url !== this.NEWTAB_URL && !tab.url.startsWith('axis:note://') && !tab.isSettings) {
+                if (readerSource) {
+                    tab.url = readerSource;
+                } else if (currentUrl && currentUrl !== 'about:blank' && tab.url !== 'axis://settings' && tab.url !== this.NEWTAB_URL && !tab.url.startsWith('axis:note://') && !tab.isSettings) {
                     tab.url = currentUrl;
                 }
                 if (currentTitle) {
@@ -5327,6 +6192,7 @@ class AxisBrowser {
             }
             if (isMainFrame && finishUrl) {
                 this._nudgeYouTubePlayerIfNeeded(webview, finishUrl);
+                void this.detectOpenSearchEngine(webview, finishUrl);
             }
             if (isMainFrame && finishUrl && this.settings?.transparentSites && !this.isBenchmarking) {
                 this._touchTransparentSitesForWebview(webview);
@@ -5389,6 +6255,14 @@ class AxisBrowser {
                     console.error('Error parsing shortcuts message:', err);
                 }
             }
+            // Reader page toolbar (only trusted while the guest is showing a reader page this tab opened)
+            if (e.message && e.message.startsWith('AXIS_READER:') && this._readerSourceUrl(webview)) {
+                try {
+                    this.handleReaderMessage(JSON.parse(e.message.slice('AXIS_READER:'.length)), webview);
+                } catch (_) {
+                    // Ignore parse errors
+                }
+            }
         };
         webview.__eventHandlers.consoleMessage = consoleMessageHandler;
         webview.addEventListener('console-message', consoleMessageHandler);
@@ -6959,6 +7833,24 @@ class AxisBrowser {
         }, 120);
     }
 
+    /** Drops cached URL bar tints for `hosts`, or all of them when `hosts` is null (Clear browsing data). */
+    purgeUrlBarThemeCache(hosts = null) {
+        const only = Array.isArray(hosts) ? new Set(hosts) : null;
+        if (!only) {
+            this.urlBarThemeCache.clear();
+            this.themeCache.clear();
+        } else {
+            for (const key of Array.from(this.urlBarThemeCache.keys())) {
+                let host = '';
+                if (key.startsWith('h:')) host = key.slice(2);
+                else if (key.startsWith('p:')) host = this.getDomainFromUrl(key.slice(2)) || '';
+                if (only.has(host)) this.urlBarThemeCache.delete(key);
+            }
+            for (const host of only) this.themeCache.delete(host);
+        }
+        this._schedulePersistUrlBarThemeCache();
+    }
+
     /** Instantly restore a previously extracted URL bar tint for this page. */
     applyCachedUrlBarTheme(url, opts = {}) {
         const urlBarOnly = !!opts.urlBarOnly;
@@ -9174,6 +10066,7 @@ class AxisBrowser {
 
     _guestLayoutLooksStale(container, webview) {
         if (!container || !webview) return false;
+        if (webview.classList.contains('split-pane')) return false;
         try {
             const cr = container.getBoundingClientRect();
             const wr = webview.getBoundingClientRect();
@@ -9424,7 +10317,8 @@ class AxisBrowser {
             } else {
             this.navigate(effectiveUrl, {
                 skipHttpsConfirm: true,
-                trustedContextImage: !!(options && options.trustedContextImage)
+                trustedContextImage: !!(options && options.trustedContextImage),
+                transition: options?.transition
             });
             }
         }
@@ -9641,6 +10535,8 @@ class AxisBrowser {
         if (prevCur != null && prevCur !== tabId && this.tabs.has(prevCur)) {
             const prevTab = this.tabs.get(prevCur);
             if (prevTab) {
+                // Idle time for hibernation counts from when the tab was left.
+                prevTab.lastActiveAt = Date.now();
                 if (prevTab.url === this.NEWTAB_URL) {
                 this.saveNewTabPageStateToTab(prevCur);
                 this._ntpUiBoundTabId = null;
@@ -9661,7 +10557,8 @@ class AxisBrowser {
         let deferSuspendForPipTabId = null;
         if (prevTabId != null && prevTabId !== tabId) {
             const prevTab = this.tabs.get(prevTabId);
-            if (prevTab?.webview) {
+            // Moving focus between panes of one split keeps the previous page on screen.
+            if (prevTab?.webview && !this._splitPaneTabIds(tabId).has(prevTabId)) {
                 deferSuspendForPipTabId = prevTabId;
                 this._voidGuestTask(
                     this.checkAndShowPIP(prevTabId, prevTab.webview).finally(() => {
@@ -9692,6 +10589,7 @@ class AxisBrowser {
         this._recordTabActivation(tabId);
         this.updateEmptyState();
         this.syncAIChatPanelForCurrentTab();
+        this.renderPermissionPrompt();
 
         // CRITICAL: Add active to new tab instantly
         if (activeTab) {
@@ -9722,6 +10620,7 @@ class AxisBrowser {
                     tab.webview = webview;
                     this.tabs.set(tabId, tab);
                     webviewCreatedThisSwitch = true;
+                    this._wakeHibernatedTab(tabId, tab, webview);
                     // Update closed state for pinned tabs
                     if (tab.pinned) {
                         this.updatePinnedTabClosedState(tabId);
@@ -9865,6 +10764,7 @@ class AxisBrowser {
             }
             this._syncWebPanelVisualState();
         }
+        this._applySplitLayout();
 
         const prevWasFavorite =
             prevCur != null && !!this.tabs.get(prevCur)?.isFavoriteTab;
@@ -9964,6 +10864,7 @@ class AxisBrowser {
             if (adblockPanel && !adblockPanel.classList.contains('hidden')) {
                 void this.refreshAdblockPanel();
             }
+            this.scheduleExtensionToolbarRefresh();
         });
     }
 
@@ -9992,6 +10893,14 @@ class AxisBrowser {
             }
         });
         input.addEventListener('keydown', (e) => {
+            if (
+                (e.key === 'Tab' || e.key === 'Backspace') &&
+                !this.isNewTabInChat() &&
+                this.handleSearchEngineKeywordKey(e, input)
+            ) {
+                e.stopPropagation();
+                return;
+            }
             if (e.key === 'Tab') {
                 e.preventDefault();
                 e.stopPropagation();
@@ -11024,7 +11933,7 @@ class AxisBrowser {
     async _ntpRecentHistoryPreview() {
         if (this.isIncognitoWindow) return [];
         try {
-            const history = await this.getHistory();
+            const history = await this.getHistory({ limit: 12 });
             return history.slice(0, 12).map((item) => ({
                 title: item.title,
                 url: item.url,
@@ -11036,20 +11945,32 @@ class AxisBrowser {
         }
     }
 
+    /** Most frecent page per host; main already ranks `getHistorySuggestions('')` by frecency. */
     async _ntpTopSitesPreview() {
-        const api = this._ntpWidgetsApi();
-        if (this.isIncognitoWindow || !api?.computeTopSites) return [];
+        if (this.isIncognitoWindow) return [];
         try {
-            const raw = (await window.electronAPI?.getHistory?.()) || [];
-            const mapped = raw.map((item) => ({
-                title: item.title,
-                url: item.url,
-                favicon: item.favicon || (item.url ? this.getFaviconUrl(item.url) : '')
-            }));
-            return api.computeTopSites(mapped, 12).map((s) => ({
-                ...s,
-                favicon: s.favicon || this.getFaviconUrl(s.url)
-            }));
+            const ranked = (await window.electronAPI?.getHistorySuggestions?.('', 50)) || [];
+            const seenHosts = new Set();
+            const out = [];
+            for (const item of ranked) {
+                let host = '';
+                try {
+                    const u = new URL(item.url);
+                    if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+                    host = u.hostname.replace(/^www\./, '');
+                } catch (_) {
+                    continue;
+                }
+                if (seenHosts.has(host)) continue;
+                seenHosts.add(host);
+                out.push({
+                    title: item.title || host,
+                    url: item.url,
+                    favicon: item.favicon || this.getFaviconUrl(item.url)
+                });
+                if (out.length >= 12) break;
+            }
+            return out;
         } catch (_) {
             return [];
         }
@@ -11998,7 +12919,26 @@ class AxisBrowser {
             container.appendChild(el);
         };
 
-        addRow('new-tab-action-search', 'fa-magnifying-glass', 'Search', () => this.performNewTabSearch());
+        const selectedEngine = this.selectedSearchEngine ? this.getSearchEngine() : null;
+        const keywordEngine = selectedEngine
+            ? null
+            : this._searchEnginesApi()?.findEngineByKeyword(this.settings?.customSearchEngines, q);
+        if (keywordEngine) {
+            addRow('new-tab-action-engine', 'fa-keyboard', `Tab to search ${keywordEngine.name}`, () => {
+                const input = document.getElementById('new-tab-input');
+                if (!input) return;
+                this.selectSearchEngine(keywordEngine.id, input);
+                input.value = '';
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.focus();
+            });
+        }
+        addRow(
+            'new-tab-action-search',
+            'fa-magnifying-glass',
+            selectedEngine ? `Search ${selectedEngine.name}` : 'Search',
+            () => this.performNewTabSearch()
+        );
         if (aiOn) {
             addRow('new-tab-action-ask', 'fa-message', 'Ask AI', () => this.triggerNewTabAskFromSearch());
         }
@@ -12230,6 +13170,7 @@ class AxisBrowser {
         const chatView = document.getElementById('new-tab-ai-chat-view');
         const page = document.getElementById('new-tab-page');
         if (input) input.value = '';
+        if (this._searchEngineInput === input) this.clearSearchEngine();
         this.spotlightSelectedIndex = -1;
         if (searchWrapper) searchWrapper.classList.remove('hidden', 'ntp-search-expanded', 'ntp-search-collapsing');
         if (suggestionsContainer) {
@@ -12833,6 +13774,7 @@ class AxisBrowser {
     _recordTabActivation(rawTabId) {
         const tabId = this._normalizeTabMapKey(rawTabId);
         if (tabId == null || !this.tabs.has(tabId)) return;
+        this.tabs.get(tabId).lastActiveAt = Date.now();
         this._recentTabStack = this._recentTabStack.filter((id) => id !== tabId);
         this._recentTabStack.push(tabId);
         if (this._recentTabStack.length > 64) {
@@ -13107,6 +14049,7 @@ class AxisBrowser {
         if (this._sidebarMediaDock && this._normalizeTabMapKey(this._sidebarMediaDock.tabId) === tid) {
             this.hideSidebarMediaDock();
         }
+        this.removeTabFromSplitView(tid);
 
         // Save pinned tabs before closing (in case it was pinned)
         this.savePinnedTabs();
@@ -13416,6 +14359,7 @@ class AxisBrowser {
         }
 
         this._removeTabIdFromAllTabGroups(tid, true, true);
+        this.removeTabFromSplitView(tid);
 
         if (tab.webview) {
             try {
@@ -13679,6 +14623,8 @@ class AxisBrowser {
 
         // Load URL in active webview
         if (webview) {
+            // History transition for frecency: 'typed' from the URL bar, otherwise a link.
+            webview.__axisHistoryTransition = options.transition || 'link';
             webview.src = sanitizedUrl;
 
             // Ensure the webview is fully interactive for real pages
@@ -13961,6 +14907,7 @@ class AxisBrowser {
         }
         
         if (webview) {
+            webview.__axisHistoryTransition = options.transition || 'link';
             webview.src = sanitizedUrl;
             if (currentTab) {
                 currentTab.url = sanitizedUrl;
@@ -14031,6 +14978,7 @@ class AxisBrowser {
             }
         }
         
+        webview.__axisHistoryTransition = 'reload';
         webview.reload();
     }
     
@@ -14778,16 +15726,15 @@ class AxisBrowser {
         }
         
         if (event.data.type === 'clearBrowsingData') {
-            // Clear browsing data (history, cookies, etc.)
-            if (confirm('Are you sure you want to delete all browsing data? This will clear your history and cookies.')) {
-                await this.clearAllHistory();
-                // Could also clear cookies here if needed
-                // Reload settings page to refresh
-                const tab = this.tabs.get(this.currentTab);
-                if (tab && tab.url === 'axis://settings') {
-                    this.loadSettingsInWebview();
-                }
+            // Ranges and data types are chosen in the Settings dialog; a bare message opens it.
+            const { range, types } = event.data;
+            if (!Array.isArray(types)) {
+                this.openSettingsTab('history');
+                return;
             }
+            const res = await window.electronAPI.clearBrowsingData({ range, types });
+            if (res?.ok) this.showNotification('Browsing data cleared', 'success');
+            else this.showNotification(res?.error || 'Failed to clear browsing data', 'error');
             return;
         }
         
@@ -16029,6 +16976,134 @@ class AxisBrowser {
         return { ctx, installedExt, status };
     }
 
+    /** Guest webContents id of a tab (the id extensions see), or 0 before its guest attaches. */
+    _tabGuestWebContentsId(tab) {
+        const wv = tab?.webview;
+        if (!wv || typeof wv.getWebContentsId !== 'function') return 0;
+        try {
+            return wv.getWebContentsId() || 0;
+        } catch (_) {
+            return 0;
+        }
+    }
+
+    _findTabIdByGuestWebContentsId(wcId) {
+        const id = Number(wcId);
+        if (!(id > 0)) return null;
+        for (const [tabId, tab] of this.tabs) {
+            if (this._tabGuestWebContentsId(tab) === id) return tabId;
+        }
+        return null;
+    }
+
+    /** Tab ids in sidebar order, the order `chrome.tabs` indexes follow. */
+    _orderedTabIdsForExtensions() {
+        const rows = [];
+        for (const tabId of this.tabs.keys()) {
+            rows.push({ tabId, el: this._getTabElement(tabId) });
+        }
+        rows.sort((a, b) => {
+            if (!a.el || !b.el) return a.el ? -1 : b.el ? 1 : 0;
+            return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+        return rows.map((row) => row.tabId);
+    }
+
+    /** Tabs as plain entries for main's `chrome.tabs` implementation. */
+    _listTabsForExtensions() {
+        return this._orderedTabIdsForExtensions().map((tabId, index) =>
+            this._extensionTabEntry(tabId, this.tabs.get(tabId), index)
+        );
+    }
+
+    _extensionTabEntry(tabId, tab, index) {
+        let loading = false;
+        try {
+            loading = !!tab.webview?.isLoading?.();
+        } catch (_) {}
+        return {
+            wcId: this._tabGuestWebContentsId(tab),
+            index,
+            active: this._normalizeTabMapKey(this.currentTab) === tabId,
+            pinned: !!tab.pinned,
+            audible: !!tab.isPlayingAudio,
+            muted: !!tab.isMuted,
+            url: tab.url || '',
+            title: tab.title || '',
+            favIconUrl: typeof tab.favicon === 'string' && /^https?:/i.test(tab.favicon) ? tab.favicon : '',
+            status: loading ? 'loading' : 'complete'
+        };
+    }
+
+    _extensionTabEntryById(tabId) {
+        const index = this._orderedTabIdsForExtensions().indexOf(tabId);
+        return index < 0 ? null : this._extensionTabEntry(tabId, this.tabs.get(tabId), index);
+    }
+
+    /** A new tab's guest attaches asynchronously; its id is what `tabs.create` must return. */
+    async _waitForTabGuestWebContentsId(tabId, timeoutMs = 3000) {
+        const start = Date.now();
+        while (Date.now() - start < timeoutMs) {
+            const tab = this.tabs.get(tabId);
+            if (!tab) return 0;
+            const id = this._tabGuestWebContentsId(tab);
+            if (id) return id;
+            await new Promise((r) => setTimeout(r, 50));
+        }
+        return 0;
+    }
+
+    /** `axis-extension-tabs-request` from main: list / create / update / remove tabs for `chrome.tabs`. */
+    async handleExtensionTabsRequest(payload) {
+        const { requestId, op, args = {} } = payload || {};
+        const respond = (result) => window.electronAPI.respondExtensionTabsRequest(requestId, result);
+        try {
+            if (op === 'list') {
+                respond({ ok: true, result: this._listTabsForExtensions() });
+                return;
+            }
+            if (op === 'create') {
+                const url = args.url ? this.sanitizeUrl(args.url) : null;
+                if (args.url && !url) throw new Error('That URL cannot be opened.');
+                const tabId = this.createNewTab(url, { skipActivate: args.active === false });
+                if (tabId == null) throw new Error('Could not create the tab.');
+                if (args.pinned) this.togglePinTab(tabId);
+                await this._waitForTabGuestWebContentsId(tabId);
+                const entry = this._extensionTabEntryById(tabId);
+                if (!entry) throw new Error('Could not create the tab.');
+                respond({ ok: true, result: entry });
+                return;
+            }
+            if (op === 'update') {
+                const tabId = this._findTabIdByGuestWebContentsId(args.wcId);
+                const tab = tabId != null ? this.tabs.get(tabId) : null;
+                if (!tab) throw new Error(`No tab with id: ${args.wcId}.`);
+                if (args.url) {
+                    const url = this.sanitizeUrl(args.url);
+                    if (!url) throw new Error('That URL cannot be opened.');
+                    tab.url = url;
+                    void tab.webview?.loadURL(url).catch(() => {});
+                }
+                if (args.active === true) this.switchToTab(tabId);
+                if (typeof args.pinned === 'boolean' && !!tab.pinned !== args.pinned) this.togglePinTab(tabId);
+                if (typeof args.muted === 'boolean' && !!tab.isMuted !== args.muted) this.toggleTabMute(tabId);
+                respond({ ok: true, result: this._extensionTabEntryById(tabId) });
+                return;
+            }
+            if (op === 'remove') {
+                for (const wcId of Array.isArray(args.wcIds) ? args.wcIds : []) {
+                    const tabId = this._findTabIdByGuestWebContentsId(wcId);
+                    if (tabId != null) this.closeTab(tabId);
+                }
+                respond({ ok: true, result: null });
+                return;
+            }
+            throw new Error(`Unknown tab operation: ${op}`);
+        } catch (err) {
+            respond({ ok: false, error: String(err?.message || err) });
+        }
+    }
+
     _touchExtensionStoreListingUiForWebview(webview, url) {
         if (!url || !axisParseStoreListingContext(url)) return;
         void this.refreshExtensionStoreListingUi(url, webview);
@@ -20528,6 +21603,7 @@ class AxisBrowser {
                 ? this._collectUnpinnedTabsPayload({ context })
                 : [];
             const pinnedSidebarOrder = this._rememberPinnedSidebarOrder();
+            const splitViews = this._getSplitViews();
             this.settings.tabGroups = tabGroups;
             this.settings.pinnedTabs = pinnedTabs;
             this.settings.unpinnedTabs = unpinnedTabs;
@@ -20536,6 +21612,7 @@ class AxisBrowser {
                 tabGroups,
                 pinnedTabs,
                 unpinnedTabs,
+                splitViews,
                 pinnedSidebarOrder: pinnedSidebarOrder || this.settings.pinnedSidebarOrder || [],
                 clearUnpinnedRecovery: context === 'app-quit'
             };
@@ -20718,6 +21795,8 @@ class AxisBrowser {
             </div>
         `;
         if (!tab.webview) tabElement.classList.add('closed');
+        if (tab.hibernated) tabElement.classList.add('hibernated');
+        this._applySplitSidebarClasses(tabElement, tabId);
         this.setupTabEventListeners(tabElement, tabId);
         this.updateTabFavicon(tabId, tabElement);
         if (tab.pinned) this.updatePinnedTabClosedState(tabId);
@@ -21365,13 +22444,31 @@ class AxisBrowser {
             isIncognito: this.isIncognitoWindow,
             hasCustomIcon: !!(tab?.customIcon && String(tab.customIcon).trim()),
             canUpdateSavedLink: !!savedLinkInfo,
-            savedLinkKind: savedLinkInfo?.kind || ''
+            savedLinkKind: savedLinkInfo?.kind || '',
+            ...this._splitViewContextMenuInfo(tabId)
         };
         this.contextMenuTabId = this._normalizeTabMapKey(tabId);
         this._lastContextMenuPoint = { x: e.clientX, y: e.clientY };
         await window.electronAPI.showTabContextMenu(e.clientX, e.clientY, tabInfo);
     }
 
+    /** Split view entries for a tab's context menu: join the current tab's split, or manage the tab's own. */
+    _splitViewContextMenuInfo(tabId) {
+        const split = this._getSplitViewForTab(tabId);
+        if (split) {
+            return { inSplitView: true, splitOrientation: split.orientation };
+        }
+        const cur = this._normalizeTabMapKey(this.currentTab);
+        const curSplit = this._getSplitViewForTab(cur);
+        const canJoin =
+            cur != null &&
+            this._normalizeTabMapKey(tabId) !== cur &&
+            this._canSplitTab(tabId) &&
+            this._canSplitTab(cur) &&
+            (!curSplit || curSplit.tabIds.length < AXIS_SPLIT_VIEW_MAX_PANES);
+        return { inSplitView: false, canSplitWithCurrent: canJoin, currentInSplitView: !!curSplit };
+    }
+
     async showFavoriteContextMenu(e, favorite) {
         if (this.isIncognitoWindow || !favorite) return;
         e.preventDefault();
@@ -21774,19 +22871,148 @@ class AxisBrowser {
         webview.executeJavaScript(script).catch(() => {});
     }
 
-    stopSpeakingSelection() {
-        const webview = this.getActiveWebview();
-        if (!webview) return;
-        const script = `
-            try {
-                if (window.speechSynthesis) {
-                    window.speechSynthesis.cancel();
-                }
-            } catch (e) {
-                // Ignore
-            }
-        `;
-        webview.executeJavaScript(script).catch(() => {});
+    stopSpeakingSelection() {
+        const webview = this.getActiveWebview();
+        if (!webview) return;
+        const script = `
+            try {
+                if (window.speechSynthesis) {
+                    window.speechSynthesis.cancel();
+                }
+            } catch (e) {
+                // Ignore
+            }
+        `;
+        webview.executeJavaScript(script).catch(() => {});
+    }
+
+    /**
+     * Article URL when `webview` is showing a reader page this tab opened, else ''. The shell
+     * keeps `axis-reader:` URL → article per webview; the page's own URL is never trusted for it.
+     */
+    _readerSourceUrl(webview) {
+        const pages = webview && webview.__axisReaderPages;
+        if (!pages || !pages.size) return '';
+        let url = '';
+        try {
+            url = webview.getURL() || '';
+        } catch (_) {
+            return '';
+        }
+        return pages.get(url.split('#')[0]) || '';
+    }
+
+    /** Colors for the reader's "Axis" theme, derived from the shell theme color. */
+    _readerThemeColors() {
+        const themeColor = this.settings?.themeColor || '#1a1a1a';
+        const dark = this.isIncognitoWindow || this.isDarkColor(themeColor);
+        return {
+            dark,
+            background: this.mixHexColors(themeColor, dark ? '#000000' : '#ffffff', 0.6),
+            text: dark ? '#ececee' : '#1d1d1f',
+            accent: this.mixHexColors(dark ? '#8ab4f8' : '#0a66c2', themeColor, 0.2)
+        };
+    }
+
+    /** URL bar reader button: shown on web pages and reader pages, pressed while reading. */
+    _syncUrlBarReaderButton(currentUrl = '', readerActive = false) {
+        const btn = this.elements?.urlBarReader;
+        if (!btn) return;
+        const show = readerActive || /^https?:\/\//i.test(currentUrl);
+        btn.classList.toggle('hidden', !show);
+        btn.setAttribute('aria-hidden', show ? 'false' : 'true');
+        btn.classList.toggle('active', readerActive);
+        btn.setAttribute('aria-pressed', readerActive ? 'true' : 'false');
+        btn.title = readerActive ? 'Exit reader view' : 'Reader view';
+    }
+
+    /** URL bar while a reader page shows: the article's address, labelled as the reader view. */
+    _showReaderUrlBar(webview, readerSource) {
+        const el = this.elements;
+        el.webviewUrlBar.classList.remove('hidden');
+        if (el.urlBarSecurity) this._syncUrlBarSecurityIcon(readerSource);
+        if (el.urlBarBack) el.urlBarBack.disabled = !webview.canGoBack();
+        if (el.urlBarForward) el.urlBarForward.disabled = !webview.canGoForward();
+        if (el.urlBarCwsInstall) {
+            el.urlBarCwsInstall.classList.add('hidden');
+            el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
+        }
+        this.syncSearchEngineOfferButton();
+        this.updateExtensionStoreHostBar('');
+        this._syncUrlBarReaderButton(readerSource, true);
+        if (el.urlBarInput) el.urlBarInput.value = readerSource;
+        if (el.urlBarDisplay) {
+            let domain = readerSource;
+            try {
+                domain = new URL(readerSource).hostname.replace(/^www\./, '');
+            } catch (_) {}
+            el.urlBarDisplay.innerHTML =
+                `<span class="url-domain">${this.escapeHtml(domain)}</span>` +
+                '<span class="url-separator">/</span><span class="url-path">Reader view</span>';
+        }
+        if (this.currentTab) this.updateTabTooltip(this.currentTab);
+    }
+
+    async toggleReaderMode() {
+        const webview = this.getActiveWebview();
+        if (!webview) return;
+        if (this._readerSourceUrl(webview)) {
+            this.exitReaderMode(webview);
+            return;
+        }
+        let guestWebContentsId = 0;
+        try {
+            guestWebContentsId = webview.getWebContentsId() || 0;
+        } catch (_) {
+            return;
+        }
+        const btn = this.elements?.urlBarReader;
+        const res = await window.electronAPI
+            .openReaderView(guestWebContentsId, this.settings?.readerPrefs, this._readerThemeColors())
+            .catch(() => null);
+        if (!res?.ok) {
+            if (btn) {
+                btn.title = 'No article found on this page';
+                btn.classList.add('unavailable');
+                setTimeout(() => {
+                    btn.classList.remove('unavailable');
+                    btn.title = 'Reader view';
+                }, 1500);
+            }
+            return;
+        }
+        if (this.getActiveWebview() !== webview) return;
+        if (!webview.__axisReaderPages) webview.__axisReaderPages = new Map();
+        webview.__axisReaderPages.set(res.url, res.sourceUrl);
+        webview.src = res.url;
+    }
+
+    exitReaderMode(webview = this.getActiveWebview()) {
+        const source = this._readerSourceUrl(webview);
+        if (!source) return;
+        this.stopSpeakingSelection();
+        if (webview.canGoBack()) {
+            webview.goBack();
+        } else {
+            webview.loadURL(source).catch(() => {});
+        }
+    }
+
+    /** `AXIS_READER:` messages from the reader page toolbar. */
+    handleReaderMessage(data, webview) {
+        if (!data || typeof data !== 'object') return;
+        if (data.action === 'prefs' && data.prefs && typeof data.prefs === 'object') {
+            const { font, size, width, theme } = data.prefs;
+            this.saveSetting('readerPrefs', { font, size, width, theme });
+        } else if (webview !== this.getActiveWebview()) {
+            return;
+        } else if (data.action === 'speak') {
+            this.startSpeakingSelection(String(data.text || ''));
+        } else if (data.action === 'stop') {
+            this.stopSpeakingSelection();
+        } else if (data.action === 'exit') {
+            this.exitReaderMode(webview);
+        }
     }
 
     selectAll() {
@@ -21902,7 +23128,7 @@ class AxisBrowser {
         
         if (webview) {
             try {
-                url = webview.getURL();
+                url = this._readerSourceUrl(webview) || webview.getURL();
             } catch (e) {
                 // Fallback to tab URL
             }
@@ -22182,15 +23408,17 @@ class AxisBrowser {
         });
     }
 
-    async getHistory() {
+    async getHistory(options) {
         if (this.isIncognitoWindow) return [];
         try {
-            const history = await window.electronAPI.getHistory();
+            const history = await window.electronAPI.getHistory(options);
             return history.map(item => ({
                 id: item.id,
                 title: item.title,
                 url: item.url,
                 favicon: item.favicon,
+                visitCount: item.visitCount || 1,
+                frecency: item.frecency || 0,
                 time: this.formatTimeAgo(item.timestamp)
             }));
         } catch (error) {
@@ -22238,17 +23466,14 @@ class AxisBrowser {
 
     async filterHistory(searchTerm) {
         const historyList = document.getElementById('history-list');
-        const history = await this.getHistory();
         
         if (!searchTerm.trim()) {
             this.populateHistory();
             return;
         }
 
-        const filteredHistory = history.filter(item => 
-            item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            item.url.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+        // Full-text search runs in the history DB so it covers every page, not just the recent ones.
+        const filteredHistory = await this.getHistory({ text: searchTerm.trim(), order: 'frecency' });
 
         historyList.innerHTML = '';
 
@@ -22366,6 +23591,125 @@ class AxisBrowser {
         });
     }
 
+    /** @param {'pause'|'resume'|'retry'} action */
+    onDownloadsPopupControlRequested(action, axisId) {
+        const id = Number(axisId);
+        const api = window.electronAPI;
+        const call =
+            action === 'pause' ? api?.pauseActiveDownload : action === 'resume' ? api?.resumeActiveDownload : api?.retryDownload;
+        if (!(id > 0) || typeof call !== 'function') return;
+        void call(id).then(() => this.scheduleDownloadsPopupRefresh());
+    }
+
+    /** A risky download waiting in the "blocked — keep or discard" state. */
+    buildDownloadsPopupHeldRow(held) {
+        const fileName = held.filename || 'File';
+        const warnings = Array.isArray(held.warnings) ? held.warnings : [];
+        const row = document.createElement('div');
+        row.className = 'downloads-popup-item is-download-held';
+        row.dataset.heldDownloadId = held.id;
+        row.innerHTML = `
+            <div class="downloads-popup-thumbnail downloads-popup-held-icon">
+                <i class="fas fa-triangle-exclamation" aria-hidden="true"></i>
+            </div>
+            <div class="downloads-popup-info">
+                <div class="downloads-popup-name" title="${this.escapeHtml(fileName)}">
+                    ${this.escapeHtml(fileName)}
+                </div>
+                <div class="downloads-popup-held-warning" title="${this.escapeHtml(warnings.join('\n'))}">
+                    ${this.escapeHtml(warnings[0] || 'This file may be dangerous.')}
+                </div>
+            </div>
+            <div class="downloads-popup-row-action downloads-popup-held-actions">
+                <button type="button" class="downloads-popup-held-keep" title="Keep this file">Keep</button>
+                <button type="button" class="downloads-popup-held-discard" title="Delete this file">Discard</button>
+            </div>
+        `;
+        if (held.url) row.title = held.url;
+        const respond = (keep) => {
+            const api = window.electronAPI;
+            const call = keep ? api?.keepHeldDownload : api?.discardHeldDownload;
+            if (typeof call !== 'function') return;
+            row.querySelectorAll('button').forEach((btn) => {
+                btn.disabled = true;
+            });
+            void call(held.id).then((res) => {
+                if (!res?.ok) {
+                    row.querySelectorAll('button').forEach((btn) => {
+                        btn.disabled = false;
+                    });
+                    if (res?.error && res.error !== 'not-found') this.showNotification(`Could not ${keep ? 'keep' : 'discard'} ${fileName}`, 'error');
+                }
+                const list = document.getElementById('downloads-popup-list');
+                if (list && this.isDownloadsPopupVisible()) void this.populateDownloadsPopupList(list);
+            });
+        };
+        row.querySelector('.downloads-popup-held-keep')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            respond(true);
+        });
+        row.querySelector('.downloads-popup-held-discard')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            respond(false);
+        });
+        return row;
+    }
+
+    /** Pause / Resume / Retry (whichever applies) plus Cancel for a tracked download. */
+    buildDownloadsPopupDownloadControls(tracked) {
+        const aid = Number(tracked.axisId);
+        const wrap = document.createElement('div');
+        wrap.className = 'downloads-popup-row-action downloads-popup-download-controls';
+        wrap.dataset.axisDownloadId = String(aid);
+        wrap.dataset.downloadState = `${tracked.state || 'progressing'}:${tracked.canResume ? 1 : 0}`;
+        const control =
+            tracked.state === 'paused' || (tracked.state === 'interrupted' && tracked.canResume)
+                ? { action: 'resume', icon: 'fa-play', title: 'Resume download' }
+                : tracked.state === 'interrupted'
+                  ? { action: 'retry', icon: 'fa-rotate-right', title: 'Retry download' }
+                  : { action: 'pause', icon: 'fa-pause', title: 'Pause download' };
+        const controlBtn = document.createElement('button');
+        controlBtn.type = 'button';
+        controlBtn.className = 'downloads-popup-download-control';
+        controlBtn.title = control.title;
+        controlBtn.innerHTML = `<i class="fas ${control.icon}" aria-hidden="true"></i>`;
+        controlBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onDownloadsPopupControlRequested(control.action, aid);
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'downloads-popup-cancel-download';
+        cancelBtn.title = tracked.state === 'interrupted' ? 'Remove' : 'Cancel download';
+        cancelBtn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        cancelBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onDownloadsPopupCancelRequested(aid, cancelBtn.closest('.downloads-popup-item'));
+        });
+        wrap.append(controlBtn, cancelBtn);
+        return wrap;
+    }
+
+    downloadsPopupTrackedMetaText(tracked) {
+        const totalBytes = Number(tracked.totalBytes || tracked.size || 0);
+        const receivedBytes = Number(tracked.receivedBytes || 0);
+        const progressPct = totalBytes > 0
+            ? Math.max(0, Math.min(100, Math.round((receivedBytes / totalBytes) * 100)))
+            : null;
+        const pctText = progressPct != null ? ` • ${progressPct}%` : '';
+        if (tracked.state === 'paused') return `Paused${pctText}`;
+        if (tracked.state === 'interrupted') {
+            return tracked.canResume ? `Interrupted${pctText}` : `Download failed${pctText}`;
+        }
+        const etaSeconds = Number.isFinite(Number(tracked.etaSeconds)) ? Number(tracked.etaSeconds) : null;
+        const etaText = etaSeconds != null
+            ? (etaSeconds >= 60 ? `${Math.ceil(etaSeconds / 60)} min left` : `${Math.max(1, etaSeconds)} sec left`)
+            : '';
+        return progressPct != null
+            ? `Downloading • ${progressPct}%${etaText ? ` • ${etaText}` : ''}`
+            : `Downloading…${etaText ? ` • ${etaText}` : ''}`;
+    }
+
     applyDownloadsPopupRowDownloadState(row, tracked) {
         if (!row) return;
         const isDownloading = !!tracked;
@@ -22375,14 +23719,10 @@ class AxisBrowser {
         const progressPct = hasProgress
             ? Math.max(0, Math.min(100, Math.round((receivedBytes / totalBytes) * 100)))
             : null;
-        const etaSeconds = isDownloading && Number.isFinite(Number(tracked?.etaSeconds))
-            ? Number(tracked.etaSeconds)
-            : null;
-        const etaText = etaSeconds != null
-            ? (etaSeconds >= 60 ? `${Math.ceil(etaSeconds / 60)} min left` : `${Math.max(1, etaSeconds)} sec left`)
-            : '';
+        const isStalled = isDownloading && (tracked.state === 'paused' || tracked.state === 'interrupted');
 
         row.classList.toggle('is-downloading', isDownloading);
+        row.classList.toggle('is-download-stalled', isStalled);
         if (isDownloading) {
             delete row.dataset.axisDownloadCancelled;
         }
@@ -22391,9 +23731,7 @@ class AxisBrowser {
             if (!isDownloading && row.dataset.axisDownloadCancelled === '1') {
                 timeEl.textContent = 'Download cancelled';
             } else if (isDownloading) {
-                timeEl.textContent = hasProgress
-                    ? `Downloading • ${progressPct}%${etaText ? ` • ${etaText}` : ''}`
-                    : `Downloading…${etaText ? ` • ${etaText}` : ''}`;
+                timeEl.textContent = this.downloadsPopupTrackedMetaText(tracked);
             } else {
                 timeEl.textContent = row.dataset.downloadBaseMeta || '';
             }
@@ -22408,9 +23746,9 @@ class AxisBrowser {
                 const info = row.querySelector('.downloads-popup-info');
                 if (info) info.appendChild(progressEl);
             }
-            progressEl.classList.toggle('indeterminate', !hasProgress);
+            progressEl.classList.toggle('indeterminate', !hasProgress && !isStalled);
             const fill = progressEl.querySelector('.downloads-popup-progress-fill');
-            if (fill) fill.style.width = `${hasProgress ? progressPct : 28}%`;
+            if (fill) fill.style.width = `${hasProgress ? progressPct : isStalled ? 0 : 28}%`;
         } else if (progressEl) {
             progressEl.remove();
         }
@@ -22419,25 +23757,16 @@ class AxisBrowser {
         const existingSide = row.querySelector('.downloads-popup-row-action');
         if (isDownloading && tracked && Number(tracked.axisId) > 0) {
             const aid = Number(tracked.axisId);
+            const stateKey = `${tracked.state || 'progressing'}:${tracked.canResume ? 1 : 0}`;
             const needNew =
                 !existingSide ||
-                !existingSide.classList.contains('downloads-popup-cancel-download') ||
-                Number(existingSide.dataset.axisDownloadId) !== aid;
+                !existingSide.classList.contains('downloads-popup-download-controls') ||
+                Number(existingSide.dataset.axisDownloadId) !== aid ||
+                existingSide.dataset.downloadState !== stateKey;
             if (needNew) {
-                const btn = document.createElement('button');
-                btn.type = 'button';
-                btn.className = 'downloads-popup-row-action downloads-popup-cancel-download';
-                btn.title = 'Cancel download';
-                btn.dataset.axisDownloadId = String(aid);
-                btn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
-                btn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const id = Number(btn.dataset.axisDownloadId);
-                    const itemRow = btn.closest('.downloads-popup-item');
-                    this.onDownloadsPopupCancelRequested(id, itemRow);
-                });
-                if (existingSide) existingSide.replaceWith(btn);
-                else row.appendChild(btn);
+                const controls = this.buildDownloadsPopupDownloadControls(tracked);
+                if (existingSide) existingSide.replaceWith(controls);
+                else row.appendChild(controls);
             }
         } else {
             const needFolder =
@@ -22467,6 +23796,7 @@ class AxisBrowser {
         // Load recent files from system Downloads folder
         let downloads = [];
         let activeDownloads = [];
+        let heldDownloads = [];
         try {
             downloads = await window.electronAPI.getDownloadsFromFolder() || [];
         } catch (error) {
@@ -22477,11 +23807,41 @@ class AxisBrowser {
         } catch (_) {
             activeDownloads = [];
         }
+        try {
+            heldDownloads = await window.electronAPI.getHeldDownloads?.() || [];
+        } catch (_) {
+            heldDownloads = [];
+        }
+
+        // Paused / failed downloads may have no file in the Downloads folder yet; list them first.
+        const folderKeys = new Set();
+        downloads.forEach((item) => {
+            if (typeof item.path === 'string') folderKeys.add(item.path.trim().toLowerCase());
+            const n = this.normalizeDownloadDisplayName(item.name || item.path || '');
+            if (n) folderKeys.add(n);
+        });
+        const unlisted = activeDownloads.filter((d) => {
+            if (!d || !(Number(d.axisId) > 0)) return false;
+            const p = typeof d.path === 'string' ? d.path.trim().toLowerCase() : '';
+            const n = this.normalizeDownloadDisplayName(d.filename || d.path || '');
+            return !(p && folderKeys.has(p)) && !(n && folderKeys.has(n));
+        });
+        downloads = [
+            ...unlisted.map((d) => ({
+                name: d.filename || d.path || 'Download',
+                path: d.path || '',
+                size: Number(d.totalBytes) || 0,
+                mtime: new Date(d.startedAt || Date.now()),
+                rule: d.ruleLabel || ''
+            })),
+            ...downloads
+        ];
 
         // Clear current items
         list.innerHTML = '';
+        heldDownloads.forEach((held) => list.appendChild(this.buildDownloadsPopupHeldRow(held)));
 
-        if (!downloads.length) {
+        if (!downloads.length && !heldDownloads.length) {
             const empty = document.createElement('div');
             empty.className = 'downloads-popup-empty';
             empty.innerHTML = `
@@ -22515,34 +23875,14 @@ class AxisBrowser {
                 if (nameKey) seenNormNames.add(nameKey);
                 const tracked = activeByPath.get(pathKey) || activeByName.get(nameKey) || null;
                 const isDownloading = !!tracked;
-                const totalBytes = Number((tracked && tracked.size) || item.size || 0);
-                const receivedBytes = Number((tracked && tracked.receivedBytes) || 0);
-                const hasProgress = isDownloading && totalBytes > 0;
-                const progressPct = hasProgress
-                    ? Math.max(0, Math.min(100, Math.round((receivedBytes / totalBytes) * 100)))
-                    : null;
-                const etaSeconds = isDownloading && Number.isFinite(Number(tracked?.etaSeconds))
-                    ? Number(tracked.etaSeconds)
-                    : null;
-                const etaText = etaSeconds != null
-                    ? (etaSeconds >= 60 ? `${Math.ceil(etaSeconds / 60)} min left` : `${Math.max(1, etaSeconds)} sec left`)
-                    : '';
-                const metaText = isDownloading
-                    ? (hasProgress ? `Downloading • ${progressPct}%${etaText ? ` • ${etaText}` : ''}` : `Downloading…${etaText ? ` • ${etaText}` : ''}`)
-                    : `${this.formatFileSize(item.size || 0)} • ${this.formatTimeAgo(item.mtime)}`;
-                const progressMarkup = isDownloading
-                    ? `<div class="downloads-popup-progress ${hasProgress ? '' : 'indeterminate'}"><div class="downloads-popup-progress-fill" style="width:${hasProgress ? progressPct : 28}%;"></div></div>`
-                    : '';
+                const baseMeta = `${this.formatFileSize(item.size || 0)} • ${this.formatTimeAgo(item.mtime)}`;
+                const ruleLabel = tracked?.ruleLabel || item.rule || '';
 
                 const row = document.createElement('div');
-                row.className = `downloads-popup-item${isDownloading ? ' is-downloading' : ''}`;
+                row.className = 'downloads-popup-item';
                 row.dataset.downloadNameNorm = nameKey || '';
                 row.dataset.downloadPath = item.path || '';
-                row.dataset.downloadBaseMeta = `${this.formatFileSize(item.size || 0)} • ${this.formatTimeAgo(item.mtime)}`;
-                const sideBtnHtml =
-                    isDownloading && tracked && Number(tracked.axisId) > 0
-                        ? `<button type="button" class="downloads-popup-row-action downloads-popup-cancel-download" title="Cancel download" data-axis-download-id="${tracked.axisId}"><i class="fas fa-times" aria-hidden="true"></i></button>`
-                        : `<button type="button" class="downloads-popup-row-action downloads-popup-show-folder" title="Show in Finder"><i class="fas fa-folder-open" aria-hidden="true"></i></button>`;
+                row.dataset.downloadBaseMeta = baseMeta;
                 row.innerHTML = `
                     <div class="downloads-popup-thumbnail ${this.escapeHtml(fileType)}">
                         ${this.getDownloadPopupThumbnailLoadingMarkup()}
@@ -22552,12 +23892,17 @@ class AxisBrowser {
                             ${this.escapeHtml(fileName)}
                         </div>
                         <div class="downloads-popup-time">
-                            ${this.escapeHtml(metaText)}
+                            ${this.escapeHtml(baseMeta)}
                         </div>
-                        ${progressMarkup}
+                        ${
+                            ruleLabel
+                                ? `<div class="downloads-popup-rule" title="Download rule"><i class="fas fa-route" aria-hidden="true"></i>${this.escapeHtml(ruleLabel)}</div>`
+                                : ''
+                        }
                     </div>
-                    ${sideBtnHtml}
+                    <button type="button" class="downloads-popup-row-action downloads-popup-show-folder" title="Show in Finder"><i class="fas fa-folder-open" aria-hidden="true"></i></button>
                 `;
+                if (tracked) this.applyDownloadsPopupRowDownloadState(row, tracked);
 
                 row.draggable = true;
                 row.addEventListener('dragstart', (e) => {
@@ -22579,15 +23924,8 @@ class AxisBrowser {
                     }
                 });
 
-                const sideBtn = row.querySelector('.downloads-popup-row-action');
-                sideBtn?.addEventListener('click', (e) => {
+                row.querySelector('.downloads-popup-show-folder')?.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    if (sideBtn.classList.contains('downloads-popup-cancel-download')) {
-                        const aid = Number(sideBtn.dataset.axisDownloadId);
-                        const itemRow = sideBtn.closest('.downloads-popup-item');
-                        this.onDownloadsPopupCancelRequested(aid, itemRow);
-                        return;
-                    }
                     if (item.path) {
                         window.electronAPI.showItemInFolder(item.path);
                     }
@@ -22930,10 +24268,18 @@ class AxisBrowser {
                     <div class="extensions-menu-name">${browser.escapeHtml(ext.name || 'Extension')}</div>
                     <div class="extensions-menu-meta">${browser.escapeHtml(meta)}</div>
                 </div>
+                <button type="button" class="extensions-menu-pin${ext.pinned ? ' extensions-menu-pin-on' : ''}" title="${ext.pinned ? 'Unpin from toolbar' : 'Pin to toolbar'}" aria-label="${ext.pinned ? 'Unpin from toolbar' : 'Pin to toolbar'}" aria-pressed="${ext.pinned ? 'true' : 'false'}">
+                    <i class="fas fa-thumbtack" aria-hidden="true"></i>
+                </button>
                 <button type="button" class="extensions-menu-remove" title="Remove extension" aria-label="Remove extension">
                     <i class="fas fa-trash-alt" aria-hidden="true"></i>
                 </button>
             `;
+            row.querySelector('.extensions-menu-pin').addEventListener('click', (ev) => {
+                ev.preventDefault();
+                ev.stopPropagation();
+                void browser.setExtensionPinned(ext.id, !ext.pinned);
+            });
             const removeBtn = row.querySelector('.extensions-menu-remove');
             removeBtn.addEventListener('click', async (ev) => {
                 ev.preventDefault();
@@ -22970,6 +24316,82 @@ class AxisBrowser {
         }
     }
 
+    /** Coalesces URL bar extension refreshes (tab switches, `chrome.action` updates, pinning). */
+    scheduleExtensionToolbarRefresh() {
+        if (this._extensionToolbarRefreshQueued) return;
+        this._extensionToolbarRefreshQueued = true;
+        requestAnimationFrame(() => {
+            this._extensionToolbarRefreshQueued = false;
+            void this.refreshExtensionToolbar();
+        });
+    }
+
+    _activeTabGuestWebContentsId() {
+        const id = this._normalizeTabMapKey(this.currentTab);
+        return id != null ? this._tabGuestWebContentsId(this.tabs.get(id)) : 0;
+    }
+
+    /** Pinned extensions next to the URL bar, with the badge / icon / title for the active tab. */
+    async refreshExtensionToolbar() {
+        const bar = document.getElementById('url-bar-extension-actions');
+        if (!bar) return;
+        if (this.isIncognitoWindow) {
+            bar.classList.add('hidden');
+            return;
+        }
+        const seq = (this._extensionToolbarSeq = (this._extensionToolbarSeq || 0) + 1);
+        let items = [];
+        try {
+            items = await window.electronAPI.getExtensionToolbar(this._activeTabGuestWebContentsId());
+        } catch (_) {}
+        if (seq !== this._extensionToolbarSeq) return;
+        const pinned = (Array.isArray(items) ? items : []).filter((ext) => ext.pinned && ext.enabled);
+        bar.innerHTML = '';
+        bar.classList.toggle('hidden', pinned.length === 0);
+        for (const ext of pinned) bar.appendChild(this.buildExtensionToolbarButton(ext));
+    }
+
+    buildExtensionToolbarButton(ext) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        const usable = ext.loaded && ext.actionEnabled;
+        btn.className = `url-bar-btn url-bar-action-btn url-bar-extension-btn${usable ? '' : ' url-bar-extension-btn-disabled'}`;
+        btn.title = ext.title || ext.name || 'Extension';
+        btn.setAttribute('aria-label', btn.title);
+        const initial = (ext.name || 'E').trim().charAt(0).toUpperCase();
+        btn.innerHTML = ext.iconUrl
+            ? `<img class="url-bar-extension-icon" src="${this.escapeHtml(ext.iconUrl)}" alt="">`
+            : `<span class="url-bar-extension-icon url-bar-extension-icon-fallback" aria-hidden="true">${this.escapeHtml(initial)}</span>`;
+        if (ext.badgeText) {
+            const badge = document.createElement('span');
+            badge.className = 'url-bar-extension-badge';
+            badge.textContent = ext.badgeText.slice(0, 4);
+            badge.style.background = ext.badgeColor;
+            btn.appendChild(badge);
+        }
+        btn.addEventListener('click', async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (!ext.actionEnabled) return;
+            try {
+                await window.electronAPI.clickExtensionAction(ext.id, this._activeTabGuestWebContentsId());
+            } catch (err) {
+                this.showNotification?.(err && err.message ? err.message : 'Could not open extension.', 'error');
+            }
+        });
+        return btn;
+    }
+
+    async setExtensionPinned(id, pinned) {
+        try {
+            await window.electronAPI.setExtensionPinned(id, pinned);
+        } catch (err) {
+            this.showNotification?.(err && err.message ? err.message : 'Could not update extension.', 'error');
+            return;
+        }
+        await this.populateExtensionsMenu();
+    }
+
     async populateDownloadsMediaOnly(locationKey = 'desktop') {
         const downloadsList = document.getElementById('downloads-list');
         const { baseDir, items } = await this.getLibraryItems(locationKey);
@@ -23830,6 +25252,7 @@ class AxisBrowser {
                 document.querySelectorAll('.tab-group.drag-over-tab-group').forEach(el => el.classList.remove('drag-over-tab-group'));
                 if (drag.container && drag.scrollLock !== undefined) drag.container.style.overflow = drag.scrollLock;
             }
+            clearSplitDropTarget();
 
             document.removeEventListener('mousemove', onMove);
             document.removeEventListener('mouseup', onUp);
@@ -24278,6 +25701,20 @@ class AxisBrowser {
                 drag.previewBox = null;
             }
         };
+
+        /** Tab dragged over the page: highlight the edge a drop would split on (see `splitTabAtEdge`). */
+        const updateSplitDropTarget = (mouseX, mouseY) => {
+            if (!drag || drag.type !== 'tab') return;
+            document.body.classList.add('tab-split-dragging');
+            drag.splitDropEdge = this._splitDropEdgeAt(mouseX, mouseY, drag.element?.dataset.tabId);
+            this._showSplitDropZone(drag.splitDropEdge);
+        };
+
+        const clearSplitDropTarget = () => {
+            if (drag) drag.splitDropEdge = null;
+            document.body.classList.remove('tab-split-dragging');
+            this._showSplitDropZone(null);
+        };
         
         const isInSidebarArea = (mouseX) => {
             const sidebar = document.getElementById('sidebar');
@@ -24347,6 +25784,7 @@ class AxisBrowser {
                     drag.previewBox.style.opacity = '1';
                     drag.previewBox.style.transform = 'scale(1)';
                 }
+                updateSplitDropTarget(mouseX, mouseY);
                 return;
             }
             
@@ -24370,6 +25808,7 @@ class AxisBrowser {
                         clearPinnedUnpinnedBandTransforms();
                     }
                     drag.isHorizontalDrag = false;
+                    clearSplitDropTarget();
                     recaptureDragPositions();
                 } else {
                     if (drag.previewBox) {
@@ -24381,6 +25820,7 @@ class AxisBrowser {
                         drag.previewBox.style.left = `${left}px`;
                         drag.previewBox.style.top = `${top}px`;
                     }
+                    updateSplitDropTarget(mouseX, mouseY);
                     return;
                 }
             }
@@ -24676,7 +26116,10 @@ class AxisBrowser {
             const dropIndex = drag.dropIndex != null ? drag.dropIndex : dragIndex;
             const dropInPinnedSection = !!drag.dropInPinnedSection;
             const fuPinAtDrop = drag.firstUnpinnedIndex;
-            const reorderNeeded = dropVirtualEnd || dropIndex !== dragIndex;
+            const splitDrop = type === 'tab' && drag.isHorizontalDrag && drag.splitDropEdge
+                ? { tabId: element?.dataset.tabId, edge: drag.splitDropEdge }
+                : null;
+            const reorderNeeded = !splitDrop && (dropVirtualEnd || dropIndex !== dragIndex);
             const scrollLockToRestore = drag.scrollLock;
             isDragging = false;
             drag.active = false;
@@ -24687,6 +26130,10 @@ class AxisBrowser {
             restoreScroll();
 
             removePreviewBox();
+            clearSplitDropTarget();
+            if (splitDrop) {
+                requestAnimationFrame(() => this.splitTabAtEdge(splitDrop.tabId, splitDrop.edge));
+            }
             document.querySelectorAll('.tab-group.drag-over-tab-group').forEach(el => el.classList.remove('drag-over-tab-group'));
 
             document.removeEventListener('mousemove', onMove);
@@ -25304,9 +26751,17 @@ class AxisBrowser {
             if (!webview) return;
             const url = webview.getURL();
             const title = webview.getTitle();
+            const transition = webview.__axisHistoryTransition || 'link';
+            webview.__axisHistoryTransition = null;
             
             // Don't track certain URLs
-            if (!url || url === 'about:blank' || url.startsWith('data:') || url.startsWith('chrome-extension:')) {
+            if (
+                !url ||
+                url === 'about:blank' ||
+                url.startsWith('data:') ||
+                url.startsWith('chrome-extension:') ||
+                url.startsWith('axis-reader:')
+            ) {
                 return;
             }
             
@@ -25322,7 +26777,8 @@ class AxisBrowser {
             await window.electronAPI.addHistoryItem({
                 url: url,
                 title: title || url,
-                favicon: favicon
+                favicon: favicon,
+                transition
             });
             this._ntpFetchCache?.delete('recent:history');
             this._refreshNtpWidgetsByType('recent');
@@ -25399,7 +26855,7 @@ class AxisBrowser {
         } catch (_) {
             return;
         }
-        if (!pageUrl || pageUrl.startsWith('about:') || pageUrl.startsWith('axis:') || pageUrl.startsWith('data:')) {
+        if (!pageUrl || /^(?:about|axis|axis-reader|data):/.test(pageUrl)) {
             this.applyUrlBarSecurityState({ state: 'local' });
             return;
         }
@@ -25764,14 +27220,19 @@ class AxisBrowser {
                 return;
             }
 
-            const searchUrl = this.sanitizeUrl(query) || this.getSearchUrl(query, selectedEngine);
+            const keywordQuery = selectedEngine ? null : this.resolveSearchEngineKeywordQuery(query);
+            const searchUrl = keywordQuery
+                ? this.getSearchUrl(keywordQuery.query, keywordQuery.engineId)
+                : selectedEngine
+                  ? this.getSearchUrl(query, selectedEngine)
+                  : this.sanitizeUrl(query) || this.getSearchUrl(query);
 
             const tab = this.currentTab != null ? this.tabs.get(this.currentTab) : null;
             const onNewTabPage = tab && tab.url === this.NEWTAB_URL;
             if (onNewTabPage) {
-                this.navigate(searchUrl);
+                this.navigate(searchUrl, { transition: 'typed' });
             } else {
-                this.createNewTab(searchUrl);
+                this.createNewTab(searchUrl, { transition: 'typed' });
             }
         }
     }
@@ -25835,6 +27296,24 @@ class AxisBrowser {
         return domainPattern.test(str) && !str.includes(' ');
     }
 
+    /**
+     * Completions from the active engine's suggestion URL when it has one, otherwise Google's.
+     * Fetched through the main process: the shell CSP only allows known hosts.
+     */
+    async fetchSearchSuggestions(query) {
+        const engine = this.getSearchEngine();
+        const api = this._searchEnginesApi();
+        const suggestUrl = api && engine ? api.buildSuggestUrl(engine, query) : null;
+        if (!suggestUrl) return this.fetchGoogleSuggestions(query);
+        if (!query || query.length < 2 || !window.electronAPI?.fetchText) return { searches: [], websites: [] };
+        const res = await window.electronAPI.fetchText(suggestUrl);
+        const lowerQ = query.toLowerCase();
+        const searches = res?.ok
+            ? api.parseSuggestResponse(res.text).filter((s) => s.toLowerCase() !== lowerQ)
+            : [];
+        return { searches, websites: [] };
+    }
+
     async fetchGoogleSuggestions(query) {
         if (!query || query.length < 2) {
             return [];
@@ -26058,7 +27537,7 @@ class AxisBrowser {
         // Prioritize Google suggestions when there's a query
         if (query.length > 0) {
             try {
-                const googleResults = await this.fetchGoogleSuggestions(query);
+                const googleResults = await this.fetchSearchSuggestions(query);
                 
                 // Add website recommendations first (they're more actionable)
                 if (googleResults.websites && googleResults.websites.length > 0) {
@@ -26090,7 +27569,7 @@ class AxisBrowser {
                     });
                 }
             } catch (error) {
-                console.error('Error fetching Google suggestions:', error);
+                console.error('Error fetching search suggestions:', error);
             }
         }
         
@@ -26116,16 +27595,18 @@ class AxisBrowser {
             });
         }
         
-        // Add recent history if we need more suggestions
-        if (suggestions.length < maxSuggestions && this.settings.history && this.settings.history.length > 0) {
+        // Add history matches if we need more suggestions (main ranks them by frecency)
+        let historyMatches = [];
+        if (suggestions.length < maxSuggestions && !this.isIncognitoWindow) {
+            try {
+                historyMatches =
+                    (await window.electronAPI?.getHistorySuggestions?.(query, maxSuggestions * 2)) || [];
+            } catch (_) {}
+        }
+        if (suggestions.length < maxSuggestions && historyMatches.length > 0) {
             const remainingSlots = maxSuggestions - suggestions.length;
-            const recentHistory = this.settings.history
-                .filter(item => 
-                    !isOpenTabUrl(item.url) &&
-                    (query.length === 0 ||
-                    item.title.toLowerCase().includes(lowerQuery) || 
-                    item.url.toLowerCase().includes(lowerQuery))
-                )
+            const recentHistory = historyMatches
+                .filter(item => item.url && !isOpenTabUrl(item.url))
                 .slice(0, remainingSlots)
                 .map(item => {
                     let icon = 'fas fa-lightbulb';
@@ -26152,7 +27633,7 @@ class AxisBrowser {
                     }
                     
                     return {
-                        text: item.title,
+                        text: item.title || item.url,
                         icon: icon,
                         url: item.url,
                         isHistory: true,
@@ -26855,89 +28336,117 @@ class AxisBrowser {
         return suggestions.slice(0, maxSuggestions);
     }
 
+    _searchEnginesApi() {
+        return typeof AxisSearchEngines !== 'undefined' ? AxisSearchEngines : null;
+    }
+
+    /** Built-in engines followed by the profile's `customSearchEngines`. */
+    getSearchEngines() {
+        const api = this._searchEnginesApi();
+        return api ? api.listEngines(this.settings?.customSearchEngines) : [];
+    }
+
+    /** Engine record for an id; unknown or deleted ids resolve to the default engine. */
+    getSearchEngine(engineId = null) {
+        const api = this._searchEnginesApi();
+        if (!api) return null;
+        const id = engineId || this.selectedSearchEngine || this.settings?.searchEngine || api.DEFAULT_ENGINE_ID;
+        return api.resolveEngine(this.settings?.customSearchEngines, id);
+    }
+
     getSearchUrl(query, engine = null) {
-        const searchEngine = engine || this.selectedSearchEngine || this.settings?.searchEngine || 'google';
-        const encodedQuery = encodeURIComponent(query);
-        
-        switch (searchEngine) {
-            case 'bing':
-                return `https://www.bing.com/search?q=${encodedQuery}`;
-            case 'duckduckgo':
-                // Use HTML version for better webview compatibility
-                return `https://html.duckduckgo.com/html/?q=${encodedQuery}`;
-            case 'youtube':
-                return `https://www.youtube.com/results?search_query=${encodedQuery}`;
-            case 'yahoo':
-                return `https://search.yahoo.com/search?p=${encodedQuery}`;
-            case 'yandex':
-                return `https://yandex.com/search/?text=${encodedQuery}`;
-            case 'wikipedia':
-                return `https://en.wikipedia.org/wiki/Special:Search?search=${encodedQuery}`;
-            case 'reddit':
-                return `https://www.reddit.com/search/?q=${encodedQuery}`;
-            case 'github':
-                return `https://github.com/search?q=${encodedQuery}`;
-            case 'amazon':
-                return `https://www.amazon.com/s?k=${encodedQuery}`;
-            case 'twitter':
-                return `https://twitter.com/search?q=${encodedQuery}`;
-            case 'instagram':
-                return `https://www.instagram.com/explore/tags/${encodedQuery}/`;
-            case 'facebook':
-                return `https://www.facebook.com/search/top/?q=${encodedQuery}`;
-            case 'google':
-            default:
-                return `https://www.google.com/search?q=${encodedQuery}`;
+        const api = this._searchEnginesApi();
+        const searchEngine = this.getSearchEngine(engine);
+        if (!api || !searchEngine) {
+            return `https://www.google.com/search?q=${encodeURIComponent(query)}`;
         }
+        return api.buildSearchUrl(searchEngine, query);
+    }
+
+    /**
+     * `keyword rest-of-query` typed without first pressing Tab. Only custom engines match here:
+     * built-in keywords are ordinary words ("amazon prime") people search for.
+     * @returns {{ engineId: string, query: string } | null}
+     */
+    resolveSearchEngineKeywordQuery(text) {
+        const api = this._searchEnginesApi();
+        const m = /^(\S+)\s+(\S.*)$/.exec(String(text || '').trim());
+        if (!api || !m) return null;
+        const engine = api.findEngineByKeyword(this.settings?.customSearchEngines, m[1]);
+        if (!engine || engine.builtin) return null;
+        return { engineId: engine.id, query: m[2] };
     }
 
     selectSearchEngine(engine, urlBar) {
-        this.selectedSearchEngine = engine;
-        const pill = document.getElementById('search-engine-pill');
-        const pillName = document.getElementById('search-engine-name');
-        
+        const record = this.getSearchEngine(engine);
+        if (!record || !urlBar) return;
+        if (this._searchEngineInput && this._searchEngineInput !== urlBar) this.clearSearchEngine();
+        this.selectedSearchEngine = record.id;
+        this._searchEngineInput = urlBar;
+        const pill = urlBar.parentElement?.querySelector('.search-engine-pill');
+        const pillName = pill?.querySelector('.search-engine-name');
+
         if (pill && pillName) {
-            // Format engine name for display with special cases
-            const displayNames = {
-                'google': 'Google',
-                'youtube': 'YouTube',
-                'bing': 'Bing',
-                'duckduckgo': 'DuckDuckGo',
-                'yahoo': 'Yahoo!',
-                'yandex': 'Yandex',
-                'wikipedia': 'Wikipedia',
-                'reddit': 'Reddit',
-                'github': 'GitHub',
-                'amazon': 'Amazon',
-                'twitter': 'Twitter',
-                'instagram': 'Instagram',
-                'facebook': 'Facebook'
-            };
-            const displayName = displayNames[engine] || engine.charAt(0).toUpperCase() + engine.slice(1);
-            pillName.textContent = displayName;
-            
+            pillName.textContent = record.name;
+
             // Remove all engine-specific classes
-            pill.className = 'search-engine-pill';
-            // Add engine-specific class for color coding
-            pill.classList.add(`search-engine-${engine}`);
+            pill.className = 'search-engine-pill search-engine-pill--inline';
+            // Add engine-specific class for color coding (custom engines share one style)
+            pill.classList.add(record.builtin ? `search-engine-${record.id}` : 'search-engine-custom');
             pill.classList.remove('hidden');
-            
-            urlBar.classList.add('has-search-engine');
-            // Update placeholder
-            urlBar.placeholder = 'Search...';
         }
+        urlBar.classList.add('has-search-engine');
+        if (urlBar.dataset.axisPlaceholder == null) urlBar.dataset.axisPlaceholder = urlBar.placeholder || '';
+        // Update placeholder
+        urlBar.placeholder = `Search ${record.name}…`;
     }
 
     clearSearchEngine() {
         this.selectedSearchEngine = null;
-        const pill = document.getElementById('search-engine-pill');
-        
-        if (pill) {
-            pill.classList.add('hidden');
+        document.querySelectorAll('.search-engine-pill').forEach((pill) => pill.classList.add('hidden'));
+        const input = this._searchEngineInput;
+        this._searchEngineInput = null;
+        if (input) {
+            input.classList.remove('has-search-engine');
+            if (input.dataset.axisPlaceholder != null) {
+                input.placeholder = input.dataset.axisPlaceholder;
+                delete input.dataset.axisPlaceholder;
+            }
         }
         this.hideSearchEngineSuggestion();
     }
 
+    /**
+     * Keyword mode keys shared by the new tab input and the URL bar: Tab after a keyword
+     * selects that engine, Backspace at the start of the field leaves it.
+     * @returns {boolean} true when the key was consumed.
+     */
+    handleSearchEngineKeywordKey(e, input) {
+        if (e.key === 'Tab' && !e.shiftKey && !this.selectedSearchEngine) {
+            const api = this._searchEnginesApi();
+            const engine = api?.findEngineByKeyword(this.settings?.customSearchEngines, input.value);
+            if (!engine) return false;
+            e.preventDefault();
+            this.selectSearchEngine(engine.id, input);
+            input.value = '';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            return true;
+        }
+        if (
+            e.key === 'Backspace' &&
+            this.selectedSearchEngine &&
+            this._searchEngineInput === input &&
+            input.selectionStart === 0 &&
+            input.selectionEnd === 0
+        ) {
+            e.preventDefault();
+            this.clearSearchEngine();
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            return true;
+        }
+        return false;
+    }
+
     showSearchEngineSuggestion(engine) {
         const suggestion = document.getElementById('search-engine-suggestion');
         const suggestionText = document.getElementById('search-engine-suggestion-text');
@@ -26947,22 +28456,7 @@ class AxisBrowser {
             return;
         }
         
-        const displayNames = {
-            'google': 'Google',
-            'youtube': 'YouTube',
-            'bing': 'Bing',
-            'duckduckgo': 'DuckDuckGo',
-            'yahoo': 'Yahoo!',
-            'yandex': 'Yandex',
-            'wikipedia': 'Wikipedia',
-            'reddit': 'Reddit',
-            'github': 'GitHub',
-            'amazon': 'Amazon',
-            'twitter': 'Twitter',
-            'instagram': 'Instagram',
-            'facebook': 'Facebook'
-        };
-        const displayName = displayNames[engine] || engine.charAt(0).toUpperCase() + engine.slice(1);
+        const displayName = this.getSearchEngine(engine)?.name || engine;
         suggestionText.textContent = `Search ${displayName}!`;
         suggestion.classList.remove('hidden');
     }
@@ -26976,11 +28470,93 @@ class AxisBrowser {
 
     isSearchEngineShortcut(value) {
         const word = value.toLowerCase().trim();
-        if (!this.searchEngineWords) return false;
-        // Check if the word matches the beginning of any search engine word
-        return this.searchEngineWords.some(engineWord => 
-            engineWord.startsWith(word) && word.length > 0
-        );
+        if (!word) return false;
+        // Check if the word matches the beginning of any search engine keyword
+        return this.getSearchEngines().some((engine) => engine.keyword && engine.keyword.startsWith(word));
+    }
+
+    /**
+     * Looks for `<link rel="search" type="application/opensearchdescription+xml">` on a loaded
+     * page and remembers the engine it describes on the webview; the URL bar then offers it.
+     */
+    async detectOpenSearchEngine(webview, pageUrl) {
+        if (!webview || this.isIncognitoWindow || !/^https?:/i.test(pageUrl || '')) return;
+        webview.__axisOpenSearch = null;
+        const api = this._searchEnginesApi();
+        if (!api || typeof DOMParser === 'undefined') return;
+        let descriptionUrl = '';
+        try {
+            descriptionUrl = await webview.executeJavaScript(
+                `(() => {
+                    const link = document.querySelector('link[rel~="search" i][type="application/opensearchdescription+xml" i][href]');
+                    return link ? link.href : '';
+                })()`
+            );
+        } catch (_) {
+            return;
+        }
+        if (!/^https?:/i.test(descriptionUrl || '')) return;
+        let engine = this._openSearchDescriptionCache.get(descriptionUrl);
+        if (engine === undefined) {
+            engine = null;
+            const res = await window.electronAPI?.fetchText?.(descriptionUrl);
+            if (res?.ok) {
+                const doc = new DOMParser().parseFromString(res.text, 'application/xml');
+                engine = api.parseOpenSearchDescription(doc, descriptionUrl);
+            }
+            this._openSearchDescriptionCache.set(descriptionUrl, engine);
+        }
+        let currentUrl = '';
+        try {
+            currentUrl = webview.getURL() || '';
+        } catch (_) {}
+        if (!engine || currentUrl !== pageUrl) return;
+        webview.__axisOpenSearch = { pageUrl, engine };
+        if (webview === this.getActiveWebview()) this.syncSearchEngineOfferButton(pageUrl, webview);
+    }
+
+    /** An offered engine counts as added once any engine uses the same search URL. */
+    _isSearchEngineAlreadyAdded(engine) {
+        return this.getSearchEngines().some((e) => e.url === engine.url);
+    }
+
+    syncSearchEngineOfferButton(currentUrl = '', webview = null) {
+        const btn = this.elements?.urlBarSearchEngineAdd;
+        if (!btn) return;
+        const offer = webview?.__axisOpenSearch;
+        const show = !!(offer && currentUrl && offer.pageUrl === currentUrl && !this._isSearchEngineAlreadyAdded(offer.engine));
+        btn.classList.toggle('hidden', !show);
+        btn.setAttribute('aria-hidden', show ? 'false' : 'true');
+        if (show) btn.title = `Add “${offer.engine.name}” as a search engine`;
+    }
+
+    async addOfferedSearchEngine() {
+        const webview = this.getActiveWebview();
+        const offer = webview?.__axisOpenSearch;
+        const api = this._searchEnginesApi();
+        if (!offer || !api || this._isSearchEngineAlreadyAdded(offer.engine)) return;
+        let keyword = '';
+        try {
+            keyword = api.keywordForHost(new URL(offer.pageUrl).hostname);
+        } catch (_) {}
+        const existing = this.settings?.customSearchEngines;
+        if (keyword && api.findEngineByKeyword(existing, keyword)) keyword = '';
+        const prompt = keyword
+            ? `Add “${offer.engine.name}” as a search engine?\n\nType “${keyword}” then Tab in the address bar or new tab page to search it.`
+            : `Add “${offer.engine.name}” as a search engine?\n\nYou can give it a keyword in Settings → Search engines.`;
+        if (!window.confirm(prompt)) return;
+        const result = api.validateCustomEngine({ ...offer.engine, keyword }, existing);
+        if (!result.ok) {
+            window.alert(result.error);
+            return;
+        }
+        await this.saveSetting('customSearchEngines', [...api.normalizeCustomEngines(existing), result.engine]);
+        this._notifySettingsTabWebviewsStoreUpdated();
+        let currentUrl = '';
+        try {
+            currentUrl = webview.getURL() || '';
+        } catch (_) {}
+        this.syncSearchEngineOfferButton(currentUrl, webview);
     }
 
     /** True for http:// URLs that are not loopback (HTTPS-only mode prompts for these). */
@@ -27689,16 +29265,33 @@ class AxisBrowser {
         document.getElementById('adblock-panel-site-btn')?.addEventListener('click', () => {
             void this.toggleAdBlockerSiteFromPanel();
         });
+        document.getElementById('adblock-panel-log-toggle')?.addEventListener('click', () => this.toggleAdblockRequestLog());
+        document.getElementById('adblock-panel-log-search')?.addEventListener('input', () => this.renderAdblockRequestLog());
+        document.getElementById('adblock-panel-log-outcome')?.addEventListener('change', () => this.renderAdblockRequestLog());
         window.addEventListener('resize', () => {
             const p = document.getElementById('adblock-panel');
             if (p && !p.classList.contains('hidden')) this.positionAdblockPanel();
             const sp = document.getElementById('security-panel');
             if (sp && !sp.classList.contains('hidden')) this.positionSecurityPanel();
+            const pp = document.getElementById('permission-prompt');
+            if (pp && !pp.classList.contains('hidden')) this.positionPermissionPrompt();
         });
         window.electronAPI?.onAdblockStatsUpdated?.(() => {
             void this.refreshAdblockPanel();
         });
 
+        window.electronAPI?.onPermissionPrompt?.((prompt) => this.enqueuePermissionPrompt(prompt));
+        window.electronAPI?.onPermissionPromptCancelled?.((payload) => this.dropPermissionPrompts(payload?.ids));
+        document.getElementById('permission-prompt-block')?.addEventListener('click', () => {
+            void this.answerPermissionPrompt('block');
+        });
+        document.getElementById('permission-prompt-once')?.addEventListener('click', () => {
+            void this.answerPermissionPrompt('once');
+        });
+        document.getElementById('permission-prompt-always')?.addEventListener('click', () => {
+            void this.answerPermissionPrompt('always');
+        });
+
         if (el.urlBarExtensions) {
             el.urlBarExtensions.addEventListener('click', (event) => {
                 event.preventDefault();
@@ -27732,6 +29325,13 @@ class AxisBrowser {
                 await this.installExtensionFromStoreListingUrl(listingUrl, el.urlBarCwsInstall);
             });
         }
+        if (el.urlBarSearchEngineAdd) {
+            el.urlBarSearchEngineAdd.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                void this.addOfferedSearchEngine();
+            });
+        }
         if (el.axisStoreInstallHostBtn) {
             el.axisStoreInstallHostBtn.addEventListener('click', async (event) => {
                 event.preventDefault();
@@ -27754,6 +29354,14 @@ class AxisBrowser {
             });
         }
 
+        if (el.urlBarReader) {
+            el.urlBarReader.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                void this.toggleReaderMode();
+            });
+        }
+
         // Copy URL button
         if (el.urlBarCopy) {
             el.urlBarCopy.addEventListener('click', async () => {
@@ -27826,14 +29434,23 @@ class AxisBrowser {
 
                 el.urlBarInput.addEventListener('blur', () => {
                     exitEditMode();
+                    if (this._searchEngineInput === el.urlBarInput) this.clearSearchEngine();
                 });
                 
                 el.urlBarInput.addEventListener('keydown', (e) => {
+                    if (this.handleSearchEngineKeywordKey(e, el.urlBarInput)) return;
                     if (e.key === 'Enter') {
                         e.preventDefault();
                         const url = el.urlBarInput.value.trim();
-                        if (url) {
-                            this.navigate(url);
+                        const keywordQuery = this.selectedSearchEngine
+                            ? { engineId: this.selectedSearchEngine, query: url }
+                            : this.resolveSearchEngineKeywordQuery(url);
+                        if (keywordQuery && keywordQuery.query) {
+                            this.navigate(this.getSearchUrl(keywordQuery.query, keywordQuery.engineId), {
+                                transition: 'typed'
+                            });
+                        } else if (url) {
+                            this.navigate(url, { transition: 'typed' });
                         }
                         el.urlBarInput.blur();
                     } else if (e.key === 'Escape') {
@@ -27970,10 +29587,12 @@ class AxisBrowser {
             if (el.urlBarDisplay) el.urlBarDisplay.textContent = '';
             if (el.urlBarBack) el.urlBarBack.disabled = true;
             if (el.urlBarForward) el.urlBarForward.disabled = true;
+            this._syncUrlBarReaderButton();
             if (el.urlBarCwsInstall) {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             return;
         }
 
@@ -27984,10 +29603,12 @@ class AxisBrowser {
             if (el.urlBarDisplay) el.urlBarDisplay.textContent = 'Settings';
             if (el.urlBarBack) el.urlBarBack.disabled = !settingsWv || !settingsWv.canGoBack();
             if (el.urlBarForward) el.urlBarForward.disabled = !settingsWv || !settingsWv.canGoForward();
+            this._syncUrlBarReaderButton();
             if (el.urlBarCwsInstall) {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             this.updateExtensionStoreHostBar('');
             return;
         }
@@ -28004,6 +29625,13 @@ class AxisBrowser {
             pageTitle = webview.getTitle() || '';
         } catch (_) {}
 
+        const readerSource = this._readerSourceUrl(webview);
+        if (readerSource) {
+            this._showReaderUrlBar(webview, readerSource);
+            return;
+        }
+        this._syncUrlBarReaderButton(currentUrl);
+
         const isSpecialPage =
             currentUrl &&
             (currentUrl.startsWith('chrome://') ||
@@ -28028,6 +29656,7 @@ class AxisBrowser {
         if (el.urlBarForward) el.urlBarForward.disabled = !webview.canGoForward();
 
         void this.refreshExtensionStoreListingUi(currentUrl);
+        this.syncSearchEngineOfferButton(currentUrl, webview);
 
         if (el.urlBarInput) el.urlBarInput.value = currentUrl;
 
@@ -28077,11 +29706,6 @@ class AxisBrowser {
     // Update the URL bar display and theme
     // opts.skipExtractTheme: when true, do not run extractUrlBarTheme (caller will await it — avoids races on rapid settings toggles)
     updateUrlBar(webview, opts = {}) {
-        if (this.splitView) {
-            this.updateSplitPanesUrlBars();
-            this._maybeRenderFavoritesForActiveTab();
-            return;
-        }
         const el = this.elements;
         if (!el || !el.webviewUrlBar) {
             this._maybeRenderFavoritesForActiveTab();
@@ -28100,10 +29724,12 @@ class AxisBrowser {
             if (el.urlBarDisplay) el.urlBarDisplay.textContent = '';
             if (el.urlBarBack) el.urlBarBack.disabled = true;
             if (el.urlBarForward) el.urlBarForward.disabled = true;
+            this._syncUrlBarReaderButton();
             if (el.urlBarCwsInstall) {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             this._releaseUrlBarInstantThemeAfterTabSwitchIfNeeded();
             this._persistUrlBarChromeToTab(this.currentTab);
             return;
@@ -28122,10 +29748,12 @@ class AxisBrowser {
             if (el.urlBarForward) {
                 el.urlBarForward.disabled = !settingsWv || !settingsWv.canGoForward();
             }
+            this._syncUrlBarReaderButton();
             if (el.urlBarCwsInstall) {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             this.updateExtensionStoreHostBar('');
             this._releaseUrlBarInstantThemeAfterTabSwitchIfNeeded();
             this._persistUrlBarChromeToTab(this.currentTab);
@@ -28148,6 +29776,7 @@ class AxisBrowser {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             this._releaseUrlBarInstantThemeAfterTabSwitchIfNeeded();
             return;
         }
@@ -28163,6 +29792,19 @@ class AxisBrowser {
             currentUrl = '';
         }
         
+        const readerSource = this._readerSourceUrl(webview);
+        if (readerSource) {
+            this._setUrlBarInternalShellMode(null);
+            this._showReaderUrlBar(webview, readerSource);
+            if (!opts.skipExtractTheme) {
+                this.applyAppThemeToUrlBar();
+            } else if (!opts.keepInstantTheme) {
+                this._releaseUrlBarInstantThemeAfterTabSwitchIfNeeded();
+            }
+            return;
+        }
+        this._syncUrlBarReaderButton(currentUrl);
+
         // Check if we have a valid website loaded
         // Only hide for confirmed special pages (not about:blank during loading)
         const isSpecialPage = currentUrl && (
@@ -28180,6 +29822,7 @@ class AxisBrowser {
                 el.urlBarCwsInstall.classList.add('hidden');
                 el.urlBarCwsInstall.setAttribute('aria-hidden', 'true');
             }
+            this.syncSearchEngineOfferButton();
             this.updateExtensionStoreHostBar('');
             this._releaseUrlBarInstantThemeAfterTabSwitchIfNeeded();
             return;
@@ -28204,6 +29847,7 @@ class AxisBrowser {
         }
 
         void this.refreshExtensionStoreListingUi(currentUrl);
+        this.syncSearchEngineOfferButton(currentUrl, webview);
         
         // Update input field with current URL
         if (el.urlBarInput) {
@@ -29925,10 +31569,15 @@ class AxisBrowser {
             let login = null;
             let card = null;
             let address = null;
+            let otp = null;
             const visit = async (frame) => {
                 if (!frame) return;
                 try {
                     const result = await frame.executeJavaScript(scanJs, false);
+                    if (!otp && result?.otp) {
+                        // Field rects are frame-relative; only the top frame's lines up with the webview.
+                        otp = frame.parent ? { ...result.otp, rect: null } : result.otp;
+                    }
                     if (!login && result?.login?.username && result.login.password) {
                         login = {
                             ...result.login,
@@ -29964,6 +31613,7 @@ class AxisBrowser {
                     if (result?.login?.username && result.login.password) login = result.login;
                     if (result?.card?.number && result.card.cardholder) card = result.card;
                     if (result?.address?.fullName && result.address.addressLine1) address = result.address;
+                    if (result?.otp) otp = result.otp;
                 }
             } catch (_) {}
             if (login) {
@@ -29974,10 +31624,36 @@ class AxisBrowser {
                 await this.handleVaultSaveOffer(webview, card);
                 return;
             }
-            if (address) await this.handleVaultSaveOffer(webview, address);
+            if (address) {
+                await this.handleVaultSaveOffer(webview, address);
+                return;
+            }
+            if (otp) await this.offerVaultOneTimeCode(webview, otp);
         } catch (_) {}
     }
 
+    /** A 2FA prompt on a site with a stored TOTP key: offer the current code once per page. */
+    async offerVaultOneTimeCode(webview, otp) {
+        if (!webview || !otp) return;
+        const pageUrl = otp.pageUrl || otp.origin || '';
+        if (webview.__axisVaultOtpOfferedUrl === pageUrl) return;
+        let items = [];
+        try {
+            const res = await window.electronAPI.vaultFillCandidates({
+                kind: 'otp',
+                origin: otp.origin || '',
+                pageUrl
+            });
+            items = res?.codes || [];
+        } catch (_) {
+            return;
+        }
+        if (!items.length) return;
+        webview.__axisVaultOtpOfferedUrl = pageUrl;
+        const rect = otp.rect || { left: 16, top: 0, bottom: 8, width: 240 };
+        this.showVaultAutofillPanel(webview, { ...otp, rect }, 'otp', items);
+    }
+
     startVaultCredentialWatcher() {
         if (this._vaultPollTimer) clearInterval(this._vaultPollTimer);
         this._vaultPollTimer = setInterval(() => {
@@ -30160,7 +31836,8 @@ class AxisBrowser {
                 kind,
                 origin: payload.origin || '',
                 pageUrl: payload.pageUrl || '',
-                usernameHint: payload.usernameHint || ''
+                usernameHint: payload.usernameHint || '',
+                newPassword: payload.newPassword === true
             });
             items =
                 kind === 'card'
@@ -30232,6 +31909,10 @@ class AxisBrowser {
                 } catch (_) {}
                 return;
             }
+            if (probe.generated) {
+                await this.stageVaultGeneratedLogin(webview, probe.generated);
+                return;
+            }
             const focus = probe.focus;
             if (!focus) return;
             const key = probe.focusKey || JSON.stringify(focus);
@@ -30249,6 +31930,22 @@ class AxisBrowser {
         } catch (_) {}
     }
 
+    /** Generated passwords are saved as soon as they are filled so a failed submit cannot lose them. */
+    async stageVaultGeneratedLogin(webview, generated) {
+        if (!generated?.password) return;
+        try {
+            // The page can write `generated`; main stages it for this guest's own origin.
+            const res = await window.electronAPI.vaultStageGeneratedLogin({
+                username: generated.username,
+                password: generated.password,
+                title: generated.title,
+                formKey: generated.formKey,
+                guestWebContentsId: webview.getWebContentsId()
+            });
+            if (res?.ok) this.showNotification('Strong password saved to your vault', 'success');
+        } catch (_) {}
+    }
+
     async tryOfferVaultSaveFromWebview(webview) {
         if (!webview) return false;
         if (!(await this.isVaultCredentialTypingIdle(webview))) return false;
@@ -30380,7 +32077,8 @@ class AxisBrowser {
                     kind,
                     origin: payload.origin || '',
                     pageUrl: payload.pageUrl || '',
-                    usernameHint: payload.usernameHint || ''
+                    usernameHint: payload.usernameHint || '',
+                    newPassword: payload.newPassword === true
                 });
                 if (!res?.ok) return;
                 items =
@@ -30416,7 +32114,25 @@ class AxisBrowser {
             btn.type = 'button';
             btn.className = 'vault-autofill-item';
             btn.setAttribute('role', 'option');
-            if (kind === 'login') {
+            if (kind === 'login' && row.generated) {
+                btn.innerHTML = `<span class="vault-autofill-item-title">${this.escapeHtml(row.title || 'Use strong password')}</span><span class="vault-autofill-item-sub">${this.escapeHtml(row.password || '')}</span>`;
+                btn.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.hideVaultAutofillPanel();
+                    try {
+                        webview.send('axis-vault-apply-generated', { password: row.password });
+                    } catch (_) {}
+                });
+            } else if (kind === 'otp') {
+                const code = String(row.code || '');
+                const spaced = code.length === 6 ? `${code.slice(0, 3)} ${code.slice(3)}` : code;
+                btn.innerHTML = `<span class="vault-autofill-item-title">${this.escapeHtml(spaced)} · ${this.escapeHtml(String(row.expiresIn || ''))}s</span><span class="vault-autofill-item-sub">${this.escapeHtml(row.username || row.title || '2FA code')}</span>`;
+                btn.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.hideVaultAutofillPanel();
+                    void this.applyVaultAutofillOneTimeCode(webview, row.id);
+                });
+            } else if (kind === 'login') {
                 btn.innerHTML = `<span class="vault-autofill-item-title">${this.escapeHtml(row.title || row.username || 'Saved login')}</span><span class="vault-autofill-item-sub">${this.escapeHtml(row.username || '')}</span>`;
                 btn.addEventListener('mousedown', (e) => {
                     e.preventDefault();
@@ -30459,6 +32175,15 @@ class AxisBrowser {
         } catch (_) {}
     }
 
+    async applyVaultAutofillOneTimeCode(webview, id) {
+        if (!webview || !id) return;
+        try {
+            // Fetch again — the code shown in the panel may have rolled over.
+            const res = await window.electronAPI.vaultTotpCode(id);
+            if (res?.ok && res.code) webview.send('axis-vault-apply-otp', { code: res.code });
+        } catch (_) {}
+    }
+
     async applyVaultAutofillCard(webview, id) {
         if (!webview || !id) return;
         try {
@@ -30491,6 +32216,11 @@ class AxisBrowser {
         if (!payload) return;
         webview = webview || this.getActiveWebview();
         const prechecked = !!payload.vaultSavePrechecked;
+        try {
+            // A password-locked vault cannot store anything until unlocked in Settings.
+            const status = await window.electronAPI.vaultStatus();
+            if (status?.locked) return;
+        } catch (_) {}
         const cred = { ...payload };
         delete cred.vaultSavePrechecked;
         if (cred.type !== 'card' && cred.type !== 'address' && !prechecked) {
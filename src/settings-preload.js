@@ -18,6 +18,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setSetting: (key, value) => ipcRenderer.invoke('set-setting', key, value),
   getSitePermissionOverrides: () => ipcRenderer.invoke('get-site-permission-overrides'),
   setSitePermissionOverrides: (obj) => ipcRenderer.invoke('set-site-permission-overrides', obj),
+  getSiteData: () => ipcRenderer.invoke('get-site-data'),
+  getSiteDataCookies: (host) => ipcRenderer.invoke('get-site-data-cookies', host),
+  deleteSiteDataCookie: (cookie) => ipcRenderer.invoke('delete-site-data-cookie', cookie),
+  clearSiteData: (site) => ipcRenderer.invoke('clear-site-data', site),
+  setSiteDataRule: (origin, rule) => ipcRenderer.invoke('set-site-data-rule', { origin, rule }),
   getSettingsEditingContext: () => ipcRenderer.invoke('get-settings-editing-context'),
   setSettingsEditingProfile: (profileId) =>
     ipcRenderer.invoke('set-settings-editing-profile', profileId),
@@ -31,9 +36,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('axis-search-weather-cities', query, limit),
   searchTickers: (query, limit) => ipcRenderer.invoke('axis-search-tickers', query, limit),
 
-  getHistory: () => ipcRenderer.invoke('get-history'),
+  getHistory: (options) => ipcRenderer.invoke('get-history', options),
+  getHistoryCount: (options) => ipcRenderer.invoke('get-history-count', options),
   clearHistory: () => ipcRenderer.invoke('clear-history'),
   deleteHistoryItem: (id) => ipcRenderer.invoke('delete-history-item', id),
+  deleteHistoryItems: (ids) => ipcRenderer.invoke('delete-history-items', ids),
+  deleteHistoryRange: (range) => ipcRenderer.invoke('delete-history-range', range),
+  deleteHistoryDomain: (domain) => ipcRenderer.invoke('delete-history-domain', domain),
+  clearBrowsingData: (request) => ipcRenderer.invoke('clear-browsing-data', request),
 
   getExtensions: () => ipcRenderer.invoke('get-extensions'),
   installExtension: () => ipcRenderer.invoke('install-extension'),
@@ -41,15 +51,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('install-extension-from-web-store', rawInput),
   installExtensionCrx: () => ipcRenderer.invoke('install-extension-crx'),
   setExtensionEnabled: (id, enabled) => ipcRenderer.invoke('set-extension-enabled', id, enabled),
+  setExtensionPinned: (id, pinned) => ipcRenderer.invoke('set-extension-pinned', id, pinned),
+  setExtensionSiteAccess: (id, access) => ipcRenderer.invoke('set-extension-site-access', id, access),
   removeExtension: (id) => ipcRenderer.invoke('remove-extension', id),
   openExtensionOptions: (id) => ipcRenderer.invoke('open-extension-options', id),
 
   vaultStatus: () => ipcRenderer.invoke('axis-vault-status'),
   vaultVerifyDevice: (reason) => ipcRenderer.invoke('axis-vault-verify-device', reason),
+  vaultUnlock: (password) => ipcRenderer.invoke('axis-vault-unlock', password),
+  vaultLock: () => ipcRenderer.invoke('axis-vault-lock'),
+  vaultSetAsideDamaged: () => ipcRenderer.invoke('axis-vault-set-aside-damaged'),
+  vaultSetMasterPassword: (payload) => ipcRenderer.invoke('axis-vault-set-master-password', payload),
+  vaultUseKeyring: (currentPassword) => ipcRenderer.invoke('axis-vault-use-keyring', currentPassword),
+  onVaultLockChanged: (callback) => {
+    const handler = (_event, data) => callback(data);
+    ipcRenderer.on('axis-vault-lock-changed', handler);
+    return () => ipcRenderer.removeListener('axis-vault-lock-changed', handler);
+  },
   vaultRevealLogin: (id) => ipcRenderer.invoke('axis-vault-reveal-login', id),
+  vaultTotpCode: (id) => ipcRenderer.invoke('axis-vault-totp-code', id),
   vaultRevealCard: (id) => ipcRenderer.invoke('axis-vault-reveal-card', id),
   vaultListLogins: () => ipcRenderer.invoke('axis-vault-list-logins'),
   vaultGetLogin: (id) => ipcRenderer.invoke('axis-vault-get-login', id),
+  vaultHealthReport: () => ipcRenderer.invoke('axis-vault-health-report'),
+  vaultImportFilePreview: () => ipcRenderer.invoke('axis-vault-import-file-preview'),
+  vaultImportFileCommit: (payload) => ipcRenderer.invoke('axis-vault-import-file-commit', payload),
+  vaultExportFile: (format) => ipcRenderer.invoke('axis-vault-export-file', format),
+  vaultGeneratePassword: (overrides) => ipcRenderer.invoke('axis-vault-generate-password', overrides),
+  vaultReadQrImage: (bytes) => ipcRenderer.invoke('axis-vault-read-qr-image', bytes),
   vaultSaveLogin: (entry) => ipcRenderer.invoke('axis-vault-save-login', entry),
   vaultDeleteLogin: (id) => ipcRenderer.invoke('axis-vault-delete-login', id),
   vaultListCards: () => ipcRenderer.invoke('axis-vault-list-cards'),
@@ -113,11 +142,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setProfileGlobalSetting: (key, value) =>
     ipcRenderer.invoke('set-profile-global-setting', key, value),
   getProfilesOverviewForWindow: () => ipcRenderer.invoke('get-profiles-overview-for-window'),
-  exportAxisProfile: (profileId) => ipcRenderer.invoke('export-axis-profile', profileId),
-  importAxisProfileBackup: () => ipcRenderer.invoke('import-axis-profile-backup'),
+  exportAxisProfile: (profileId, options) => ipcRenderer.invoke('export-axis-profile', profileId, options),
+  importAxisProfileBackup: (options) => ipcRenderer.invoke('import-axis-profile-backup', options),
   listImportableBrowsers: () => ipcRenderer.invoke('list-importable-browsers'),
   listBrowserImportProfiles: (browserId) => ipcRenderer.invoke('list-browser-import-profiles', browserId),
   pickBrowserProfileFolder: () => ipcRenderer.invoke('pick-browser-profile-folder'),
+  pickDownloadFolder: () => ipcRenderer.invoke('pick-download-folder'),
+  getAdblockFilterLists: () => ipcRenderer.invoke('axis-adblock-get-filter-lists'),
+  addAdblockFilterList: (payload) => ipcRenderer.invoke('axis-adblock-add-filter-list', payload || {}),
+  refreshAdblockFilterList: (id) => ipcRenderer.invoke('axis-adblock-refresh-filter-list', id),
+  setAdblockFilterListEnabled: (id, enabled) => ipcRenderer.invoke('axis-adblock-set-filter-list-enabled', id, !!enabled),
+  removeAdblockFilterList: (id) => ipcRenderer.invoke('axis-adblock-remove-filter-list', id),
+  setAdblockUserRules: (text) => ipcRenderer.invoke('axis-adblock-set-user-rules', text),
   inspectImportProfileFolder: (folderPath) => ipcRenderer.invoke('inspect-import-profile-folder', folderPath),
   importBrowserProfile: (payload) => ipcRenderer.invoke('import-browser-profile', payload),
   previewBrowserImport: (payload) => ipcRenderer.invoke('preview-browser-import', payload)
@@ -743,6 +743,58 @@
       }
     }
 
+    /** Signup and change-password fields get a generated-password suggestion. */
+    function isNewPasswordField(el) {
+      if (!el || inputKind(el) !== 'password') return false;
+      const ac = (el.autocomplete || '').toLowerCase();
+      if (ac.includes('new-password')) return true;
+      if (ac.includes('current-password')) return false;
+      const hint = `${el.name || ''} ${el.id || ''} ${el.placeholder || ''} ${el.getAttribute('aria-label') || ''}`.toLowerCase();
+      if (/new|confirm|repeat|retype|verify|create|choose/.test(hint)) return true;
+      const root = el.form || document;
+      const passwords = Array.from(root.querySelectorAll('input[type="password"]')).filter(isVisibleInput);
+      if (passwords.length >= 2) return true;
+      const form = el.form;
+      const formHint = form
+        ? `${form.id || ''} ${form.name || ''} ${form.getAttribute('action') || ''} ${form.className || ''}`.toLowerCase()
+        : '';
+      return /sign-?up|register|registration|join|create|enroll/.test(`${formHint} ${location.pathname.toLowerCase()}`);
+    }
+
+    /** Names the form a generated password went into, so regenerating replaces its staged login. */
+    function generatedFormKey(form) {
+      if (!form) return '';
+      const action = form.getAttribute('action');
+      if (form.id || form.getAttribute('name') || action) {
+        return `${form.id || ''}|${form.getAttribute('name') || ''}|${action || ''}`;
+      }
+      return `#${Array.prototype.indexOf.call(document.forms, form)}`;
+    }
+
+    function fillGeneratedPassword(password, anchorEl) {
+      if (!password) return;
+      const root = (anchorEl && anchorEl.form) || document;
+      let targets = Array.from(root.querySelectorAll('input[type="password"]')).filter((el) => {
+        if (!isVisibleInput(el)) return false;
+        const ac = (el.autocomplete || '').toLowerCase();
+        const hint = `${el.name || ''} ${el.id || ''}`.toLowerCase();
+        return !ac.includes('current-password') && !/current|old/.test(hint);
+      });
+      if (!targets.length && anchorEl) targets = [anchorEl];
+      targets.forEach((el) => setFieldValue(el, password));
+      const userEl = targets.length ? findUsernameForPassword(targets[0]) : null;
+      const username = userEl ? String(userEl.value || '').trim() : '';
+      markAutofillUsed({ origin: pageOrigin(), username, password });
+      ipcRenderer
+        .invoke('axis-vault-stage-generated-login', {
+          username,
+          password,
+          title: document.title || '',
+          formKey: generatedFormKey(anchorEl && anchorEl.form)
+        })
+        .catch(() => {});
+    }
+
     function isLikelyUsernameField(el) {
       if (inputKind(el) === 'username') return true;
       const t = (el.type || 'text').toLowerCase();
@@ -880,12 +932,22 @@
         btn.setAttribute('role', 'option');
         const title = document.createElement('span');
         title.className = 'axis-af-title';
-        title.textContent = cred.username || cred.title || 'Saved account';
-        btn.appendChild(title);
+        if (cred.generated) {
+          title.textContent = cred.title || 'Use strong password';
+          const sub = document.createElement('span');
+          sub.className = 'axis-af-sub';
+          sub.textContent = cred.password || '';
+          btn.appendChild(title);
+          btn.appendChild(sub);
+        } else {
+          title.textContent = cred.username || cred.title || 'Saved account';
+          btn.appendChild(title);
+        }
         btn.addEventListener('mousedown', (e) => {
           e.preventDefault();
           hideAutofillMenu();
-          fillLogin(cred, anchorEl);
+          if (cred.generated) fillGeneratedPassword(cred.password, anchorEl);
+          else fillLogin(cred, anchorEl);
         });
         li.appendChild(btn);
         menu.appendChild(li);
@@ -986,6 +1048,7 @@
         const userEl = kind === 'password' ? findUsernameForPassword(el) : el;
         query.kind = 'login';
         query.usernameHint = userEl ? String(userEl.value || '').trim() : '';
+        query.newPassword = kind === 'password' && isNewPasswordField(el);
         notifyHost('axis-vault-autofill-request', query);
         let res;
         try {
@@ -1227,6 +1290,41 @@
       fillLogin(cred, anchor && anchor.tagName === 'INPUT' ? anchor : null);
     });
 
+    ipcRenderer.on('axis-vault-apply-generated', (_ev, data) => {
+      if (!data || !data.password) return;
+      const anchor =
+        (window.__axisVault && window.__axisVault.focusAnchor) ||
+        document.activeElement;
+      fillGeneratedPassword(data.password, anchor && anchor.tagName === 'INPUT' ? anchor : null);
+    });
+
+    /** 2FA prompts are either one field or a row of single-digit boxes. */
+    function fillOneTimeCode(code) {
+      const digits = String(code || '');
+      if (!digits) return;
+      const inputs = allVisibleInputs();
+      const single = inputs.find((el) => {
+        const ac = (el.autocomplete || '').toLowerCase();
+        if (ac.includes('one-time-code')) return el.maxLength < 0 || el.maxLength >= digits.length;
+        const hint = `${el.name || ''} ${el.id || ''} ${el.placeholder || ''}`.toLowerCase();
+        return /otp|2fa|mfa|one.?time|two.?factor|verification.?code|auth\w*.?code|security.?code/.test(hint) &&
+          !/cvv|cvc|card/.test(hint) &&
+          (el.maxLength < 0 || el.maxLength >= digits.length);
+      });
+      if (single) {
+        setFieldValue(single, digits);
+        return;
+      }
+      const boxes = inputs.filter((el) => el.maxLength === 1 && !el.value);
+      if (boxes.length >= digits.length) {
+        boxes.slice(0, digits.length).forEach((el, i) => setFieldValue(el, digits[i]));
+      }
+    }
+
+    ipcRenderer.on('axis-vault-apply-otp', (_ev, data) => {
+      if (data && data.code) fillOneTimeCode(data.code);
+    });
+
     ipcRenderer.on('axis-vault-apply-card', (_ev, card) => {
       if (!card) return;
       const anchor =